@@ -1,4 +1,8 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { Pool } = require('pg');
+const { createInMemoryDatabase } = require('./inMemoryDatabase');
+const { migrateUp, assertSchemaUpToDate } = require('./migrations');
+const { adminExists, createFirstAdmin } = require('./firstAdmin');
 require('dotenv').config();
 
 // In-memory store for development when database is not available
@@ -11,7 +15,8 @@ let inMemoryStore = {
   ride_tracking: new Map()
 };
 
-let useInMemoryStore = false;
+// DATABASE_IN_MEMORY=true uses the in-memory store without trying PostgreSQL
+let useInMemoryStore = process.env.DATABASE_IN_MEMORY === 'true';
 
 // Database connection pool
 const pool = new Pool({
@@ -34,162 +39,89 @@ pool.on('error', (err) => {
   useInMemoryStore = true;
 });
 
-// In-memory query simulation
+// In-memory SQL engine backed by the Maps above
+const inMemoryDatabase = createInMemoryDatabase(inMemoryStore);
+
+// In-memory query execution
 const executeInMemoryQuery = (text, params = []) => {
   console.log('Executing in-memory query:', text, params);
+  return inMemoryDatabase.execute(text, params);
+};
 
-  // Simulate successful responses for common queries
-  if (text.includes('CREATE TABLE') || text.includes('CREATE INDEX')) {
-    return { rows: [], rowCount: 0 };
-  }
+// The in-memory store has a single "connection", so transactions run one at a time and
+// queries from outside the open transaction wait for it to finish
+let inMemoryTransaction = null;
+const inMemoryTransactionContext = new AsyncLocalStorage();
 
-  if (text.includes('SELECT')) {
-    // Return empty results for selects
-    return { rows: [], rowCount: 0 };
-  }
+// The open transaction, unless the caller runs inside it
+const blockingInMemoryTransaction = () => (
+  inMemoryTransactionContext.getStore() ? null : inMemoryTransaction
+);
 
-  if (text.includes('INSERT')) {
-    // Simulate successful insert
-    return { rows: [{ id: Date.now(), ...params }], rowCount: 1 };
+// Take the lock in the same tick as the check that found it free, or a second
+// transaction could slip in between. Transactions started inside the open one
+// run under its lock.
+const acquireInMemoryTransaction = async () => {
+  while (blockingInMemoryTransaction()) {
+    await inMemoryTransaction;
   }
-
-  if (text.includes('UPDATE') || text.includes('DELETE')) {
-    return { rows: [], rowCount: 1 };
+  if (inMemoryTransactionContext.getStore()) {
+    return () => {};
   }
 
-  return { rows: [], rowCount: 0 };
+  let release;
+  inMemoryTransaction = new Promise((resolve) => {
+    release = resolve;
+  });
+  return () => {
+    inMemoryTransaction = null;
+    release();
+  };
 };
 
-// Database initialization script
-const initDatabase = async () => {
-  try {
-    console.log('🔄 Initializing database schema...');
+// The in-memory store has no create-admin step, so its first admin comes from
+// ADMIN_EMAIL (with ADMIN_NAME and ADMIN_PASSWORD; a random password is
+// printed when none is set)
+const seedInMemoryAdmin = async (run) => {
+  const email = process.env.ADMIN_EMAIL;
+  if (!email || await adminExists(run)) return;
 
-    if (useInMemoryStore) {
-      console.log('✅ Using in-memory store for development');
-      return;
-    }
+  const admin = await createFirstAdmin(run, {
+    email,
+    name: process.env.ADMIN_NAME || 'Admin',
+    password: process.env.ADMIN_PASSWORD
+  });
+  console.log(`✅ Created admin ${email} in the in-memory store`);
+  if (admin.password) {
+    console.log(`🔑 Password: ${admin.password}`);
+  }
+};
+
+// Database initialization: the schema is managed by versioned migrations (src/migrations)
+const initDatabase = async () => {
+  console.log('🔄 Initializing database schema...');
 
+  if (!useInMemoryStore) {
     // Test connection first
     try {
       await pool.query('SELECT 1');
     } catch (error) {
       console.log('❌ PostgreSQL not available, using in-memory store');
       useInMemoryStore = true;
-      return;
     }
+  }
 
-    // Create tables if they don't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password TEXT NOT NULL,
-        phone TEXT UNIQUE,
-        role TEXT CHECK (role IN ('patient', 'driver', 'admin')) NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS drivers (
-        id SERIAL PRIMARY KEY,
-        user_id TEXT UNIQUE REFERENCES users(id) ON DELETE CASCADE,
-        license_number TEXT UNIQUE NOT NULL,
-        vehicle_type TEXT CHECK (vehicle_type IN ('car', 'van', 'wheelchair-accessible', 'stretcher-enabled')),
-        availability BOOLEAN DEFAULT TRUE,
-        rating NUMERIC(3,2) DEFAULT 5.0,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS vehicles (
-        id SERIAL PRIMARY KEY,
-        driver_id INT REFERENCES drivers(id) ON DELETE CASCADE,
-        license_plate TEXT UNIQUE NOT NULL,
-        capacity INT NOT NULL,
-        availability BOOLEAN DEFAULT TRUE,
-        vehicle_make TEXT,
-        vehicle_model TEXT,
-        vehicle_year INT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS rides (
-        id SERIAL PRIMARY KEY,
-        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
-        driver_id INT REFERENCES drivers(id) ON DELETE SET NULL,
-        vehicle_id INT REFERENCES vehicles(id) ON DELETE SET NULL,
-        start_location TEXT NOT NULL,
-        end_location TEXT NOT NULL,
-        start_latitude NUMERIC,
-        start_longitude NUMERIC,
-        end_latitude NUMERIC,
-        end_longitude NUMERIC,
-        ride_date TIMESTAMP NOT NULL,
-        status TEXT CHECK (status IN ('pending', 'accepted', 'in-progress', 'completed', 'canceled')) DEFAULT 'pending',
-        fare NUMERIC,
-        distance NUMERIC,
-        duration_minutes INT,
-        special_requirements TEXT,
-        emergency_contact TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS payments (
-        id SERIAL PRIMARY KEY,
-        ride_id INT REFERENCES rides(id) ON DELETE CASCADE,
-        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
-        amount NUMERIC NOT NULL,
-        method TEXT CHECK (method IN ('credit_card', 'debit_card', 'cash', 'insurance')),
-        status TEXT CHECK (status IN ('pending', 'completed', 'failed', 'refunded')) DEFAULT 'pending',
-        stripe_payment_intent_id TEXT,
-        transaction_id TEXT,
-        payment_date TIMESTAMP DEFAULT NOW(),
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ride_tracking (
-        id SERIAL PRIMARY KEY,
-        ride_id INT REFERENCES rides(id) ON DELETE CASCADE,
-        latitude NUMERIC NOT NULL,
-        longitude NUMERIC NOT NULL,
-        timestamp TIMESTAMP DEFAULT NOW(),
-        speed NUMERIC,
-        heading NUMERIC
-      );
-    `);
-
-    // Create indexes for better performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-      CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
-      CREATE INDEX IF NOT EXISTS idx_drivers_availability ON drivers(availability);
-      CREATE INDEX IF NOT EXISTS idx_rides_status ON rides(status);
-      CREATE INDEX IF NOT EXISTS idx_rides_user_id ON rides(user_id);
-      CREATE INDEX IF NOT EXISTS idx_rides_driver_id ON rides(driver_id);
-      CREATE INDEX IF NOT EXISTS idx_payments_ride_id ON payments(ride_id);
-      CREATE INDEX IF NOT EXISTS idx_ride_tracking_ride_id ON ride_tracking(ride_id);
-    `);
-
-    console.log('✅ Database schema initialized successfully');
-  } catch (error) {
-    console.error('❌ Error initializing database:', error);
-    console.log('🔄 Falling back to in-memory store');
-    useInMemoryStore = true;
+  if (useInMemoryStore) {
+    // The in-memory store starts empty on every boot, so bring it to the latest schema
+    const run = async (text, params) => executeInMemoryQuery(text, params);
+    await migrateUp(run);
+    await seedInMemoryAdmin(run);
+    console.log('✅ Using in-memory store for development');
+    return;
   }
+
+  await assertSchemaUpToDate((text, params) => pool.query(text, params));
+  console.log('✅ Database schema is up to date');
 };
 
 // Helper function to execute queries
@@ -197,6 +129,9 @@ const query = async (text, params) => {
   const start = Date.now();
   try {
     if (useInMemoryStore) {
+      while (blockingInMemoryTransaction()) {
+        await inMemoryTransaction;
+      }
       const res = executeInMemoryQuery(text, params);
       const duration = Date.now() - start;
       console.log('Executed in-memory query', { text: text.substring(0, 50) + '...', duration, rows: res.rowCount });
@@ -210,8 +145,9 @@ const query = async (text, params) => {
   } catch (error) {
     console.error('Database query error:', error);
 
-    // Fallback to in-memory for this query
-    if (!useInMemoryStore) {
+    // Fallback to in-memory for this query when PostgreSQL is unreachable; errors raised
+    // by the server itself (constraint violations etc.) carry a SQLSTATE code and propagate
+    if (!useInMemoryStore && !/^[0-9A-Z]{5}$/.test(error.code || '')) {
       console.log('🔄 Falling back to in-memory for this query');
       const res = executeInMemoryQuery(text, params);
       return res;
@@ -221,9 +157,102 @@ const query = async (text, params) => {
   }
 };
 
+// Transaction handle passed to withTransaction callbacks. Queries run on the transaction's
+// own connection; nested withTransaction calls become savepoints. `afterCommit(fn)` queues
+// work (e.g. publishing events) to run once the outermost transaction has committed; work
+// queued inside a savepoint that rolls back is dropped with it.
+const createTransactionScope = (run, depth, hooks) => ({
+  query: async (text, params) => {
+    const start = Date.now();
+    const res = await run(text, params);
+    const duration = Date.now() - start;
+    console.log('Executed transaction query', { text: text.substring(0, 50) + '...', duration, rows: res.rowCount });
+    return res;
+  },
+
+  afterCommit: (fn) => {
+    hooks.push(fn);
+  },
+
+  withTransaction: async (callback) => {
+    const savepoint = `sp_${depth + 1}`;
+    const nestedHooks = [];
+    await run(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await callback(createTransactionScope(run, depth + 1, nestedHooks));
+      await run(`RELEASE SAVEPOINT ${savepoint}`);
+      hooks.push(...nestedHooks);
+      return result;
+    } catch (error) {
+      await run(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw error;
+    }
+  }
+});
+
+const runTransaction = async (run, callback, hooks) => {
+  await run('BEGIN');
+  try {
+    const result = await callback(createTransactionScope(run, 0, hooks));
+    await run('COMMIT');
+    return result;
+  } catch (error) {
+    hooks.length = 0;
+    try {
+      await run('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Transaction rollback error:', rollbackError);
+    }
+    throw error;
+  }
+};
+
+// Run the after-commit hooks of a committed transaction; failures are logged, the
+// transaction's result stands
+const runCommitHooks = async (hooks) => {
+  for (const hook of hooks) {
+    try {
+      await hook();
+    } catch (error) {
+      console.error('After-commit hook error:', error);
+    }
+  }
+};
+
+// Run `callback(tx)` in a transaction on a single connection, committing when it resolves
+// and rolling back when it throws. Use `tx.query` for every statement that must be atomic;
+// the callback's return value is passed through.
+const withTransaction = async (callback) => {
+  const hooks = [];
+  let result;
+
+  if (useInMemoryStore) {
+    const release = await acquireInMemoryTransaction();
+    try {
+      result = await inMemoryTransactionContext.run(true, () => (
+        runTransaction(async (text, params) => executeInMemoryQuery(text, params), callback, hooks)
+      ));
+    } finally {
+      release();
+    }
+  } else {
+    const client = await pool.connect();
+    try {
+      result = await runTransaction((text, params) => client.query(text, params), callback, hooks);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Hooks run once the connection (or in-memory lock) is released, so they may query freely
+  await runCommitHooks(hooks);
+  return result;
+};
+
 module.exports = {
   pool,
   query,
+  withTransaction,
   initDatabase,
   getConnectionStatus: () => ({ useInMemoryStore })
 };
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+
+// Bootstrapping the first admin (public registration cannot create admins).
+//
+// Used by `npm run create-admin` against PostgreSQL and, on startup, to seed
+// the in-memory store from ADMIN_EMAIL / ADMIN_NAME / ADMIN_PASSWORD.
+// `run(text, params)` executes SQL. Further admins are invited from the API
+// (POST /api/invitations).
+
+// Whether an admin exists already
+const adminExists = async (run) => {
+  const admins = await run("SELECT id FROM users WHERE role = 'admin' LIMIT 1");
+  return admins.rows.length > 0;
+};
+
+// Create the first admin with a verified email. Without `password` a random
+// one is generated; it is returned so the caller can show it once.
+const createFirstAdmin = async (run, { email, name, password }) => {
+  const generated = !password;
+  const adminPassword = password || crypto.randomBytes(12).toString('base64url');
+  if (adminPassword.length < 8) {
+    throw new Error('The password must be at least 8 characters');
+  }
+
+  if (await adminExists(run)) {
+    throw new Error('An admin already exists; invite further admins with POST /api/invitations');
+  }
+
+  const existing = await run('SELECT id FROM users WHERE email = $1', [email]);
+  if (existing.rows.length > 0) {
+    throw new Error(`A user with email ${email} already exists`);
+  }
+
+  const userId = uuidv4();
+  await run(
+    `INSERT INTO users (id, name, email, password, role, email_verified, email_verified_at, created_at)
+     VALUES ($1, $2, $3, $4, 'admin', true, NOW(), NOW())`,
+    [userId, name, email, await bcrypt.hash(adminPassword, 12)]
+  );
+
+  return { id: userId, email, password: generated ? adminPassword : null };
+};
+
+module.exports = {
+  adminExists,
+  createFirstAdmin
+};
@@ -0,0 +1,2176 @@
+// In-memory SQL engine used when PostgreSQL is not available.
+//
+// It understands the subset of PostgreSQL the application issues: CREATE/ALTER/DROP
+// TABLE, INSERT/UPDATE/DELETE with RETURNING, and SELECT with joins, filters,
+// aggregates, grouping, ordering and pagination. Rows are kept in the Maps of the
+// store object handed to createInMemoryDatabase, keyed by primary key.
+
+// Error shaped like the ones raised by node-postgres so errorHandler maps them the same way
+class SqlError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SqlError';
+    this.code = code;
+  }
+}
+
+// Interval values (e.g. NOW() - INTERVAL '5 minutes', or the difference of two timestamps)
+class Interval {
+  constructor(ms) {
+    this.ms = ms;
+  }
+}
+
+const AGGREGATES = new Set(['count', 'sum', 'avg', 'min', 'max', 'bool_and', 'bool_or', 'array_agg']);
+
+const RESERVED = new Set([
+  'select', 'from', 'where', 'join', 'left', 'right', 'inner', 'outer', 'full', 'cross', 'on',
+  'group', 'order', 'by', 'limit', 'offset', 'returning', 'and', 'or', 'not', 'as', 'set',
+  'values', 'union', 'having', 'for', 'using', 'when', 'then', 'else', 'end', 'is', 'in',
+  'like', 'ilike', 'between', 'asc', 'desc', 'nulls', 'do', 'into', 'case', 'distinct'
+]);
+
+const INTERVAL_UNITS = {
+  millisecond: 1,
+  milliseconds: 1,
+  second: 1000,
+  seconds: 1000,
+  sec: 1000,
+  secs: 1000,
+  minute: 60000,
+  minutes: 60000,
+  min: 60000,
+  mins: 60000,
+  hour: 3600000,
+  hours: 3600000,
+  day: 86400000,
+  days: 86400000,
+  week: 604800000,
+  weeks: 604800000
+};
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '-' && text[i + 1] === '-') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+
+    if (ch === "'") {
+      let value = '';
+      i++;
+      while (i < text.length) {
+        if (text[i] === "'" && text[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (text[i] === "'") {
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    if (ch === '"') {
+      const end = text.indexOf('"', i + 1);
+      tokens.push({ type: 'ident', value: text.slice(i + 1, end), quoted: true });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '$' && /\d/.test(text[i + 1])) {
+      let j = i + 1;
+      while (/\d/.test(text[j])) j++;
+      tokens.push({ type: 'param', value: parseInt(text.slice(i + 1, j), 10) });
+      i = j;
+      continue;
+    }
+
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(text[i + 1]))) {
+      let j = i;
+      while (/[\d.]/.test(text[j])) j++;
+      tokens.push({ type: 'number', value: Number(text.slice(i, j)) });
+      i = j;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      let j = i;
+      while (j < text.length && /[A-Za-z0-9_]/.test(text[j])) j++;
+      tokens.push({ type: 'ident', value: text.slice(i, j).toLowerCase() });
+      i = j;
+      continue;
+    }
+
+    const two = text.slice(i, i + 2);
+    if (['::', '<=', '>=', '<>', '!=', '||'].includes(two)) {
+      tokens.push({ type: 'op', value: two });
+      i += 2;
+      continue;
+    }
+
+    if ('=<>+-*/%(),.;[]'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch });
+      i++;
+      continue;
+    }
+
+    throw new SqlError(`syntax error at or near "${ch}"`, '42601');
+  }
+
+  tokens.push({ type: 'eof' });
+  return tokens;
+};
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+class Parser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'ident' && !token.quoted && token.value === word;
+  }
+
+  acceptKeyword(...words) {
+    for (let i = 0; i < words.length; i++) {
+      if (!this.isKeyword(words[i], i)) return false;
+    }
+    this.pos += words.length;
+    return true;
+  }
+
+  expectKeyword(...words) {
+    if (!this.acceptKeyword(...words)) {
+      this.fail();
+    }
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'op' && token.value === value;
+  }
+
+  acceptOp(value) {
+    if (this.isOp(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectOp(value) {
+    if (!this.acceptOp(value)) {
+      this.fail();
+    }
+  }
+
+  identifier() {
+    const token = this.next();
+    if (token.type !== 'ident') {
+      this.pos--;
+      this.fail();
+    }
+    return token.value;
+  }
+
+  fail() {
+    const token = this.peek();
+    const near = token.type === 'eof' ? 'end of input' : `"${token.value}"`;
+    throw new SqlError(`syntax error at or near ${near}`, '42601');
+  }
+
+  // Statements -------------------------------------------------------------
+
+  parseStatements() {
+    const statements = [];
+    while (this.peek().type !== 'eof') {
+      if (this.acceptOp(';')) continue;
+      statements.push(this.parseStatement());
+      if (this.peek().type !== 'eof') this.expectOp(';');
+    }
+    return statements;
+  }
+
+  parseStatement() {
+    if (this.isKeyword('select')) return this.parseSelect();
+    if (this.isKeyword('insert')) return this.parseInsert();
+    if (this.isKeyword('update')) return this.parseUpdate();
+    if (this.isKeyword('delete')) return this.parseDelete();
+    if (this.isKeyword('create')) return this.parseCreate();
+    if (this.isKeyword('alter')) return this.parseAlter();
+    if (this.isKeyword('drop')) return this.parseDrop();
+
+    const word = this.identifier();
+    const rest = [];
+    while (this.peek().type !== 'eof' && !this.isOp(';')) {
+      rest.push(this.next().value);
+    }
+
+    if (['begin', 'start', 'commit', 'end', 'rollback', 'savepoint', 'release', 'set'].includes(word)) {
+      return { type: 'control', command: word, args: rest };
+    }
+
+    throw new SqlError(`unsupported statement "${word}"`, '0A000');
+  }
+
+  parseSelect() {
+    this.expectKeyword('select');
+    const select = { type: 'select', distinct: false, columns: [], from: [], joins: [] };
+
+    if (this.acceptKeyword('distinct')) select.distinct = true;
+
+    do {
+      select.columns.push(this.parseSelectItem());
+    } while (this.acceptOp(','));
+
+    if (this.acceptKeyword('from')) {
+      select.from.push(this.parseTableRef());
+
+      for (;;) {
+        if (this.acceptOp(',')) {
+          select.joins.push({ kind: 'cross', table: this.parseTableRef(), on: null });
+        } else if (this.acceptKeyword('cross', 'join')) {
+          select.joins.push({ kind: 'cross', table: this.parseTableRef(), on: null });
+        } else if (this.isKeyword('join') || this.isKeyword('inner') || this.isKeyword('left')) {
+          let kind = 'inner';
+          if (this.acceptKeyword('left')) {
+            kind = 'left';
+            this.acceptKeyword('outer');
+          } else {
+            this.acceptKeyword('inner');
+          }
+          this.expectKeyword('join');
+          const table = this.parseTableRef();
+          this.expectKeyword('on');
+          select.joins.push({ kind, table, on: this.parseExpression() });
+        } else {
+          break;
+        }
+      }
+    }
+
+    if (this.acceptKeyword('where')) select.where = this.parseExpression();
+
+    if (this.acceptKeyword('group', 'by')) {
+      select.groupBy = [];
+      do {
+        select.groupBy.push(this.parseExpression());
+      } while (this.acceptOp(','));
+    }
+
+    if (this.acceptKeyword('having')) select.having = this.parseExpression();
+
+    if (this.acceptKeyword('order', 'by')) select.orderBy = this.parseOrderBy();
+
+    for (;;) {
+      if (this.acceptKeyword('limit')) {
+        select.limit = this.acceptKeyword('all') ? null : this.parseExpression();
+      } else if (this.acceptKeyword('offset')) {
+        select.offset = this.parseExpression();
+      } else if (this.acceptKeyword('for')) {
+        // Row locks (FOR UPDATE [OF t] [SKIP LOCKED | NOWAIT]) are meaningless in a single
+        // process; in-memory transactions are serialized by the caller instead
+        while (['update', 'share', 'no', 'key', 'skip', 'locked', 'nowait'].some((word) => this.isKeyword(word))) {
+          this.next();
+        }
+        if (this.acceptKeyword('of')) {
+          do {
+            this.identifier();
+          } while (this.acceptOp(','));
+          while (['skip', 'locked', 'nowait'].some((word) => this.isKeyword(word))) this.next();
+        }
+      } else {
+        break;
+      }
+    }
+
+    return select;
+  }
+
+  parseSelectItem() {
+    if (this.acceptOp('*')) return { star: true };
+
+    if (this.peek().type === 'ident' && this.isOp('.', 1) && this.isOp('*', 2)) {
+      const table = this.identifier();
+      this.pos += 2;
+      return { star: true, table };
+    }
+
+    const expr = this.parseExpression();
+    return { expr, alias: this.parseAlias() };
+  }
+
+  parseAlias() {
+    if (this.acceptKeyword('as')) return this.identifier();
+    const token = this.peek();
+    if (token.type === 'ident' && (token.quoted || !RESERVED.has(token.value))) {
+      return this.identifier();
+    }
+    return null;
+  }
+
+  parseTableRef() {
+    const name = this.identifier();
+    return { name, alias: this.parseAlias() || name };
+  }
+
+  parseOrderBy() {
+    const items = [];
+    do {
+      const expr = this.parseExpression();
+      let desc = false;
+      if (this.acceptKeyword('desc')) desc = true;
+      else this.acceptKeyword('asc');
+
+      let nullsFirst = desc;
+      if (this.acceptKeyword('nulls', 'first')) nullsFirst = true;
+      else if (this.acceptKeyword('nulls', 'last')) nullsFirst = false;
+
+      items.push({ expr, desc, nullsFirst });
+    } while (this.acceptOp(','));
+    return items;
+  }
+
+  parseInsert() {
+    this.expectKeyword('insert');
+    this.expectKeyword('into');
+    const table = this.identifier();
+    const insert = { type: 'insert', table, columns: null };
+
+    if (this.acceptOp('(')) {
+      insert.columns = [];
+      do {
+        insert.columns.push(this.identifier());
+      } while (this.acceptOp(','));
+      this.expectOp(')');
+    }
+
+    if (this.acceptKeyword('values')) {
+      insert.values = [];
+      do {
+        this.expectOp('(');
+        const row = [];
+        do {
+          row.push(this.acceptKeyword('default') ? { k: 'default' } : this.parseExpression());
+        } while (this.acceptOp(','));
+        this.expectOp(')');
+        insert.values.push(row);
+      } while (this.acceptOp(','));
+    } else {
+      insert.select = this.parseSelect();
+    }
+
+    if (this.acceptKeyword('on', 'conflict')) {
+      insert.onConflict = { target: null };
+      if (this.acceptOp('(')) {
+        insert.onConflict.target = [];
+        do {
+          insert.onConflict.target.push(this.identifier());
+        } while (this.acceptOp(','));
+        this.expectOp(')');
+      }
+      this.expectKeyword('do');
+      if (this.acceptKeyword('nothing')) {
+        insert.onConflict.action = 'nothing';
+      } else {
+        this.expectKeyword('update');
+        this.expectKeyword('set');
+        insert.onConflict.action = 'update';
+        insert.onConflict.set = this.parseAssignments();
+        if (this.acceptKeyword('where')) insert.onConflict.where = this.parseExpression();
+      }
+    }
+
+    if (this.acceptKeyword('returning')) insert.returning = this.parseReturning();
+
+    return insert;
+  }
+
+  parseAssignments() {
+    const assignments = [];
+    do {
+      const column = this.identifier();
+      this.expectOp('=');
+      assignments.push({ column, expr: this.acceptKeyword('default') ? { k: 'default' } : this.parseExpression() });
+    } while (this.acceptOp(','));
+    return assignments;
+  }
+
+  parseReturning() {
+    const items = [];
+    do {
+      items.push(this.parseSelectItem());
+    } while (this.acceptOp(','));
+    return items;
+  }
+
+  parseUpdate() {
+    this.expectKeyword('update');
+    const table = this.parseTableRef();
+    this.expectKeyword('set');
+    const update = { type: 'update', table, set: this.parseAssignments() };
+
+    if (this.acceptKeyword('where')) update.where = this.parseExpression();
+    if (this.acceptKeyword('returning')) update.returning = this.parseReturning();
+
+    return update;
+  }
+
+  parseDelete() {
+    this.expectKeyword('delete');
+    this.expectKeyword('from');
+    const del = { type: 'delete', table: this.parseTableRef() };
+
+    if (this.acceptKeyword('where')) del.where = this.parseExpression();
+    if (this.acceptKeyword('returning')) del.returning = this.parseReturning();
+
+    return del;
+  }
+
+  parseCreate() {
+    this.expectKeyword('create');
+
+    if (this.isKeyword('table')) {
+      this.next();
+      const ifNotExists = this.acceptKeyword('if', 'not', 'exists');
+      const table = this.identifier();
+      const definition = { type: 'createTable', table, ifNotExists, columns: [], constraints: [] };
+
+      this.expectOp('(');
+      do {
+        if (this.isKeyword('unique') || this.isKeyword('primary') || this.isKeyword('constraint') ||
+          this.isKeyword('check') || this.isKeyword('foreign')) {
+          const constraint = this.parseTableConstraint();
+          if (constraint) definition.constraints.push(constraint);
+        } else {
+          definition.columns.push(this.parseColumnDefinition());
+        }
+      } while (this.acceptOp(','));
+      this.expectOp(')');
+
+      return definition;
+    }
+
+    // Indexes, extensions, functions... have no effect on the in-memory store
+    this.skipToStatementEnd();
+    return { type: 'noop' };
+  }
+
+  parseColumnDefinition() {
+    const column = { name: this.identifier(), type: this.parseTypeName() };
+    let constraintName;
+
+    for (;;) {
+      if (this.acceptKeyword('primary', 'key')) {
+        column.primaryKey = true;
+        column.notNull = true;
+      } else if (this.acceptKeyword('not', 'null')) {
+        column.notNull = true;
+      } else if (this.acceptKeyword('null')) {
+        column.notNull = false;
+      } else if (this.acceptKeyword('unique')) {
+        column.unique = true;
+      } else if (this.acceptKeyword('default')) {
+        column.default = this.parseExpression();
+      } else if (this.acceptKeyword('check')) {
+        this.expectOp('(');
+        column.check = this.parseExpression();
+        column.checkName = constraintName;
+        this.expectOp(')');
+      } else if (this.acceptKeyword('references')) {
+        column.references = this.parseReferences();
+      } else if (this.acceptKeyword('constraint')) {
+        constraintName = this.identifier();
+        continue;
+      } else {
+        break;
+      }
+    }
+
+    return column;
+  }
+
+  parseReferences() {
+    const references = { table: this.identifier(), column: 'id', onDelete: 'restrict' };
+
+    if (this.acceptOp('(')) {
+      references.column = this.identifier();
+      this.expectOp(')');
+    }
+
+    while (this.acceptKeyword('on')) {
+      const event = this.identifier();
+      let action;
+      if (this.acceptKeyword('cascade')) action = 'cascade';
+      else if (this.acceptKeyword('set', 'null')) action = 'set null';
+      else if (this.acceptKeyword('no', 'action')) action = 'restrict';
+      else if (this.acceptKeyword('restrict')) action = 'restrict';
+      else this.fail();
+
+      if (event === 'delete') references.onDelete = action;
+    }
+
+    return references;
+  }
+
+  parseTableConstraint() {
+    const name = this.acceptKeyword('constraint') ? this.identifier() : undefined;
+
+    const columnList = () => {
+      const columns = [];
+      this.expectOp('(');
+      do {
+        columns.push(this.identifier());
+      } while (this.acceptOp(','));
+      this.expectOp(')');
+      return columns;
+    };
+
+    if (this.acceptKeyword('unique')) return { type: 'unique', name, columns: columnList() };
+    if (this.acceptKeyword('primary', 'key')) return { type: 'primaryKey', name, columns: columnList() };
+    if (this.acceptKeyword('check')) {
+      this.expectOp('(');
+      const expr = this.parseExpression();
+      this.expectOp(')');
+      return { type: 'check', name, expr };
+    }
+    if (this.acceptKeyword('foreign', 'key')) {
+      const columns = columnList();
+      this.expectKeyword('references');
+      return { type: 'foreignKey', name, columns, references: this.parseReferences() };
+    }
+
+    this.fail();
+    return null;
+  }
+
+  parseTypeName() {
+    let name = this.identifier();
+
+    if (name === 'double' && this.acceptKeyword('precision')) name = 'double precision';
+    if (name === 'character' && this.acceptKeyword('varying')) name = 'varchar';
+    if (name === 'timestamp' || name === 'time') {
+      if (this.acceptKeyword('with', 'time', 'zone')) name = `${name}tz`;
+      else this.acceptKeyword('without', 'time', 'zone');
+    }
+
+    // Length/precision modifiers such as VARCHAR(255) or NUMERIC(3,2)
+    if (this.acceptOp('(')) {
+      while (!this.acceptOp(')')) this.next();
+    }
+
+    if (this.acceptOp('[')) {
+      this.expectOp(']');
+      name = `${name}[]`;
+    }
+
+    return name;
+  }
+
+  parseAlter() {
+    this.expectKeyword('alter');
+
+    if (!this.acceptKeyword('table')) {
+      this.skipToStatementEnd();
+      return { type: 'noop' };
+    }
+
+    this.acceptKeyword('if', 'exists');
+    const table = this.identifier();
+    const actions = [];
+
+    do {
+      if (this.acceptKeyword('add')) {
+        if (this.isKeyword('constraint') || this.isKeyword('unique') || this.isKeyword('check') ||
+          this.isKeyword('foreign') || this.isKeyword('primary')) {
+          actions.push({ action: 'addConstraint', constraint: this.parseTableConstraint() });
+        } else {
+          this.acceptKeyword('column');
+          const ifNotExists = this.acceptKeyword('if', 'not', 'exists');
+          actions.push({ action: 'addColumn', ifNotExists, column: this.parseColumnDefinition() });
+        }
+      } else if (this.acceptKeyword('drop')) {
+        if (this.acceptKeyword('constraint')) {
+          const ifExists = this.acceptKeyword('if', 'exists');
+          actions.push({ action: 'dropConstraint', ifExists, name: this.identifier() });
+        } else {
+          this.acceptKeyword('column');
+          const ifExists = this.acceptKeyword('if', 'exists');
+          actions.push({ action: 'dropColumn', ifExists, name: this.identifier() });
+        }
+      } else if (this.acceptKeyword('rename')) {
+        this.acceptKeyword('column');
+        const from = this.identifier();
+        this.expectKeyword('to');
+        actions.push({ action: 'renameColumn', from, to: this.identifier() });
+      } else if (this.acceptKeyword('alter')) {
+        this.acceptKeyword('column');
+        const name = this.identifier();
+        if (this.acceptKeyword('set', 'default')) {
+          actions.push({ action: 'setDefault', name, expr: this.parseExpression() });
+        } else if (this.acceptKeyword('drop', 'default')) {
+          actions.push({ action: 'setDefault', name, expr: undefined });
+        } else if (this.acceptKeyword('set', 'not', 'null')) {
+          actions.push({ action: 'setNotNull', name, notNull: true });
+        } else if (this.acceptKeyword('drop', 'not', 'null')) {
+          actions.push({ action: 'setNotNull', name, notNull: false });
+        } else {
+          // Type changes keep the stored values as they are
+          while (this.peek().type !== 'eof' && !this.isOp(';') && !this.isOp(',')) this.next();
+        }
+      } else {
+        this.fail();
+      }
+    } while (this.acceptOp(','));
+
+    return { type: 'alterTable', table, actions };
+  }
+
+  parseDrop() {
+    this.expectKeyword('drop');
+
+    if (!this.acceptKeyword('table')) {
+      this.skipToStatementEnd();
+      return { type: 'noop' };
+    }
+
+    const ifExists = this.acceptKeyword('if', 'exists');
+    const tables = [];
+    do {
+      tables.push(this.identifier());
+    } while (this.acceptOp(','));
+    this.acceptKeyword('cascade');
+
+    return { type: 'dropTable', tables, ifExists };
+  }
+
+  skipToStatementEnd() {
+    let depth = 0;
+    while (this.peek().type !== 'eof') {
+      if (this.isOp('(')) depth++;
+      if (this.isOp(')')) depth--;
+      if (depth === 0 && this.isOp(';')) break;
+      this.next();
+    }
+  }
+
+  // Expressions ------------------------------------------------------------
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('or')) {
+      left = { k: 'or', l: left, r: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('and')) {
+      left = { k: 'and', l: left, r: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('not')) {
+      return { k: 'not', e: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+
+    if (this.acceptKeyword('is')) {
+      const not = this.acceptKeyword('not');
+      if (this.acceptKeyword('null')) return { k: 'isnull', e: left, not };
+      if (this.acceptKeyword('true')) return { k: 'istrue', e: left, value: true, not };
+      if (this.acceptKeyword('false')) return { k: 'istrue', e: left, value: false, not };
+      if (this.acceptKeyword('distinct', 'from')) {
+        return { k: 'distinct', l: left, r: this.parseAdditive(), not };
+      }
+      this.fail();
+    }
+
+    // NOT here only negates IN/LIKE/BETWEEN; a trailing NOT NULL belongs to a column definition
+    const not = ['in', 'like', 'ilike', 'between'].some((word) => this.isKeyword(word, 1)) &&
+      this.acceptKeyword('not');
+
+    if (this.acceptKeyword('in')) {
+      this.expectOp('(');
+      let node;
+      if (this.isKeyword('select')) {
+        node = { k: 'in', e: left, query: this.parseSelect(), not };
+      } else {
+        const list = [];
+        do {
+          list.push(this.parseExpression());
+        } while (this.acceptOp(','));
+        node = { k: 'in', e: left, list, not };
+      }
+      this.expectOp(')');
+      return node;
+    }
+
+    if (this.isKeyword('like') || this.isKeyword('ilike')) {
+      const insensitive = this.next().value === 'ilike';
+      return { k: 'like', e: left, pattern: this.parseAdditive(), insensitive, not };
+    }
+
+    if (this.acceptKeyword('between')) {
+      const low = this.parseAdditive();
+      this.expectKeyword('and');
+      return { k: 'between', e: left, low, high: this.parseAdditive(), not };
+    }
+
+    const token = this.peek();
+    if (token.type === 'op' && ['=', '<>', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.next();
+      const op = token.value === '!=' ? '<>' : token.value;
+
+      if (this.isKeyword('any') || this.isKeyword('all')) {
+        const quantifier = this.next().value;
+        this.expectOp('(');
+        const node = { k: 'quantified', op, quantifier, l: left };
+        if (this.isKeyword('select')) node.query = this.parseSelect();
+        else node.r = this.parseExpression();
+        this.expectOp(')');
+        return node;
+      }
+
+      return { k: 'cmp', op, l: left, r: this.parseAdditive() };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    for (;;) {
+      const token = this.peek();
+      if (token.type === 'op' && ['+', '-', '||'].includes(token.value)) {
+        this.next();
+        left = { k: 'arith', op: token.value, l: left, r: this.parseMultiplicative() };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      if (token.type === 'op' && ['*', '/', '%'].includes(token.value)) {
+        this.next();
+        left = { k: 'arith', op: token.value, l: left, r: this.parseUnary() };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  parseUnary() {
+    if (this.acceptOp('-')) return { k: 'neg', e: this.parseUnary() };
+    if (this.acceptOp('+')) return this.parseUnary();
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let expr = this.parsePrimary();
+    while (this.acceptOp('::')) {
+      expr = { k: 'cast', e: expr, type: this.parseTypeName() };
+    }
+    return expr;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number') return { k: 'lit', v: token.value };
+    if (token.type === 'string') return { k: 'lit', v: token.value };
+    if (token.type === 'param') return { k: 'param', i: token.value };
+
+    if (token.type === 'op' && token.value === '(') {
+      if (this.isKeyword('select')) {
+        const query = this.parseSelect();
+        this.expectOp(')');
+        return { k: 'subquery', query };
+      }
+      const expr = this.parseExpression();
+      this.expectOp(')');
+      return expr;
+    }
+
+    if (token.type !== 'ident') {
+      this.pos--;
+      this.fail();
+    }
+
+    const word = token.value;
+
+    if (!token.quoted) {
+      if (word === 'null') return { k: 'lit', v: null };
+      if (word === 'true') return { k: 'lit', v: true };
+      if (word === 'false') return { k: 'lit', v: false };
+      if (word === 'current_timestamp' || word === 'localtimestamp') return { k: 'func', name: 'now', args: [] };
+      if (word === 'current_date') return { k: 'func', name: 'current_date', args: [] };
+      if (word === 'case') return this.parseCase();
+
+      if (word === 'interval' && this.peek().type === 'string') {
+        return { k: 'lit', v: parseInterval(this.next().value) };
+      }
+
+      if (word === 'exists') {
+        this.expectOp('(');
+        const query = this.parseSelect();
+        this.expectOp(')');
+        return { k: 'exists', query };
+      }
+
+      if (word === 'extract' && this.isOp('(')) {
+        this.next();
+        const field = this.identifier();
+        this.expectKeyword('from');
+        const e = this.parseExpression();
+        this.expectOp(')');
+        return { k: 'extract', field, e };
+      }
+
+      if (word === 'array' && this.acceptOp('[')) {
+        const items = [];
+        if (!this.isOp(']')) {
+          do {
+            items.push(this.parseExpression());
+          } while (this.acceptOp(','));
+        }
+        this.expectOp(']');
+        return { k: 'array', items };
+      }
+    }
+
+    if (this.acceptOp('(')) {
+      const call = { k: 'func', name: word, args: [], distinct: false };
+      if (this.acceptOp('*')) {
+        call.star = true;
+      } else if (!this.isOp(')')) {
+        if (this.acceptKeyword('distinct')) call.distinct = true;
+        do {
+          call.args.push(this.parseExpression());
+        } while (this.acceptOp(','));
+      }
+      this.expectOp(')');
+      return call;
+    }
+
+    if (this.acceptOp('.')) {
+      return { k: 'col', table: word, name: this.identifier() };
+    }
+
+    return { k: 'col', table: null, name: word };
+  }
+
+  parseCase() {
+    const node = { k: 'case', whens: [] };
+
+    if (!this.isKeyword('when')) node.base = this.parseExpression();
+
+    while (this.acceptKeyword('when')) {
+      const when = this.parseExpression();
+      this.expectKeyword('then');
+      node.whens.push({ when, then: this.parseExpression() });
+    }
+
+    if (this.acceptKeyword('else')) node.else = this.parseExpression();
+    this.expectKeyword('end');
+
+    return node;
+  }
+}
+
+const parseInterval = (text) => {
+  let ms = 0;
+  const pattern = /(-?\d+(?:\.\d+)?)\s*([a-z]+)/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const unit = INTERVAL_UNITS[match[2].toLowerCase()];
+    if (!unit) throw new SqlError(`invalid input syntax for type interval: "${text}"`, '22007');
+    ms += Number(match[1]) * unit;
+  }
+  return new Interval(ms);
+};
+
+// ---------------------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------------------
+
+const typeFamily = (type) => {
+  if (!type) return 'any';
+  if (type.endsWith('[]')) return 'array';
+  if (['int', 'int2', 'int4', 'int8', 'integer', 'smallint', 'bigint', 'serial', 'bigserial', 'smallserial'].includes(type)) return 'integer';
+  if (['numeric', 'decimal', 'real', 'float', 'float4', 'float8', 'double precision'].includes(type)) return 'number';
+  if (['boolean', 'bool'].includes(type)) return 'boolean';
+  if (['timestamp', 'timestamptz', 'date'].includes(type)) return 'timestamp';
+  if (['json', 'jsonb'].includes(type)) return 'json';
+  if (type === 'interval') return 'interval';
+  return 'text';
+};
+
+const coerce = (value, type) => {
+  if (value === null || value === undefined) return null;
+
+  switch (typeFamily(type)) {
+    case 'integer': {
+      const number = Number(value instanceof Date ? value.getTime() : value);
+      if (Number.isNaN(number)) throw new SqlError(`invalid input syntax for type integer: "${value}"`, '22P02');
+      return Math.round(number);
+    }
+    case 'number': {
+      const number = Number(value);
+      if (Number.isNaN(number)) throw new SqlError(`invalid input syntax for type numeric: "${value}"`, '22P02');
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', 't', 'yes', 'on', '1'].includes(String(value).toLowerCase())) return true;
+      if (['false', 'f', 'no', 'off', '0'].includes(String(value).toLowerCase())) return false;
+      throw new SqlError(`invalid input syntax for type boolean: "${value}"`, '22P02');
+    case 'timestamp': {
+      const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+      if (Number.isNaN(date.getTime())) throw new SqlError(`invalid input syntax for type timestamp: "${value}"`, '22007');
+      if (type === 'date') date.setUTCHours(0, 0, 0, 0);
+      return date;
+    }
+    case 'json':
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          throw new SqlError('invalid input syntax for type json', '22P02');
+        }
+      }
+      return clone(value);
+    case 'interval':
+      if (value instanceof Interval) return value;
+      return parseInterval(String(value));
+    case 'array':
+      return Array.isArray(value) ? value.slice() : value;
+    case 'text':
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === 'object' && !(value instanceof Interval)) return JSON.stringify(value);
+      return String(value);
+    default:
+      return value;
+  }
+};
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object' && !(value instanceof Interval)) {
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = clone(value[key]);
+    return copy;
+  }
+  return value;
+};
+
+const isNumeric = (value) => typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value));
+
+// Bring two values to comparable primitives the way PostgreSQL's implicit casts would
+const normalizePair = (a, b) => {
+  if (a instanceof Interval) a = a.ms;
+  if (b instanceof Interval) b = b.ms;
+  if (a instanceof Date || b instanceof Date) {
+    return [new Date(a).getTime(), new Date(b).getTime()];
+  }
+  if (typeof a === 'number' && isNumeric(b)) return [a, Number(b)];
+  if (typeof b === 'number' && isNumeric(a)) return [Number(a), b];
+  if (typeof a === 'boolean' && typeof b === 'string') return [a, coerce(b, 'boolean')];
+  if (typeof b === 'boolean' && typeof a === 'string') return [coerce(a, 'boolean'), b];
+  return [a, b];
+};
+
+const compare = (a, b) => {
+  const [x, y] = normalizePair(a, b);
+  if (x < y) return -1;
+  if (x > y) return 1;
+  return 0;
+};
+
+const equals = (a, b) => {
+  if (a === null || b === null) return null;
+  return compare(a, b) === 0;
+};
+
+const likeToRegExp = (pattern, insensitive) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (ch === '%') {
+      source += '[\\s\\S]*';
+    } else if (ch === '_') {
+      source += '[\\s\\S]';
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, insensitive ? 'i' : '');
+};
+
+const truthy = (value) => value === true || (value !== null && value !== false && value !== undefined && coerce(value, 'boolean'));
+
+const containsAggregate = (node) => {
+  if (!node || typeof node !== 'object') return false;
+  if (node.k === 'func' && AGGREGATES.has(node.name)) return true;
+  // Aggregates inside subqueries belong to the subquery
+  if (node.k === 'subquery' || node.k === 'exists' || node.query) {
+    return ['e', 'l'].some((key) => containsAggregate(node[key]));
+  }
+  return Object.values(node).some((child) => {
+    if (Array.isArray(child)) return child.some(containsAggregate);
+    return child && typeof child === 'object' && !(child instanceof Interval) && containsAggregate(child);
+  });
+};
+
+const columnLabel = (item) => {
+  if (item.alias) return item.alias;
+  let expr = item.expr;
+  while (expr.k === 'cast') expr = expr.e;
+  if (expr.k === 'col') return expr.name;
+  if (expr.k === 'func') return expr.name;
+  if (expr.k === 'extract') return 'extract';
+  if (expr.k === 'case') return 'case';
+  if (expr.k === 'exists') return 'exists';
+  return '?column?';
+};
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+const createInMemoryDatabase = (store) => {
+  // Table definitions (columns, defaults, constraints, sequences) keyed by table name
+  const schemas = new Map();
+  // Parsed statements keyed by SQL text; route queries are static strings
+  const statementCache = new Map();
+
+  const getSchema = (table) => {
+    const schema = schemas.get(table);
+    if (!schema) {
+      throw new SqlError(`relation "${table}" does not exist`, '42P01');
+    }
+    return schema;
+  };
+
+  const getRows = (table) => {
+    if (!(store[table] instanceof Map)) store[table] = new Map();
+    return store[table];
+  };
+
+  const getColumn = (schema, name) => {
+    const column = schema.columns.find((c) => c.name === name);
+    if (!column) {
+      throw new SqlError(`column "${name}" of relation "${schema.name}" does not exist`, '42703');
+    }
+    return column;
+  };
+
+  const registerColumn = (schema, column) => {
+    const entry = { ...column };
+    if (['serial', 'bigserial', 'smallserial'].includes(entry.type)) {
+      entry.serial = true;
+      entry.notNull = true;
+    }
+    schema.columns.push(entry);
+    if (entry.primaryKey) schema.primaryKey = [entry.name];
+    if (entry.unique) schema.uniques.push({ name: `${schema.name}_${entry.name}_key`, columns: [entry.name] });
+    if (entry.check) {
+      schema.checks.push({ name: entry.checkName || `${schema.name}_${entry.name}_check`, expr: entry.check });
+    }
+    if (entry.references) {
+      schema.foreignKeys.push({ name: `${schema.name}_${entry.name}_fkey`, columns: [entry.name], references: entry.references });
+    }
+    return entry;
+  };
+
+  // Constraint names follow PostgreSQL's defaults so migrations can drop them by name
+  const registerConstraint = (schema, constraint) => {
+    if (constraint.type === 'unique') {
+      schema.uniques.push({
+        name: constraint.name || `${schema.name}_${constraint.columns.join('_')}_key`,
+        columns: constraint.columns
+      });
+    }
+    if (constraint.type === 'primaryKey') {
+      schema.primaryKey = constraint.columns;
+      constraint.columns.forEach((name) => {
+        getColumn(schema, name).notNull = true;
+      });
+    }
+    if (constraint.type === 'check') {
+      schema.checks.push({ name: constraint.name || `${schema.name}_check`, expr: constraint.expr });
+    }
+    if (constraint.type === 'foreignKey') {
+      schema.foreignKeys.push({
+        name: constraint.name || `${schema.name}_${constraint.columns[0]}_fkey`,
+        columns: constraint.columns,
+        references: constraint.references
+      });
+    }
+  };
+
+  const dropConstraint = (schema, name, ifExists) => {
+    const before = schema.checks.length + schema.uniques.length + schema.foreignKeys.length;
+    schema.checks = schema.checks.filter((check) => check.name !== name);
+    schema.uniques = schema.uniques.filter((unique) => unique.name !== name);
+    schema.foreignKeys = schema.foreignKeys.filter((foreignKey) => foreignKey.name !== name);
+
+    if (!ifExists && before === schema.checks.length + schema.uniques.length + schema.foreignKeys.length) {
+      throw new SqlError(`constraint "${name}" of relation "${schema.name}" does not exist`, '42704');
+    }
+  };
+
+  const rowKey = (schema, row) => {
+    if (schema.primaryKey && schema.primaryKey.length === 1) {
+      return row[schema.primaryKey[0]];
+    }
+    return ++schema.rowCounter;
+  };
+
+  // Expression evaluation ----------------------------------------------------
+
+  // Resolve a column reference against the current row scope, then enclosing scopes
+  const resolveColumn = (node, ctx) => {
+    for (let scope = ctx; scope; scope = scope.outer) {
+      if (!scope.sources) continue;
+
+      if (node.table) {
+        const source = scope.sources.find((s) => s.alias === node.table);
+        if (!source) continue;
+        const row = scope.rows[source.alias];
+        if (!source.columns.includes(node.name)) {
+          throw new SqlError(`column ${node.table}.${node.name} does not exist`, '42703');
+        }
+        return row ? row[node.name] : null;
+      }
+
+      const matches = scope.sources.filter((s) => s.columns.includes(node.name));
+      if (matches.length > 1) {
+        throw new SqlError(`column reference "${node.name}" is ambiguous`, '42702');
+      }
+      if (matches.length === 1) {
+        const row = scope.rows[matches[0].alias];
+        return row ? row[node.name] : null;
+      }
+    }
+
+    if (!node.table && ctx.extra && Object.prototype.hasOwnProperty.call(ctx.extra, node.name)) {
+      return ctx.extra[node.name];
+    }
+
+    throw new SqlError(`column "${node.table ? `${node.table}.` : ''}${node.name}" does not exist`, '42703');
+  };
+
+  const evaluateAggregate = (node, ctx) => {
+    const group = ctx.group || [];
+    if (node.star) return group.length;
+
+    let values = group
+      .map((rows) => evaluate(node.args[0], { ...ctx, rows, group: null }))
+      .filter((value) => value !== null && value !== undefined);
+
+    if (node.distinct) {
+      const seen = new Set();
+      values = values.filter((value) => {
+        const key = value instanceof Date ? value.getTime() : JSON.stringify(value);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    switch (node.name) {
+      case 'count':
+        return values.length;
+      case 'sum':
+        return values.length ? values.reduce((total, value) => total + Number(value), 0) : null;
+      case 'avg':
+        return values.length ? values.reduce((total, value) => total + Number(value), 0) / values.length : null;
+      case 'min':
+        return values.length ? values.reduce((a, b) => (compare(a, b) <= 0 ? a : b)) : null;
+      case 'max':
+        return values.length ? values.reduce((a, b) => (compare(a, b) >= 0 ? a : b)) : null;
+      case 'bool_and':
+        return values.length ? values.every(truthy) : null;
+      case 'bool_or':
+        return values.length ? values.some(truthy) : null;
+      case 'array_agg':
+        return group.length ? group.map((rows) => evaluate(node.args[0], { ...ctx, rows, group: null })) : null;
+      default:
+        return null;
+    }
+  };
+
+  const evaluateFunction = (node, ctx) => {
+    if (AGGREGATES.has(node.name)) return evaluateAggregate(node, ctx);
+
+    const args = node.args.map((arg) => evaluate(arg, ctx));
+
+    switch (node.name) {
+      case 'now':
+        return ctx.now;
+      case 'current_date': {
+        const date = new Date(ctx.now.getTime());
+        date.setUTCHours(0, 0, 0, 0);
+        return date;
+      }
+      case 'coalesce':
+        return args.find((value) => value !== null && value !== undefined) ?? null;
+      case 'nullif':
+        return equals(args[0], args[1]) ? null : args[0];
+      case 'greatest': {
+        const values = args.filter((value) => value !== null);
+        return values.length ? values.reduce((a, b) => (compare(a, b) >= 0 ? a : b)) : null;
+      }
+      case 'least': {
+        const values = args.filter((value) => value !== null);
+        return values.length ? values.reduce((a, b) => (compare(a, b) <= 0 ? a : b)) : null;
+      }
+      case 'lower':
+        return args[0] === null ? null : String(args[0]).toLowerCase();
+      case 'upper':
+        return args[0] === null ? null : String(args[0]).toUpperCase();
+      case 'trim':
+        return args[0] === null ? null : String(args[0]).trim();
+      case 'length':
+        return args[0] === null ? null : String(args[0]).length;
+      case 'concat':
+        return args.filter((value) => value !== null).map(String).join('');
+      case 'abs':
+        return args[0] === null ? null : Math.abs(Number(args[0]));
+      case 'ceil':
+      case 'ceiling':
+        return args[0] === null ? null : Math.ceil(Number(args[0]));
+      case 'floor':
+        return args[0] === null ? null : Math.floor(Number(args[0]));
+      case 'round': {
+        if (args[0] === null) return null;
+        const factor = 10 ** (args[1] === undefined ? 0 : Number(args[1]));
+        return Math.round(Number(args[0]) * factor) / factor;
+      }
+      case 'sqrt':
+        return args[0] === null ? null : Math.sqrt(Number(args[0]));
+      case 'power':
+        return args[0] === null || args[1] === null ? null : Number(args[0]) ** Number(args[1]);
+      case 'radians':
+        return args[0] === null ? null : Number(args[0]) * Math.PI / 180;
+      case 'sin':
+      case 'cos':
+      case 'asin':
+      case 'acos':
+      case 'atan':
+        return args[0] === null ? null : Math[node.name](Number(args[0]));
+      case 'atan2':
+        return args[0] === null || args[1] === null ? null : Math.atan2(Number(args[0]), Number(args[1]));
+      case 'pi':
+        return Math.PI;
+      case 'array_length':
+        return Array.isArray(args[0]) && args[0].length ? args[0].length : null;
+      case 'date_trunc': {
+        if (args[1] === null) return null;
+        const date = coerce(args[1], 'timestamp');
+        const field = String(args[0]).toLowerCase();
+        if (field === 'minute') date.setUTCSeconds(0, 0);
+        if (field === 'hour') date.setUTCMinutes(0, 0, 0);
+        if (field === 'day') date.setUTCHours(0, 0, 0, 0);
+        if (field === 'month') {
+          date.setUTCHours(0, 0, 0, 0);
+          date.setUTCDate(1);
+        }
+        return date;
+      }
+      default:
+        throw new SqlError(`function ${node.name} does not exist`, '42883');
+    }
+  };
+
+  const evaluateArithmetic = (op, a, b) => {
+    if (a === null || b === null) return null;
+
+    if (op === '||') {
+      if (Array.isArray(a)) return a.concat(b);
+      return `${a}${b}`;
+    }
+
+    if (a instanceof Date || b instanceof Date) {
+      if (a instanceof Date && b instanceof Date && op === '-') return new Interval(a.getTime() - b.getTime());
+      if (a instanceof Date && b instanceof Interval) {
+        return new Date(a.getTime() + (op === '-' ? -b.ms : b.ms));
+      }
+      if (b instanceof Date && a instanceof Interval && op === '+') return new Date(b.getTime() + a.ms);
+      if (a instanceof Date && typeof b === 'number') {
+        // date +/- integer days
+        return new Date(a.getTime() + (op === '-' ? -b : b) * 86400000);
+      }
+      throw new SqlError(`operator does not exist: timestamp ${op} ${typeof b}`, '42883');
+    }
+
+    if (a instanceof Interval || b instanceof Interval) {
+      const x = a instanceof Interval ? a.ms : Number(a);
+      const y = b instanceof Interval ? b.ms : Number(b);
+      if (op === '+') return new Interval(x + y);
+      if (op === '-') return new Interval(x - y);
+      if (op === '*') return new Interval(x * y);
+      if (op === '/') return b instanceof Interval ? x / y : new Interval(x / y);
+    }
+
+    const x = Number(a);
+    const y = Number(b);
+    switch (op) {
+      case '+': return x + y;
+      case '-': return x - y;
+      case '*': return x * y;
+      case '/':
+        if (y === 0) throw new SqlError('division by zero', '22012');
+        return x / y;
+      case '%': return x % y;
+      default: return null;
+    }
+  };
+
+  const evaluate = (node, ctx) => {
+    switch (node.k) {
+      case 'lit':
+        return node.v;
+      case 'param': {
+        const value = ctx.params[node.i - 1];
+        return value === undefined ? null : value;
+      }
+      case 'col':
+        return resolveColumn(node, ctx);
+      case 'default':
+        return undefined;
+      case 'and': {
+        const left = evaluate(node.l, ctx);
+        if (left !== null && !truthy(left)) return false;
+        const right = evaluate(node.r, ctx);
+        if (right !== null && !truthy(right)) return false;
+        return left === null || right === null ? null : true;
+      }
+      case 'or': {
+        const left = evaluate(node.l, ctx);
+        if (left !== null && truthy(left)) return true;
+        const right = evaluate(node.r, ctx);
+        if (right !== null && truthy(right)) return true;
+        return left === null || right === null ? null : false;
+      }
+      case 'not': {
+        const value = evaluate(node.e, ctx);
+        return value === null ? null : !truthy(value);
+      }
+      case 'neg': {
+        const value = evaluate(node.e, ctx);
+        if (value === null) return null;
+        return value instanceof Interval ? new Interval(-value.ms) : -Number(value);
+      }
+      case 'isnull': {
+        const value = evaluate(node.e, ctx);
+        const isNull = value === null || value === undefined;
+        return node.not ? !isNull : isNull;
+      }
+      case 'istrue': {
+        const value = evaluate(node.e, ctx);
+        const matches = value !== null && truthy(value) === node.value;
+        return node.not ? !matches : matches;
+      }
+      case 'distinct': {
+        const left = evaluate(node.l, ctx);
+        const right = evaluate(node.r, ctx);
+        let different;
+        if (left === null || right === null) different = left !== right;
+        else different = compare(left, right) !== 0;
+        return node.not ? !different : different;
+      }
+      case 'cmp': {
+        const left = evaluate(node.l, ctx);
+        const right = evaluate(node.r, ctx);
+        if (left === null || right === null) return null;
+        const order = compare(left, right);
+        switch (node.op) {
+          case '=': return order === 0;
+          case '<>': return order !== 0;
+          case '<': return order < 0;
+          case '<=': return order <= 0;
+          case '>': return order > 0;
+          case '>=': return order >= 0;
+          default: return null;
+        }
+      }
+      case 'quantified': {
+        const left = evaluate(node.l, ctx);
+        const values = node.query
+          ? runSelect(node.query, ctx.params, ctx).rows.map((row) => Object.values(row)[0])
+          : (evaluate(node.r, ctx) || []);
+        const results = values.map((value) => evaluate(
+          { k: 'cmp', op: node.op, l: { k: 'lit', v: left }, r: { k: 'lit', v: value } },
+          ctx
+        ));
+        if (node.quantifier === 'any') {
+          if (results.some((result) => result === true)) return true;
+          return results.some((result) => result === null) ? null : false;
+        }
+        if (results.some((result) => result === false)) return false;
+        return results.some((result) => result === null) ? null : true;
+      }
+      case 'in': {
+        const value = evaluate(node.e, ctx);
+        if (value === null) return null;
+        const candidates = node.query
+          ? runSelect(node.query, ctx.params, ctx).rows.map((row) => Object.values(row)[0])
+          : node.list.map((item) => evaluate(item, ctx));
+        let sawNull = false;
+        for (const candidate of candidates) {
+          const result = equals(value, candidate);
+          if (result === true) return !node.not;
+          if (result === null) sawNull = true;
+        }
+        if (sawNull) return null;
+        return node.not;
+      }
+      case 'like': {
+        const value = evaluate(node.e, ctx);
+        const pattern = evaluate(node.pattern, ctx);
+        if (value === null || pattern === null) return null;
+        const matches = likeToRegExp(String(pattern), node.insensitive).test(String(value));
+        return node.not ? !matches : matches;
+      }
+      case 'between': {
+        const value = evaluate(node.e, ctx);
+        const low = evaluate(node.low, ctx);
+        const high = evaluate(node.high, ctx);
+        if (value === null || low === null || high === null) return null;
+        const inside = compare(value, low) >= 0 && compare(value, high) <= 0;
+        return node.not ? !inside : inside;
+      }
+      case 'arith':
+        return evaluateArithmetic(node.op, evaluate(node.l, ctx), evaluate(node.r, ctx));
+      case 'cast':
+        return coerce(evaluate(node.e, ctx), node.type);
+      case 'func':
+        return evaluateFunction(node, ctx);
+      case 'case': {
+        const base = node.base ? evaluate(node.base, ctx) : undefined;
+        for (const { when, then } of node.whens) {
+          const matches = node.base ? equals(base, evaluate(when, ctx)) : evaluate(when, ctx);
+          if (matches !== null && truthy(matches)) return evaluate(then, ctx);
+        }
+        return node.else ? evaluate(node.else, ctx) : null;
+      }
+      case 'extract': {
+        const value = evaluate(node.e, ctx);
+        if (value === null) return null;
+        if (value instanceof Interval) {
+          if (node.field === 'epoch') return value.ms / 1000;
+          const units = { day: 86400000, hour: 3600000, minute: 60000, second: 1000 };
+          return Math.trunc(value.ms / (units[node.field] || 1));
+        }
+        const date = coerce(value, 'timestamp');
+        switch (node.field) {
+          case 'epoch': return date.getTime() / 1000;
+          case 'year': return date.getUTCFullYear();
+          case 'month': return date.getUTCMonth() + 1;
+          case 'day': return date.getUTCDate();
+          case 'hour': return date.getUTCHours();
+          case 'minute': return date.getUTCMinutes();
+          case 'second': return date.getUTCSeconds();
+          case 'dow': return date.getUTCDay();
+          case 'isodow': return date.getUTCDay() || 7;
+          default:
+            throw new SqlError(`timestamp units "${node.field}" not recognized`, '22023');
+        }
+      }
+      case 'array':
+        return node.items.map((item) => evaluate(item, ctx));
+      case 'subquery': {
+        const { rows } = runSelect(node.query, ctx.params, ctx);
+        if (rows.length > 1) {
+          throw new SqlError('more than one row returned by a subquery used as an expression', '21000');
+        }
+        return rows.length ? Object.values(rows[0])[0] : null;
+      }
+      case 'exists':
+        return runSelect(node.query, ctx.params, ctx).rows.length > 0;
+      default:
+        throw new SqlError(`unsupported expression "${node.k}"`, '0A000');
+    }
+  };
+
+  // Constraints ----------------------------------------------------------------
+
+  const validateRow = (schema, row, existingKey, params) => {
+    for (const column of schema.columns) {
+      if (column.notNull && (row[column.name] === null || row[column.name] === undefined)) {
+        throw new SqlError(
+          `null value in column "${column.name}" of relation "${schema.name}" violates not-null constraint`,
+          '23502'
+        );
+      }
+    }
+
+    const ctx = { params, now: new Date(), sources: [{ alias: schema.name, columns: schema.columns.map((c) => c.name) }], rows: { [schema.name]: row } };
+    for (const check of schema.checks) {
+      if (evaluate(check.expr, ctx) === false) {
+        throw new SqlError(`new row for relation "${schema.name}" violates check constraint "${check.name}"`, '23514');
+      }
+    }
+
+    const rows = getRows(schema.name);
+    const keys = schema.primaryKey
+      ? [{ name: `${schema.name}_pkey`, columns: schema.primaryKey }, ...schema.uniques]
+      : schema.uniques;
+    for (const { name, columns } of keys) {
+      if (columns.some((column) => row[column] === null || row[column] === undefined)) continue;
+      for (const [key, other] of rows) {
+        if (key === existingKey) continue;
+        if (columns.every((column) => equals(other[column], row[column]))) {
+          throw new SqlError(`duplicate key value violates unique constraint "${name}"`, '23505');
+        }
+      }
+    }
+
+    for (const { name, columns, references } of schema.foreignKeys) {
+      const value = row[columns[0]];
+      if (value === null || value === undefined) continue;
+      const parent = schemas.get(references.table);
+      if (!parent) continue;
+      const found = [...getRows(references.table).values()].some((other) => equals(other[references.column], value));
+      if (!found) {
+        throw new SqlError(
+          `insert or update on table "${schema.name}" violates foreign key constraint "${name}"`,
+          '23503'
+        );
+      }
+    }
+  };
+
+  // Apply ON DELETE actions of tables referencing the deleted rows
+  const cascadeDelete = (table, deletedRows) => {
+    for (const schema of schemas.values()) {
+      for (const { name, columns, references } of schema.foreignKeys) {
+        if (references.table !== table) continue;
+
+        const deletedValues = deletedRows.map((row) => row[references.column]);
+        const children = getRows(schema.name);
+        const affected = [...children.entries()].filter(([, child]) => (
+          child[columns[0]] !== null && deletedValues.some((value) => equals(value, child[columns[0]]))
+        ));
+        if (affected.length === 0) continue;
+
+        if (references.onDelete === 'cascade') {
+          affected.forEach(([key]) => children.delete(key));
+          cascadeDelete(schema.name, affected.map(([, child]) => child));
+        } else if (references.onDelete === 'set null') {
+          affected.forEach(([, child]) => {
+            child[columns[0]] = null;
+          });
+        } else {
+          throw new SqlError(
+            `update or delete on table "${table}" violates foreign key constraint "${name}" on table "${schema.name}"`,
+            '23503'
+          );
+        }
+      }
+    }
+  };
+
+  // Projection -----------------------------------------------------------------
+
+  const project = (items, sources, ctx) => {
+    const output = {};
+    for (const item of items) {
+      if (item.star) {
+        const selected = item.table ? sources.filter((s) => s.alias === item.table) : sources;
+        if (item.table && selected.length === 0) {
+          throw new SqlError(`missing FROM-clause entry for table "${item.table}"`, '42P01');
+        }
+        for (const source of selected) {
+          const row = ctx.rows[source.alias];
+          for (const name of source.columns) {
+            output[name] = row ? clone(row[name]) : null;
+          }
+        }
+      } else {
+        const value = evaluate(item.expr, ctx);
+        output[columnLabel(item)] = value === undefined ? null : clone(value);
+      }
+    }
+    return output;
+  };
+
+  const sourceFor = (ref) => {
+    const schema = getSchema(ref.name);
+    return { alias: ref.alias, table: ref.name, columns: schema.columns.map((c) => c.name) };
+  };
+
+  // Statements -----------------------------------------------------------------
+
+  const runSelect = (select, params, outer = null) => {
+    const now = outer ? outer.now : new Date();
+    const sources = [];
+    let scopes = [{}];
+
+    if (select.from.length > 0) {
+      const first = sourceFor(select.from[0]);
+      sources.push(first);
+      scopes = [...getRows(first.table).values()].map((row) => ({ [first.alias]: row }));
+
+      for (const join of select.joins) {
+        const source = sourceFor(join.table);
+        sources.push(source);
+        const candidates = [...getRows(source.table).values()];
+        const joined = [];
+
+        for (const rows of scopes) {
+          let matched = false;
+          for (const candidate of candidates) {
+            const combined = { ...rows, [source.alias]: candidate };
+            const ok = !join.on || truthy(evaluate(join.on, { params, now, sources, rows: combined, outer }));
+            if (ok) {
+              joined.push(combined);
+              matched = true;
+            }
+          }
+          if (!matched && join.kind === 'left') {
+            joined.push({ ...rows, [source.alias]: null });
+          }
+        }
+
+        scopes = joined;
+      }
+    }
+
+    const context = (rows, group = null, extra = null) => ({ params, now, sources, rows, group, outer, extra });
+
+    if (select.where) {
+      scopes = scopes.filter((rows) => {
+        const result = evaluate(select.where, context(rows));
+        return result !== null && truthy(result);
+      });
+    }
+
+    const aggregated = select.groupBy ||
+      select.columns.some((item) => !item.star && containsAggregate(item.expr)) ||
+      (select.having && containsAggregate(select.having));
+
+    // Each entry pairs the projected row with the context used to build it, for ORDER BY
+    let results;
+
+    if (aggregated) {
+      const groups = new Map();
+      if (select.groupBy) {
+        for (const rows of scopes) {
+          const key = JSON.stringify(select.groupBy.map((expr) => {
+            const value = evaluate(expr, context(rows));
+            return value instanceof Date ? value.getTime() : value;
+          }));
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(rows);
+        }
+      } else {
+        groups.set('all', scopes);
+      }
+
+      results = [];
+      for (const group of groups.values()) {
+        const ctx = context(group[0] || {}, group);
+        if (select.having) {
+          const keep = evaluate(select.having, ctx);
+          if (keep === null || !truthy(keep)) continue;
+        }
+        results.push({ row: project(select.columns, sources, ctx), ctx });
+      }
+    } else {
+      results = scopes.map((rows) => {
+        const ctx = context(rows);
+        return { row: project(select.columns, sources, ctx), ctx };
+      });
+    }
+
+    if (select.distinct) {
+      const seen = new Set();
+      results = results.filter(({ row }) => {
+        const key = JSON.stringify(row);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    if (select.orderBy) {
+      const keyFor = (entry, item) => {
+        const { expr } = item;
+        // ORDER BY may name an output column or use its position
+        if (expr.k === 'lit' && typeof expr.v === 'number') {
+          return Object.values(entry.row)[expr.v - 1];
+        }
+        if (expr.k === 'col' && !expr.table && Object.prototype.hasOwnProperty.call(entry.row, expr.name)) {
+          const aliased = select.columns.some((column) => column.alias === expr.name);
+          if (aliased || aggregated) return entry.row[expr.name];
+        }
+        return evaluate(expr, { ...entry.ctx, extra: entry.row });
+      };
+
+      const keyed = results.map((entry) => ({ entry, keys: select.orderBy.map((item) => keyFor(entry, item)) }));
+      keyed.sort((a, b) => {
+        for (let i = 0; i < select.orderBy.length; i++) {
+          const { desc, nullsFirst } = select.orderBy[i];
+          const x = a.keys[i];
+          const y = b.keys[i];
+          if ((x === null || x === undefined) && (y === null || y === undefined)) continue;
+          if (x === null || x === undefined) return nullsFirst ? -1 : 1;
+          if (y === null || y === undefined) return nullsFirst ? 1 : -1;
+          const order = compare(x, y);
+          if (order !== 0) return desc ? -order : order;
+        }
+        return 0;
+      });
+      results = keyed.map(({ entry }) => entry);
+    }
+
+    let rows = results.map(({ row }) => row);
+
+    const offset = select.offset ? Number(evaluate(select.offset, context({}))) : 0;
+    const limit = select.limit ? evaluate(select.limit, context({})) : null;
+    if (offset) rows = rows.slice(offset);
+    if (limit !== null && limit !== undefined) rows = rows.slice(0, Number(limit));
+
+    return { command: 'SELECT', rows, rowCount: rows.length };
+  };
+
+  const returningRows = (statement, schema, rows, params) => {
+    if (!statement.returning) return [];
+    const source = { alias: statement.table.alias || schema.name, table: schema.name, columns: schema.columns.map((c) => c.name) };
+    return rows.map((row) => project(statement.returning, [source], {
+      params,
+      now: new Date(),
+      sources: [source],
+      rows: { [source.alias]: row }
+    }));
+  };
+
+  const applyAssignments = (schema, assignments, row, ctx) => {
+    const updated = { ...row };
+    for (const { column, expr } of assignments) {
+      const definition = getColumn(schema, column);
+      const value = evaluate(expr, ctx);
+      updated[column] = value === undefined
+        ? defaultValue(definition, ctx)
+        : coerce(value, definition.type);
+    }
+    return updated;
+  };
+
+  const defaultValue = (column, ctx) => {
+    if (column.serial) return ++column.sequence;
+    if (column.default) return coerce(evaluate(column.default, ctx), column.type);
+    return null;
+  };
+
+  // INSERT ... SELECT takes the selected values by position, so label every item
+  // uniquely; otherwise items with the same label (e.g. two literals) collapse into one
+  const positional = (select) => ({
+    ...select,
+    columns: select.columns.map((item, index) => (item.star ? item : { ...item, alias: `column${index + 1}` }))
+  });
+
+  const runInsert = (statement, params) => {
+    const schema = getSchema(statement.table);
+    const rows = getRows(schema.name);
+    const now = new Date();
+    const ctx = { params, now };
+
+    const columns = statement.columns || schema.columns.map((c) => c.name);
+    columns.forEach((name) => getColumn(schema, name));
+
+    const valueSets = statement.values
+      ? statement.values.map((values) => values.map((expr) => evaluate(expr, ctx)))
+      : runSelect(positional(statement.select), params).rows.map((row) => Object.values(row));
+
+    const inserted = [];
+
+    for (const values of valueSets) {
+      if (values.length !== columns.length) {
+        throw new SqlError('INSERT has more expressions than target columns', '42601');
+      }
+
+      const row = {};
+      for (const column of schema.columns) {
+        const index = columns.indexOf(column.name);
+        const value = index === -1 ? undefined : values[index];
+        row[column.name] = value === undefined ? defaultValue(column, ctx) : coerce(value, column.type);
+      }
+
+      if (statement.onConflict) {
+        const targets = statement.onConflict.target
+          ? [statement.onConflict.target]
+          : [schema.primaryKey, ...schema.uniques.map((unique) => unique.columns)].filter(Boolean);
+        const conflict = [...rows.entries()].find(([, other]) => targets.some((target) => (
+          target.every((name) => row[name] !== null && equals(other[name], row[name]))
+        )));
+
+        if (conflict) {
+          if (statement.onConflict.action === 'nothing') continue;
+
+          const [key, existing] = conflict;
+          const source = { alias: schema.name, columns: schema.columns.map((c) => c.name) };
+          const conflictCtx = {
+            params,
+            now,
+            sources: [source, { alias: 'excluded', columns: source.columns }],
+            rows: { [schema.name]: existing, excluded: row }
+          };
+          if (statement.onConflict.where) {
+            const keep = evaluate(statement.onConflict.where, conflictCtx);
+            if (keep === null || !truthy(keep)) continue;
+          }
+          const updated = applyAssignments(schema, statement.onConflict.set, existing, conflictCtx);
+          validateRow(schema, updated, key, params);
+          rows.set(key, updated);
+          inserted.push(updated);
+          continue;
+        }
+      }
+
+      validateRow(schema, row, undefined, params);
+      rows.set(rowKey(schema, row), row);
+      inserted.push(row);
+    }
+
+    return {
+      command: 'INSERT',
+      rows: returningRows({ ...statement, table: { alias: schema.name } }, schema, inserted, params),
+      rowCount: inserted.length
+    };
+  };
+
+  const matchingEntries = (statement, schema, params) => {
+    const source = { alias: statement.table.alias, table: schema.name, columns: schema.columns.map((c) => c.name) };
+    const now = new Date();
+    return [...getRows(schema.name).entries()]
+      .map(([key, row]) => ({ key, row, ctx: { params, now, sources: [source], rows: { [source.alias]: row } } }))
+      .filter(({ ctx }) => {
+        if (!statement.where) return true;
+        const result = evaluate(statement.where, ctx);
+        return result !== null && truthy(result);
+      });
+  };
+
+  const runUpdate = (statement, params) => {
+    const schema = getSchema(statement.table.name);
+    const rows = getRows(schema.name);
+    const matches = matchingEntries(statement, schema, params);
+
+    const updatedRows = matches.map(({ key, row, ctx }) => {
+      const updated = applyAssignments(schema, statement.set, row, ctx);
+      validateRow(schema, updated, key, params);
+      return { key, updated };
+    });
+
+    for (const { key, updated } of updatedRows) {
+      const newKey = schema.primaryKey && schema.primaryKey.length === 1 ? updated[schema.primaryKey[0]] : key;
+      if (newKey !== key) rows.delete(key);
+      rows.set(newKey, updated);
+    }
+
+    const changed = updatedRows.map(({ updated }) => updated);
+    return { command: 'UPDATE', rows: returningRows(statement, schema, changed, params), rowCount: changed.length };
+  };
+
+  const runDelete = (statement, params) => {
+    const schema = getSchema(statement.table.name);
+    const rows = getRows(schema.name);
+    const matches = matchingEntries(statement, schema, params);
+
+    const removed = matches.map(({ row }) => row);
+    const returned = returningRows(statement, schema, removed, params);
+
+    matches.forEach(({ key }) => rows.delete(key));
+    cascadeDelete(schema.name, removed);
+
+    return { command: 'DELETE', rows: returned, rowCount: removed.length };
+  };
+
+  const runCreateTable = (statement) => {
+    if (schemas.has(statement.table)) {
+      if (statement.ifNotExists) return { command: 'CREATE', rows: [], rowCount: 0 };
+      throw new SqlError(`relation "${statement.table}" already exists`, '42P07');
+    }
+
+    const schema = {
+      name: statement.table,
+      columns: [],
+      primaryKey: null,
+      uniques: [],
+      checks: [],
+      foreignKeys: [],
+      rowCounter: 0
+    };
+
+    statement.columns.forEach((column) => registerColumn(schema, { ...column, sequence: 0 }));
+    statement.constraints.forEach((constraint) => registerConstraint(schema, constraint));
+
+    schemas.set(schema.name, schema);
+    getRows(schema.name);
+
+    return { command: 'CREATE', rows: [], rowCount: 0 };
+  };
+
+  const runAlterTable = (statement, params) => {
+    const schema = getSchema(statement.table);
+    const rows = getRows(schema.name);
+
+    for (const action of statement.actions) {
+      switch (action.action) {
+        case 'addColumn': {
+          if (schema.columns.some((c) => c.name === action.column.name)) {
+            if (action.ifNotExists) break;
+            throw new SqlError(`column "${action.column.name}" of relation "${schema.name}" already exists`, '42701');
+          }
+          const column = registerColumn(schema, { ...action.column, sequence: 0 });
+          const ctx = { params, now: new Date() };
+          for (const row of rows.values()) {
+            row[column.name] = defaultValue(column, ctx);
+          }
+          break;
+        }
+        case 'dropColumn': {
+          const index = schema.columns.findIndex((c) => c.name === action.name);
+          if (index === -1) {
+            if (action.ifExists) break;
+            throw new SqlError(`column "${action.name}" of relation "${schema.name}" does not exist`, '42703');
+          }
+          schema.columns.splice(index, 1);
+          schema.uniques = schema.uniques.filter((unique) => !unique.columns.includes(action.name));
+          schema.foreignKeys = schema.foreignKeys.filter((fk) => !fk.columns.includes(action.name));
+          for (const row of rows.values()) delete row[action.name];
+          break;
+        }
+        case 'renameColumn': {
+          getColumn(schema, action.from).name = action.to;
+          const rename = (columns) => columns.map((name) => (name === action.from ? action.to : name));
+          schema.uniques.forEach((unique) => {
+            unique.columns = rename(unique.columns);
+          });
+          if (schema.primaryKey) schema.primaryKey = rename(schema.primaryKey);
+          schema.foreignKeys.forEach((fk) => {
+            fk.columns = rename(fk.columns);
+          });
+          for (const row of rows.values()) {
+            row[action.to] = row[action.from];
+            delete row[action.from];
+          }
+          break;
+        }
+        case 'setDefault':
+          getColumn(schema, action.name).default = action.expr;
+          break;
+        case 'setNotNull':
+          getColumn(schema, action.name).notNull = action.notNull;
+          break;
+        case 'addConstraint':
+          registerConstraint(schema, action.constraint);
+          break;
+        case 'dropConstraint':
+          dropConstraint(schema, action.name, action.ifExists);
+          break;
+        default:
+          break;
+      }
+    }
+
+    return { command: 'ALTER', rows: [], rowCount: 0 };
+  };
+
+  const runDropTable = (statement) => {
+    for (const table of statement.tables) {
+      if (!schemas.has(table)) {
+        if (statement.ifExists) continue;
+        throw new SqlError(`table "${table}" does not exist`, '42P01');
+      }
+      schemas.delete(table);
+      getRows(table).clear();
+    }
+    return { command: 'DROP', rows: [], rowCount: 0 };
+  };
+
+  // Transactions ---------------------------------------------------------------
+  //
+  // BEGIN and SAVEPOINT take a copy of every table and schema; ROLLBACK restores it.
+  // Sequences are left alone on rollback, as in PostgreSQL.
+
+  const transactionStack = [];
+
+  const copySchema = (schema) => ({
+    ...schema,
+    columns: schema.columns.map((column) => ({ ...column })),
+    uniques: schema.uniques.map((unique) => ({ ...unique })),
+    checks: schema.checks.slice(),
+    foreignKeys: schema.foreignKeys.map((foreignKey) => ({ ...foreignKey }))
+  });
+
+  const snapshot = (name) => ({
+    name,
+    schemas: new Map([...schemas].map(([table, schema]) => [table, copySchema(schema)])),
+    tables: new Map(Object.keys(store)
+      .filter((table) => store[table] instanceof Map)
+      .map((table) => [table, new Map([...store[table]].map(([key, row]) => [key, clone(row)]))]))
+  });
+
+  const restore = (saved) => {
+    const restored = new Map([...saved.schemas].map(([table, schema]) => [table, copySchema(schema)]));
+    for (const [table, schema] of restored) {
+      const current = schemas.get(table);
+      if (!current) continue;
+      schema.columns.forEach((column) => {
+        const live = current.columns.find((c) => c.name === column.name);
+        if (live) column.sequence = live.sequence;
+      });
+      schema.rowCounter = current.rowCounter;
+    }
+
+    schemas.clear();
+    restored.forEach((schema, table) => schemas.set(table, schema));
+
+    for (const table of Object.keys(store)) {
+      if (!(store[table] instanceof Map)) continue;
+      store[table].clear();
+      const rows = saved.tables.get(table);
+      if (rows) rows.forEach((row, key) => store[table].set(key, clone(row)));
+    }
+  };
+
+  const findSavepoint = (name) => {
+    for (let i = transactionStack.length - 1; i > 0; i--) {
+      if (transactionStack[i].name === name) return i;
+    }
+    throw new SqlError(`savepoint "${name}" does not exist`, '3B001');
+  };
+
+  const runControl = ({ command, args }) => {
+    const words = args.map((word) => String(word).toLowerCase()).filter((word) => !['work', 'transaction', 'savepoint'].includes(word));
+    const result = { command: command.toUpperCase(), rows: [], rowCount: 0 };
+
+    switch (command) {
+      case 'begin':
+      case 'start':
+        if (transactionStack.length === 0) transactionStack.push(snapshot(null));
+        break;
+      case 'commit':
+      case 'end':
+        transactionStack.length = 0;
+        break;
+      case 'savepoint':
+        if (transactionStack.length === 0) {
+          throw new SqlError('SAVEPOINT can only be used in transaction blocks', '25P01');
+        }
+        transactionStack.push(snapshot(words[0]));
+        break;
+      case 'release':
+        transactionStack.length = findSavepoint(words[0]);
+        break;
+      case 'rollback':
+        if (words[0] === 'to') {
+          const index = findSavepoint(words[1]);
+          restore(transactionStack[index]);
+          transactionStack.length = index + 1;
+        } else if (transactionStack.length > 0) {
+          restore(transactionStack[0]);
+          transactionStack.length = 0;
+        }
+        break;
+      default:
+        break;
+    }
+
+    return result;
+  };
+
+  const runStatement = (statement, params) => {
+    switch (statement.type) {
+      case 'select': return runSelect(statement, params);
+      case 'insert': return runInsert(statement, params);
+      case 'update': return runUpdate(statement, params);
+      case 'delete': return runDelete(statement, params);
+      case 'createTable': return runCreateTable(statement);
+      case 'alterTable': return runAlterTable(statement, params);
+      case 'dropTable': return runDropTable(statement);
+      case 'control': return runControl(statement);
+      default: return { command: null, rows: [], rowCount: 0 };
+    }
+  };
+
+  const parse = (text) => {
+    if (!statementCache.has(text)) {
+      statementCache.set(text, new Parser(text).parseStatements());
+    }
+    return statementCache.get(text);
+  };
+
+  // Execute one or more semicolon-separated statements; returns the last result like pool.query
+  const execute = (text, params = []) => {
+    let result = { command: null, rows: [], rowCount: 0 };
+    for (const statement of parse(text)) {
+      result = runStatement(statement, params || []);
+    }
+    return result;
+  };
+
+  return {
+    execute,
+    hasTable: (table) => schemas.has(table)
+  };
+};
+
+module.exports = {
+  createInMemoryDatabase,
+  SqlError
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations.
+//
+// Each file in src/migrations is named <version>_<name>.js and exports async
+// `up(run)` and `down(run)` functions, where `run(text, params)` executes SQL.
+// Applied versions are recorded in the schema_migrations table.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Load migration modules ordered by version
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(directory)
+    .map((file) => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(directory, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = (run) => run(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW()
+  );
+`);
+
+// Compare migration files with the versions recorded in the database
+const getMigrationStatus = async (run, migrations = loadMigrations()) => {
+  await ensureMigrationsTable(run);
+
+  const result = await run('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map((row) => [Number(row.version), row]));
+
+  const status = migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+
+  // Versions recorded in the database without a matching file (e.g. from a newer release)
+  const known = new Set(migrations.map((migration) => migration.version));
+  const missing = result.rows
+    .filter((row) => !known.has(Number(row.version)))
+    .map((row) => ({ version: Number(row.version), name: row.name, appliedAt: row.applied_at }));
+
+  return {
+    migrations: status,
+    pending: status.filter((migration) => !migration.appliedAt),
+    missing
+  };
+};
+
+// Run one migration step inside a transaction and record it
+const runStep = async (run, migration, direction) => {
+  await run('BEGIN');
+  try {
+    if (direction === 'up') {
+      await migration.up(run);
+      await run('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await migration.down(run);
+      await run('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await run('COMMIT');
+  } catch (error) {
+    await run('ROLLBACK');
+    error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+};
+
+// Apply pending migrations, optionally only up to a target version
+const migrateUp = async (run, { to } = {}, migrations = loadMigrations()) => {
+  const { pending } = await getMigrationStatus(run, migrations);
+  const applied = [];
+
+  for (const { version } of pending) {
+    if (to !== undefined && version > to) break;
+    const migration = migrations.find((m) => m.version === version);
+    await runStep(run, migration, 'up');
+    applied.push(migration);
+  }
+
+  return applied;
+};
+
+// Roll back the most recently applied migrations
+const migrateDown = async (run, { steps = 1 } = {}, migrations = loadMigrations()) => {
+  const { migrations: status, missing } = await getMigrationStatus(run, migrations);
+
+  if (missing.length > 0) {
+    throw new Error(`Cannot roll back: no migration file for applied version(s) ${missing.map((m) => m.version).join(', ')}`);
+  }
+
+  const targets = status
+    .filter((migration) => migration.appliedAt)
+    .reverse()
+    .slice(0, steps)
+    .map(({ version }) => migrations.find((m) => m.version === version));
+
+  for (const migration of targets) {
+    await runStep(run, migration, 'down');
+  }
+
+  return targets;
+};
+
+// Refuse to run the application against a schema that is behind the code
+const assertSchemaUpToDate = async (run, migrations = loadMigrations()) => {
+  const { pending } = await getMigrationStatus(run, migrations);
+
+  if (pending.length > 0) {
+    const list = pending.map((migration) => `${migration.version}_${migration.name}`).join(', ');
+    throw new Error(`Database schema is out of date (pending migrations: ${list}). Run "npm run migrate" first.`);
+  }
+};
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaUpToDate
+};
@@ -1,8 +1,48 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { isFamilyActive } = require('../services/authTokens');
+const { clientOf, touchSession } = require('../services/sessions');
+const { missingVerifications } = require('../services/verification');
+const { isMfaRequired } = require('../services/mfa');
+const { canAny } = require('../services/policy');
 
-// Middleware to authenticate JWT tokens
-const authenticateToken = async (req, res, next) => {
+// Verify an access token and load its user; null when the user no longer exists.
+// Tokens from a revoked login (logout, reuse detection) are rejected.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid || !(await isFamilyActive(decoded.sid))) {
+    throw new Error('Session has been revoked');
+  }
+
+  // Verify user still exists in database
+  const result = await query(
+    'SELECT id, name, email, role, email_verified, phone_verified, mfa_enabled FROM users WHERE id = $1',
+    [decoded.userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    id: decoded.userId,
+    email: decoded.email,
+    role: decoded.role,
+    name: result.rows[0].name,
+    emailVerified: Boolean(result.rows[0].email_verified),
+    phoneVerified: Boolean(result.rows[0].phone_verified),
+    mfaEnabled: Boolean(result.rows[0].mfa_enabled),
+    sessionId: decoded.sid
+  };
+};
+
+// Users whose role requires MFA may only set it up until they have enrolled
+const needsMfaEnrollment = (user) => isMfaRequired(user.role) && !user.mfaEnabled;
+
+// Middleware to authenticate JWT tokens. With `allowMfaSetup`, users who still
+// have to enroll in MFA are let through (for the enrollment endpoints).
+const authenticate = ({ allowMfaSetup = false } = {}) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -14,28 +54,24 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Verify user still exists in database
-    const result = await query(
-      'SELECT id, name, email, role FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const user = await verifyAccessToken(token);
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({
         error: 'Access denied',
         message: 'User not found'
       });
     }
 
-    req.user = {
-      id: decoded.userId,
-      email: decoded.email,
-      role: decoded.role,
-      name: result.rows[0].name
-    };
+    if (!allowMfaSetup && needsMfaEnrollment(user)) {
+      return res.status(403).json({
+        error: 'MFA enrollment required',
+        message: `Multi-factor authentication is required for ${user.role} accounts; enroll at /api/auth/mfa/enroll`
+      });
+    }
 
+    req.user = user;
+    touchSession(user.sessionId, clientOf(req)).catch((error) => console.error('Session update error:', error));
     next();
   } catch (error) {
     console.error('Token verification error:', error);
@@ -46,6 +82,40 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+const authenticateToken = authenticate();
+const authenticateForMfaSetup = authenticate({ allowMfaSetup: true });
+
+// Socket.IO middleware: authenticate the connection with the access token sent
+// in the handshake (`auth: { token }` or an Authorization header)
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers && socket.handshake.headers['authorization'];
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('No token provided'));
+  }
+
+  try {
+    const user = await verifyAccessToken(token);
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+    if (needsMfaEnrollment(user)) {
+      return next(new Error('MFA enrollment required'));
+    }
+    socket.user = user;
+    // Room used to disconnect the socket when its session is revoked
+    socket.join(`session-${user.sessionId}`);
+    touchSession(user.sessionId, {
+      userAgent: socket.handshake.headers && socket.handshake.headers['user-agent'],
+      ip: socket.handshake.address
+    }).catch((error) => console.error('Session update error:', error));
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+};
+
 // Middleware to check if user has required role
 const requireRole = (allowedRoles) => {
   return (req, res, next) => {
@@ -67,6 +137,44 @@ const requireRole = (allowedRoles) => {
   };
 };
 
+// Middleware to check the user holds one of `permissions` (see services/policy.js)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Authentication required'
+      });
+    }
+
+    if (!canAny(req.user, permissions)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `Required permission: ${permissions.join(' or ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware to check the user verified what `action` (`booking` or `driving`)
+// requires (see VERIFICATION_REQUIRED_FOR_* in services/verification.js)
+const requireVerified = (action) => {
+  return (req, res, next) => {
+    const missing = missingVerifications(req.user, action);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Verification required',
+        message: `Please verify your ${missing.join(' and ')} first`,
+        missing
+      });
+    }
+
+    next();
+  };
+};
+
 // Middleware to check if user is admin
 const requireAdmin = requireRole(['admin']);
 
@@ -77,8 +185,13 @@ const requireDriver = requireRole(['driver', 'admin']);
 const requirePatient = requireRole(['patient', 'admin']);
 
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
+  authenticateForMfaSetup,
+  authenticateSocket,
   requireRole,
+  requirePermission,
+  requireVerified,
   requireAdmin,
   requireDriver,
   requirePatient
@@ -43,6 +43,12 @@ const errorHandler = (err, req, res, next) => {
     path: req.originalUrl
   };
 
+  // Throttled requests say when to try again
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+    response.retryAfter = err.retryAfter;
+  }
+
   if (process.env.NODE_ENV === 'development') {
     response.stack = err.stack;
     response.details = error.details;
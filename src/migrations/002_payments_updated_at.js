@@ -0,0 +1,10 @@
+// payments.updated_at is written by /api/payments/confirm but was missing from the table
+module.exports = {
+  up: async (run) => {
+    await run('ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()');
+  },
+
+  down: async (run) => {
+    await run('ALTER TABLE payments DROP COLUMN IF EXISTS updated_at');
+  }
+};
@@ -0,0 +1,42 @@
+// Ride lifecycle: 'arrived' status and an audit trail of status changes
+module.exports = {
+  up: async (run) => {
+    await run(`
+      ALTER TABLE rides DROP CONSTRAINT IF EXISTS rides_status_check;
+      ALTER TABLE rides ADD CONSTRAINT rides_status_check
+        CHECK (status IN ('pending', 'accepted', 'arrived', 'in-progress', 'completed', 'canceled'));
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS ride_status_history (
+        id SERIAL PRIMARY KEY,
+        ride_id INT REFERENCES rides(id) ON DELETE CASCADE,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        changed_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        changed_by_role TEXT,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_ride_status_history_ride_id ON ride_status_history(ride_id)');
+
+    // Existing rides start their history at their current status
+    await run(`
+      INSERT INTO ride_status_history (ride_id, from_status, to_status, changed_by_role, created_at)
+      SELECT id, NULL, status, 'system', created_at FROM rides
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS ride_status_history');
+
+    await run(`
+      UPDATE rides SET status = 'accepted' WHERE status = 'arrived';
+      ALTER TABLE rides DROP CONSTRAINT IF EXISTS rides_status_check;
+      ALTER TABLE rides ADD CONSTRAINT rides_status_check
+        CHECK (status IN ('pending', 'accepted', 'in-progress', 'completed', 'canceled'));
+    `);
+  }
+};
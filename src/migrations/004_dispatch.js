@@ -0,0 +1,45 @@
+// Automatic dispatch: requested vehicle type on rides, last known driver location,
+// and an audit log of dispatch decisions with their scoring breakdown
+module.exports = {
+  up: async (run) => {
+    await run(`
+      ALTER TABLE rides
+        ADD COLUMN IF NOT EXISTS vehicle_type TEXT
+          CHECK (vehicle_type IN ('car', 'van', 'wheelchair-accessible', 'stretcher-enabled'));
+    `);
+
+    await run(`
+      ALTER TABLE drivers
+        ADD COLUMN IF NOT EXISTS last_latitude NUMERIC,
+        ADD COLUMN IF NOT EXISTS last_longitude NUMERIC,
+        ADD COLUMN IF NOT EXISTS last_location_at TIMESTAMP;
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS dispatch_runs (
+        id SERIAL PRIMARY KEY,
+        ride_id INT REFERENCES rides(id) ON DELETE CASCADE,
+        mode TEXT CHECK (mode IN ('auto', 'manual')) NOT NULL,
+        selected_driver_id INT REFERENCES drivers(id) ON DELETE SET NULL,
+        candidates JSONB NOT NULL DEFAULT '[]',
+        triggered_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_dispatch_runs_ride_id ON dispatch_runs(ride_id)');
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS dispatch_runs');
+
+    await run(`
+      ALTER TABLE drivers
+        DROP COLUMN IF EXISTS last_latitude,
+        DROP COLUMN IF EXISTS last_longitude,
+        DROP COLUMN IF EXISTS last_location_at;
+    `);
+
+    await run('ALTER TABLE rides DROP COLUMN IF EXISTS vehicle_type');
+  }
+};
@@ -0,0 +1,29 @@
+// Driver ride offers: each offer a driver can accept or decline before it expires
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS ride_offers (
+        id SERIAL PRIMARY KEY,
+        ride_id INT REFERENCES rides(id) ON DELETE CASCADE,
+        driver_id INT REFERENCES drivers(id) ON DELETE CASCADE,
+        dispatch_run_id INT REFERENCES dispatch_runs(id) ON DELETE SET NULL,
+        status TEXT CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'canceled')) DEFAULT 'pending',
+        rank INT,
+        score NUMERIC,
+        offered_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        responded_at TIMESTAMP,
+        decline_reason TEXT
+      );
+    `);
+
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_ride_offers_ride_id ON ride_offers(ride_id);
+      CREATE INDEX IF NOT EXISTS idx_ride_offers_driver_status ON ride_offers(driver_id, status);
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS ride_offers');
+  }
+};
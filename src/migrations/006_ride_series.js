@@ -0,0 +1,63 @@
+// Recurring ride series: the booking template and recurrence rule, holidays to
+// skip, and the link from each generated ride back to its series occurrence
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS ride_series (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        start_location TEXT NOT NULL,
+        end_location TEXT NOT NULL,
+        start_latitude NUMERIC,
+        start_longitude NUMERIC,
+        end_latitude NUMERIC,
+        end_longitude NUMERIC,
+        special_requirements TEXT,
+        emergency_contact TEXT,
+        vehicle_type TEXT CHECK (vehicle_type IN ('car', 'van', 'wheelchair-accessible', 'stretcher-enabled')),
+        recurrence TEXT NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        exception_dates JSONB NOT NULL DEFAULT '[]',
+        skip_holidays BOOLEAN NOT NULL DEFAULT true,
+        status TEXT CHECK (status IN ('active', 'canceled')) DEFAULT 'active',
+        generated_until TIMESTAMP,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_ride_series_user_id ON ride_series(user_id)');
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS holidays (
+        holiday_date TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run(`
+      ALTER TABLE rides
+        ADD COLUMN IF NOT EXISTS series_id INT REFERENCES ride_series(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS series_occurrence TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS series_detached BOOLEAN NOT NULL DEFAULT false;
+    `);
+
+    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_rides_series_occurrence ON rides(series_id, series_occurrence)');
+  },
+
+  down: async (run) => {
+    await run('DROP INDEX IF EXISTS idx_rides_series_occurrence');
+
+    await run(`
+      ALTER TABLE rides
+        DROP COLUMN IF EXISTS series_id,
+        DROP COLUMN IF EXISTS series_occurrence,
+        DROP COLUMN IF EXISTS series_detached;
+    `);
+
+    await run('DROP TABLE IF EXISTS holidays');
+    await run('DROP TABLE IF EXISTS ride_series');
+  }
+};
@@ -0,0 +1,46 @@
+// Round-trip and multi-leg trips: rides become legs of a trip, return legs are
+// either timed or will-call, and driver wait time at pickup is recorded per ride
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS trips (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        trip_type TEXT CHECK (trip_type IN ('round-trip', 'multi-leg')) NOT NULL,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_trips_user_id ON trips(user_id)');
+
+    await run(`
+      ALTER TABLE rides
+        ADD COLUMN IF NOT EXISTS trip_id INT REFERENCES trips(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS leg_number INT,
+        ADD COLUMN IF NOT EXISTS pickup_mode TEXT CHECK (pickup_mode IN ('timed', 'will-call')),
+        ADD COLUMN IF NOT EXISTS ready_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS wait_minutes INT;
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_rides_trip_id ON rides(trip_id)');
+  },
+
+  down: async (run) => {
+    await run('DROP INDEX IF EXISTS idx_rides_trip_id');
+
+    await run(`
+      ALTER TABLE rides
+        DROP COLUMN IF EXISTS trip_id,
+        DROP COLUMN IF EXISTS leg_number,
+        DROP COLUMN IF EXISTS pickup_mode,
+        DROP COLUMN IF EXISTS ready_at,
+        DROP COLUMN IF EXISTS arrived_at,
+        DROP COLUMN IF EXISTS wait_minutes;
+    `);
+
+    await run('DROP TABLE IF EXISTS trips');
+  }
+};
@@ -0,0 +1,65 @@
+// Fare engine: rate cards per vehicle type, time-of-day multipliers, and the
+// wait fee charged on each ride
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS rate_cards (
+        id SERIAL PRIMARY KEY,
+        vehicle_type TEXT UNIQUE NOT NULL
+          CHECK (vehicle_type IN ('car', 'van', 'wheelchair-accessible', 'stretcher-enabled')),
+        base_fare NUMERIC NOT NULL CHECK (base_fare >= 0),
+        per_mile NUMERIC NOT NULL CHECK (per_mile >= 0),
+        vehicle_surcharge NUMERIC NOT NULL DEFAULT 0 CHECK (vehicle_surcharge >= 0),
+        minimum_fare NUMERIC NOT NULL DEFAULT 0 CHECK (minimum_fare >= 0),
+        wait_free_minutes INT NOT NULL DEFAULT 10 CHECK (wait_free_minutes >= 0),
+        wait_per_minute NUMERIC NOT NULL DEFAULT 0 CHECK (wait_per_minute >= 0),
+        no_show_fee NUMERIC NOT NULL DEFAULT 0 CHECK (no_show_fee >= 0),
+        updated_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // The car card keeps the previous flat pricing ($15 + $2.50/mile)
+    await run(`
+      INSERT INTO rate_cards (vehicle_type, base_fare, per_mile, vehicle_surcharge, minimum_fare, wait_free_minutes, wait_per_minute, no_show_fee)
+      VALUES
+        ('car', 15, 2.5, 0, 15, 10, 0.5, 25),
+        ('van', 18, 2.75, 0, 18, 10, 0.5, 30),
+        ('wheelchair-accessible', 15, 2.5, 20, 35, 10, 0.75, 40),
+        ('stretcher-enabled', 15, 3, 45, 60, 10, 1, 60)
+      ON CONFLICT (vehicle_type) DO NOTHING
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS fare_time_multipliers (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        days JSONB NOT NULL DEFAULT '[0, 1, 2, 3, 4, 5, 6]',
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        multiplier NUMERIC NOT NULL CHECK (multiplier > 0),
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run(`
+      INSERT INTO fare_time_multipliers (name, days, start_time, end_time, multiplier)
+      VALUES
+        ('After hours', '[0, 1, 2, 3, 4, 5, 6]', '19:00', '07:00', 1.25),
+        ('Weekend', '[0, 6]', '00:00', '24:00', 1.15)
+    `);
+
+    await run(`
+      ALTER TABLE rides
+        ADD COLUMN IF NOT EXISTS wait_fee NUMERIC;
+    `);
+  },
+
+  down: async (run) => {
+    await run('ALTER TABLE rides DROP COLUMN IF EXISTS wait_fee');
+    await run('DROP TABLE IF EXISTS fare_time_multipliers');
+    await run('DROP TABLE IF EXISTS rate_cards');
+  }
+};
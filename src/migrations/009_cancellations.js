@@ -0,0 +1,46 @@
+// Cancellation policy: who canceled and why, late-cancel fees on rate cards, and
+// fee payments alongside ride fares
+module.exports = {
+  up: async (run) => {
+    await run(`
+      ALTER TABLE rides
+        ADD COLUMN IF NOT EXISTS canceled_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS canceled_by_role TEXT,
+        ADD COLUMN IF NOT EXISTS cancellation_reason_code TEXT,
+        ADD COLUMN IF NOT EXISTS cancellation_fee NUMERIC;
+    `);
+
+    await run(`
+      ALTER TABLE rate_cards
+        ADD COLUMN IF NOT EXISTS late_cancel_fee NUMERIC NOT NULL DEFAULT 0 CHECK (late_cancel_fee >= 0);
+    `);
+
+    await run(`
+      UPDATE rate_cards SET late_cancel_fee = CASE vehicle_type
+        WHEN 'car' THEN 10
+        WHEN 'van' THEN 15
+        WHEN 'wheelchair-accessible' THEN 20
+        ELSE 30
+      END
+    `);
+
+    await run(`
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'fare'
+          CHECK (type IN ('fare', 'late_cancel_fee', 'no_show_fee'));
+    `);
+  },
+
+  down: async (run) => {
+    await run('ALTER TABLE payments DROP COLUMN IF EXISTS type');
+    await run('ALTER TABLE rate_cards DROP COLUMN IF EXISTS late_cancel_fee');
+
+    await run(`
+      ALTER TABLE rides
+        DROP COLUMN IF EXISTS canceled_at,
+        DROP COLUMN IF EXISTS canceled_by_role,
+        DROP COLUMN IF EXISTS cancellation_reason_code,
+        DROP COLUMN IF EXISTS cancellation_fee;
+    `);
+  }
+};
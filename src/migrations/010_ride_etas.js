@@ -0,0 +1,27 @@
+// Pickup and drop-off ETAs derived from tracking points, kept on the ride as
+// last published to riders
+module.exports = {
+  up: async (run) => {
+    await run(`
+      ALTER TABLE rides
+        ADD COLUMN IF NOT EXISTS pickup_eta TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS dropoff_eta TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS eta_updated_at TIMESTAMP;
+    `);
+
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_ride_tracking_ride_timestamp ON ride_tracking(ride_id, timestamp);
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP INDEX IF EXISTS idx_ride_tracking_ride_timestamp');
+
+    await run(`
+      ALTER TABLE rides
+        DROP COLUMN IF EXISTS pickup_eta,
+        DROP COLUMN IF EXISTS dropoff_eta,
+        DROP COLUMN IF EXISTS eta_updated_at;
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+// Geofence crossings around pickup and drop-off points, and the ride milestones
+// they triggered
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS ride_geofence_events (
+        id SERIAL PRIMARY KEY,
+        ride_id INT REFERENCES rides(id) ON DELETE CASCADE,
+        fence TEXT NOT NULL CHECK (fence IN ('pickup', 'dropoff')),
+        event TEXT NOT NULL CHECK (event IN ('enter', 'exit', 'arrived', 'picked_up', 'dropped_off')),
+        latitude NUMERIC,
+        longitude NUMERIC,
+        distance_meters NUMERIC,
+        occurred_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_ride_geofence_events_ride ON ride_geofence_events(ride_id, fence);
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS ride_geofence_events');
+  }
+};
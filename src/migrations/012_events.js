@@ -0,0 +1,60 @@
+// Subscribers of the domain event bus: in-app notifications, and outgoing
+// webhooks with a log of every delivery
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        body TEXT,
+        ride_id INT REFERENCES rides(id) ON DELETE CASCADE,
+        event_id TEXT,
+        read_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        event_types JSONB NOT NULL DEFAULT '["*"]',
+        description TEXT,
+        active BOOLEAN DEFAULT true,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        subscription_id INT REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status TEXT CHECK (status IN ('pending', 'delivered', 'failed')) DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        response_status INT,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        delivered_at TIMESTAMP
+      );
+    `);
+
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS webhook_deliveries');
+    await run('DROP TABLE IF EXISTS webhook_subscriptions');
+    await run('DROP TABLE IF EXISTS notifications');
+  }
+};
@@ -0,0 +1,29 @@
+// Server-side refresh tokens: stored hashed, rotated on every use, grouped in
+// families (one per login) so a reused token can revoke the whole login
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        family_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        parent_id INT REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        revoked_reason TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS refresh_tokens');
+  }
+};
@@ -0,0 +1,34 @@
+// Logins as sessions: one row per refresh token family with the device it was
+// started from and when it was last used
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_seen_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason TEXT
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)');
+
+    // Logins started before sessions were tracked (device unknown)
+    await run(`
+      INSERT INTO user_sessions (id, user_id, created_at, last_seen_at, expires_at)
+      SELECT family_id, user_id, MIN(created_at), MAX(created_at), MAX(expires_at)
+      FROM refresh_tokens
+      WHERE revoked_at IS NULL
+      GROUP BY family_id, user_id
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS user_sessions');
+  }
+};
@@ -0,0 +1,22 @@
+// Password reset tokens: stored hashed, single use and short lived
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        requested_ip TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)');
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS password_reset_tokens');
+  }
+};
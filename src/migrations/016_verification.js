@@ -0,0 +1,44 @@
+// Email and phone verification: flags on users and the codes sent to verify them
+module.exports = {
+  up: async (run) => {
+    await run(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP;
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS verification_codes (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'phone')),
+        destination TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        token_hash TEXT,
+        attempts INTEGER DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_verification_codes_user ON verification_codes(user_id, channel);
+      CREATE INDEX IF NOT EXISTS idx_verification_codes_token ON verification_codes(token_hash);
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS verification_codes');
+
+    await run(`
+      ALTER TABLE users
+        DROP COLUMN IF EXISTS email_verified,
+        DROP COLUMN IF EXISTS email_verified_at,
+        DROP COLUMN IF EXISTS phone_verified,
+        DROP COLUMN IF EXISTS phone_verified_at;
+    `);
+  }
+};
@@ -0,0 +1,39 @@
+// TOTP multi-factor authentication: the (encrypted) authenticator secret on
+// users and single-use backup codes
+module.exports = {
+  up: async (run) => {
+    await run(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS mfa_secret TEXT,
+        ADD COLUMN IF NOT EXISTS mfa_pending_secret TEXT,
+        ADD COLUMN IF NOT EXISTS mfa_last_step INTEGER,
+        ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP;
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS mfa_backup_codes (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_mfa_backup_codes_user ON mfa_backup_codes(user_id)');
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS mfa_backup_codes');
+
+    await run(`
+      ALTER TABLE users
+        DROP COLUMN IF EXISTS mfa_enabled,
+        DROP COLUMN IF EXISTS mfa_secret,
+        DROP COLUMN IF EXISTS mfa_pending_secret,
+        DROP COLUMN IF EXISTS mfa_last_step,
+        DROP COLUMN IF EXISTS mfa_enabled_at;
+    `);
+  }
+};
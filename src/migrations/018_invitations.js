@@ -0,0 +1,45 @@
+// Closed admin registration: staff invitations, and approval of self-registered
+// drivers (drivers that already exist are approved)
+module.exports = {
+  up: async (run) => {
+    await run(`
+      ALTER TABLE drivers
+        ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20) DEFAULT 'pending'
+          CHECK (approval_status IN ('pending', 'approved', 'rejected')),
+        ADD COLUMN IF NOT EXISTS approval_note TEXT,
+        ADD COLUMN IF NOT EXISTS reviewed_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+    `);
+
+    await run("UPDATE drivers SET approval_status = 'approved' WHERE approval_status = 'pending'");
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS invitations (
+        id SERIAL PRIMARY KEY,
+        email TEXT NOT NULL,
+        role VARCHAR(30) NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        invited_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP,
+        accepted_user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email)');
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS invitations');
+
+    await run(`
+      ALTER TABLE drivers
+        DROP COLUMN IF EXISTS approval_status,
+        DROP COLUMN IF EXISTS approval_note,
+        DROP COLUMN IF EXISTS reviewed_by,
+        DROP COLUMN IF EXISTS reviewed_at;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// Brute-force protection: failed authentication attempts per account and per
+// client IP, with the delay and lockout they earned
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS auth_throttles (
+        key TEXT PRIMARY KEY,
+        scope VARCHAR(10) NOT NULL CHECK (scope IN ('account', 'ip')),
+        failures INTEGER DEFAULT 0,
+        first_failure_at TIMESTAMP,
+        last_failure_at TIMESTAMP,
+        next_attempt_at TIMESTAMP,
+        locked_until TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+  },
+
+  down: async (run) => {
+    await run('DROP TABLE IF EXISTS auth_throttles');
+  }
+};
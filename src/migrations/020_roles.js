@@ -0,0 +1,38 @@
+// Staff roles: dispatchers, billing clerks and facility coordinators
+const STAFF_ROLES = ['dispatcher', 'billing_clerk', 'facility_coordinator'];
+
+module.exports = {
+  up: async (run) => {
+    await run(`
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+      ALTER TABLE users ADD CONSTRAINT users_role_check
+        CHECK (role IN ('patient', 'driver', 'admin', 'dispatcher', 'billing_clerk', 'facility_coordinator'));
+    `);
+  },
+
+  // Refuses to roll back while users hold one of the staff roles: there is no
+  // older role to map them to without granting or losing access. Reassign or
+  // remove them first.
+  down: async (run) => {
+    const staff = await run(
+      'SELECT role, COUNT(*) as count FROM users WHERE role IN ($1, $2, $3) GROUP BY role',
+      STAFF_ROLES
+    );
+    if (staff.rows.length > 0) {
+      const counts = staff.rows.map((row) => `${row.count} ${row.role}`).join(', ');
+      throw new Error(`Users still have staff roles (${counts}); reassign or remove them before rolling back`);
+    }
+
+    // Open invitations to the staff roles could no longer be accepted
+    await run(
+      'UPDATE invitations SET revoked_at = NOW() WHERE role IN ($1, $2, $3) AND accepted_at IS NULL AND revoked_at IS NULL',
+      STAFF_ROLES
+    );
+
+    await run(`
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+      ALTER TABLE users ADD CONSTRAINT users_role_check
+        CHECK (role IN ('patient', 'driver', 'admin'));
+    `);
+  }
+};
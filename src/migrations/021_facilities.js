@@ -0,0 +1,87 @@
+// Healthcare facilities: organizations whose staff book rides for linked
+// patients. Rides, trips and series record the facility they were booked
+// through, and rides the user who booked them (for existing rides the creator
+// of their trip or series, otherwise the patient). A patient link made by
+// facility staff stays pending until the patient accepts it.
+module.exports = {
+  up: async (run) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS facilities (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        facility_type TEXT CHECK (facility_type IN ('hospital', 'clinic', 'care_home', 'other')) DEFAULT 'clinic',
+        address TEXT,
+        phone TEXT,
+        active BOOLEAN DEFAULT true,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS facility_staff (
+        id SERIAL PRIMARY KEY,
+        facility_id INT REFERENCES facilities(id) ON DELETE CASCADE,
+        user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        added_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (facility_id, user_id)
+      );
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS facility_patients (
+        id SERIAL PRIMARY KEY,
+        facility_id INT REFERENCES facilities(id) ON DELETE CASCADE,
+        patient_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+        linked_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        status TEXT CHECK (status IN ('pending', 'active')) DEFAULT 'pending',
+        accepted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (facility_id, patient_id)
+      );
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_facility_staff_user_id ON facility_staff(user_id)');
+    await run('CREATE INDEX IF NOT EXISTS idx_facility_patients_patient_id ON facility_patients(patient_id)');
+
+    await run(`
+      ALTER TABLE rides
+        ADD COLUMN IF NOT EXISTS facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS booked_by TEXT REFERENCES users(id) ON DELETE SET NULL;
+    `);
+    await run('ALTER TABLE trips ADD COLUMN IF NOT EXISTS facility_id INT REFERENCES facilities(id) ON DELETE SET NULL');
+    await run('ALTER TABLE ride_series ADD COLUMN IF NOT EXISTS facility_id INT REFERENCES facilities(id) ON DELETE SET NULL');
+    await run('ALTER TABLE invitations ADD COLUMN IF NOT EXISTS facility_id INT REFERENCES facilities(id) ON DELETE SET NULL');
+
+    await run('CREATE INDEX IF NOT EXISTS idx_rides_facility_id ON rides(facility_id)');
+
+    await run(`
+      UPDATE rides SET booked_by = (SELECT t.created_by FROM trips t WHERE t.id = rides.trip_id)
+      WHERE booked_by IS NULL AND trip_id IS NOT NULL
+    `);
+    await run(`
+      UPDATE rides SET booked_by = (SELECT s.created_by FROM ride_series s WHERE s.id = rides.series_id)
+      WHERE booked_by IS NULL AND series_id IS NOT NULL
+    `);
+    await run('UPDATE rides SET booked_by = user_id WHERE booked_by IS NULL');
+  },
+
+  down: async (run) => {
+    await run('DROP INDEX IF EXISTS idx_rides_facility_id');
+    await run('ALTER TABLE invitations DROP COLUMN IF EXISTS facility_id');
+    await run('ALTER TABLE ride_series DROP COLUMN IF EXISTS facility_id');
+    await run('ALTER TABLE trips DROP COLUMN IF EXISTS facility_id');
+
+    await run(`
+      ALTER TABLE rides
+        DROP COLUMN IF EXISTS facility_id,
+        DROP COLUMN IF EXISTS booked_by;
+    `);
+
+    await run('DROP TABLE IF EXISTS facility_patients');
+    await run('DROP TABLE IF EXISTS facility_staff');
+    await run('DROP TABLE IF EXISTS facilities');
+  }
+};
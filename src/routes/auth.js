@@ -1,10 +1,28 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
-const { query } = require('../config/database');
+const { query, withTransaction } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, authenticateForMfaSetup, verifyAccessToken } = require('../middleware/auth');
+const { issueTokens, rotateRefreshToken } = require('../services/authTokens');
+const { clientOf, revokeSession, revokeUserSessions } = require('../services/sessions');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset');
+const { CHANNELS, sendVerification, confirmVerificationCode, confirmEmailToken } = require('../services/verification');
+const {
+  isMfaRequired,
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableMfa,
+  issueMfaToken,
+  mfaTokenEmail,
+  completeMfaLogin
+} = require('../services/mfa');
+const { describeInvitation, acceptInvitation } = require('../services/invitations');
+const { throttleKeys, countAttempt, guardAttempt } = require('../services/authThrottle');
+const { permissionsFor } = require('../services/policy');
 
 const router = express.Router();
 
@@ -14,7 +32,8 @@ const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(8).required(),
   phone: Joi.string().pattern(/^\+?[\d\s-()]+$/).optional(),
-  role: Joi.string().valid('patient', 'driver', 'admin').default('patient'),
+  // Admins and other staff join by invitation only
+  role: Joi.string().valid('patient', 'driver').default('patient'),
   // Driver-specific fields
   licenseNumber: Joi.when('role', {
     is: 'driver',
@@ -28,29 +47,72 @@ const registerSchema = Joi.object({
   })
 });
 
+const invitationTokenSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().required(),
+  name: Joi.string().min(2).max(100).required(),
+  password: Joi.string().min(8).required(),
+  phone: Joi.string().pattern(/^\+?[\d\s-()]+$/).optional(),
+  // Required when invited as a driver
+  licenseNumber: Joi.string().optional(),
+  vehicleType: Joi.string().valid('car', 'van', 'wheelchair-accessible', 'stretcher-enabled').optional()
+});
+
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().required()
 });
 
-// Helper function to generate JWT tokens
-const generateTokens = (user) => {
-  const payload = {
-    userId: user.id,
-    email: user.email,
-    role: user.role
-  };
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
 
-  const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '1d'
-  });
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
 
-  const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
-  });
+const verificationCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
 
-  return { accessToken, refreshToken };
-};
+const mfaCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+// Second factor: an authenticator code or a backup code
+const secondFactorSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/),
+  backupCode: Joi.string().max(20)
+}).xor('code', 'backupCode');
+
+const mfaLoginSchema = secondFactorSchema.keys({
+  mfaToken: Joi.string().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(8).required()
+});
+
+const USER_COLUMNS = 'id, name, email, phone, role, email_verified, phone_verified, mfa_enabled, created_at';
+
+// The user as returned by register and login
+const userResponse = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  permissions: permissionsFor(user.role),
+  emailVerified: Boolean(user.email_verified),
+  phoneVerified: Boolean(user.phone_verified),
+  mfaEnabled: Boolean(user.mfa_enabled),
+  mfaEnrollmentRequired: isMfaRequired(user.role) && !user.mfa_enabled,
+  createdAt: user.created_at
+});
 
 // Register new user
 router.post('/register', asyncHandler(async (req, res) => {
@@ -80,49 +142,46 @@ router.post('/register', asyncHandler(async (req, res) => {
   const userId = uuidv4();
 
   try {
-    // Begin transaction
-    await query('BEGIN');
-
-    // Create user with hashed password
-    await query(
-      `INSERT INTO users (id, name, email, password, phone, role, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-      [userId, name, email, hashedPassword, phone, role]
-    );
-
-    // If registering as driver, create driver record
-    if (role === 'driver') {
-      await query(
-        `INSERT INTO drivers (user_id, license_number, vehicle_type, created_at)
-         VALUES ($1, $2, $3, NOW())`,
-        [userId, licenseNumber, vehicleType]
+    await withTransaction(async (tx) => {
+      // Create user with hashed password
+      await tx.query(
+        `INSERT INTO users (id, name, email, password, phone, role, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+        [userId, name, email, hashedPassword, phone, role]
       );
-    }
 
-    // Commit transaction
-    await query('COMMIT');
+      // If registering as driver, create driver record; an admin approves it
+      // before the driver can take rides
+      if (role === 'driver') {
+        await tx.query(
+          `INSERT INTO drivers (user_id, license_number, vehicle_type, availability, approval_status, created_at)
+           VALUES ($1, $2, $3, false, 'pending', NOW())`,
+          [userId, licenseNumber, vehicleType]
+        );
+      }
+    });
 
     // Get complete user data
     const userResult = await query(
-      'SELECT id, name, email, phone, role, created_at FROM users WHERE id = $1',
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
       [userId]
     );
 
     const user = userResult.rows[0];
 
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user);
+    const { accessToken, refreshToken } = await issueTokens({ query }, user, { client: clientOf(req) });
+
+    // Start verifying the email and phone; registration does not wait for delivery
+    for (const channel of user.phone ? CHANNELS : ['email']) {
+      sendVerification(user.id, channel).catch((error) => console.error(`Verification ${channel} error:`, error));
+    }
 
     res.status(201).json({
-      message: 'User registered successfully',
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        role: user.role,
-        createdAt: user.created_at
-      },
+      message: role === 'driver'
+        ? 'Driver registered successfully; the account is pending approval'
+        : 'User registered successfully',
+      user: userResponse(user),
       tokens: {
         accessToken,
         refreshToken
@@ -130,7 +189,6 @@ router.post('/register', asyncHandler(async (req, res) => {
     });
 
   } catch (dbError) {
-    await query('ROLLBACK');
     console.error('Registration error:', dbError);
     throw new AppError('Registration failed', 500);
   }
@@ -146,38 +204,102 @@ router.post('/login', asyncHandler(async (req, res) => {
 
   const { email, password } = value;
 
-  // Retrieve user including hashed password
-  const userResult = await query(
-    'SELECT id, name, email, phone, role, password, created_at FROM users WHERE email = $1',
-    [email]
-  );
+  // Failures count against the account and the client IP
+  const user = await guardAttempt(throttleKeys(req, email), async () => {
+    // Retrieve user including hashed password
+    const userResult = await query(
+      `SELECT ${USER_COLUMNS}, password FROM users WHERE email = $1`,
+      [email]
+    );
+
+    if (userResult.rows.length === 0) {
+      throw new AppError('Invalid email or password', 401);
+    }
+
+    // Validate password using bcrypt hash
+    const isValidPassword = await bcrypt.compare(password, userResult.rows[0].password);
+
+    if (!isValidPassword) {
+      throw new AppError('Invalid email or password', 401);
+    }
+
+    return userResult.rows[0];
+  });
+
+  // With MFA on, the password only earns a token for the second step
+  if (user.mfa_enabled) {
+    return res.json({
+      message: 'Enter your authentication code to finish logging in',
+      mfaRequired: true,
+      mfaToken: issueMfaToken(user)
+    });
+  }
 
-  if (userResult.rows.length === 0) {
-    throw new AppError('Invalid email or password', 401);
+  // Generate tokens (a new login starts a new token family)
+  const { accessToken, refreshToken } = await issueTokens({ query }, user, { client: clientOf(req) });
+
+  res.json({
+    message: 'Login successful',
+    user: userResponse(user),
+    tokens: {
+      accessToken,
+      refreshToken
+    }
+  });
+}));
+
+// Look up an invitation (to prefill the sign-up form)
+router.post('/invitation', asyncHandler(async (req, res) => {
+  const { error, value } = invitationTokenSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
   }
 
+  res.json({ invitation: await describeInvitation(value.token) });
+}));
+
+// Create an invited account (admins, invited drivers)
+router.post('/accept-invitation', asyncHandler(async (req, res) => {
+  const { error, value } = acceptInvitationSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const userId = await guardAttempt(throttleKeys(req), () => acceptInvitation(value.token, value));
+  const userResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
   const user = userResult.rows[0];
 
-  // Validate password using bcrypt hash
-  const isValidPassword = await bcrypt.compare(password, user.password);
+  const { accessToken, refreshToken } = await issueTokens({ query }, user, { client: clientOf(req) });
+
+  res.status(201).json({
+    message: 'Account created successfully',
+    user: userResponse(user),
+    tokens: {
+      accessToken,
+      refreshToken
+    }
+  });
+}));
 
-  if (!isValidPassword) {
-    throw new AppError('Invalid email or password', 401);
+// Second login step for users with MFA: the MFA token plus a code or backup code
+router.post('/login/mfa', asyncHandler(async (req, res) => {
+  const { error, value } = mfaLoginSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
   }
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokens(user);
+  const { id } = await guardAttempt(
+    throttleKeys(req, mfaTokenEmail(value.mfaToken)),
+    () => completeMfaLogin(value.mfaToken, value)
+  );
+  const userResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  const user = userResult.rows[0];
+
+  const { accessToken, refreshToken } = await issueTokens({ query }, user, { client: clientOf(req) });
 
   res.json({
     message: 'Login successful',
-    user: {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      role: user.role,
-      createdAt: user.created_at
-    },
+    user: userResponse(user),
     tokens: {
       accessToken,
       refreshToken
@@ -185,7 +307,7 @@ router.post('/login', asyncHandler(async (req, res) => {
   });
 }));
 
-// Refresh token
+// Refresh token: single use, rotated on every refresh
 router.post('/refresh', asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
 
@@ -193,39 +315,152 @@ router.post('/refresh', asyncHandler(async (req, res) => {
     throw new AppError('Refresh token is required', 400);
   }
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-
-    // Verify user still exists
-    const userResult = await query(
-      'SELECT id, name, email, phone, role FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+  const { tokens } = await guardAttempt(throttleKeys(req), () => rotateRefreshToken(refreshToken, clientOf(req)));
 
-    if (userResult.rows.length === 0) {
-      throw new AppError('User not found', 401);
+  res.json({
+    message: 'Token refreshed successfully',
+    tokens: {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     }
+  });
+}));
 
-    const user = userResult.rows[0];
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user);
+// Logout: revoke this login's tokens
+router.post('/logout', authenticateForMfaSetup, asyncHandler(async (req, res) => {
+  await revokeSession(req.user.id, req.user.sessionId, 'logout');
 
-    res.json({
-      message: 'Token refreshed successfully',
-      tokens: {
-        accessToken,
-        refreshToken: newRefreshToken
-      }
-    });
+  res.json({ message: 'Logout successful' });
+}));
 
-  } catch (error) {
-    throw new AppError('Invalid refresh token', 401);
+// Logout everywhere: revoke every login of the user
+router.post('/logout-all', authenticateForMfaSetup, asyncHandler(async (req, res) => {
+  const sessions = await revokeUserSessions(req.user.id, 'logout_all');
+
+  res.json({
+    message: 'Logged out of all sessions',
+    sessionsRevoked: sessions.length
+  });
+}));
+
+// Verify an email address with the token from the emailed link
+router.post('/verify-email', asyncHandler(async (req, res) => {
+  const { error, value } = verifyEmailSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const user = await confirmEmailToken(value.token);
+
+  res.json({ message: 'Email verified successfully', user });
+}));
+
+const validChannel = (channel) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new AppError('Channel must be email or phone', 400);
   }
+  return channel;
+};
+
+// Send (or resend) a verification code to the current user's email or phone
+router.post('/verification/:channel/send', authenticateToken, asyncHandler(async (req, res) => {
+  const { channel, destination } = await sendVerification(req.user.id, validChannel(req.params.channel));
+
+  res.json({ message: `Verification code sent to ${destination}`, channel });
 }));
 
-// Logout (client-side token removal, server-side blacklisting could be added)
-router.post('/logout', (req, res) => {
-  res.json({ message: 'Logout successful' });
-});
+// Confirm the current user's email or phone with the code sent to it
+router.post('/verification/:channel/confirm', authenticateToken, asyncHandler(async (req, res) => {
+  const channel = validChannel(req.params.channel);
+  const { error, value } = verificationCodeSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const user = await confirmVerificationCode(req.user.id, channel, value.code);
+
+  res.json({ message: `${channel === 'email' ? 'Email' : 'Phone'} verified successfully`, user });
+}));
+
+// MFA status of the current user
+router.get('/mfa', authenticateForMfaSetup, asyncHandler(async (req, res) => {
+  res.json({ mfa: await getMfaStatus(req.user.id) });
+}));
+
+// Start MFA enrollment: a secret and otpauth URI (for a QR code) for the authenticator app
+router.post('/mfa/enroll', authenticateForMfaSetup, asyncHandler(async (req, res) => {
+  const enrollment = await startEnrollment(req.user.id);
+
+  res.json({
+    message: 'Add the secret to your authenticator app, then confirm with a code',
+    ...enrollment
+  });
+}));
+
+// Finish MFA enrollment with a code from the app; returns the backup codes once
+router.post('/mfa/enable', authenticateForMfaSetup, asyncHandler(async (req, res) => {
+  const { error, value } = mfaCodeSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const backupCodes = await confirmEnrollment(req.user.id, value.code, req.user.sessionId);
+
+  res.json({
+    message: 'Multi-factor authentication enabled; store the backup codes somewhere safe',
+    backupCodes
+  });
+}));
+
+// Replace the backup codes
+router.post('/mfa/backup-codes', authenticateToken, asyncHandler(async (req, res) => {
+  const { error, value } = mfaCodeSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const backupCodes = await regenerateBackupCodes(req.user.id, value.code);
+
+  res.json({ message: 'Backup codes replaced', backupCodes });
+}));
+
+// Turn MFA off (not for roles that require it)
+router.post('/mfa/disable', authenticateToken, asyncHandler(async (req, res) => {
+  const { error, value } = secondFactorSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  await disableMfa(req.user.id, value);
+
+  res.json({ message: 'Multi-factor authentication disabled' });
+}));
+
+// Forgotten password: email a reset link (the same answer whether or not the account exists)
+router.post('/forgot-password', asyncHandler(async (req, res) => {
+  const { error, value } = forgotPasswordSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  // Every request counts, so reset emails cannot be used to flood an inbox
+  await countAttempt(throttleKeys(req, value.email));
+  await requestPasswordReset(value.email, clientOf(req));
+
+  res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+}));
+
+// Reset password with the emailed token; every session is signed out
+router.post('/reset-password', asyncHandler(async (req, res) => {
+  const { error, value } = resetPasswordSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  await guardAttempt(throttleKeys(req), () => resetPassword(value.token, value.password));
+
+  res.json({ message: 'Password reset successfully; please log in with your new password' });
+}));
 
 // Verify token endpoint
 router.get('/verify', asyncHandler(async (req, res) => {
@@ -236,27 +471,27 @@ router.get('/verify', asyncHandler(async (req, res) => {
     throw new AppError('No token provided', 401);
   }
 
+  let user;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Get current user data
-    const userResult = await query(
-      'SELECT id, name, email, phone, role, created_at FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      throw new AppError('User not found', 401);
-    }
-
-    res.json({
-      valid: true,
-      user: userResult.rows[0]
-    });
-
+    user = await verifyAccessToken(token);
   } catch (error) {
     throw new AppError('Invalid token', 401);
   }
+
+  if (!user) {
+    throw new AppError('User not found', 401);
+  }
+
+  // Get current user data
+  const userResult = await query(
+    'SELECT id, name, email, phone, role, email_verified, phone_verified, created_at FROM users WHERE id = $1',
+    [user.id]
+  );
+
+  res.json({
+    valid: true,
+    user: userResult.rows[0]
+  });
 }));
 
 module.exports = router;
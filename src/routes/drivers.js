@@ -1,12 +1,17 @@
 const express = require('express');
 const { query } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { requireAdmin, requireDriver } = require('../middleware/auth');
+const { requirePermission, requireVerified } = require('../middleware/auth');
+const { getDriverOffers, acceptOffer, declineOffer } = require('../services/rideOffers');
+const { scheduleEtaRefresh } = require('../services/eta');
+const { markDriverChanged } = require('../services/dispatchBoard');
+const { assertVerified } = require('../services/verification');
+const { notifyUser } = require('../services/notifications');
 
 const router = express.Router();
 
-// Get available drivers
-router.get('/available', asyncHandler(async (req, res) => {
+// Get available drivers (dispatchers and admins)
+router.get('/available', requirePermission('rides:assign', 'rides:dispatch'), asyncHandler(async (req, res) => {
   const { vehicleType } = req.query;
 
   let queryText = `
@@ -17,7 +22,7 @@ router.get('/available', asyncHandler(async (req, res) => {
     FROM drivers d
     JOIN users u ON d.user_id = u.id
     LEFT JOIN vehicles v ON d.id = v.driver_id
-    WHERE d.availability = true
+    WHERE d.availability = true AND d.approval_status = 'approved'
   `;
 
   const queryParams = [];
@@ -36,31 +41,106 @@ router.get('/available', asyncHandler(async (req, res) => {
 }));
 
 // Update driver availability
-router.patch('/availability', requireDriver, asyncHandler(async (req, res) => {
+router.patch('/availability', requirePermission('drivers:drive'), asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { availability } = req.body;
 
   if (typeof availability !== 'boolean') {
     throw new AppError('Availability must be true or false', 400);
   }
+  if (availability) {
+    assertVerified(req.user, 'driving');
+  }
+
+  const driverResult = await query('SELECT id, approval_status FROM drivers WHERE user_id = $1', [userId]);
+  if (driverResult.rows.length === 0) {
+    throw new AppError('Driver record not found', 404);
+  }
+
+  // Only approved drivers can take work
+  const { approval_status: approvalStatus } = driverResult.rows[0];
+  if (availability && approvalStatus !== 'approved') {
+    throw new AppError(`Your driver account is ${approvalStatus === 'pending' ? 'pending approval' : approvalStatus}`, 403);
+  }
 
   const result = await query(
     'UPDATE drivers SET availability = $1, updated_at = NOW() WHERE user_id = $2 RETURNING *',
     [availability, userId]
   );
 
+  markDriverChanged(result.rows[0].id);
+
+  res.json({
+    message: 'Availability updated successfully',
+    driver: result.rows[0]
+  });
+}));
+
+// Update driver's current location (used by dispatch when not on a ride)
+router.patch('/location', requirePermission('drivers:drive'), asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { latitude, longitude } = req.body;
+
+  if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+    latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    throw new AppError('Valid latitude and longitude are required', 400);
+  }
+
+  const result = await query(
+    `UPDATE drivers
+     SET last_latitude = $1, last_longitude = $2, last_location_at = NOW(), updated_at = NOW()
+     WHERE user_id = $3
+     RETURNING id, last_latitude, last_longitude, last_location_at`,
+    [latitude, longitude, userId]
+  );
+
   if (result.rows.length === 0) {
     throw new AppError('Driver record not found', 404);
   }
 
+  markDriverChanged(result.rows[0].id);
+
   res.json({
-    message: 'Availability updated successfully',
-    driver: result.rows[0]
+    message: 'Location updated successfully',
+    location: result.rows[0]
+  });
+}));
+
+// Get open ride offers for the current driver
+router.get('/offers', requirePermission('drivers:drive'), asyncHandler(async (req, res) => {
+  const offers = await getDriverOffers(req.user.id);
+  res.json({ offers });
+}));
+
+// Accept a ride offer
+router.post('/offers/:offerId/accept', requirePermission('drivers:drive'), requireVerified('driving'), asyncHandler(async (req, res) => {
+  const { offer, ride } = await acceptOffer(req.params.offerId, req.user.id);
+  scheduleEtaRefresh(ride.id);
+
+  res.json({
+    message: 'Offer accepted',
+    offer,
+    ride
+  });
+}));
+
+// Decline a ride offer; the ride is offered to the next driver
+router.post('/offers/:offerId/decline', requirePermission('drivers:drive'), asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+  if (reason !== undefined && typeof reason !== 'string') {
+    throw new AppError('Reason must be a string', 400);
+  }
+
+  const { offer } = await declineOffer(req.params.offerId, req.user.id, reason || null);
+
+  res.json({
+    message: 'Offer declined',
+    offer
   });
 }));
 
 // Get driver statistics
-router.get('/stats', requireDriver, asyncHandler(async (req, res) => {
+router.get('/stats', requirePermission('drivers:drive'), asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   // Get driver ID
@@ -89,4 +169,53 @@ router.get('/stats', requireDriver, asyncHandler(async (req, res) => {
   res.json({ stats });
 }));
 
+// Driver applications by approval status, oldest first (admin only)
+router.get('/applications', requirePermission('drivers:review'), asyncHandler(async (req, res) => {
+  const { status = 'pending' } = req.query;
+
+  const result = await query(
+    `SELECT d.id, d.user_id, d.license_number, d.vehicle_type, d.approval_status, d.approval_note,
+            d.reviewed_by, d.reviewed_at, d.created_at, u.name, u.email, u.phone, u.email_verified, u.phone_verified
+     FROM drivers d
+     JOIN users u ON d.user_id = u.id
+     WHERE d.approval_status = $1
+     ORDER BY d.created_at ASC, d.id ASC`,
+    [status]
+  );
+
+  res.json({ drivers: result.rows });
+}));
+
+// Approve or reject a self-registered driver (admin only)
+const reviewDriver = (approvalStatus) => asyncHandler(async (req, res) => {
+  const note = req.body.note || null;
+
+  const result = await query(
+    `UPDATE drivers
+     SET approval_status = $1, approval_note = $2, reviewed_by = $3, reviewed_at = NOW(),
+         availability = CASE WHEN $1 = 'approved' THEN availability ELSE false END, updated_at = NOW()
+     WHERE id = $4
+     RETURNING *`,
+    [approvalStatus, note, req.user.id, req.params.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Driver not found', 404);
+  }
+
+  const driver = result.rows[0];
+  markDriverChanged(driver.id);
+  await notifyUser(driver.user_id, approvalStatus === 'approved'
+    ? { type: 'driver.approved', title: 'Driver account approved', body: 'You can now go available and accept rides.' }
+    : { type: 'driver.rejected', title: 'Driver application declined', body: note });
+
+  res.json({
+    message: `Driver ${approvalStatus} successfully`,
+    driver
+  });
+});
+
+router.post('/:id/approve', requirePermission('drivers:review'), reviewDriver('approved'));
+router.post('/:id/reject', requirePermission('drivers:review'), reviewDriver('rejected'));
+
 module.exports = router;
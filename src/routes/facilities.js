@@ -0,0 +1,206 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const { RIDE_STATUSES } = require('../services/rideLifecycle');
+const {
+  FACILITY_TYPES,
+  listFacilities,
+  getFacility,
+  getManagedFacility,
+  createFacility,
+  updateFacility,
+  listStaff,
+  addStaff,
+  removeStaff,
+  listPatients,
+  linkPatient,
+  acceptLink,
+  unlinkPatient,
+  listFacilityRides
+} = require('../services/facilities');
+
+const router = express.Router();
+
+// Validation schemas
+const facilityFields = {
+  name: Joi.string().max(200),
+  facilityType: Joi.string().valid(...FACILITY_TYPES),
+  address: Joi.string().max(500).allow(null),
+  phone: Joi.string().max(50).allow(null),
+  active: Joi.boolean()
+};
+
+const createFacilitySchema = Joi.object({
+  ...facilityFields,
+  name: facilityFields.name.required(),
+  active: Joi.forbidden()
+});
+
+const updateFacilitySchema = Joi.object(facilityFields).min(1);
+
+// A user by ID or email
+const memberSchema = Joi.object({
+  userId: Joi.string(),
+  email: Joi.string().email()
+}).xor('userId', 'email');
+
+const patientSchema = Joi.object({
+  patientId: Joi.string(),
+  email: Joi.string().email()
+}).xor('patientId', 'email');
+
+const ridesQuerySchema = Joi.object({
+  status: Joi.string().valid(...RIDE_STATUSES),
+  patientId: Joi.string(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const validate = (schema, input) => {
+  const { error, value } = schema.validate(input);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+  return value;
+};
+
+// Get the facilities the current user may see (staff see all), optionally
+// only active or inactive ones
+router.get('/', asyncHandler(async (req, res) => {
+  const { active } = validate(Joi.object({ active: Joi.boolean() }), req.query);
+  const facilities = await listFacilities(req.user, { active });
+  res.json({ facilities });
+}));
+
+// Create a facility (admins)
+router.post('/', requirePermission('facilities:manage'), asyncHandler(async (req, res) => {
+  const facility = await createFacility(req.user, validate(createFacilitySchema, req.body));
+
+  res.status(201).json({
+    message: 'Facility created successfully',
+    facility
+  });
+}));
+
+// Get a facility
+router.get('/:id', asyncHandler(async (req, res) => {
+  const facility = await getFacility(req.params.id, req.user);
+  res.json({ facility });
+}));
+
+// Update or deactivate a facility (admins); an inactive facility keeps its
+// rides but no new ones are booked through it
+router.patch('/:id', requirePermission('facilities:manage'), asyncHandler(async (req, res) => {
+  const changes = validate(updateFacilitySchema, req.body);
+  const facility = await updateFacility(req.params.id, changes);
+  if (!facility) {
+    throw new AppError('Facility not found', 404);
+  }
+
+  res.json({
+    message: 'Facility updated successfully',
+    facility
+  });
+}));
+
+// Get a facility's staff (its staff and admins)
+router.get('/:id/staff', asyncHandler(async (req, res) => {
+  const facility = await getManagedFacility(req.params.id, req.user);
+  const staff = await listStaff(facility.id);
+  res.json({ staff });
+}));
+
+// Add a facility coordinator to the staff (admins)
+router.post('/:id/staff', requirePermission('facilities:manage'), asyncHandler(async (req, res) => {
+  const member = validate(memberSchema, req.body);
+  const facility = await getFacility(req.params.id, req.user);
+  const staffMember = await addStaff(facility, member, req.user);
+
+  res.status(201).json({
+    message: 'Staff member added successfully',
+    staffMember
+  });
+}));
+
+// Remove a staff member (admins)
+router.delete('/:id/staff/:userId', requirePermission('facilities:manage'), asyncHandler(async (req, res) => {
+  const removed = await removeStaff(req.params.id, req.params.userId);
+  if (!removed) {
+    throw new AppError('Staff member not found', 404);
+  }
+
+  res.json({ message: 'Staff member removed successfully' });
+}));
+
+// Get the patients linked to a facility and the pending link requests (its
+// staff and admins)
+router.get('/:id/patients', asyncHandler(async (req, res) => {
+  const facility = await getManagedFacility(req.params.id, req.user);
+  const patients = await listPatients(facility.id);
+  res.json({ patients });
+}));
+
+// Link a patient to the facility so its staff can book for them (its staff
+// and admins); a link by its staff is a request the patient must accept
+router.post('/:id/patients', asyncHandler(async (req, res) => {
+  const { patientId, email } = validate(patientSchema, req.body);
+  const facility = await getManagedFacility(req.params.id, req.user);
+  if (!facility.active) {
+    throw new AppError('Facility is inactive', 409);
+  }
+
+  const linked = await linkPatient(facility, { userId: patientId, email }, req.user);
+
+  res.status(201).json({
+    message: linked.status === 'active' ? 'Patient linked successfully' : 'Link request sent to the patient',
+    patient: linked
+  });
+}));
+
+// Accept a facility's link request (the patient)
+router.post('/:id/patients/accept', asyncHandler(async (req, res) => {
+  const facility = await getFacility(req.params.id, req.user);
+  const link = await acceptLink(facility, req.user);
+
+  res.json({
+    message: 'Link accepted successfully',
+    link
+  });
+}));
+
+// Unlink a patient or withdraw a link request (its staff and admins), or
+// leave the facility or decline its request (the patient)
+router.delete('/:id/patients/:patientId', asyncHandler(async (req, res) => {
+  const facility = req.params.patientId === req.user.id
+    ? await getFacility(req.params.id, req.user)
+    : await getManagedFacility(req.params.id, req.user);
+
+  const unlinked = await unlinkPatient(facility.id, req.params.patientId);
+  if (!unlinked) {
+    throw new AppError('Linked patient not found', 404);
+  }
+
+  res.json({ message: 'Patient unlinked successfully' });
+}));
+
+// Get the rides booked through a facility, soonest pickup first (its staff see
+// all of them, linked patients their own)
+router.get('/:id/rides', asyncHandler(async (req, res) => {
+  const filters = validate(ridesQuerySchema, req.query);
+  const facility = await getFacility(req.params.id, req.user);
+  const rides = await listFacilityRides(facility.id, req.user, filters);
+
+  res.json({
+    rides,
+    pagination: {
+      limit: filters.limit,
+      offset: filters.offset,
+      total: rides.length
+    }
+  });
+}));
+
+module.exports = router;
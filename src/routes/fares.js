@@ -0,0 +1,192 @@
+const express = require('express');
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const { listRateCards, listTimeMultipliers } = require('../services/fares');
+
+const router = express.Router();
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/).message('Times must use the HH:MM format');
+
+// Validation schemas
+const rateCardSchema = Joi.object({
+  baseFare: Joi.number().min(0),
+  perMile: Joi.number().min(0),
+  vehicleSurcharge: Joi.number().min(0),
+  minimumFare: Joi.number().min(0),
+  waitFreeMinutes: Joi.number().integer().min(0),
+  waitPerMinute: Joi.number().min(0),
+  noShowFee: Joi.number().min(0),
+  lateCancelFee: Joi.number().min(0)
+}).min(1);
+
+const multiplierFields = {
+  name: Joi.string().max(100),
+  days: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique(),
+  startTime: timeOfDay,
+  endTime: timeOfDay,
+  multiplier: Joi.number().greater(0).max(10),
+  active: Joi.boolean()
+};
+
+const createMultiplierSchema = Joi.object({
+  ...multiplierFields,
+  name: multiplierFields.name.required(),
+  startTime: multiplierFields.startTime.required(),
+  endTime: multiplierFields.endTime.required(),
+  multiplier: multiplierFields.multiplier.required()
+});
+
+const updateMultiplierSchema = Joi.object(multiplierFields).min(1);
+
+// API field name -> column, for dynamic updates
+const RATE_CARD_COLUMNS = {
+  baseFare: 'base_fare',
+  perMile: 'per_mile',
+  vehicleSurcharge: 'vehicle_surcharge',
+  minimumFare: 'minimum_fare',
+  waitFreeMinutes: 'wait_free_minutes',
+  waitPerMinute: 'wait_per_minute',
+  noShowFee: 'no_show_fee',
+  lateCancelFee: 'late_cancel_fee'
+};
+
+const MULTIPLIER_COLUMNS = {
+  name: 'name',
+  days: 'days',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  multiplier: 'multiplier',
+  active: 'active'
+};
+
+// Get rate cards
+router.get('/rate-cards', asyncHandler(async (req, res) => {
+  const rateCards = await listRateCards();
+  res.json({ rateCards });
+}));
+
+// Update the rate card for a vehicle type (billing clerks and admins)
+router.patch('/rate-cards/:vehicleType', requirePermission('fares:manage'), asyncHandler(async (req, res) => {
+  const { error, value } = rateCardSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const updateFields = [];
+  const updateParams = [];
+  let paramCount = 0;
+
+  for (const [field, column] of Object.entries(RATE_CARD_COLUMNS)) {
+    if (value[field] !== undefined) {
+      updateFields.push(`${column} = $${++paramCount}`);
+      updateParams.push(value[field]);
+    }
+  }
+
+  updateFields.push(`updated_by = $${++paramCount}`, 'updated_at = NOW()');
+  updateParams.push(req.user.id, req.params.vehicleType);
+
+  const result = await query(
+    `UPDATE rate_cards
+     SET ${updateFields.join(', ')}
+     WHERE vehicle_type = $${++paramCount}
+     RETURNING *`,
+    updateParams
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Rate card not found', 404);
+  }
+
+  res.json({
+    message: 'Rate card updated successfully',
+    rateCard: result.rows[0]
+  });
+}));
+
+// Get time-of-day multipliers
+router.get('/multipliers', asyncHandler(async (req, res) => {
+  const multipliers = await listTimeMultipliers();
+  res.json({ multipliers });
+}));
+
+// Add a time-of-day multiplier (billing clerks and admins)
+router.post('/multipliers', requirePermission('fares:manage'), asyncHandler(async (req, res) => {
+  const { error, value } = createMultiplierSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const result = await query(
+    `INSERT INTO fare_time_multipliers (name, days, start_time, end_time, multiplier, active, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+     RETURNING *`,
+    [
+      value.name,
+      JSON.stringify(value.days || [0, 1, 2, 3, 4, 5, 6]),
+      value.startTime,
+      value.endTime,
+      value.multiplier,
+      value.active !== undefined ? value.active : true
+    ]
+  );
+
+  res.status(201).json({
+    message: 'Multiplier added successfully',
+    multiplier: result.rows[0]
+  });
+}));
+
+// Update a time-of-day multiplier (billing clerks and admins)
+router.patch('/multipliers/:id', requirePermission('fares:manage'), asyncHandler(async (req, res) => {
+  const { error, value } = updateMultiplierSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const updateFields = [];
+  const updateParams = [];
+  let paramCount = 0;
+
+  for (const [field, column] of Object.entries(MULTIPLIER_COLUMNS)) {
+    if (value[field] !== undefined) {
+      updateFields.push(`${column} = $${++paramCount}`);
+      updateParams.push(field === 'days' ? JSON.stringify(value.days) : value[field]);
+    }
+  }
+
+  updateFields.push('updated_at = NOW()');
+  updateParams.push(req.params.id);
+
+  const result = await query(
+    `UPDATE fare_time_multipliers
+     SET ${updateFields.join(', ')}
+     WHERE id = $${++paramCount}
+     RETURNING *`,
+    updateParams
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Multiplier not found', 404);
+  }
+
+  res.json({
+    message: 'Multiplier updated successfully',
+    multiplier: result.rows[0]
+  });
+}));
+
+// Delete a time-of-day multiplier (billing clerks and admins)
+router.delete('/multipliers/:id', requirePermission('fares:manage'), asyncHandler(async (req, res) => {
+  const result = await query('DELETE FROM fare_time_multipliers WHERE id = $1 RETURNING id', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Multiplier not found', 404);
+  }
+
+  res.json({ message: 'Multiplier deleted successfully' });
+}));
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  INVITABLE_ROLES,
+  createInvitation,
+  listInvitations,
+  revokeInvitation
+} = require('../services/invitations');
+
+// Staff invitations (admin only; the router is mounted behind invitations:manage)
+
+const router = express.Router();
+
+// Validation schemas
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...INVITABLE_ROLES).required(),
+  facilityId: Joi.number().integer().positive().optional()
+});
+
+// Get invitations, optionally by status (open, accepted, revoked, expired)
+router.get('/', asyncHandler(async (req, res) => {
+  const invitations = await listInvitations({ status: req.query.status });
+  res.json({ invitations });
+}));
+
+// Invite someone; the signed invitation link is emailed to them
+router.post('/', asyncHandler(async (req, res) => {
+  const { error, value } = createInvitationSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const invitation = await createInvitation(req.user, value);
+
+  res.status(201).json({
+    message: `Invitation sent to ${invitation.email}`,
+    invitation
+  });
+}));
+
+// Revoke an open invitation
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const invitation = await revokeInvitation(req.params.id);
+  if (!invitation) {
+    throw new AppError('Open invitation not found', 404);
+  }
+
+  res.json({
+    message: 'Invitation revoked successfully',
+    invitation
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { listNotifications, markNotificationRead, markAllNotificationsRead } = require('../services/notifications');
+
+const router = express.Router();
+
+// Get the current user's notifications
+router.get('/', asyncHandler(async (req, res) => {
+  const { unread, limit = 20, offset = 0 } = req.query;
+
+  const notifications = await listNotifications(req.user.id, {
+    unreadOnly: unread === 'true',
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    notifications,
+    pagination: {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      total: notifications.length
+    }
+  });
+}));
+
+// Mark every notification read
+router.post('/read-all', asyncHandler(async (req, res) => {
+  const updated = await markAllNotificationsRead(req.user.id);
+  res.json({ message: 'Notifications marked as read', updated });
+}));
+
+// Mark a notification read
+router.post('/:id/read', asyncHandler(async (req, res) => {
+  const notification = await markNotificationRead(req.user.id, req.params.id);
+  if (!notification) {
+    throw new AppError('Notification not found', 404);
+  }
+
+  res.json({ notification });
+}));
+
+module.exports = router;
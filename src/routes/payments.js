@@ -1,16 +1,61 @@
 const express = require('express');
 const Stripe = require('stripe');
-const { query } = require('../config/database');
+const { query, withTransaction } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { canTransition, transitionRide } = require('../services/rideLifecycle');
+const { publish, publishAfterCommit } = require('../services/events');
+const { requirePermission } = require('../middleware/auth');
+const { scopeFilter } = require('../services/policy');
 
 const router = express.Router();
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Create payment intent
-router.post('/create-intent', asyncHandler(async (req, res) => {
-  const { rideId, amount } = req.body;
+// Create payment intent, for a ride fare or an outstanding fee (`paymentId`)
+router.post('/create-intent', requirePermission('payments:pay'), asyncHandler(async (req, res) => {
+  const { rideId, amount, paymentId } = req.body;
   const userId = req.user.id;
 
+  if (paymentId) {
+    // Fees (late cancellation, no-show) are recorded by the server as pending payments
+    const feeResult = await query(
+      `SELECT * FROM payments
+       WHERE id = $1 AND user_id = $2 AND status = 'pending' AND type != 'fare'`,
+      [paymentId, userId]
+    );
+
+    if (feeResult.rows.length === 0) {
+      throw new AppError('Outstanding fee not found', 404);
+    }
+
+    const fee = feeResult.rows[0];
+
+    try {
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(Number(fee.amount) * 100), // Convert to cents
+        currency: 'usd',
+        metadata: {
+          rideId: fee.ride_id.toString(),
+          userId: userId,
+          paymentId: fee.id.toString(),
+          type: fee.type
+        }
+      });
+
+      await query(
+        'UPDATE payments SET stripe_payment_intent_id = $1, updated_at = NOW() WHERE id = $2',
+        [paymentIntent.id, fee.id]
+      );
+
+      return res.json({
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id
+      });
+    } catch (error) {
+      console.error('Stripe error:', error);
+      throw new AppError('Failed to create payment intent', 500);
+    }
+  }
+
   if (!rideId || !amount) {
     throw new AppError('Ride ID and amount are required', 400);
   }
@@ -57,7 +102,7 @@ router.post('/create-intent', asyncHandler(async (req, res) => {
 }));
 
 // Confirm payment
-router.post('/confirm/:paymentIntentId', asyncHandler(async (req, res) => {
+router.post('/confirm/:paymentIntentId', requirePermission('payments:pay'), asyncHandler(async (req, res) => {
   const { paymentIntentId } = req.params;
   const userId = req.user.id;
 
@@ -69,28 +114,53 @@ router.post('/confirm/:paymentIntentId', asyncHandler(async (req, res) => {
       throw new AppError('Unauthorized access to payment', 403);
     }
 
-    // Update payment status in database
-    const updateResult = await query(
-      `UPDATE payments
-       SET status = $1, payment_date = NOW(), updated_at = NOW()
-       WHERE stripe_payment_intent_id = $2 AND user_id = $3
-       RETURNING *`,
-      [paymentIntent.status === 'succeeded' ? 'completed' : 'failed', paymentIntentId, userId]
-    );
-
-    if (updateResult.rows.length === 0) {
-      throw new AppError('Payment record not found', 404);
-    }
+    // Payment and ride status change together. Only a pending payment is
+    // settled here, so a refunded one cannot turn completed again.
+    const payment = await withTransaction(async (tx) => {
+      const previous = await tx.query(
+        'SELECT * FROM payments WHERE stripe_payment_intent_id = $1 AND user_id = $2 FOR UPDATE',
+        [paymentIntentId, userId]
+      );
 
-    const payment = updateResult.rows[0];
+      if (previous.rows.length === 0) {
+        throw new AppError('Payment record not found', 404);
+      }
 
-    // If payment successful, update ride status
-    if (paymentIntent.status === 'succeeded') {
-      await query(
-        'UPDATE rides SET status = $1, updated_at = NOW() WHERE id = $2',
-        ['completed', payment.ride_id]
+      // Update payment status in database
+      const updateResult = await tx.query(
+        `UPDATE payments
+         SET status = $1, payment_date = NOW(), updated_at = NOW()
+         WHERE stripe_payment_intent_id = $2 AND user_id = $3 AND status = 'pending'
+         RETURNING *`,
+        [paymentIntent.status === 'succeeded' ? 'completed' : 'failed', paymentIntentId, userId]
       );
-    }
+      // The webhook may have recorded the payment first
+      const current = updateResult.rows[0] || previous.rows[0];
+
+      if (updateResult.rows.length > 0 && current.status === 'completed') {
+        publishAfterCommit(tx, 'payment.completed', {
+          payment: current,
+          rideId: current.ride_id
+        }, { actor: req.user });
+      }
+
+      // If payment successful, complete a ride that is still in progress
+      if (current.status === 'completed') {
+        const rideResult = await tx.query(
+          'SELECT * FROM rides WHERE id = $1 FOR UPDATE',
+          [current.ride_id]
+        );
+        const ride = rideResult.rows[0];
+
+        if (ride && canTransition('system', ride.status, 'completed')) {
+          await transitionRide(tx, ride, 'completed', { id: userId, role: 'system' }, {
+            reason: 'Payment completed'
+          });
+        }
+      }
+
+      return current;
+    });
 
     res.json({
       message: 'Payment confirmed',
@@ -104,10 +174,18 @@ router.post('/confirm/:paymentIntentId', asyncHandler(async (req, res) => {
   }
 }));
 
-// Get payment history
+// Get payment history: the user's own, or everyone's for billing staff
+// (optionally one user's, `userId`)
 router.get('/history', asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const { limit = 20, offset = 0 } = req.query;
+  const { userId, limit = 20, offset = 0 } = req.query;
+
+  const queryParams = [];
+  let where = scopeFilter(req.user, 'payments:read', queryParams, { alias: 'p' });
+  if (userId) {
+    queryParams.push(userId);
+    where += ` AND p.user_id = $${queryParams.length}`;
+  }
+  queryParams.push(limit, offset);
 
   const result = await query(
     `SELECT
@@ -117,10 +195,10 @@ router.get('/history', asyncHandler(async (req, res) => {
       r.ride_date
     FROM payments p
     JOIN rides r ON p.ride_id = r.id
-    WHERE p.user_id = $1
+    WHERE ${where}
     ORDER BY p.created_at DESC
-    LIMIT $2 OFFSET $3`,
-    [userId, limit, offset]
+    LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`,
+    queryParams
   );
 
   res.json({
@@ -133,6 +211,63 @@ router.get('/history', asyncHandler(async (req, res) => {
   });
 }));
 
+// A payment locked for update, checked to be refundable
+const lockRefundablePayment = async (tx, paymentId) => {
+  const paymentResult = await tx.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+  if (paymentResult.rows.length === 0) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  const payment = paymentResult.rows[0];
+  if (payment.status !== 'completed') {
+    throw new AppError(`Cannot refund a ${payment.status} payment`, 409);
+  }
+  return payment;
+};
+
+// Refund a completed payment in full (billing clerks and admins). Stripe is
+// called between two transactions rather than while holding the lock; its
+// idempotency key makes a retried or concurrent refund of the same payment
+// refund it only once.
+router.post('/:id/refund', requirePermission('payments:refund'), asyncHandler(async (req, res) => {
+  const current = await withTransaction((tx) => lockRefundablePayment(tx, req.params.id));
+
+  // Payments taken outside Stripe (cash, insurance) are only marked refunded
+  if (current.stripe_payment_intent_id) {
+    try {
+      await stripe.refunds.create({
+        payment_intent: current.stripe_payment_intent_id,
+        metadata: { paymentId: current.id.toString(), refundedBy: req.user.id }
+      }, {
+        idempotencyKey: `refund-payment-${current.id}`
+      });
+    } catch (error) {
+      console.error('Stripe error:', error);
+      throw new AppError('Failed to refund payment', 500);
+    }
+  }
+
+  const payment = await withTransaction(async (tx) => {
+    await lockRefundablePayment(tx, current.id);
+    const updateResult = await tx.query(
+      `UPDATE payments SET status = 'refunded', updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [current.id]
+    );
+
+    publishAfterCommit(tx, 'payment.refunded', {
+      payment: updateResult.rows[0],
+      rideId: updateResult.rows[0].ride_id
+    }, { actor: req.user });
+
+    return updateResult.rows[0];
+  });
+
+  res.json({
+    message: 'Payment refunded successfully',
+    payment
+  });
+}));
+
 // Webhook endpoint for Stripe events
 router.post('/webhook', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -149,12 +284,16 @@ router.post('/webhook', express.raw({ type: 'application/json' }), asyncHandler(
   switch (event.type) {
     case 'payment_intent.succeeded':
       const paymentIntent = event.data.object;
-      await query(
+      const completed = await query(
         `UPDATE payments
          SET status = 'completed', payment_date = NOW()
-         WHERE stripe_payment_intent_id = $1`,
+         WHERE stripe_payment_intent_id = $1 AND status = 'pending'
+         RETURNING *`,
         [paymentIntent.id]
       );
+      for (const payment of completed.rows) {
+        publish('payment.completed', { payment, rideId: payment.ride_id });
+      }
       break;
 
     case 'payment_intent.payment_failed':
@@ -162,7 +301,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), asyncHandler(
       await query(
         `UPDATE payments
          SET status = 'failed'
-         WHERE stripe_payment_intent_id = $1`,
+         WHERE stripe_payment_intent_id = $1 AND status = 'pending'`,
         [failedPayment.id]
       );
       break;
@@ -0,0 +1,181 @@
+const express = require('express');
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { requirePermission, requireVerified } = require('../middleware/auth');
+const {
+  createSeries,
+  updateSeries,
+  cancelSeries,
+  updateOccurrence,
+  cancelOccurrence,
+  listSeries,
+  getSeries,
+  addHoliday
+} = require('../services/rideSeries');
+const { resolveBooking } = require('../services/policy');
+
+const router = express.Router();
+
+const dateKey = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('Dates must use the YYYY-MM-DD format');
+
+const templateFields = {
+  startLocation: Joi.string(),
+  endLocation: Joi.string(),
+  startLatitude: Joi.number().min(-90).max(90),
+  startLongitude: Joi.number().min(-180).max(180),
+  endLatitude: Joi.number().min(-90).max(90),
+  endLongitude: Joi.number().min(-180).max(180),
+  specialRequirements: Joi.string().max(500),
+  emergencyContact: Joi.string(),
+  vehicleType: Joi.string().valid('car', 'van', 'wheelchair-accessible', 'stretcher-enabled')
+};
+
+// Validation schemas
+const createSeriesSchema = Joi.object({
+  ...templateFields,
+  startLocation: templateFields.startLocation.required(),
+  endLocation: templateFields.endLocation.required(),
+  startDate: Joi.date().iso().min('now').required(),
+  recurrence: Joi.string().max(200).required(),
+  exceptionDates: Joi.array().items(dateKey).unique().optional(),
+  skipHolidays: Joi.boolean().optional(),
+  patientId: Joi.string().optional(),
+  facilityId: Joi.number().integer().positive().optional()
+});
+
+const updateSeriesSchema = Joi.object({
+  ...templateFields,
+  startDate: Joi.date().iso().min('now'),
+  recurrence: Joi.string().max(200),
+  exceptionDates: Joi.array().items(dateKey).unique(),
+  skipHolidays: Joi.boolean()
+}).min(1);
+
+const updateOccurrenceSchema = Joi.object({
+  ...templateFields,
+  rideDate: Joi.date().iso().min('now')
+}).min(1);
+
+const cancelSchema = Joi.object({
+  reasonCode: Joi.string().required(),
+  note: Joi.string().max(500).optional()
+});
+
+const holidaySchema = Joi.object({
+  date: dateKey.required(),
+  name: Joi.string().max(200).required()
+});
+
+const validate = (schema, body) => {
+  const { error, value } = schema.validate(body || {});
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+  return value;
+};
+
+// Get holidays skipped by recurring rides
+router.get('/holidays', asyncHandler(async (req, res) => {
+  const result = await query('SELECT * FROM holidays ORDER BY holiday_date ASC');
+  res.json({ holidays: result.rows });
+}));
+
+// Add a holiday (admins)
+router.post('/holidays', requirePermission('holidays:manage'), asyncHandler(async (req, res) => {
+  const { date, name } = validate(holidaySchema, req.body);
+  const { holiday, canceled } = await addHoliday(date, name, req.user);
+
+  res.status(201).json({
+    message: 'Holiday added successfully',
+    holiday,
+    canceledRides: canceled
+  });
+}));
+
+// Remove a holiday (admins); later generated rides may fall on it again
+router.delete('/holidays/:date', requirePermission('holidays:manage'), asyncHandler(async (req, res) => {
+  const result = await query('DELETE FROM holidays WHERE holiday_date = $1 RETURNING *', [req.params.date]);
+  if (result.rows.length === 0) {
+    throw new AppError('Holiday not found', 404);
+  }
+
+  res.json({ message: 'Holiday removed successfully' });
+}));
+
+// Get ride series for current user (staff see all)
+router.get('/', asyncHandler(async (req, res) => {
+  const series = await listSeries(req.user);
+  res.json({ series });
+}));
+
+// Create a recurring ride series (patients, or facility staff and admins on behalf of a patient)
+router.post('/', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), requireVerified('booking'), asyncHandler(async (req, res) => {
+  const { patientId, facilityId, ...value } = validate(createSeriesSchema, req.body);
+  const booking = await resolveBooking(req.user, { patientId, facilityId });
+
+  const { series, rides } = await createSeries({ ...value, ...booking, createdBy: req.user.id });
+
+  res.status(201).json({
+    message: 'Ride series created successfully',
+    series,
+    rides
+  });
+}));
+
+// Get a ride series with its rides
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { series, rides } = await getSeries(req.params.id, req.user);
+  res.json({ series, rides });
+}));
+
+// Edit the whole series
+router.patch('/:id', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), asyncHandler(async (req, res) => {
+  const changes = validate(updateSeriesSchema, req.body);
+  const { series, canceled, generated } = await updateSeries(req.params.id, req.user, changes);
+
+  res.json({
+    message: 'Ride series updated successfully',
+    series,
+    canceledRides: canceled,
+    generatedRides: generated
+  });
+}));
+
+// Cancel the whole series and its upcoming rides with a reason code (see the
+// cancellation policy)
+router.post('/:id/cancel', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), asyncHandler(async (req, res) => {
+  const { series, canceled, fees } = await cancelSeries(req.params.id, req.user, validate(cancelSchema, req.body));
+
+  res.json({
+    message: 'Ride series canceled successfully',
+    series,
+    canceledRides: canceled,
+    fees
+  });
+}));
+
+// Edit one occurrence
+router.patch('/:id/occurrences/:rideId', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), asyncHandler(async (req, res) => {
+  const changes = validate(updateOccurrenceSchema, req.body);
+  const ride = await updateOccurrence(req.params.id, req.params.rideId, req.user, changes);
+
+  res.json({
+    message: 'Occurrence updated successfully',
+    ride
+  });
+}));
+
+// Cancel one occurrence with a reason code (see the cancellation policy)
+router.post('/:id/occurrences/:rideId/cancel', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), asyncHandler(async (req, res) => {
+  const { outcome, ride, fee } = await cancelOccurrence(req.params.id, req.params.rideId, req.user, validate(cancelSchema, req.body));
+
+  res.json({
+    message: 'Occurrence canceled successfully',
+    outcome,
+    ride,
+    fee
+  });
+}));
+
+module.exports = router;
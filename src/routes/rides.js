@@ -1,8 +1,18 @@
 const express = require('express');
 const Joi = require('joi');
-const { query } = require('../config/database');
+const { query, withTransaction } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission, requireVerified } = require('../middleware/auth');
+const { RIDE_STATUSES, recordStatusChange, transitionRide } = require('../services/rideLifecycle');
+const { DISPATCH_CONFIG, rankCandidates, getDispatchRuns } = require('../services/dispatch');
+const { offerRide, offerIfAuto, cancelPendingOffers, getRideOffers } = require('../services/rideOffers');
+const { estimateFare, quoteFare } = require('../services/fares');
+const { cancelRide } = require('../services/cancellations');
+const { TRACKED_STATUSES, refreshRideEta, scheduleEtaRefresh } = require('../services/eta');
+const { processDriverLocation, getGeofenceEvents } = require('../services/geofences');
+const { publishAfterCommit } = require('../services/events');
+const { markDriverChanged } = require('../services/dispatchBoard');
+const { scopeFilter, resolveBooking } = require('../services/policy');
 
 const router = express.Router();
 
@@ -17,19 +27,36 @@ const createRideSchema = Joi.object({
   rideDate: Joi.date().iso().min('now').required(),
   specialRequirements: Joi.string().max(500).optional(),
   emergencyContact: Joi.string().optional(),
-  vehicleType: Joi.string().valid('car', 'van', 'wheelchair-accessible', 'stretcher-enabled').optional()
+  vehicleType: Joi.string().valid('car', 'van', 'wheelchair-accessible', 'stretcher-enabled').optional(),
+  patientId: Joi.string().optional(),
+  facilityId: Joi.number().integer().positive().optional()
+});
+
+const quoteSchema = Joi.object({
+  startLatitude: Joi.number().min(-90).max(90).optional(),
+  startLongitude: Joi.number().min(-180).max(180).optional(),
+  endLatitude: Joi.number().min(-90).max(90).optional(),
+  endLongitude: Joi.number().min(-180).max(180).optional(),
+  rideDate: Joi.date().iso().optional(),
+  vehicleType: Joi.string().valid('car', 'van', 'wheelchair-accessible', 'stretcher-enabled').optional(),
+  waitMinutes: Joi.number().integer().min(0).max(600).optional()
+}).unknown(true);
+
+const cancelRideSchema = Joi.object({
+  reasonCode: Joi.string().required(),
+  note: Joi.string().max(500).optional()
 });
 
 const updateRideSchema = Joi.object({
-  status: Joi.string().valid('pending', 'accepted', 'in-progress', 'completed', 'canceled').optional(),
+  status: Joi.string().valid(...RIDE_STATUSES).optional(),
+  reason: Joi.string().max(500).optional(),
   fare: Joi.number().min(0).optional(),
   distance: Joi.number().min(0).optional(),
   durationMinutes: Joi.number().min(0).optional()
 });
 
-// Get all rides for current user
+// Get the rides the current user may see
 router.get('/', asyncHandler(async (req, res) => {
-  const userId = req.user.id;
   const { status, limit = 20, offset = 0 } = req.query;
 
   let queryText = `
@@ -47,25 +74,11 @@ router.get('/', asyncHandler(async (req, res) => {
     LEFT JOIN drivers d ON r.driver_id = d.id
     LEFT JOIN users du ON d.user_id = du.id
     LEFT JOIN vehicles v ON r.vehicle_id = v.id
-    WHERE 1=1
   `;
 
   const queryParams = [];
-  let paramCount = 0;
-
-  // Filter based on user role
-  if (req.user.role === 'patient') {
-    queryText += ` AND r.user_id = $${++paramCount}`;
-    queryParams.push(userId);
-  } else if (req.user.role === 'driver') {
-    // Get driver record for current user
-    const driverResult = await query('SELECT id FROM drivers WHERE user_id = $1', [userId]);
-    if (driverResult.rows.length > 0) {
-      queryText += ` AND r.driver_id = $${++paramCount}`;
-      queryParams.push(driverResult.rows[0].id);
-    }
-  }
-  // Admin can see all rides
+  queryText += ` WHERE ${scopeFilter(req.user, 'rides:read', queryParams, { alias: 'r' })}`;
+  let paramCount = queryParams.length;
 
   if (status) {
     queryText += ` AND r.status = $${++paramCount}`;
@@ -90,14 +103,16 @@ router.get('/', asyncHandler(async (req, res) => {
 // Get specific ride by ID
 router.get('/:id', asyncHandler(async (req, res) => {
   const rideId = req.params.id;
-  const userId = req.user.id;
+  const queryParams = [rideId];
 
-  let queryText = `
+  const queryText = `
     SELECT
       r.*,
       u.name as patient_name,
       u.email as patient_email,
       u.phone as patient_phone,
+      bu.name as booked_by_name,
+      f.name as facility_name,
       d.user_id as driver_user_id,
       du.name as driver_name,
       du.phone as driver_phone,
@@ -109,26 +124,14 @@ router.get('/:id', asyncHandler(async (req, res) => {
       v.capacity
     FROM rides r
     LEFT JOIN users u ON r.user_id = u.id
+    LEFT JOIN users bu ON r.booked_by = bu.id
+    LEFT JOIN facilities f ON r.facility_id = f.id
     LEFT JOIN drivers d ON r.driver_id = d.id
     LEFT JOIN users du ON d.user_id = du.id
     LEFT JOIN vehicles v ON r.vehicle_id = v.id
-    WHERE r.id = $1
+    WHERE r.id = $1 AND ${scopeFilter(req.user, 'rides:read', queryParams, { alias: 'r' })}
   `;
 
-  const queryParams = [rideId];
-
-  // Add permission check based on role
-  if (req.user.role === 'patient') {
-    queryText += ` AND r.user_id = $2`;
-    queryParams.push(userId);
-  } else if (req.user.role === 'driver') {
-    const driverResult = await query('SELECT id FROM drivers WHERE user_id = $1', [userId]);
-    if (driverResult.rows.length > 0) {
-      queryText += ` AND r.driver_id = $2`;
-      queryParams.push(driverResult.rows[0].id);
-    }
-  }
-
   const result = await query(queryText, queryParams);
 
   if (result.rows.length === 0) {
@@ -138,8 +141,20 @@ router.get('/:id', asyncHandler(async (req, res) => {
   res.json({ ride: result.rows[0] });
 }));
 
-// Create new ride (patients only)
-router.post('/', requireRole(['patient', 'admin']), asyncHandler(async (req, res) => {
+// Itemized fare estimate before booking
+router.post('/quote', asyncHandler(async (req, res) => {
+  const { error, value } = quoteSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const quote = await quoteFare({ query }, value);
+  res.json({ quote });
+}));
+
+// Create new ride (patients for themselves, facility staff and admins on behalf
+// of a patient)
+router.post('/', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), requireVerified('booking'), asyncHandler(async (req, res) => {
   const { error, value } = createRideSchema.validate(req.body);
   if (error) {
     throw new AppError(error.details[0].message, 400);
@@ -158,48 +173,65 @@ router.post('/', requireRole(['patient', 'admin']), asyncHandler(async (req, res
     vehicleType
   } = value;
 
+  const { patientId, facilityId } = await resolveBooking(req.user, value);
   const userId = req.user.id;
 
-  // Calculate estimated fare (simplified calculation)
-  let estimatedFare = 15.0; // Base fare
-  if (startLatitude && startLongitude && endLatitude && endLongitude) {
-    const distance = calculateDistance(
-      startLatitude, startLongitude,
-      endLatitude, endLongitude
+  const estimatedFare = await estimateFare({ query }, {
+    vehicleType, startLatitude, startLongitude, endLatitude, endLongitude, rideDate
+  });
+
+  const ride = await withTransaction(async (tx) => {
+    const result = await tx.query(
+      `INSERT INTO rides (
+        user_id, start_location, end_location, start_latitude, start_longitude,
+        end_latitude, end_longitude, ride_date, fare, special_requirements,
+        emergency_contact, vehicle_type, facility_id, booked_by, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+      RETURNING *`,
+      [
+        patientId, startLocation, endLocation, startLatitude, startLongitude,
+        endLatitude, endLongitude, rideDate, estimatedFare, specialRequirements,
+        emergencyContact, vehicleType, facilityId, userId
+      ]
     );
-    estimatedFare += distance * 2.5; // $2.50 per mile
-  }
 
-  const result = await query(
-    `INSERT INTO rides (
-      user_id, start_location, end_location, start_latitude, start_longitude,
-      end_latitude, end_longitude, ride_date, fare, special_requirements,
-      emergency_contact, created_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
-    RETURNING *`,
-    [
-      userId, startLocation, endLocation, startLatitude, startLongitude,
-      endLatitude, endLongitude, rideDate, estimatedFare, specialRequirements,
-      emergencyContact
-    ]
-  );
+    await recordStatusChange(tx, {
+      rideId: result.rows[0].id,
+      fromStatus: null,
+      toStatus: result.rows[0].status,
+      changedBy: userId,
+      role: req.user.role
+    });
 
-  const ride = result.rows[0];
-
-  // Find available drivers (simplified matching)
-  if (vehicleType) {
-    const availableDrivers = await query(
-      `SELECT d.id, d.user_id, du.name, d.vehicle_type, d.rating
-       FROM drivers d
-       JOIN users du ON d.user_id = du.id
-       WHERE d.availability = true
-       AND d.vehicle_type = $1
-       ORDER BY d.rating DESC
-       LIMIT 5`,
-      [vehicleType]
-    );
+    publishAfterCommit(tx, 'ride.created', { ride: result.rows[0] }, { actor: req.user });
+    return result.rows[0];
+  });
 
-    ride.availableDrivers = availableDrivers.rows;
+  if (DISPATCH_CONFIG.mode === 'auto') {
+    // Offer the ride to the best-scoring driver straight away; the booking
+    // stands even if that fails
+    const dispatch = await offerIfAuto(ride.id, userId);
+    ride.dispatch = {
+      mode: 'auto',
+      offered: Boolean(dispatch),
+      driverId: dispatch ? dispatch.driverId : null,
+      offerId: dispatch ? dispatch.offerId : null,
+      expiresAt: dispatch ? dispatch.expiresAt : null
+    };
+  } else if (vehicleType) {
+    // Suggest the best-scoring drivers; an admin assigns
+    const candidates = await rankCandidates({ query }, ride);
+    ride.availableDrivers = candidates
+      .filter((candidate) => candidate.eligible)
+      .slice(0, 5)
+      .map((candidate) => ({
+        id: candidate.driverId,
+        user_id: candidate.userId,
+        name: candidate.name,
+        vehicle_type: candidate.vehicleType,
+        rating: candidate.rating,
+        score: candidate.total
+      }));
   }
 
   res.status(201).json({
@@ -208,8 +240,8 @@ router.post('/', requireRole(['patient', 'admin']), asyncHandler(async (req, res
   });
 }));
 
-// Update ride status (drivers and admins)
-router.patch('/:id', requireRole(['driver', 'admin']), asyncHandler(async (req, res) => {
+// Update ride status (assigned drivers and admins)
+router.patch('/:id', asyncHandler(async (req, res) => {
   const rideId = req.params.id;
   const { error, value } = updateRideSchema.validate(req.body);
 
@@ -217,67 +249,97 @@ router.patch('/:id', requireRole(['driver', 'admin']), asyncHandler(async (req,
     throw new AppError(error.details[0].message, 400);
   }
 
-  const { status, fare, distance, durationMinutes } = value;
+  const { status, reason, fare, distance, durationMinutes } = value;
 
   // Check if ride exists and user has permission
-  let permissionQuery = 'SELECT * FROM rides WHERE id = $1';
   const permissionParams = [rideId];
+  const permission = scopeFilter(req.user, 'rides:update', permissionParams, { alias: 'r' });
 
-  if (req.user.role === 'driver') {
-    const driverResult = await query('SELECT id FROM drivers WHERE user_id = $1', [req.user.id]);
-    if (driverResult.rows.length > 0) {
-      permissionQuery += ' AND driver_id = $2';
-      permissionParams.push(driverResult.rows[0].id);
+  const ride = await withTransaction(async (tx) => {
+    const rideCheck = await tx.query(
+      `SELECT r.* FROM rides r WHERE r.id = $1 AND ${permission} FOR UPDATE OF r`,
+      permissionParams
+    );
+    if (rideCheck.rows.length === 0) {
+      throw new AppError('Ride not found or no permission', 404);
     }
-  }
 
-  const rideCheck = await query(permissionQuery, permissionParams);
-  if (rideCheck.rows.length === 0) {
-    throw new AppError('Ride not found or no permission', 404);
-  }
+    let current = rideCheck.rows[0];
 
-  // Build update query dynamically
-  const updateFields = [];
-  const updateParams = [];
-  let paramCount = 0;
+    // Status changes go through the lifecycle state machine
+    if (status !== undefined && status !== current.status) {
+      current = await transitionRide(tx, current, status, req.user, { reason });
+      await cancelPendingOffers(tx, current.id);
+    }
+
+    // Build update query dynamically
+    const updateFields = [];
+    const updateParams = [];
+    let paramCount = 0;
+
+    if (fare !== undefined) {
+      updateFields.push(`fare = $${++paramCount}`);
+      updateParams.push(fare);
+    }
+    if (distance !== undefined) {
+      updateFields.push(`distance = $${++paramCount}`);
+      updateParams.push(distance);
+    }
+    if (durationMinutes !== undefined) {
+      updateFields.push(`duration_minutes = $${++paramCount}`);
+      updateParams.push(durationMinutes);
+    }
+
+    if (updateFields.length === 0) {
+      return current;
+    }
+
+    updateFields.push(`updated_at = NOW()`);
+    updateParams.push(rideId);
+
+    const updateQuery = `
+      UPDATE rides
+      SET ${updateFields.join(', ')}
+      WHERE id = $${++paramCount}
+      RETURNING *
+    `;
+
+    const result = await tx.query(updateQuery, updateParams);
+    return result.rows[0];
+  });
 
   if (status !== undefined) {
-    updateFields.push(`status = $${++paramCount}`);
-    updateParams.push(status);
-  }
-  if (fare !== undefined) {
-    updateFields.push(`fare = $${++paramCount}`);
-    updateParams.push(fare);
-  }
-  if (distance !== undefined) {
-    updateFields.push(`distance = $${++paramCount}`);
-    updateParams.push(distance);
-  }
-  if (durationMinutes !== undefined) {
-    updateFields.push(`duration_minutes = $${++paramCount}`);
-    updateParams.push(durationMinutes);
+    scheduleEtaRefresh(ride.id);
   }
 
-  updateFields.push(`updated_at = NOW()`);
-  updateParams.push(rideId);
+  res.json({
+    message: 'Ride updated successfully',
+    ride
+  });
+}));
 
-  const updateQuery = `
-    UPDATE rides
-    SET ${updateFields.join(', ')}
-    WHERE id = $${++paramCount}
-    RETURNING *
-  `;
+// Cancel a ride (patients, assigned drivers, dispatchers, admins) under the cancellation policy.
+// Drivers cancelling for reasons other than a no-show release the ride for reassignment.
+router.post('/:id/cancel', asyncHandler(async (req, res) => {
+  const { error, value } = cancelRideSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
 
-  const result = await query(updateQuery, updateParams);
+  const { outcome, ride, fee, dispatch } = await cancelRide(req.params.id, req.user, value);
+  scheduleEtaRefresh(ride.id);
 
   res.json({
-    message: 'Ride updated successfully',
-    ride: result.rows[0]
+    message: outcome === 'released' ? 'Ride released for reassignment' : 'Ride canceled successfully',
+    outcome,
+    ride,
+    fee,
+    dispatch
   });
 }));
 
-// Assign driver to ride (admins or auto-assignment)
-router.post('/:id/assign', requireRole(['admin']), asyncHandler(async (req, res) => {
+// Assign driver to ride (dispatchers and admins)
+router.post('/:id/assign', requirePermission('rides:assign'), asyncHandler(async (req, res) => {
   const rideId = req.params.id;
   const { driverId } = req.body;
 
@@ -285,68 +347,152 @@ router.post('/:id/assign', requireRole(['admin']), asyncHandler(async (req, res)
     throw new AppError('Driver ID is required', 400);
   }
 
-  // Check if ride exists and is pending
-  const rideResult = await query(
-    'SELECT * FROM rides WHERE id = $1 AND status = $2',
-    [rideId, 'pending']
-  );
+  const ride = await withTransaction(async (tx) => {
+    // Check if ride exists and is pending; the row lock stops concurrent assignments
+    const rideResult = await tx.query(
+      'SELECT * FROM rides WHERE id = $1 AND status = $2 FOR UPDATE',
+      [rideId, 'pending']
+    );
+
+    if (rideResult.rows.length === 0) {
+      throw new AppError('Ride not found or not available for assignment', 404);
+    }
+
+    // Check if driver is available
+    const driverResult = await tx.query(
+      `SELECT d.*, v.id as vehicle_id FROM drivers d
+       LEFT JOIN vehicles v ON d.id = v.driver_id
+       WHERE d.id = $1 AND d.availability = true AND d.approval_status = 'approved'
+       FOR UPDATE OF d`,
+      [driverId]
+    );
+
+    if (driverResult.rows.length === 0) {
+      throw new AppError('Driver not found or not available', 404);
+    }
+
+    const driver = driverResult.rows[0];
 
+    // A manual assignment overrides any outstanding offer
+    await cancelPendingOffers(tx, rideId);
+
+    // Assign driver and vehicle to ride
+    const assigned = await transitionRide(tx, rideResult.rows[0], 'accepted', req.user, {
+      reason: 'Driver assigned',
+      fields: { driver_id: driverId, vehicle_id: driver.vehicle_id }
+    });
+
+    publishAfterCommit(tx, 'ride.assigned', {
+      ride: assigned,
+      driverId: driver.id,
+      driverUserId: driver.user_id
+    }, { actor: req.user });
+    return assigned;
+  });
+
+  scheduleEtaRefresh(ride.id);
+
+  res.json({
+    message: 'Driver assigned successfully',
+    ride
+  });
+}));
+
+// Get dispatch scoring for a ride: live ranking plus recorded decisions (admin audit)
+router.get('/:id/dispatch', requirePermission('rides:dispatch'), asyncHandler(async (req, res) => {
+  const rideId = req.params.id;
+
+  const rideResult = await query('SELECT * FROM rides WHERE id = $1', [rideId]);
   if (rideResult.rows.length === 0) {
-    throw new AppError('Ride not found or not available for assignment', 404);
+    throw new AppError('Ride not found', 404);
   }
 
-  // Check if driver is available
-  const driverResult = await query(
-    `SELECT d.*, v.id as vehicle_id FROM drivers d
-     LEFT JOIN vehicles v ON d.id = v.driver_id
-     WHERE d.id = $1 AND d.availability = true`,
-    [driverId]
-  );
+  const candidates = await rankCandidates({ query }, rideResult.rows[0]);
+  const runs = await getDispatchRuns(rideId);
 
-  if (driverResult.rows.length === 0) {
-    throw new AppError('Driver not found or not available', 404);
+  res.json({
+    rideId,
+    mode: DISPATCH_CONFIG.mode,
+    weights: DISPATCH_CONFIG.weights,
+    candidates,
+    runs
+  });
+}));
+
+// Offer a pending ride to the next best driver now (dispatchers and admins)
+router.post('/:id/dispatch', requirePermission('rides:dispatch'), asyncHandler(async (req, res) => {
+  const dispatch = await offerRide(req.params.id, {
+    triggeredBy: req.user.id,
+    mode: 'manual'
+  });
+
+  if (!dispatch) {
+    throw new AppError('No eligible driver available for this ride', 409);
+  }
+
+  res.status(201).json({
+    message: 'Ride offered to driver',
+    offer: dispatch.offer,
+    candidate: dispatch.candidate
+  });
+}));
+
+// Get every driver offer made for a ride (admin audit)
+router.get('/:id/offers', requirePermission('rides:dispatch'), asyncHandler(async (req, res) => {
+  const rideResult = await query('SELECT id FROM rides WHERE id = $1', [req.params.id]);
+  if (rideResult.rows.length === 0) {
+    throw new AppError('Ride not found', 404);
   }
 
-  const driver = driverResult.rows[0];
+  const offers = await getRideOffers(req.params.id);
+  res.json({ offers });
+}));
+
+// Get ride status history
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  const rideId = req.params.id;
 
-  // Assign driver and vehicle to ride
-  const updateResult = await query(
-    `UPDATE rides
-     SET driver_id = $1, vehicle_id = $2, status = 'accepted', updated_at = NOW()
-     WHERE id = $3
-     RETURNING *`,
-    [driverId, driver.vehicle_id, rideId]
+  const permissionParams = [rideId];
+  const rideCheck = await query(
+    `SELECT r.id FROM rides r WHERE r.id = $1 AND ${scopeFilter(req.user, 'rides:read', permissionParams, { alias: 'r' })}`,
+    permissionParams
+  );
+  if (rideCheck.rows.length === 0) {
+    throw new AppError('Ride not found', 404);
+  }
+
+  const historyResult = await query(
+    `SELECT h.*, u.name as changed_by_name
+     FROM ride_status_history h
+     LEFT JOIN users u ON h.changed_by = u.id
+     WHERE h.ride_id = $1
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [rideId]
   );
 
   res.json({
-    message: 'Driver assigned successfully',
-    ride: updateResult.rows[0]
+    rideId,
+    history: historyResult.rows
   });
 }));
 
+// Get geofence crossings and the milestones they triggered (admin audit)
+router.get('/:id/geofence-events', requirePermission('rides:dispatch'), asyncHandler(async (req, res) => {
+  const events = await getGeofenceEvents(req.params.id);
+  res.json({ rideId: req.params.id, events });
+}));
+
 // Get ride tracking data
 router.get('/:id/tracking', asyncHandler(async (req, res) => {
   const rideId = req.params.id;
 
   // Check if user has permission to view this ride
-  let permissionQuery = `
-    SELECT r.id FROM rides r
-    WHERE r.id = $1 AND (r.user_id = $2
-  `;
-  const permissionParams = [rideId, req.user.id];
-
-  if (req.user.role === 'driver') {
-    const driverResult = await query('SELECT id FROM drivers WHERE user_id = $1', [req.user.id]);
-    if (driverResult.rows.length > 0) {
-      permissionQuery += ' OR r.driver_id = $3';
-      permissionParams.push(driverResult.rows[0].id);
-    }
-  }
-
-  permissionQuery += ')';
-
-  const permissionCheck = await query(permissionQuery, permissionParams);
-  if (permissionCheck.rows.length === 0 && req.user.role !== 'admin') {
+  const permissionParams = [rideId];
+  const permissionCheck = await query(
+    `SELECT r.id FROM rides r WHERE r.id = $1 AND ${scopeFilter(req.user, 'rides:read', permissionParams, { alias: 'r' })}`,
+    permissionParams
+  );
+  if (permissionCheck.rows.length === 0) {
     throw new AppError('No permission to view this ride tracking', 403);
   }
 
@@ -366,7 +512,7 @@ router.get('/:id/tracking', asyncHandler(async (req, res) => {
 }));
 
 // Add tracking point (drivers only)
-router.post('/:id/tracking', requireRole(['driver']), asyncHandler(async (req, res) => {
+router.post('/:id/tracking', requirePermission('rides:track'), asyncHandler(async (req, res) => {
   const rideId = req.params.id;
   const { latitude, longitude, speed, heading } = req.body;
 
@@ -381,7 +527,7 @@ router.post('/:id/tracking', requireRole(['driver']), asyncHandler(async (req, r
   }
 
   const rideCheck = await query(
-    'SELECT id FROM rides WHERE id = $1 AND driver_id = $2',
+    'SELECT id, status FROM rides WHERE id = $1 AND driver_id = $2',
     [rideId, driverResult.rows[0].id]
   );
 
@@ -389,27 +535,42 @@ router.post('/:id/tracking', requireRole(['driver']), asyncHandler(async (req, r
     throw new AppError('Ride not found or not assigned to you', 404);
   }
 
-  // Add tracking point
-  await query(
-    `INSERT INTO ride_tracking (ride_id, latitude, longitude, speed, heading, timestamp)
-     VALUES ($1, $2, $3, $4, $5, NOW())`,
-    [rideId, latitude, longitude, speed, heading]
-  );
+  // Only rides with the driver on the way or on board are tracked
+  if (!TRACKED_STATUSES.includes(rideCheck.rows[0].status)) {
+    throw new AppError(`Ride is ${rideCheck.rows[0].status}`, 409);
+  }
 
-  res.json({ message: 'Tracking point added successfully' });
-}));
+  // Add tracking point and remember it as the driver's last known location
+  await withTransaction(async (tx) => {
+    await tx.query(
+      `INSERT INTO ride_tracking (ride_id, latitude, longitude, speed, heading, timestamp)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [rideId, latitude, longitude, speed, heading]
+    );
 
-// Helper function to calculate distance between two points (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
+    await tx.query(
+      `UPDATE drivers
+       SET last_latitude = $1, last_longitude = $2, last_location_at = NOW()
+       WHERE id = $3`,
+      [latitude, longitude, driverResult.rows[0].id]
+    );
+  });
+
+  markDriverChanged(driverResult.rows[0].id);
+
+  // Geofences may advance the ride (arrived, picked up, dropped off) before ETAs are recomputed
+  const geofence = await processDriverLocation(rideId, { latitude, longitude });
+  const eta = await refreshRideEta(rideId);
+
+  res.json({
+    message: 'Tracking point added successfully',
+    geofence: geofence && {
+      status: geofence.ride.status,
+      milestone: geofence.milestone,
+      events: geofence.events
+    },
+    eta
+  });
+}));
 
 module.exports = router;
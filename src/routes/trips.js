@@ -0,0 +1,171 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { requirePermission, requireVerified } = require('../middleware/auth');
+const { createTrip, getTrip, listTrips, markLegReady, cancelTrip } = require('../services/trips');
+const { resolveBooking } = require('../services/policy');
+
+const router = express.Router();
+
+const coordinates = {
+  startLatitude: Joi.number().min(-90).max(90).optional(),
+  startLongitude: Joi.number().min(-180).max(180).optional(),
+  endLatitude: Joi.number().min(-90).max(90).optional(),
+  endLongitude: Joi.number().min(-180).max(180).optional()
+};
+
+const roundTrip = (schema) => Joi.when('tripType', { is: 'round-trip', then: schema, otherwise: Joi.forbidden() });
+const multiLeg = (schema) => Joi.when('tripType', { is: 'multi-leg', then: schema, otherwise: Joi.forbidden() });
+
+// Validation schemas
+const legSchema = Joi.object({
+  startLocation: Joi.string().required(),
+  endLocation: Joi.string().required(),
+  ...coordinates,
+  rideDate: Joi.date().iso().min('now').optional(),
+  pickupMode: Joi.string().valid('timed', 'will-call').default('timed')
+});
+
+const createTripSchema = Joi.object({
+  tripType: Joi.string().valid('round-trip', 'multi-leg').required(),
+
+  // Round trip: out from startLocation to endLocation, then back
+  startLocation: roundTrip(Joi.string().required()),
+  endLocation: roundTrip(Joi.string().required()),
+  startLatitude: roundTrip(coordinates.startLatitude),
+  startLongitude: roundTrip(coordinates.startLongitude),
+  endLatitude: roundTrip(coordinates.endLatitude),
+  endLongitude: roundTrip(coordinates.endLongitude),
+  rideDate: roundTrip(Joi.date().iso().min('now').required()),
+  returnMode: roundTrip(Joi.string().valid('timed', 'will-call').required()),
+  returnDate: roundTrip(Joi.when('returnMode', {
+    is: 'timed',
+    then: Joi.date().iso().greater(Joi.ref('rideDate')).required(),
+    otherwise: Joi.forbidden()
+  })),
+
+  // Multi-leg: legs in travel order
+  legs: multiLeg(Joi.array().items(legSchema).min(2).max(10).required()),
+
+  specialRequirements: Joi.string().max(500).optional(),
+  emergencyContact: Joi.string().optional(),
+  vehicleType: Joi.string().valid('car', 'van', 'wheelchair-accessible', 'stretcher-enabled').optional(),
+  patientId: Joi.string().optional(),
+  facilityId: Joi.number().integer().positive().optional()
+});
+
+const readySchema = Joi.object({
+  pickupInMinutes: Joi.number().integer().min(0).max(240).optional()
+});
+
+const cancelSchema = Joi.object({
+  reasonCode: Joi.string().required(),
+  note: Joi.string().max(500).optional()
+});
+
+// Turn a round-trip booking into its outbound and return legs
+const roundTripLegs = (value) => [
+  {
+    startLocation: value.startLocation,
+    endLocation: value.endLocation,
+    startLatitude: value.startLatitude,
+    startLongitude: value.startLongitude,
+    endLatitude: value.endLatitude,
+    endLongitude: value.endLongitude,
+    rideDate: value.rideDate,
+    pickupMode: 'timed'
+  },
+  {
+    startLocation: value.endLocation,
+    endLocation: value.startLocation,
+    startLatitude: value.endLatitude,
+    startLongitude: value.endLongitude,
+    endLatitude: value.startLatitude,
+    endLongitude: value.startLongitude,
+    rideDate: value.returnDate,
+    pickupMode: value.returnMode
+  }
+];
+
+// Get trips for current user
+router.get('/', asyncHandler(async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+  const trips = await listTrips(req.user, { limit, offset });
+
+  res.json({
+    trips,
+    pagination: {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      total: trips.length
+    }
+  });
+}));
+
+// Get a trip with its legs
+router.get('/:id', asyncHandler(async (req, res) => {
+  const trip = await getTrip(req.params.id, req.user);
+  res.json({ trip });
+}));
+
+// Book a round-trip or multi-leg trip (patients, or facility staff and admins on behalf of a patient)
+router.post('/', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), requireVerified('booking'), asyncHandler(async (req, res) => {
+  const { error, value } = createTripSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const { patientId, facilityId } = await resolveBooking(req.user, value);
+
+  const trip = await createTrip({
+    userId: patientId,
+    createdBy: req.user.id,
+    role: req.user.role,
+    facilityId,
+    tripType: value.tripType,
+    legs: value.tripType === 'round-trip' ? roundTripLegs(value) : value.legs,
+    shared: {
+      specialRequirements: value.specialRequirements,
+      emergencyContact: value.emergencyContact,
+      vehicleType: value.vehicleType
+    }
+  });
+
+  res.status(201).json({
+    message: 'Trip booked successfully',
+    trip
+  });
+}));
+
+// Patient is ready to be picked up for a will-call leg
+router.post('/:id/legs/:rideId/ready', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), asyncHandler(async (req, res) => {
+  const { error, value } = readySchema.validate(req.body || {});
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const ride = await markLegReady(req.params.id, req.params.rideId, req.user, value);
+
+  res.json({
+    message: 'Pickup requested successfully',
+    ride
+  });
+}));
+
+// Cancel the remaining legs of a trip with a reason code (see the cancellation policy)
+router.post('/:id/cancel', requirePermission('rides:book:own', 'rides:book:facility', 'rides:book:any'), asyncHandler(async (req, res) => {
+  const { error, value } = cancelSchema.validate(req.body || {});
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const { legs, fees } = await cancelTrip(req.params.id, req.user, value);
+
+  res.json({
+    message: 'Trip canceled successfully',
+    legs,
+    fees
+  });
+}));
+
+module.exports = router;
@@ -2,7 +2,11 @@ const express = require('express');
 const Joi = require('joi');
 const { query } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { requireAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { listSessions, revokeSession, revokeUserSessions } = require('../services/sessions');
+const { resetMfa } = require('../services/mfa');
+const { unlockAccount } = require('../services/authThrottle');
+const { permissionsFor } = require('../services/policy');
 
 const router = express.Router();
 
@@ -11,7 +15,7 @@ router.get('/profile', asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const result = await query(
-    'SELECT id, name, email, phone, role, created_at FROM users WHERE id = $1',
+    'SELECT id, name, email, phone, role, email_verified, phone_verified, created_at FROM users WHERE id = $1',
     [userId]
   );
 
@@ -20,6 +24,7 @@ router.get('/profile', asyncHandler(async (req, res) => {
   }
 
   const user = result.rows[0];
+  user.permissions = permissionsFor(user.role);
 
   // If user is a driver, get driver-specific info
   if (user.role === 'driver') {
@@ -55,6 +60,11 @@ router.patch('/profile', asyncHandler(async (req, res) => {
   if (phone) {
     updateFields.push(`phone = $${++paramCount}`);
     updateParams.push(phone);
+    // A new number has to be verified again
+    updateFields.push(
+      `phone_verified = CASE WHEN phone = $${paramCount} THEN phone_verified ELSE false END`,
+      `phone_verified_at = CASE WHEN phone = $${paramCount} THEN phone_verified_at ELSE NULL END`
+    );
   }
 
   if (updateFields.length === 0) {
@@ -68,7 +78,7 @@ router.patch('/profile', asyncHandler(async (req, res) => {
     UPDATE users
     SET ${updateFields.join(', ')}
     WHERE id = $${++paramCount}
-    RETURNING id, name, email, phone, role, created_at, updated_at
+    RETURNING id, name, email, phone, role, email_verified, phone_verified, created_at, updated_at
   `;
 
   const result = await query(updateQuery, updateParams);
@@ -80,7 +90,7 @@ router.patch('/profile', asyncHandler(async (req, res) => {
 }));
 
 // Get all users (admin only)
-router.get('/', requireAdmin, asyncHandler(async (req, res) => {
+router.get('/', requirePermission('users:read:any'), asyncHandler(async (req, res) => {
   const { role, limit = 50, offset = 0 } = req.query;
 
   let queryText = 'SELECT id, name, email, phone, role, created_at FROM users WHERE 1=1';
@@ -107,4 +117,75 @@ router.get('/', requireAdmin, asyncHandler(async (req, res) => {
   });
 }));
 
+// List the current user's active sessions (logins and the devices they run on)
+router.get('/sessions', asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user.id, req.user.sessionId);
+  res.json({ sessions });
+}));
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const revoked = await revokeSession(req.user.id, req.params.sessionId, 'revoked_by_user');
+  if (!revoked) {
+    throw new AppError('Session not found', 404);
+  }
+
+  res.json({ message: 'Session revoked successfully' });
+}));
+
+// List a user's active sessions (admin only)
+router.get('/:id/sessions', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+  const userResult = await query('SELECT id FROM users WHERE id = $1', [req.params.id]);
+  if (userResult.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  const sessions = await listSessions(req.params.id);
+  res.json({ sessions });
+}));
+
+// Force-terminate every session of a user (admin only)
+router.delete('/:id/sessions', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+  const userResult = await query('SELECT id FROM users WHERE id = $1', [req.params.id]);
+  if (userResult.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  const sessionIds = await revokeUserSessions(req.params.id, 'terminated_by_admin');
+  console.log(`Admin ${req.user.id} terminated ${sessionIds.length} session(s) of user ${req.params.id}`);
+
+  res.json({
+    message: 'Sessions terminated successfully',
+    sessionsRevoked: sessionIds.length
+  });
+}));
+
+// Reset a user's MFA, e.g. after a lost phone (admin only); the user is signed
+// out and enrolls again
+router.delete('/:id/mfa', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+  const sessionIds = await resetMfa(req.params.id);
+  console.log(`Admin ${req.user.id} reset MFA of user ${req.params.id}`);
+
+  res.json({
+    message: 'Multi-factor authentication reset successfully',
+    sessionsRevoked: sessionIds.length
+  });
+}));
+
+// Lift a login lockout early (admin only)
+router.post('/:id/unlock', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+  const userResult = await query('SELECT email FROM users WHERE id = $1', [req.params.id]);
+  if (userResult.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  const wasLocked = await unlockAccount(userResult.rows[0].email);
+  console.log(`Admin ${req.user.id} unlocked user ${req.params.id}`);
+
+  res.json({
+    message: wasLocked ? 'Account unlocked successfully' : 'Account had no failed login attempts',
+    unlocked: wasLocked
+  });
+}));
+
 module.exports = router;
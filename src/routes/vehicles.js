@@ -2,7 +2,8 @@ const express = require('express');
 const Joi = require('joi');
 const { query } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { requireDriver, requireAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { scopeFilter } = require('../services/policy');
 
 const router = express.Router();
 
@@ -14,44 +15,25 @@ const vehicleSchema = Joi.object({
   vehicleYear: Joi.number().min(1990).max(new Date().getFullYear() + 1).required()
 });
 
-// Get all vehicles (admin) or driver's vehicle
+// Get all vehicles (staff) or the driver's own
 router.get('/', asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-
-  let queryText;
-  let queryParams;
-
-  if (req.user.role === 'admin') {
-    queryText = `
-      SELECT v.*, d.user_id, u.name as driver_name
-      FROM vehicles v
-      JOIN drivers d ON v.driver_id = d.id
-      JOIN users u ON d.user_id = u.id
-      ORDER BY v.created_at DESC
-    `;
-    queryParams = [];
-  } else if (req.user.role === 'driver') {
-    const driverResult = await query('SELECT id FROM drivers WHERE user_id = $1', [userId]);
-    if (driverResult.rows.length === 0) {
-      throw new AppError('Driver record not found', 404);
-    }
-
-    queryText = `
-      SELECT v.* FROM vehicles v
-      WHERE v.driver_id = $1
-    `;
-    queryParams = [driverResult.rows[0].id];
-  } else {
-    throw new AppError('Access denied', 403);
-  }
+  const queryParams = [];
 
-  const result = await query(queryText, queryParams);
+  const result = await query(
+    `SELECT v.*, d.user_id, u.name as driver_name
+     FROM vehicles v
+     JOIN drivers d ON v.driver_id = d.id
+     JOIN users u ON d.user_id = u.id
+     WHERE ${scopeFilter(req.user, 'vehicles:read', queryParams, { alias: 'v' })}
+     ORDER BY v.created_at DESC`,
+    queryParams
+  );
 
   res.json({ vehicles: result.rows });
 }));
 
 // Add vehicle (driver only)
-router.post('/', requireDriver, asyncHandler(async (req, res) => {
+router.post('/', requirePermission('vehicles:write:own'), asyncHandler(async (req, res) => {
   const { error, value } = vehicleSchema.validate(req.body);
   if (error) {
     throw new AppError(error.details[0].message, 400);
@@ -88,24 +70,16 @@ router.post('/', requireDriver, asyncHandler(async (req, res) => {
   });
 }));
 
-// Update vehicle
-router.patch('/:id', requireDriver, asyncHandler(async (req, res) => {
+// Update vehicle (its driver)
+router.patch('/:id', asyncHandler(async (req, res) => {
   const vehicleId = req.params.id;
-  const userId = req.user.id;
   const { licensePlate, capacity, vehicleMake, vehicleModel, vehicleYear, availability } = req.body;
 
-  // Get driver ID and verify ownership
-  const driverResult = await query('SELECT id FROM drivers WHERE user_id = $1', [userId]);
-  if (driverResult.rows.length === 0) {
-    throw new AppError('Driver record not found', 404);
-  }
-
-  const driverId = driverResult.rows[0].id;
-
   // Verify vehicle belongs to driver
+  const ownershipParams = [vehicleId];
   const vehicleResult = await query(
-    'SELECT * FROM vehicles WHERE id = $1 AND driver_id = $2',
-    [vehicleId, driverId]
+    `SELECT v.* FROM vehicles v WHERE v.id = $1 AND ${scopeFilter(req.user, 'vehicles:write', ownershipParams, { alias: 'v' })}`,
+    ownershipParams
   );
 
   if (vehicleResult.rows.length === 0) {
@@ -165,7 +139,7 @@ router.patch('/:id', requireDriver, asyncHandler(async (req, res) => {
 }));
 
 // Delete vehicle (admin only)
-router.delete('/:id', requireAdmin, asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('vehicles:delete'), asyncHandler(async (req, res) => {
   const vehicleId = req.params.id;
 
   const result = await query('DELETE FROM vehicles WHERE id = $1 RETURNING *', [vehicleId]);
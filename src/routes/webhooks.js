@@ -0,0 +1,136 @@
+const express = require('express');
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { EVENT_TYPES } = require('../services/events');
+const { generateSecret } = require('../services/webhooks');
+
+// Webhook subscriptions (admin only; the router is mounted behind webhooks:manage)
+
+const router = express.Router();
+
+// Validation schemas
+const subscriptionFields = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  eventTypes: Joi.array().items(Joi.string().valid('*', ...EVENT_TYPES)).min(1).unique(),
+  description: Joi.string().max(200).allow(''),
+  active: Joi.boolean()
+};
+
+const createSubscriptionSchema = Joi.object({
+  ...subscriptionFields,
+  url: subscriptionFields.url.required()
+});
+
+const updateSubscriptionSchema = Joi.object(subscriptionFields).min(1);
+
+// API field name -> column, for dynamic updates
+const SUBSCRIPTION_COLUMNS = {
+  url: 'url',
+  eventTypes: 'event_types',
+  description: 'description',
+  active: 'active'
+};
+
+// The secret is only shown when the subscription is created
+const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+// Get webhook subscriptions
+router.get('/', asyncHandler(async (req, res) => {
+  const result = await query('SELECT * FROM webhook_subscriptions ORDER BY created_at DESC, id DESC');
+  res.json({ subscriptions: result.rows.map(withoutSecret), eventTypes: EVENT_TYPES });
+}));
+
+// Register a webhook; the response carries the signing secret
+router.post('/', asyncHandler(async (req, res) => {
+  const { error, value } = createSubscriptionSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const result = await query(
+    `INSERT INTO webhook_subscriptions (url, secret, event_types, description, active, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+     RETURNING *`,
+    [
+      value.url,
+      generateSecret(),
+      JSON.stringify(value.eventTypes || ['*']),
+      value.description || null,
+      value.active !== undefined ? value.active : true,
+      req.user.id
+    ]
+  );
+
+  res.status(201).json({
+    message: 'Webhook registered successfully',
+    subscription: result.rows[0]
+  });
+}));
+
+// Update a webhook
+router.patch('/:id', asyncHandler(async (req, res) => {
+  const { error, value } = updateSubscriptionSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const updateFields = [];
+  const updateParams = [];
+  let paramCount = 0;
+
+  for (const [field, column] of Object.entries(SUBSCRIPTION_COLUMNS)) {
+    if (value[field] !== undefined) {
+      updateFields.push(`${column} = $${++paramCount}`);
+      updateParams.push(field === 'eventTypes' ? JSON.stringify(value.eventTypes) : value[field]);
+    }
+  }
+
+  updateFields.push('updated_at = NOW()');
+  updateParams.push(req.params.id);
+
+  const result = await query(
+    `UPDATE webhook_subscriptions
+     SET ${updateFields.join(', ')}
+     WHERE id = $${++paramCount}
+     RETURNING *`,
+    updateParams
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Webhook not found', 404);
+  }
+
+  res.json({
+    message: 'Webhook updated successfully',
+    subscription: withoutSecret(result.rows[0])
+  });
+}));
+
+// Delete a webhook
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const result = await query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Webhook not found', 404);
+  }
+
+  res.json({ message: 'Webhook deleted successfully' });
+}));
+
+// Get recent deliveries of a webhook
+router.get('/:id/deliveries', asyncHandler(async (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+
+  const result = await query(
+    `SELECT * FROM webhook_deliveries
+     WHERE subscription_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [req.params.id, limit, offset]
+  );
+
+  res.json({ deliveries: result.rows });
+}));
+
+module.exports = router;
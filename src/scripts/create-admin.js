@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Bootstrap the first admin (public registration cannot create admins)
+//
+//   node src/scripts/create-admin.js --email <email> --name <name> [--password <password>]
+//
+// The password can also come from ADMIN_PASSWORD; without either a random one
+// is generated and printed once. Refuses to run when an admin already exists:
+// further admins are invited from the API (POST /api/invitations).
+
+const { pool } = require('../config/database');
+const { createFirstAdmin } = require('../config/firstAdmin');
+
+const parseOption = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = args[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`--${name} requires a value`);
+  }
+  return value;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const email = parseOption(args, 'email');
+  const name = parseOption(args, 'name');
+  if (!email || !name) {
+    throw new Error('Usage: create-admin --email <email> --name <name> [--password <password>]');
+  }
+
+  const client = await pool.connect();
+  try {
+    const admin = await createFirstAdmin((text, params) => client.query(text, params), {
+      email,
+      name,
+      password: parseOption(args, 'password') || process.env.ADMIN_PASSWORD
+    });
+
+    console.log(`✅ Created admin ${email} (${admin.id})`);
+    if (admin.password) {
+      console.log(`🔑 Password: ${admin.password}`);
+    }
+    console.log('Log in and enroll in multi-factor authentication (POST /api/auth/mfa/enroll) to start using the API.');
+  } finally {
+    client.release();
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
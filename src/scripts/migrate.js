@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Schema migration CLI
+//
+//   node src/scripts/migrate.js up [--to <version>]
+//   node src/scripts/migrate.js down [--steps <n>]
+//   node src/scripts/migrate.js status
+
+const { pool } = require('../config/database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../config/migrations');
+
+const parseOption = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = parseInt(args[index + 1], 10);
+  if (Number.isNaN(value)) {
+    throw new Error(`--${name} requires a numeric value`);
+  }
+  return value;
+};
+
+const main = async () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  // Migrations always target PostgreSQL on a single connection so BEGIN/COMMIT apply
+  const client = await pool.connect();
+  const run = (text, params) => client.query(text, params);
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(run, { to: parseOption(args, 'to') });
+        if (applied.length === 0) {
+          console.log('✅ Database schema is already up to date');
+        }
+        applied.forEach((migration) => console.log(`⬆️  Applied ${migration.version}_${migration.name}`));
+        break;
+      }
+
+      case 'down': {
+        const rolledBack = await migrateDown(run, { steps: parseOption(args, 'steps') || 1 });
+        if (rolledBack.length === 0) {
+          console.log('Nothing to roll back');
+        }
+        rolledBack.forEach((migration) => console.log(`⬇️  Rolled back ${migration.version}_${migration.name}`));
+        break;
+      }
+
+      case 'status': {
+        const { migrations, pending, missing } = await getMigrationStatus(run);
+        migrations.forEach((migration) => {
+          const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+          console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+        });
+        missing.forEach((migration) => {
+          console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  applied but missing locally`);
+        });
+        console.log(`\n${pending.length} pending migration(s)`);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -10,18 +10,32 @@ dotenv.config();
 
 // Import database initialization
 const { initDatabase } = require('./config/database');
+const { setSocketServer } = require('./services/realtime');
+const { startOfferSweeper } = require('./services/rideOffers');
+const { startSeriesScheduler } = require('./services/rideSeries');
+const { acceptDriverLocation, startLocationWriter } = require('./services/driverLocations');
+const { canAccessRide } = require('./services/rideAccess');
+const { registerSubscribers } = require('./services/subscribers');
+const { attachDispatchBoard } = require('./services/dispatchBoard');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const driverRoutes = require('./routes/drivers');
 const rideRoutes = require('./routes/rides');
+const rideSeriesRoutes = require('./routes/rideSeries');
+const tripRoutes = require('./routes/trips');
+const fareRoutes = require('./routes/fares');
 const paymentRoutes = require('./routes/payments');
 const vehicleRoutes = require('./routes/vehicles');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const invitationRoutes = require('./routes/invitations');
+const facilityRoutes = require('./routes/facilities');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, authenticateSocket, requirePermission } = require('./middleware/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -31,6 +45,23 @@ const io = socketIo(server, {
     methods: ["GET", "POST"]
   }
 });
+setSocketServer(io);
+
+// Identify socket users from their access token
+io.use(authenticateSocket);
+
+// Socket.IO, notification and webhook subscribers of the domain event bus
+registerSubscribers();
+
+// `/dispatch` namespace streaming the live dispatch board (rides:dispatch)
+attachDispatchBoard(io);
+
+// Behind a reverse proxy, TRUST_PROXY (`true`, a hop count or a subnet list)
+// makes req.ip the client address, which login throttling counts by
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 
 // Middleware
 app.use(helmet());
@@ -55,34 +86,69 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/drivers', authenticateToken, driverRoutes);
 app.use('/api/rides', authenticateToken, rideRoutes);
+app.use('/api/ride-series', authenticateToken, rideSeriesRoutes);
+app.use('/api/trips', authenticateToken, tripRoutes);
+app.use('/api/fares', authenticateToken, fareRoutes);
 app.use('/api/payments', authenticateToken, paymentRoutes);
 app.use('/api/vehicles', authenticateToken, vehicleRoutes);
+app.use('/api/notifications', authenticateToken, notificationRoutes);
+app.use('/api/facilities', authenticateToken, facilityRoutes);
+app.use('/api/webhooks', authenticateToken, requirePermission('webhooks:manage'), webhookRoutes);
+app.use('/api/invitations', authenticateToken, requirePermission('invitations:manage'), invitationRoutes);
 
-// Socket.IO for real-time tracking
+// Socket.IO for real-time tracking; every connection is authenticated (see authenticateSocket)
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join ride room for real-time updates
-  socket.on('join-ride', (rideId) => {
-    socket.join(`ride-${rideId}`);
-    console.log(`User ${socket.id} joined ride room: ride-${rideId}`);
+  console.log(`User ${socket.user.id} connected:`, socket.id);
+
+  // Personal room used for ride offers and other per-user events
+  socket.join(`user-${socket.user.id}`);
+
+  // Join ride room for real-time updates (patient, assigned driver, facility staff or staff only)
+  socket.on('join-ride', async (rideId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      if (!(await canAccessRide(socket.user, rideId))) {
+        reply({ ok: false, error: 'Ride not found or no permission' });
+        return;
+      }
+      socket.join(`ride-${Number(rideId)}`);
+      console.log(`User ${socket.id} joined ride room: ride-${Number(rideId)}`);
+      reply({ ok: true });
+    } catch (error) {
+      console.error('Join ride error:', error);
+      reply({ ok: false, error: 'Could not join ride' });
+    }
   });
 
-  // Handle driver location updates
-  socket.on('driver-location-update', (data) => {
-    socket.to(`ride-${data.rideId}`).emit('location-update', {
-      latitude: data.latitude,
-      longitude: data.longitude,
-      timestamp: new Date().toISOString()
-    });
+  socket.on('leave-ride', (rideId) => {
+    socket.leave(`ride-${Number(rideId)}`);
   });
 
-  // Handle ride status updates
-  socket.on('ride-status-update', (data) => {
-    socket.to(`ride-${data.rideId}`).emit('status-update', {
-      status: data.status,
-      timestamp: new Date().toISOString()
-    });
+  // Handle driver location updates: only the assigned driver's are relayed and
+  // stored; the optional acknowledgement reports rejections
+  socket.on('driver-location-update', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const point = await acceptDriverLocation(socket.user, data);
+      socket.to(`ride-${point.rideId}`).emit('location-update', {
+        rideId: point.rideId,
+        latitude: point.latitude,
+        longitude: point.longitude,
+        speed: point.speed,
+        heading: point.heading,
+        timestamp: point.timestamp.toISOString()
+      });
+      reply({ ok: true });
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('Location update error:', error);
+      }
+      const message = error.statusCode ? error.message : 'Location update failed';
+      reply({ ok: false, error: message });
+      socket.emit('location-rejected', { rideId: data && data.rideId, error: message });
+    }
   });
 
   socket.on('disconnect', () => {
@@ -107,6 +173,9 @@ const PORT = process.env.PORT || 3000;
 const startServer = async () => {
   try {
     await initDatabase();
+    startOfferSweeper();
+    startSeriesScheduler();
+    startLocationWriter();
 
     server.listen(PORT, () => {
       console.log(`🚀 MediTransport Backend Server running on port ${PORT}`);
@@ -119,6 +188,9 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// Tests import the app without starting the server or its background jobs
+if (require.main === module) {
+  startServer();
+}
 
-module.exports = { app, io };
+module.exports = { app, io, startServer };
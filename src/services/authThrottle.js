@@ -0,0 +1,248 @@
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { sendEmail } = require('./email');
+const { envNumber } = require('../utils/env');
+
+// Brute-force protection for login and the other credential endpoints
+//
+// Failed attempts are counted per account (by email) and per client IP within
+// AUTH_FAILURE_WINDOW_MINUTES. From AUTH_DELAY_AFTER_FAILURES failures on, each
+// failure makes the next attempt wait (AUTH_DELAY_BASE_SECONDS, doubling up to
+// AUTH_DELAY_MAX_SECONDS); AUTH_ACCOUNT_LOCKOUT_FAILURES failures lock the
+// account, and AUTH_IP_LOCKOUT_FAILURES the IP, for AUTH_LOCKOUT_MINUTES.
+// Attempts while waiting or locked are refused with 429 and Retry-After, and do
+// not count. A successful attempt clears the account's failures; an admin can
+// unlock an account early. Locking an account emails its owner.
+//
+// Unknown emails are counted like real accounts, so lockouts do not reveal
+// which emails have accounts.
+
+const THROTTLE_CONFIG = {
+  windowMinutes: envNumber('AUTH_FAILURE_WINDOW_MINUTES', 15),
+  delayAfterFailures: envNumber('AUTH_DELAY_AFTER_FAILURES', 3),
+  delayBaseSeconds: envNumber('AUTH_DELAY_BASE_SECONDS', 1),
+  delayMaxSeconds: envNumber('AUTH_DELAY_MAX_SECONDS', 30),
+  accountLockoutFailures: envNumber('AUTH_ACCOUNT_LOCKOUT_FAILURES', 10),
+  ipLockoutFailures: envNumber('AUTH_IP_LOCKOUT_FAILURES', 50),
+  lockoutMinutes: envNumber('AUTH_LOCKOUT_MINUTES', 15)
+};
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+
+// The throttle keys of a request: its IP, plus the account when one is named
+const throttleKeys = (req, email = null) => [
+  { key: `ip:${req.ip}`, scope: 'ip', ip: req.ip },
+  ...(email ? [{ key: accountKey(email), scope: 'account', email, ip: req.ip }] : [])
+];
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((new Date(time).getTime() - Date.now()) / 1000));
+
+const throttledError = (message, until) => {
+  const error = new AppError(message, 429);
+  error.retryAfter = secondsUntil(until);
+  return error;
+};
+
+// Why the attempt is refused, given the keys' throttle rows; null when it is allowed
+const refusalOf = (rows) => {
+  const now = Date.now();
+
+  for (const row of rows) {
+    if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+      return throttledError(row.scope === 'account'
+        ? 'Too many failed attempts; this account is temporarily locked'
+        : 'Too many failed attempts from this address; try again later', row.locked_until);
+    }
+  }
+  for (const row of rows) {
+    if (row.next_attempt_at && new Date(row.next_attempt_at).getTime() > now) {
+      const seconds = secondsUntil(row.next_attempt_at);
+      return throttledError(`Too many failed attempts; try again in ${seconds} second${seconds === 1 ? '' : 's'}`, row.next_attempt_at);
+    }
+  }
+  return null;
+};
+
+// Refuse the attempt when any key is locked or still has to wait
+const assertAllowed = async (keys) => {
+  const result = await query(
+    'SELECT * FROM auth_throttles WHERE key = ANY($1)',
+    [keys.map(({ key }) => key)]
+  );
+  const refusal = refusalOf(result.rows);
+  if (refusal) {
+    throw refusal;
+  }
+};
+
+const lockoutEmail = (user, failures, ip, lockedUntil) => ({
+  to: user.email,
+  subject: 'Your MediTransport account was temporarily locked',
+  text: `Hi ${user.name},\n\nWe locked your account until ${new Date(lockedUntil).toUTCString()} after ${failures} failed sign-in attempts (the last from ${ip}).\n\nIf this was not you, reset your password once the lock ends, or contact support.`
+});
+
+const notifyLockout = async (email, failures, ip, lockedUntil) => {
+  const result = await query('SELECT name, email FROM users WHERE email = $1', [email]);
+  if (result.rows.length > 0) {
+    await sendEmail(lockoutEmail(result.rows[0], failures, ip, lockedUntil));
+  }
+};
+
+const notifyLockouts = (lockedAccounts) => {
+  for (const { email, failures, ip, lockedUntil } of lockedAccounts) {
+    notifyLockout(email, failures, ip, lockedUntil).catch((error) => console.error('Lockout email error:', error));
+  }
+};
+
+// Lock the throttle row of every key, creating the missing ones
+const lockRows = async (tx, keys) => {
+  const rows = [];
+  for (const { key, scope } of keys) {
+    await tx.query(
+      `INSERT INTO auth_throttles (key, scope, failures, updated_at)
+       VALUES ($1, $2, 0, NOW())
+       ON CONFLICT (key) DO NOTHING`,
+      [key, scope]
+    );
+    rows.push((await tx.query('SELECT * FROM auth_throttles WHERE key = $1 FOR UPDATE', [key])).rows[0]);
+  }
+  return rows;
+};
+
+// Count a failure against every key (rows locked by lockRows), applying delays
+// and lockouts. Returns the accounts that were locked, and the rows as they
+// were (`before`) with the time of this failure, so it can be taken back.
+const countFailures = async (tx, keys, rows) => {
+  const now = new Date();
+  const windowStart = now.getTime() - THROTTLE_CONFIG.windowMinutes * 60000;
+  const locked = [];
+
+  for (const [index, { key, scope, email, ip }] of keys.entries()) {
+    const row = rows[index];
+
+    // Failures outside the window are forgotten
+    const stale = !row.last_failure_at || new Date(row.last_failure_at).getTime() < windowStart;
+    let failures = (stale ? 0 : row.failures) + 1;
+    const firstFailureAt = stale ? now : row.first_failure_at;
+
+    let nextAttemptAt = null;
+    if (failures >= THROTTLE_CONFIG.delayAfterFailures) {
+      const delay = Math.min(
+        THROTTLE_CONFIG.delayBaseSeconds * 2 ** (failures - THROTTLE_CONFIG.delayAfterFailures),
+        THROTTLE_CONFIG.delayMaxSeconds
+      );
+      nextAttemptAt = new Date(now.getTime() + delay * 1000);
+    }
+
+    let lockedUntil = row.locked_until;
+    const threshold = scope === 'account' ? THROTTLE_CONFIG.accountLockoutFailures : THROTTLE_CONFIG.ipLockoutFailures;
+    if (failures >= threshold) {
+      lockedUntil = new Date(now.getTime() + THROTTLE_CONFIG.lockoutMinutes * 60000);
+      nextAttemptAt = null;
+      if (scope === 'account') {
+        locked.push({ email, failures, ip, lockedUntil });
+      }
+      console.warn(`Auth throttle: locked ${key} until ${lockedUntil.toISOString()} after ${failures} failures`);
+      // The count starts over once the lock ends
+      failures = 0;
+    }
+
+    await tx.query(
+      `UPDATE auth_throttles
+       SET failures = $1, first_failure_at = $2, last_failure_at = $3,
+           next_attempt_at = $4, locked_until = $5, updated_at = NOW()
+       WHERE key = $6`,
+      [failures, firstFailureAt, now, nextAttemptAt, lockedUntil, key]
+    );
+  }
+  return { locked, counted: rows.map((before) => ({ before, at: now })) };
+};
+
+// Check and count an attempt in one step, so concurrent attempts cannot all
+// pass the check before any of them is counted. Refused attempts do not count.
+const claimAttempt = (keys) => withTransaction(async (tx) => {
+  const rows = await lockRows(tx, keys);
+  const refusal = refusalOf(rows);
+  if (refusal) {
+    throw refusal;
+  }
+  return countFailures(tx, keys, rows);
+});
+
+// Count a failed attempt against every key, applying delays and lockouts
+const recordFailure = async (keys) => {
+  const { locked } = await withTransaction(async (tx) => countFailures(tx, keys, await lockRows(tx, keys)));
+  notifyLockouts(locked);
+};
+
+// Count an attempt that always counts (e.g. a reset email request), refused while throttled
+const countAttempt = async (keys) => {
+  notifyLockouts((await claimAttempt(keys)).locked);
+};
+
+// Take back the failure claimAttempt counted for an attempt that did not fail.
+// A row no other attempt has counted on since goes back to how it was; otherwise
+// only its count drops. A success also clears the account's failures.
+const forgiveAttempt = async (keys, { counted }, succeeded) => {
+  await withTransaction(async (tx) => {
+    for (const [index, { key, scope }] of keys.entries()) {
+      if (succeeded && scope === 'account') {
+        await tx.query('DELETE FROM auth_throttles WHERE key = $1', [key]);
+        continue;
+      }
+
+      const { before, at } = counted[index];
+      const row = (await tx.query('SELECT * FROM auth_throttles WHERE key = $1 FOR UPDATE', [key])).rows[0];
+      if (!row) continue;
+
+      const untouched = row.last_failure_at && new Date(row.last_failure_at).getTime() === at.getTime();
+      const restored = untouched ? before : { ...row, failures: Math.max(0, row.failures - 1) };
+      await tx.query(
+        `UPDATE auth_throttles
+         SET failures = $1, first_failure_at = $2, last_failure_at = $3,
+             next_attempt_at = $4, locked_until = $5, updated_at = NOW()
+         WHERE key = $6`,
+        [restored.failures, restored.first_failure_at, restored.last_failure_at,
+          restored.next_attempt_at, restored.locked_until, key]
+      );
+    }
+  });
+};
+
+// Run a credential check under throttling: refused while throttled, and a
+// 400/401 from `attempt` counts as a failure. The attempt is counted before
+// it runs and taken back unless it fails that way.
+const guardAttempt = async (keys, attempt) => {
+  const claim = await claimAttempt(keys);
+
+  let result;
+  try {
+    result = await attempt();
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 401) {
+      notifyLockouts(claim.locked);
+    } else {
+      await forgiveAttempt(keys, claim, false);
+    }
+    throw error;
+  }
+
+  await forgiveAttempt(keys, claim, true);
+  return result;
+};
+
+// Lift an account's lockout and delays (admin); returns whether anything was cleared
+const unlockAccount = async (email) => {
+  const result = await query('DELETE FROM auth_throttles WHERE key = $1 RETURNING key', [accountKey(email)]);
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  THROTTLE_CONFIG,
+  throttleKeys,
+  assertAllowed,
+  recordFailure,
+  countAttempt,
+  guardAttempt,
+  unlockAccount
+};
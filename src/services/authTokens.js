@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Access and refresh tokens
+//
+// Every login starts a token family. Refresh tokens are stored as SHA-256
+// hashes and are single use: refreshing marks the token used and issues its
+// successor in the same family. Presenting a used token again means it was
+// stolen (or leaked), so the whole family is revoked. Access tokens carry the
+// family id (`sid`) and stop working as soon as their family is revoked, which
+// is what logout does.
+//
+// A family is what users see as a session (user_sessions, one row per family):
+// the device it was started from, when it was last used and whether it was
+// revoked.
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a token pair for `user` in family `familyId` and store the refresh token.
+// A new family starts a session; a successor keeps its session alive. `client`
+// is the { userAgent, ip } of the request.
+const issueTokens = async (db, user, { familyId = uuidv4(), parentId = null, client = {} } = {}) => {
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    sid: familyId
+  };
+
+  const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '1d'
+  });
+
+  const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    jwtid: uuidv4()
+  });
+
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  await db.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, parent_id, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [user.id, familyId, hashToken(refreshToken), parentId, expiresAt]
+  );
+
+  if (parentId) {
+    await db.query(
+      `UPDATE user_sessions
+       SET last_seen_at = NOW(), expires_at = $1,
+           user_agent = COALESCE($2, user_agent), ip_address = COALESCE($3, ip_address)
+       WHERE id = $4`,
+      [expiresAt, client.userAgent || null, client.ip || null, familyId]
+    );
+  } else {
+    await db.query(
+      `INSERT INTO user_sessions (id, user_id, user_agent, ip_address, created_at, last_seen_at, expires_at)
+       VALUES ($1, $2, $3, $4, NOW(), NOW(), $5)`,
+      [familyId, user.id, client.userAgent || null, client.ip || null, expiresAt]
+    );
+  }
+
+  return { accessToken, refreshToken, sessionId: familyId };
+};
+
+// Revoke every live token of a family and end its session; returns how many
+// tokens were revoked
+const revokeFamily = async (db, familyId, reason) => {
+  await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE id = $2 AND revoked_at IS NULL`,
+    [reason, familyId]
+  );
+  const result = await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = $1
+     WHERE family_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [reason, familyId]
+  );
+  return result.rows.length;
+};
+
+// Revoke every family of a user; returns the revoked family ids
+const revokeUserFamilies = async (db, userId, reason) => {
+  await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL`,
+    [reason, userId]
+  );
+  const result = await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL
+     RETURNING family_id`,
+    [reason, userId]
+  );
+  return [...new Set(result.rows.map((row) => row.family_id))];
+};
+
+// Exchange a refresh token for a new pair, detecting reuse of rotated tokens
+const rotateRefreshToken = async (refreshToken, client = {}) => {
+  try {
+    jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const outcome = await withTransaction(async (tx) => {
+    const tokenResult = await tx.query(
+      'SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+      [hashToken(refreshToken)]
+    );
+    const stored = tokenResult.rows[0];
+
+    if (!stored || stored.revoked_at || new Date(stored.expires_at).getTime() <= Date.now()) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (stored.used_at) {
+      await revokeFamily(tx, stored.family_id, 'reuse_detected');
+      return { error: 'Refresh token reuse detected; please log in again', reuse: stored };
+    }
+
+    const userResult = await tx.query(
+      'SELECT id, name, email, phone, role FROM users WHERE id = $1',
+      [stored.user_id]
+    );
+    if (userResult.rows.length === 0) {
+      return { error: 'User not found' };
+    }
+
+    await tx.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [stored.id]);
+    const tokens = await issueTokens(tx, userResult.rows[0], {
+      familyId: stored.family_id,
+      parentId: stored.id,
+      client
+    });
+    return { user: userResult.rows[0], tokens };
+  });
+
+  // The revocation must stick, so the error is raised outside the transaction
+  if (outcome.error) {
+    if (outcome.reuse) {
+      console.warn(`Refresh token reuse for user ${outcome.reuse.user_id}; revoked family ${outcome.reuse.family_id}`);
+    }
+    throw new AppError(outcome.error, 401);
+  }
+
+  return outcome;
+};
+
+// Whether a family's session is still live (i.e. the login was not revoked)
+const isFamilyActive = async (familyId) => {
+  const result = await query(
+    `SELECT id FROM user_sessions
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [familyId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeUserFamilies,
+  isFamilyActive
+};
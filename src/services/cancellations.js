@@ -0,0 +1,205 @@
+const { withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { TERMINAL_STATUSES, transitionRide } = require('./rideLifecycle');
+const { cancelPendingOffers, offerIfAuto } = require('./rideOffers');
+const { getRateCard } = require('./fares');
+const { recordFee } = require('./payments');
+const { emitToUser, removeUserFromRide } = require('./realtime');
+const { assertCan, scopedPermissions, scopeFilter } = require('./policy');
+const { envNumber } = require('../utils/env');
+
+// Ride cancellation policy
+//
+// Patients (and facility coordinators) may cancel free of charge until
+// CANCELLATION_WINDOW_MINUTES before pickup. Once a driver is assigned,
+// cancelling inside the window costs the rate card's late-cancel fee. A driver
+// who has waited NO_SHOW_WAIT_MINUTES at the pickup past the pickup time may
+// record a no-show, which cancels the ride and charges the no-show fee. A
+// driver cancelling for any other reason releases the ride back to dispatch
+// instead of cancelling it for the patient. Dispatcher and admin cancellations
+// never charge a fee. Every user cancellation goes through cancelLockedRide,
+// whether it cancels one ride, a trip's legs or a series' occurrences.
+
+const CANCELLATION_POLICY = {
+  windowMinutes: envNumber('CANCELLATION_WINDOW_MINUTES', 120),
+  noShowWaitMinutes: envNumber('NO_SHOW_WAIT_MINUTES', 10)
+};
+
+const BOOKER_REASON_CODES = ['schedule_change', 'appointment_canceled', 'feeling_unwell', 'found_other_transport', 'other'];
+const STAFF_REASON_CODES = ['patient_request', 'duplicate_booking', 'no_driver_available', 'patient_no_show', 'other'];
+
+const REASON_CODES = {
+  patient: BOOKER_REASON_CODES,
+  facility_coordinator: BOOKER_REASON_CODES,
+  driver: ['patient_no_show', 'vehicle_issue', 'emergency', 'unsafe_conditions', 'other'],
+  dispatcher: STAFF_REASON_CODES,
+  admin: STAFF_REASON_CODES
+};
+
+// Roles that cancel as the booking side, subject to the late cancellation fee
+const BOOKER_ROLES = ['patient', 'facility_coordinator'];
+
+const minutesUntil = (date, now = Date.now()) => (new Date(date).getTime() - now) / 60000;
+
+const assertReasonCode = (user, reasonCode) => {
+  const allowed = REASON_CODES[user.role] || [];
+  if (!allowed.includes(reasonCode)) {
+    throw new AppError(`Reason code must be one of: ${allowed.join(', ')}`, 400);
+  }
+};
+
+// Lock a ride the user may cancel (rides:cancel): patients their own, drivers
+// those assigned to them, facility coordinators those booked through their
+// facilities, staff any
+const lockCancellableRide = async (tx, rideId, user) => {
+  const params = [rideId];
+  const permission = scopeFilter(user, 'rides:cancel', params, { alias: 'r' });
+
+  const result = await tx.query(
+    `SELECT r.*, d.user_id as driver_user_id
+     FROM rides r
+     LEFT JOIN drivers d ON r.driver_id = d.id
+     WHERE r.id = $1 AND ${permission}
+     FOR UPDATE OF r`,
+    params
+  );
+  if (result.rows.length === 0) {
+    throw new AppError('Ride not found or no permission', 404);
+  }
+  return result.rows[0];
+};
+
+// Cancel the ride, recording who canceled and why, and charge a fee if any
+const cancelWithFee = async (tx, ride, actor, { reasonCode, note, canceledByRole, feeType = null, feeAmount = 0, outcome }) => {
+  const charge = feeType && feeAmount > 0;
+
+  const canceled = await transitionRide(tx, ride, 'canceled', actor, {
+    reason: `${reasonCode}${note ? `: ${note}` : ''}`,
+    fields: {
+      canceled_at: new Date(),
+      canceled_by_role: canceledByRole,
+      cancellation_reason_code: reasonCode,
+      cancellation_fee: charge ? feeAmount : 0
+    }
+  });
+
+  const fee = charge
+    ? await recordFee(tx, { rideId: ride.id, userId: ride.user_id, type: feeType, amount: feeAmount })
+    : null;
+
+  return { outcome, ride: canceled, fee };
+};
+
+// Driver drops out: the ride goes back to pending without a driver
+const releaseRide = async (tx, ride, user, reasonCode, note) => {
+  if (!['accepted', 'arrived'].includes(ride.status)) {
+    throw new AppError(`Cannot release a ${ride.status} ride`, 409);
+  }
+
+  const released = await transitionRide(tx, ride, 'pending', { id: user.id, role: 'system' }, {
+    reason: `Released by driver (${reasonCode})${note ? `: ${note}` : ''}`,
+    fields: { driver_id: null, vehicle_id: null, arrived_at: null }
+  });
+  return { outcome: 'released', ride: released, fee: null };
+};
+
+// Driver records a no-show after waiting long enough past the pickup time
+const recordNoShow = async (tx, ride, user, note) => {
+  if (ride.status !== 'arrived' || !ride.arrived_at) {
+    throw new AppError('A no-show can only be recorded after arriving at the pickup', 409);
+  }
+
+  const waitingSince = Math.max(new Date(ride.arrived_at).getTime(), new Date(ride.ride_date).getTime());
+  const waited = (Date.now() - waitingSince) / 60000;
+  if (waited < CANCELLATION_POLICY.noShowWaitMinutes) {
+    throw new AppError(
+      `Wait at least ${CANCELLATION_POLICY.noShowWaitMinutes} minutes past the pickup time before recording a no-show`,
+      409
+    );
+  }
+
+  const rateCard = await getRateCard(tx, ride.vehicle_type);
+  return cancelWithFee(tx, ride, { id: user.id, role: 'system' }, {
+    reasonCode: 'patient_no_show',
+    note,
+    canceledByRole: user.role,
+    feeType: 'no_show_fee',
+    feeAmount: Number(rateCard.no_show_fee),
+    outcome: 'no_show'
+  });
+};
+
+// Cancel (or, for drivers, release) `ride` under the cancellation policy
+// inside `tx`. `ride` must be the current row, read with FOR UPDATE by a caller
+// that checked the user may cancel it; the other parties are told once `tx`
+// commits.
+const cancelLockedRide = async (tx, ride, user, { reasonCode, note = null }) => {
+  assertReasonCode(user, reasonCode);
+  if (TERMINAL_STATUSES.includes(ride.status)) {
+    throw new AppError(`Ride is already ${ride.status}`, 409);
+  }
+  await cancelPendingOffers(tx, ride.id);
+
+  let driverUserId = ride.driver_user_id;
+  if (driverUserId === undefined) {
+    const driver = ride.driver_id
+      ? await tx.query('SELECT user_id FROM drivers WHERE id = $1', [ride.driver_id])
+      : { rows: [] };
+    driverUserId = driver.rows.length > 0 ? driver.rows[0].user_id : null;
+  }
+
+  let cancellation;
+  if (user.role === 'driver' && reasonCode === 'patient_no_show') {
+    cancellation = await recordNoShow(tx, ride, user, note);
+  } else if (user.role === 'driver') {
+    cancellation = await releaseRide(tx, ride, user, reasonCode, note);
+  } else if (BOOKER_ROLES.includes(user.role)) {
+    const late = Boolean(ride.driver_id) && minutesUntil(ride.ride_date) < CANCELLATION_POLICY.windowMinutes;
+    const rateCard = late ? await getRateCard(tx, ride.vehicle_type) : null;
+    cancellation = await cancelWithFee(tx, ride, user, {
+      reasonCode,
+      note,
+      canceledByRole: user.role,
+      feeType: late ? 'late_cancel_fee' : null,
+      feeAmount: late ? Number(rateCard.late_cancel_fee) : 0,
+      outcome: late ? 'late_cancel' : 'canceled'
+    });
+  } else {
+    cancellation = await cancelWithFee(tx, ride, user, { reasonCode, note, canceledByRole: user.role, outcome: 'canceled' });
+  }
+
+  const patientId = ride.user_id;
+  const payload = { rideId: ride.id, outcome: cancellation.outcome, reasonCode };
+
+  tx.afterCommit(async () => {
+    if (cancellation.outcome === 'released') {
+      removeUserFromRide(driverUserId, ride.id);
+      emitToUser(patientId, 'ride-driver-released', payload);
+      cancellation.dispatch = await offerIfAuto(ride.id, user.id);
+    } else {
+      if (driverUserId && driverUserId !== user.id) emitToUser(driverUserId, 'ride-canceled', payload);
+      if (patientId !== user.id) emitToUser(patientId, 'ride-canceled', payload);
+    }
+  });
+
+  return cancellation;
+};
+
+// Cancel (or, for drivers, release) a ride under the cancellation policy
+const cancelRide = async (rideId, user, { reasonCode, note = null }) => {
+  assertCan(user, ...scopedPermissions('rides:cancel'));
+  assertReasonCode(user, reasonCode);
+
+  return withTransaction(async (tx) => {
+    const ride = await lockCancellableRide(tx, rideId, user);
+    return cancelLockedRide(tx, ride, user, { reasonCode, note });
+  });
+};
+
+module.exports = {
+  CANCELLATION_POLICY,
+  REASON_CODES,
+  assertReasonCode,
+  cancelLockedRide,
+  cancelRide
+};
@@ -0,0 +1,164 @@
+const { query } = require('../config/database');
+const { calculateDistance, hasCoordinates } = require('../utils/geo');
+const { envNumber } = require('../utils/env');
+
+// Driver dispatch engine
+//
+// Candidates are available drivers with a compatible vehicle. Each one gets a
+// 0..1 score per factor, combined with configurable weights:
+//   distance - from the driver's last known location to the pickup
+//   vehicle  - how well the vehicle type matches the requested one
+//   rating   - driver rating out of 5
+//   workload - fewer active rides scores higher
+// In `auto` mode new rides are offered to the best candidate immediately (see
+// rideOffers.js); in `manual` mode the ranking is only suggested and admins assign.
+
+const DISPATCH_CONFIG = {
+  mode: process.env.DISPATCH_MODE === 'auto' ? 'auto' : 'manual',
+  maxDistanceMiles: envNumber('DISPATCH_MAX_DISTANCE_MILES', 25),
+  locationMaxAgeMinutes: envNumber('DISPATCH_LOCATION_MAX_AGE_MINUTES', 60),
+  offerTimeoutSeconds: envNumber('DISPATCH_OFFER_TIMEOUT_SECONDS', 60),
+  maxOffersPerRide: envNumber('DISPATCH_MAX_OFFERS_PER_RIDE', 5),
+  weights: {
+    distance: envNumber('DISPATCH_WEIGHT_DISTANCE', 0.4),
+    vehicle: envNumber('DISPATCH_WEIGHT_VEHICLE', 0.2),
+    rating: envNumber('DISPATCH_WEIGHT_RATING', 0.2),
+    workload: envNumber('DISPATCH_WEIGHT_WORKLOAD', 0.2)
+  }
+};
+
+// Vehicle types able to serve a requested type, with how well they fit.
+// A stretcher or wheelchair request can never go to a plain car.
+const VEHICLE_COMPATIBILITY = {
+  car: { car: 1, van: 0.8, 'wheelchair-accessible': 0.6, 'stretcher-enabled': 0.4 },
+  van: { van: 1, 'wheelchair-accessible': 0.7, 'stretcher-enabled': 0.5 },
+  'wheelchair-accessible': { 'wheelchair-accessible': 1, 'stretcher-enabled': 0.6 },
+  'stretcher-enabled': { 'stretcher-enabled': 1 }
+};
+
+// Score used when a factor cannot be measured (e.g. no recent driver location)
+const NEUTRAL_SCORE = 0.5;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Score one driver for one ride; ineligible candidates carry the reason
+const scoreCandidate = (ride, driver, now = new Date()) => {
+  const candidate = {
+    driverId: driver.id,
+    userId: driver.user_id,
+    name: driver.name,
+    vehicleType: driver.vehicle_type,
+    vehicleId: driver.vehicle_id || null,
+    rating: driver.rating === null ? null : Number(driver.rating),
+    activeRides: Number(driver.active_rides) || 0,
+    distanceMiles: null,
+    eligible: true,
+    reason: null,
+    scores: {},
+    total: 0
+  };
+
+  // Vehicle compatibility
+  if (ride.vehicle_type) {
+    const fit = (VEHICLE_COMPATIBILITY[ride.vehicle_type] || {})[driver.vehicle_type];
+    if (!fit) {
+      candidate.eligible = false;
+      candidate.reason = `Vehicle type ${driver.vehicle_type || 'unknown'} cannot serve ${ride.vehicle_type} rides`;
+    }
+    candidate.scores.vehicle = fit || 0;
+  } else {
+    candidate.scores.vehicle = 1;
+  }
+
+  // Distance from last known location to pickup
+  const locationAge = driver.last_location_at
+    ? (now.getTime() - new Date(driver.last_location_at).getTime()) / 60000
+    : Infinity;
+  if (
+    hasCoordinates(ride.start_latitude, ride.start_longitude, driver.last_latitude, driver.last_longitude) &&
+    locationAge <= DISPATCH_CONFIG.locationMaxAgeMinutes
+  ) {
+    const distance = calculateDistance(
+      Number(driver.last_latitude), Number(driver.last_longitude),
+      Number(ride.start_latitude), Number(ride.start_longitude)
+    );
+    candidate.distanceMiles = round(distance, 2);
+    candidate.scores.distance = Math.max(0, 1 - distance / DISPATCH_CONFIG.maxDistanceMiles);
+
+    if (distance > DISPATCH_CONFIG.maxDistanceMiles && candidate.eligible) {
+      candidate.eligible = false;
+      candidate.reason = `More than ${DISPATCH_CONFIG.maxDistanceMiles} miles from pickup`;
+    }
+  } else {
+    candidate.scores.distance = NEUTRAL_SCORE;
+  }
+
+  candidate.scores.rating = candidate.rating === null ? NEUTRAL_SCORE : Math.min(candidate.rating / 5, 1);
+  candidate.scores.workload = 1 / (1 + candidate.activeRides);
+
+  const { weights } = DISPATCH_CONFIG;
+  const weightSum = weights.distance + weights.vehicle + weights.rating + weights.workload || 1;
+  const total = Object.keys(weights).reduce((sum, factor) => sum + weights[factor] * candidate.scores[factor], 0);
+
+  Object.keys(candidate.scores).forEach((factor) => {
+    candidate.scores[factor] = round(candidate.scores[factor]);
+  });
+  candidate.total = candidate.eligible ? round(total / weightSum) : 0;
+
+  return candidate;
+};
+
+// Score every available driver for a ride, best first (ineligible ones last)
+const rankCandidates = async (db, ride) => {
+  const result = await db.query(
+    `SELECT
+      d.id, d.user_id, d.vehicle_type, d.rating,
+      d.last_latitude, d.last_longitude, d.last_location_at,
+      u.name,
+      v.id as vehicle_id,
+      (SELECT COUNT(*) FROM rides ar
+       WHERE ar.driver_id = d.id AND ar.status IN ('accepted', 'arrived', 'in-progress')) as active_rides
+    FROM drivers d
+    JOIN users u ON d.user_id = u.id
+    LEFT JOIN vehicles v ON d.id = v.driver_id
+    WHERE d.availability = true AND d.approval_status = 'approved'
+    ORDER BY d.id`
+  );
+
+  const now = new Date();
+  return result.rows
+    .map((driver) => scoreCandidate(ride, driver, now))
+    .sort((a, b) => (Number(b.eligible) - Number(a.eligible)) || (b.total - a.total) || (a.driverId - b.driverId));
+};
+
+const recordDispatchRun = async (db, { rideId, mode, selectedDriverId = null, candidates, triggeredBy = null }) => {
+  const result = await db.query(
+    `INSERT INTO dispatch_runs (ride_id, mode, selected_driver_id, candidates, triggered_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     RETURNING *`,
+    [rideId, mode, selectedDriverId, JSON.stringify(candidates), triggeredBy]
+  );
+  return result.rows[0];
+};
+
+// Recorded dispatch decisions for a ride, newest first
+const getDispatchRuns = async (rideId) => {
+  const result = await query(
+    `SELECT dr.*, u.name as triggered_by_name
+     FROM dispatch_runs dr
+     LEFT JOIN users u ON dr.triggered_by = u.id
+     WHERE dr.ride_id = $1
+     ORDER BY dr.created_at DESC, dr.id DESC`,
+    [rideId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  DISPATCH_CONFIG,
+  VEHICLE_COMPATIBILITY,
+  scoreCandidate,
+  rankCandidates,
+  recordDispatchRun,
+  getDispatchRuns
+};
@@ -0,0 +1,212 @@
+const { query } = require('../config/database');
+const { authenticateSocket } = require('../middleware/auth');
+const { subscribe } = require('./events');
+const { addSessionNamespace } = require('./realtime');
+const { can } = require('./policy');
+const { envNumber } = require('../utils/env');
+
+// Live dispatch board: the `/dispatch` Socket.IO namespace for dispatchers and admins
+//
+// On connect a viewer receives a `snapshot` of the board: active rides (in
+// flight, or pending within DISPATCH_BOARD_HORIZON_HOURS), the unassigned queue
+// and every driver with position and availability. Afterwards the board sends
+// `diff` events with the rides and drivers that changed, coalesced over
+// DISPATCH_BOARD_DIFF_INTERVAL_MS. Diffs carry a sequence number; a client that
+// misses one can ask for a fresh `snapshot`.
+//
+// Ride changes come from the domain event bus; driver position and availability
+// changes are reported by the code that writes them (markDriverChanged).
+
+const DISPATCH_BOARD_CONFIG = {
+  horizonHours: envNumber('DISPATCH_BOARD_HORIZON_HOURS', 24),
+  diffIntervalMs: envNumber('DISPATCH_BOARD_DIFF_INTERVAL_MS', 1000)
+};
+
+let namespace = null;
+let sequence = 0;
+let flushTimer = null;
+const changedRides = new Set();
+const changedDrivers = new Set();
+
+const RIDE_COLUMNS = `
+  r.id, r.status, r.user_id, u.name as patient_name, r.driver_id, du.name as driver_name,
+  r.start_location, r.end_location, r.start_latitude, r.start_longitude, r.end_latitude, r.end_longitude,
+  r.ride_date, r.vehicle_type, r.special_requirements, r.pickup_mode, r.ready_at,
+  r.pickup_eta, r.dropoff_eta, r.trip_id, r.leg_number, r.series_id, r.updated_at`;
+
+const RIDE_JOINS = `
+  FROM rides r
+  LEFT JOIN users u ON r.user_id = u.id
+  LEFT JOIN drivers d ON r.driver_id = d.id
+  LEFT JOIN users du ON d.user_id = du.id`;
+
+// Rides the board shows: in flight, or pending and due within the horizon
+const boardRideFilter = (firstParam) => `(r.status IN ('accepted', 'arrived', 'in-progress')
+  OR (r.status = 'pending' AND r.ride_date <= $${firstParam}))`;
+
+const horizon = () => new Date(Date.now() + DISPATCH_BOARD_CONFIG.horizonHours * 3600000);
+
+// Drivers the board shows: approved ones
+const DRIVER_QUERY = `
+  SELECT
+    d.id, d.user_id, u.name, d.vehicle_type, d.availability, d.rating,
+    d.last_latitude, d.last_longitude, d.last_location_at,
+    (SELECT COUNT(*) FROM rides ar
+     WHERE ar.driver_id = d.id AND ar.status IN ('accepted', 'arrived', 'in-progress')) as active_rides
+  FROM drivers d
+  JOIN users u ON d.user_id = u.id
+  WHERE d.approval_status = 'approved'`;
+
+const toBoardRide = (ride) => ({
+  ...ride,
+  unassigned: ride.status === 'pending' && !ride.driver_id
+});
+
+const toBoardDriver = (driver) => ({
+  ...driver,
+  active_rides: Number(driver.active_rides) || 0
+});
+
+// Unassigned pending rides, soonest pickup first
+const queueOf = (rides) => rides
+  .filter((ride) => ride.unassigned)
+  .sort((a, b) => new Date(a.ride_date) - new Date(b.ride_date) || a.id - b.id)
+  .map((ride) => ride.id);
+
+// The whole board
+const buildSnapshot = async () => {
+  const rideResult = await query(
+    `SELECT ${RIDE_COLUMNS} ${RIDE_JOINS}
+     WHERE ${boardRideFilter(1)}
+     ORDER BY r.ride_date ASC, r.id ASC`,
+    [horizon()]
+  );
+  const driverResult = await query(`${DRIVER_QUERY} ORDER BY d.id`);
+
+  const rides = rideResult.rows.map(toBoardRide);
+  return {
+    sequence,
+    generatedAt: new Date().toISOString(),
+    rides,
+    queue: queueOf(rides),
+    drivers: driverResult.rows.map(toBoardDriver)
+  };
+};
+
+const hasViewers = () => Boolean(namespace) && namespace.sockets.size > 0;
+
+// Send the changes collected since the last diff
+const flushDiff = async () => {
+  flushTimer = null;
+  const rideIds = [...changedRides];
+  const driverIds = [...changedDrivers];
+  changedRides.clear();
+  changedDrivers.clear();
+
+  if (!hasViewers() || (rideIds.length === 0 && driverIds.length === 0)) {
+    return null;
+  }
+
+  const rides = rideIds.length > 0
+    ? (await query(
+      `SELECT ${RIDE_COLUMNS} ${RIDE_JOINS}
+       WHERE r.id = ANY($1) AND ${boardRideFilter(2)}`,
+      [rideIds, horizon()]
+    )).rows.map(toBoardRide)
+    : [];
+  const drivers = driverIds.length > 0
+    ? (await query(`${DRIVER_QUERY} AND d.id = ANY($1) ORDER BY d.id`, [driverIds])).rows.map(toBoardDriver)
+    : [];
+
+  const onBoard = new Set(rides.map((ride) => Number(ride.id)));
+  const driversOnBoard = new Set(drivers.map((driver) => Number(driver.id)));
+  const diff = {
+    sequence: ++sequence,
+    generatedAt: new Date().toISOString(),
+    rides: {
+      upserted: rides,
+      removed: rideIds.filter((id) => !onBoard.has(Number(id)))
+    },
+    drivers: {
+      upserted: drivers,
+      removed: driverIds.filter((id) => !driversOnBoard.has(Number(id)))
+    }
+  };
+
+  namespace.emit('diff', diff);
+  return diff;
+};
+
+const scheduleFlush = () => {
+  if (flushTimer || !hasViewers()) {
+    return;
+  }
+  flushTimer = setTimeout(() => {
+    flushDiff().catch((error) => console.error('Dispatch board diff error:', error));
+  }, DISPATCH_BOARD_CONFIG.diffIntervalMs);
+  if (flushTimer.unref) flushTimer.unref();
+};
+
+// Report that a ride changed (and with it, its driver's workload)
+const markRideChanged = (ride) => {
+  if (!hasViewers() || !ride) {
+    return;
+  }
+  changedRides.add(Number(ride.id));
+  if (ride.driver_id) {
+    changedDrivers.add(Number(ride.driver_id));
+  }
+  scheduleFlush();
+};
+
+// Report that a driver's position or availability changed
+const markDriverChanged = (driverId) => {
+  if (!hasViewers() || !driverId) {
+    return;
+  }
+  changedDrivers.add(Number(driverId));
+  scheduleFlush();
+};
+
+// Dispatchers and admins only: authenticate like the main namespace, then
+// check for rides:dispatch
+const requireDispatchSocket = (socket, next) => {
+  if (!can(socket.user, 'rides:dispatch')) {
+    return next(new Error('Dispatch access required'));
+  }
+  next();
+};
+
+// Set up the `/dispatch` namespace on the Socket.IO server
+const attachDispatchBoard = (io) => {
+  namespace = io.of('/dispatch');
+  namespace.use(authenticateSocket);
+  namespace.use(requireDispatchSocket);
+  addSessionNamespace(namespace);
+
+  namespace.on('connection', (socket) => {
+    const sendSnapshot = () => buildSnapshot()
+      .then((snapshot) => socket.emit('snapshot', snapshot))
+      .catch((error) => {
+        console.error('Dispatch board snapshot error:', error);
+        socket.emit('board-error', { error: 'Could not load the dispatch board' });
+      });
+
+    sendSnapshot();
+    socket.on('snapshot', sendSnapshot);
+  });
+
+  for (const type of ['ride.created', 'ride.assigned', 'ride.status_changed']) {
+    subscribe(type, ({ data }) => markRideChanged(data.ride));
+  }
+
+  return namespace;
+};
+
+module.exports = {
+  DISPATCH_BOARD_CONFIG,
+  attachDispatchBoard,
+  buildSnapshot,
+  markRideChanged,
+  markDriverChanged
+};
@@ -0,0 +1,180 @@
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { processDriverLocation } = require('./geofences');
+const { TRACKED_STATUSES, refreshRideEta } = require('./eta');
+const { markDriverChanged } = require('./dispatchBoard');
+const { can } = require('./policy');
+const { envNumber } = require('../utils/env');
+
+// Driver location updates sent over Socket.IO
+//
+// Updates are validated and only accepted from the driver assigned to the ride.
+// Every accepted update is relayed to the ride room straight away, but only the
+// latest update per ride is kept for writing. Every LOCATION_FLUSH_INTERVAL_MS the
+// buffer is flushed in one batch, writing each ride at most once per
+// LOCATION_MIN_INTERVAL_SECONDS. A point stays buffered until its write
+// succeeds, so a failed flush is retried by the next one, and flushes never
+// overlap. Written points then drive geofences and ETAs like REST tracking
+// points do.
+
+const LOCATION_CONFIG = {
+  minIntervalSeconds: envNumber('LOCATION_MIN_INTERVAL_SECONDS', 5),
+  flushIntervalMs: envNumber('LOCATION_FLUSH_INTERVAL_MS', 2000)
+};
+
+const locationUpdateSchema = Joi.object({
+  rideId: Joi.number().integer().positive().required(),
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  speed: Joi.number().min(0).max(200).allow(null).optional(),
+  heading: Joi.number().min(0).max(360).allow(null).optional()
+});
+
+// Latest unwritten update per ride, and when each ride was last written
+const pending = new Map();
+const lastWritten = new Map();
+
+// The flush in progress, if any
+let flushing = null;
+
+// Validate an update and check it comes from the ride's assigned driver.
+// Returns the location point to relay and buffer.
+const acceptDriverLocation = async (user, data) => {
+  if (!can(user, 'rides:track')) {
+    throw new AppError('Only drivers can send location updates', 403);
+  }
+
+  const { error, value } = locationUpdateSchema.validate(data || {});
+  if (error) {
+    throw new AppError(error.details[0].message, 400);
+  }
+
+  const result = await query(
+    `SELECT r.id, r.status, r.driver_id
+     FROM rides r
+     JOIN drivers d ON r.driver_id = d.id
+     WHERE r.id = $1 AND d.user_id = $2`,
+    [value.rideId, user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Ride not found or not assigned to you', 403);
+  }
+  if (!TRACKED_STATUSES.includes(result.rows[0].status)) {
+    throw new AppError(`Ride is ${result.rows[0].status}`, 409);
+  }
+
+  const point = {
+    rideId: value.rideId,
+    driverId: result.rows[0].driver_id,
+    latitude: value.latitude,
+    longitude: value.longitude,
+    speed: value.speed === undefined ? null : value.speed,
+    heading: value.heading === undefined ? null : value.heading,
+    timestamp: new Date()
+  };
+
+  pending.set(point.rideId, point);
+  return point;
+};
+
+// Write tracking points in one statement and move each driver's last known location
+const writeTrackingPoints = async (points) => {
+  const values = [];
+  const params = [];
+  for (const point of points) {
+    const base = params.length;
+    values.push(`($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`);
+    params.push(point.rideId, point.latitude, point.longitude, point.speed, point.heading, point.timestamp);
+  }
+
+  await query(
+    `INSERT INTO ride_tracking (ride_id, latitude, longitude, speed, heading, timestamp)
+     VALUES ${values.join(', ')}`,
+    params
+  );
+
+  for (const point of points) {
+    await query(
+      `UPDATE drivers
+       SET last_latitude = $1, last_longitude = $2, last_location_at = $3
+       WHERE id = $4`,
+      [point.latitude, point.longitude, point.timestamp, point.driverId]
+    );
+    markDriverChanged(point.driverId);
+  }
+};
+
+const flushDueLocations = async (now) => {
+  const due = [];
+  for (const [rideId, point] of pending) {
+    const written = lastWritten.get(rideId) || 0;
+    if (now - written >= LOCATION_CONFIG.minIntervalSeconds * 1000) {
+      due.push(point);
+    }
+  }
+
+  // Forget rides that have gone quiet
+  for (const [rideId, written] of lastWritten) {
+    if (!pending.has(rideId) && now - written > LOCATION_CONFIG.minIntervalSeconds * 1000 * 10) {
+      lastWritten.delete(rideId);
+    }
+  }
+
+  if (due.length === 0) {
+    return 0;
+  }
+
+  await writeTrackingPoints(due);
+
+  // Keep updates that arrived during the write for the next flush
+  for (const point of due) {
+    if (pending.get(point.rideId) === point) {
+      pending.delete(point.rideId);
+    }
+    lastWritten.set(point.rideId, now);
+  }
+
+  for (const point of due) {
+    try {
+      await processDriverLocation(point.rideId, point, point.timestamp);
+      await refreshRideEta(point.rideId);
+    } catch (error) {
+      console.error(`Location processing error for ride ${point.rideId}:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+// Write the buffered updates that are due; returns how many points were
+// written (0 while another flush is still running)
+const flushDriverLocations = async (now = Date.now()) => {
+  if (flushing) {
+    return 0;
+  }
+
+  flushing = flushDueLocations(now);
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+};
+
+// Periodically flush buffered locations; returns a function that stops the writer
+const startLocationWriter = (intervalMs = LOCATION_CONFIG.flushIntervalMs) => {
+  const timer = setInterval(() => {
+    flushDriverLocations().catch((error) => console.error('Location flush error:', error));
+  }, intervalMs);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  LOCATION_CONFIG,
+  acceptDriverLocation,
+  flushDriverLocations,
+  startLocationWriter
+};
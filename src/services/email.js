@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing email
+//
+// Messages go through one transport, picked with EMAIL_TRANSPORT:
+//
+//   smtp    - nodemailer over SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//             (the default when SMTP_HOST is set)
+//   file    - each message written as an .eml file to EMAIL_OUTBOX_DIR
+//   console - each message logged (the default otherwise)
+//
+// Anything else can be plugged in with setEmailTransport: an object with
+// `send(message)` returning a promise.
+
+const EMAIL_CONFIG = {
+  transport: process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+  from: process.env.EMAIL_FROM || 'MediTransport <no-reply@meditransport.local>',
+  outboxDir: process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'meditransport-emails')
+};
+
+const smtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return { send: (message) => mailer.sendMail(message) };
+};
+
+const fileTransport = () => {
+  const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    send: async (message) => {
+      const info = await mailer.sendMail(message);
+      await fs.promises.mkdir(EMAIL_CONFIG.outboxDir, { recursive: true });
+      const file = path.join(EMAIL_CONFIG.outboxDir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { ...info, file };
+    }
+  };
+};
+
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: null };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const create = TRANSPORTS[EMAIL_CONFIG.transport];
+    if (!create) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_CONFIG.transport}"`);
+    }
+    transport = create();
+  }
+  return transport;
+};
+
+// Replace the transport (e.g. with a provider's API client)
+const setEmailTransport = (custom) => {
+  transport = custom;
+};
+
+// Send an email; `text` is required, `html` optional
+const sendEmail = async ({ to, subject, text, html }) => {
+  return getTransport().send({ from: EMAIL_CONFIG.from, to, subject, text, html });
+};
+
+module.exports = {
+  EMAIL_CONFIG,
+  setEmailTransport,
+  sendEmail
+};
@@ -0,0 +1,181 @@
+const { query } = require('../config/database');
+const { calculateDistance, hasCoordinates } = require('../utils/geo');
+const { emitToRide } = require('./realtime');
+const { markRideChanged } = require('./dispatchBoard');
+const { envNumber } = require('../utils/env');
+
+// Pickup and drop-off ETAs
+//
+// ETAs come from the driver's recent tracking points: the latest point gives the
+// position, the reported speeds (mph) give the pace. Without speeds the pace is
+// derived from the distance between points, and without points the driver's
+// last known location is used at ETA_DEFAULT_SPEED_MPH. Straight-line distances
+// are stretched by ETA_ROUTE_FACTOR to approximate the road route.
+//
+// The ETAs stored on the ride are the ones last published: they are only
+// rewritten, and `eta-update` only emitted to `ride-<rideId>`, when one moves by
+// more than ETA_CHANGE_THRESHOLD_SECONDS or appears/disappears.
+
+const ETA_CONFIG = {
+  samplePoints: envNumber('ETA_SAMPLE_POINTS', 5),
+  maxPointAgeMinutes: envNumber('ETA_MAX_POINT_AGE_MINUTES', 10),
+  defaultSpeedMph: envNumber('ETA_DEFAULT_SPEED_MPH', 25),
+  minSpeedMph: envNumber('ETA_MIN_SPEED_MPH', 8),
+  routeFactor: envNumber('ETA_ROUTE_FACTOR', 1.3),
+  changeThresholdSeconds: envNumber('ETA_CHANGE_THRESHOLD_SECONDS', 60)
+};
+
+// Statuses with a driver on the way or on board
+const TRACKED_STATUSES = ['accepted', 'arrived', 'in-progress'];
+
+const roadMiles = (lat1, lon1, lat2, lon2) =>
+  calculateDistance(Number(lat1), Number(lon1), Number(lat2), Number(lon2)) * ETA_CONFIG.routeFactor;
+
+// Pace in mph from points ordered newest first
+const estimateSpeed = (points) => {
+  const reported = points.map((p) => p.speed).filter((s) => hasCoordinates(s)).map(Number);
+  if (reported.length > 0) {
+    const average = reported.reduce((sum, s) => sum + s, 0) / reported.length;
+    return Math.max(ETA_CONFIG.minSpeedMph, average);
+  }
+
+  if (points.length >= 2) {
+    const newest = points[0];
+    const oldest = points[points.length - 1];
+    const hours = (new Date(newest.timestamp).getTime() - new Date(oldest.timestamp).getTime()) / 3600000;
+    if (hours > 0) {
+      let miles = 0;
+      for (let i = 1; i < points.length; i++) {
+        miles += calculateDistance(
+          Number(points[i - 1].latitude), Number(points[i - 1].longitude),
+          Number(points[i].latitude), Number(points[i].longitude)
+        );
+      }
+      return Math.max(ETA_CONFIG.minSpeedMph, miles / hours);
+    }
+  }
+
+  return ETA_CONFIG.defaultSpeedMph;
+};
+
+const addHours = (from, hours) => new Date(from.getTime() + hours * 3600000);
+
+// Compute ETAs for a ride from the driver position (newest first points, or a
+// single last known location). Both ETAs are null when they cannot be known.
+const computeEtas = (ride, points, now = new Date()) => {
+  const etas = { pickupEta: null, dropoffEta: null, speedMph: null };
+  if (!TRACKED_STATUSES.includes(ride.status) || points.length === 0) {
+    return etas;
+  }
+
+  const position = points[0];
+  const speed = estimateSpeed(points);
+  const hasPickup = hasCoordinates(ride.start_latitude, ride.start_longitude);
+  const hasDropoff = hasCoordinates(ride.end_latitude, ride.end_longitude);
+  etas.speedMph = Math.round(speed * 10) / 10;
+
+  if (ride.status === 'accepted') {
+    if (!hasPickup) {
+      return etas;
+    }
+    etas.pickupEta = addHours(now, roadMiles(position.latitude, position.longitude, ride.start_latitude, ride.start_longitude) / speed);
+    if (hasDropoff) {
+      etas.dropoffEta = addHours(etas.pickupEta, roadMiles(ride.start_latitude, ride.start_longitude, ride.end_latitude, ride.end_longitude) / speed);
+    }
+    return etas;
+  }
+
+  if (ride.status === 'arrived') {
+    etas.pickupEta = ride.arrived_at ? new Date(ride.arrived_at) : now;
+  }
+  if (hasDropoff) {
+    etas.dropoffEta = addHours(now, roadMiles(position.latitude, position.longitude, ride.end_latitude, ride.end_longitude) / speed);
+  }
+  return etas;
+};
+
+// Whether a new ETA differs enough from the published one to announce it
+const etaChanged = (previous, next) => {
+  if (!previous || !next) {
+    return Boolean(previous) !== Boolean(next);
+  }
+  return Math.abs(new Date(previous).getTime() - next.getTime()) > ETA_CONFIG.changeThresholdSeconds * 1000;
+};
+
+// Recent tracking points for the ride, falling back to the driver's last known location
+const loadPositions = async (ride) => {
+  const since = new Date(Date.now() - ETA_CONFIG.maxPointAgeMinutes * 60000);
+
+  const tracking = await query(
+    `SELECT latitude, longitude, speed, timestamp FROM ride_tracking
+     WHERE ride_id = $1 AND timestamp >= $2
+     ORDER BY timestamp DESC, id DESC
+     LIMIT $3`,
+    [ride.id, since, ETA_CONFIG.samplePoints]
+  );
+  if (tracking.rows.length > 0 || !ride.driver_id) {
+    return tracking.rows;
+  }
+
+  const driver = await query(
+    `SELECT last_latitude as latitude, last_longitude as longitude, last_location_at as timestamp
+     FROM drivers
+     WHERE id = $1 AND last_location_at >= $2`,
+    [ride.driver_id, since]
+  );
+  return driver.rows
+    .filter((row) => hasCoordinates(row.latitude, row.longitude))
+    .map((row) => ({ ...row, speed: null }));
+};
+
+const etaPayload = (ride, speedMph = null) => ({
+  rideId: ride.id,
+  status: ride.status,
+  pickupEta: ride.pickup_eta,
+  dropoffEta: ride.dropoff_eta,
+  speedMph,
+  updatedAt: ride.eta_updated_at
+});
+
+// Recompute a ride's ETAs; stores and emits them when they changed meaningfully.
+// Returns the current ETAs, or null when the ride does not exist.
+const refreshRideEta = async (rideId) => {
+  const rideResult = await query('SELECT * FROM rides WHERE id = $1', [rideId]);
+  if (rideResult.rows.length === 0) {
+    return null;
+  }
+
+  const ride = rideResult.rows[0];
+  const positions = TRACKED_STATUSES.includes(ride.status) ? await loadPositions(ride) : [];
+  const etas = computeEtas(ride, positions);
+
+  if (!etaChanged(ride.pickup_eta, etas.pickupEta) && !etaChanged(ride.dropoff_eta, etas.dropoffEta)) {
+    return { ...etaPayload(ride, etas.speedMph), changed: false };
+  }
+
+  const updated = await query(
+    `UPDATE rides
+     SET pickup_eta = $1, dropoff_eta = $2, eta_updated_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [etas.pickupEta, etas.dropoffEta, ride.id]
+  );
+
+  const payload = etaPayload(updated.rows[0], etas.speedMph);
+  emitToRide(ride.id, 'eta-update', payload);
+  markRideChanged(updated.rows[0]);
+  return { ...payload, changed: true };
+};
+
+// Refresh in the background after a ride change, logging failures
+const scheduleEtaRefresh = (rideId) => {
+  refreshRideEta(rideId).catch((error) => console.error('ETA update error:', error));
+};
+
+module.exports = {
+  ETA_CONFIG,
+  TRACKED_STATUSES,
+  computeEtas,
+  refreshRideEta,
+  scheduleEtaRefresh
+};
@@ -0,0 +1,73 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Domain event bus
+//
+// Services and route handlers publish what happened; subscribers (Socket.IO,
+// notifications, webhooks - see subscribers.js) decide who hears about it.
+// Events inside a transaction are published with publishAfterCommit so nobody
+// hears about changes that were rolled back. Delivery is asynchronous and a
+// failing subscriber never affects the publisher or other subscribers.
+//
+//   ride.created        { ride }
+//   ride.assigned       { ride, driverId, driverUserId }
+//   ride.status_changed { ride, fromStatus, toStatus, reason, source }
+//   payment.completed   { payment, rideId }
+//   payment.refunded    { payment, rideId }
+
+const EVENT_TYPES = ['ride.created', 'ride.assigned', 'ride.status_changed', 'payment.completed', 'payment.refunded'];
+
+// Handlers by event type; '*' receives every event
+const subscribers = new Map();
+
+// Subscribe to one event type (or '*'); returns a function that unsubscribes
+const subscribe = (type, handler) => {
+  if (type !== '*' && !EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type ${type}`);
+  }
+  if (!subscribers.has(type)) {
+    subscribers.set(type, new Set());
+  }
+  subscribers.get(type).add(handler);
+  return () => subscribers.get(type).delete(handler);
+};
+
+const deliver = (event) => {
+  const handlers = [...(subscribers.get(event.type) || []), ...(subscribers.get('*') || [])];
+  for (const handler of handlers) {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch((error) => console.error(`Event subscriber error (${event.type}):`, error));
+  }
+};
+
+// Publish an event; `actor` ({ id, role }) is who caused it. Returns the event.
+const publish = (type, data, { actor = null } = {}) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type ${type}`);
+  }
+
+  const event = {
+    id: uuidv4(),
+    type,
+    occurredAt: new Date().toISOString(),
+    actor: actor ? { id: actor.id || null, role: actor.role } : null,
+    data
+  };
+
+  setImmediate(() => deliver(event));
+  return event;
+};
+
+// Publish once the `tx` transaction commits; dropped if it rolls back
+const publishAfterCommit = (tx, type, data, options) => {
+  tx.afterCommit(() => {
+    publish(type, data, options);
+  });
+};
+
+module.exports = {
+  EVENT_TYPES,
+  subscribe,
+  publish,
+  publishAfterCommit
+};
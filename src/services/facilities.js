@@ -0,0 +1,310 @@
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { can, scopeFilter } = require('./policy');
+const { notifyUser } = require('./notifications');
+
+// Healthcare facilities
+//
+// Hospitals, clinics and care homes book rides for their patients. A
+// facility's staff are facility coordinators added by an admin; its patients
+// are patient accounts linked to it. A link requested by the staff stays
+// pending, and the staff see no more than the patient's ID, until the patient
+// accepts it; admins link patients directly. Staff book rides, trips and
+// series for linked patients through the facility and can see and cancel
+// everything booked through it; the patient still owns each ride and
+// `booked_by` records which staff member made the booking.
+
+const FACILITY_TYPES = ['hospital', 'clinic', 'care_home', 'other'];
+
+// API field name -> column, for dynamic updates
+const FACILITY_COLUMNS = {
+  name: 'name',
+  facilityType: 'facility_type',
+  address: 'address',
+  phone: 'phone',
+  active: 'active'
+};
+
+// Facilities visible to the user (facilities:read): staff and linked patients
+// their own, staff with facilities:read:any all of them
+const listFacilities = async (user, { active } = {}) => {
+  const params = [];
+  let where = `WHERE ${scopeFilter(user, 'facilities:read', params, { alias: 'f' })}`;
+
+  if (active !== undefined) {
+    params.push(active);
+    where += ` AND f.active = $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT f.*,
+      (SELECT COUNT(*) FROM facility_staff fs WHERE fs.facility_id = f.id) as staff_count,
+      (SELECT COUNT(*) FROM facility_patients fp WHERE fp.facility_id = f.id AND fp.status = 'active') as patient_count
+     FROM facilities f
+     ${where}
+     ORDER BY f.name ASC, f.id ASC`,
+    params
+  );
+  return result.rows;
+};
+
+// A facility the user may see; 404 otherwise
+const getFacility = async (facilityId, user) => {
+  const params = [facilityId];
+  const permission = scopeFilter(user, 'facilities:read', params, { alias: 'f' });
+  const result = await query(`SELECT f.* FROM facilities f WHERE f.id = $1 AND ${permission}`, params);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Facility not found', 404);
+  }
+  return result.rows[0];
+};
+
+// A facility whose patients the user may manage (facilities:patients): its
+// staff, or anyone with facilities:patients:any
+const getManagedFacility = async (facilityId, user) => {
+  const params = [facilityId];
+  const permission = scopeFilter(user, 'facilities:patients', params, { alias: 'f', resource: 'staffedFacilities' });
+  const result = await query(`SELECT f.* FROM facilities f WHERE f.id = $1 AND ${permission}`, params);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Facility not found or no permission', 404);
+  }
+  return result.rows[0];
+};
+
+const createFacility = async (user, { name, facilityType = 'clinic', address = null, phone = null }) => {
+  const result = await query(
+    `INSERT INTO facilities (name, facility_type, address, phone, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+     RETURNING *`,
+    [name, facilityType, address, phone, user.id]
+  );
+  return result.rows[0];
+};
+
+// Update a facility; null when there is none with that id
+const updateFacility = async (facilityId, changes) => {
+  const updateFields = [];
+  const updateParams = [];
+
+  for (const [field, column] of Object.entries(FACILITY_COLUMNS)) {
+    if (changes[field] !== undefined) {
+      updateParams.push(changes[field]);
+      updateFields.push(`${column} = $${updateParams.length}`);
+    }
+  }
+
+  updateFields.push('updated_at = NOW()');
+  updateParams.push(facilityId);
+
+  const result = await query(
+    `UPDATE facilities SET ${updateFields.join(', ')} WHERE id = $${updateParams.length} RETURNING *`,
+    updateParams
+  );
+  return result.rows[0] || null;
+};
+
+// The user named by `userId` or `email`, with the given role. Users with
+// another role are not found either, so coordinators looking up patients cannot
+// tell which emails belong to other accounts.
+const findUser = async ({ userId, email }, role, label) => {
+  const result = userId
+    ? await query('SELECT id, name, email, role FROM users WHERE id = $1 AND role = $2', [userId, role])
+    : await query('SELECT id, name, email, role FROM users WHERE email = $1 AND role = $2', [email, role]);
+
+  if (result.rows.length === 0) {
+    throw new AppError(`${label} not found`, 404);
+  }
+  return result.rows[0];
+};
+
+const listStaff = async (facilityId) => {
+  const result = await query(
+    `SELECT u.id, u.name, u.email, u.phone, fs.added_by, fs.created_at as added_at
+     FROM facility_staff fs
+     JOIN users u ON fs.user_id = u.id
+     WHERE fs.facility_id = $1
+     ORDER BY u.name ASC`,
+    [facilityId]
+  );
+  return result.rows;
+};
+
+// Add a facility coordinator to a facility's staff
+const addStaff = async (facility, member, addedBy) => {
+  const user = await findUser(member, 'facility_coordinator', 'Staff member');
+
+  const result = await query(
+    `INSERT INTO facility_staff (facility_id, user_id, added_by, created_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (facility_id, user_id) DO NOTHING
+     RETURNING *`,
+    [facility.id, user.id, addedBy.id]
+  );
+  if (result.rows.length === 0) {
+    throw new AppError('User is already a staff member of this facility', 409);
+  }
+
+  await notifyUser(user.id, {
+    type: 'facility.staff_added',
+    title: `You were added to ${facility.name}`,
+    body: 'You can now book and manage rides for its patients.'
+  });
+
+  return { id: user.id, name: user.name, email: user.email, added_by: addedBy.id, added_at: result.rows[0].created_at };
+};
+
+// Remove a staff member; false when they were not on the staff
+const removeStaff = async (facilityId, userId) => {
+  const result = await query(
+    'DELETE FROM facility_staff WHERE facility_id = $1 AND user_id = $2 RETURNING id',
+    [facilityId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+// A linked patient as the facility's staff see them: contact details only once
+// the patient has accepted the link
+const linkedPatient = (user, link) => ({
+  id: user.id,
+  ...(link.status === 'active' ? { name: user.name, email: user.email, phone: user.phone } : {}),
+  status: link.status,
+  linked_by: link.linked_by,
+  linked_at: link.created_at,
+  accepted_at: link.accepted_at
+});
+
+const listPatients = async (facilityId) => {
+  const result = await query(
+    `SELECT u.id, u.name, u.email, u.phone, fp.status, fp.linked_by, fp.accepted_at, fp.created_at
+     FROM facility_patients fp
+     JOIN users u ON fp.patient_id = u.id
+     WHERE fp.facility_id = $1
+     ORDER BY fp.status ASC, u.name ASC`,
+    [facilityId]
+  );
+  return result.rows.map((row) => linkedPatient(row, row));
+};
+
+// Link a patient to a facility so its staff can book for them. Without
+// facilities:patients:any the link is a request the patient must accept;
+// either way the patient is notified.
+const linkPatient = async (facility, patient, linkedBy) => {
+  const user = await findUser(patient, 'patient', 'Patient');
+  const direct = can(linkedBy, 'facilities:patients:any');
+
+  const result = await query(
+    `INSERT INTO facility_patients (facility_id, patient_id, linked_by, status, accepted_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (facility_id, patient_id) DO NOTHING
+     RETURNING *`,
+    [facility.id, user.id, linkedBy.id, direct ? 'active' : 'pending', direct ? new Date() : null]
+  );
+  if (result.rows.length === 0) {
+    throw new AppError('Patient is already linked to this facility or has a pending link request', 409);
+  }
+
+  await notifyUser(user.id, direct
+    ? {
+      type: 'facility.linked',
+      title: `You were linked to ${facility.name}`,
+      body: `${facility.name} can now book and manage rides on your behalf.`
+    }
+    : {
+      type: 'facility.link_requested',
+      title: `${facility.name} asks to manage your rides`,
+      body: `Accept to let ${facility.name} book and manage rides on your behalf.`
+    });
+
+  return linkedPatient(user, result.rows[0]);
+};
+
+// The patient accepts a pending link request; 404 when there is none
+const acceptLink = async (facility, patient) => {
+  const result = await query(
+    `UPDATE facility_patients SET status = 'active', accepted_at = NOW()
+     WHERE facility_id = $1 AND patient_id = $2 AND status = 'pending'
+     RETURNING *`,
+    [facility.id, patient.id]
+  );
+  const link = result.rows[0];
+  if (!link) {
+    throw new AppError('Link request not found', 404);
+  }
+
+  if (link.linked_by) {
+    await notifyUser(link.linked_by, {
+      type: 'facility.link_accepted',
+      title: `${patient.name} accepted the link to ${facility.name}`,
+      body: 'You can now book rides for them.'
+    });
+  }
+
+  return { facility_id: facility.id, status: link.status, accepted_at: link.accepted_at };
+};
+
+// Unlink a patient or withdraw or decline a link request; rides already booked
+// through the facility are kept. False when the patient was not linked.
+const unlinkPatient = async (facilityId, patientId) => {
+  const result = await query(
+    'DELETE FROM facility_patients WHERE facility_id = $1 AND patient_id = $2 RETURNING id',
+    [facilityId, patientId]
+  );
+  return result.rows.length > 0;
+};
+
+// Rides booked through a facility that the user may read, soonest pickup first
+const listFacilityRides = async (facilityId, user, { status, patientId, from, to, limit = 20, offset = 0 } = {}) => {
+  const params = [facilityId];
+  let where = `WHERE r.facility_id = $1 AND ${scopeFilter(user, 'rides:read', params, { alias: 'r' })}`;
+
+  const filters = [
+    ['r.status =', status],
+    ['r.user_id =', patientId],
+    ['r.ride_date >=', from],
+    ['r.ride_date <', to]
+  ];
+  for (const [condition, value] of filters) {
+    if (value !== undefined) {
+      params.push(value);
+      where += ` AND ${condition} $${params.length}`;
+    }
+  }
+
+  params.push(limit, offset);
+  const result = await query(
+    `SELECT
+      r.*,
+      u.name as patient_name,
+      bu.name as booked_by_name,
+      du.name as driver_name
+     FROM rides r
+     LEFT JOIN users u ON r.user_id = u.id
+     LEFT JOIN users bu ON r.booked_by = bu.id
+     LEFT JOIN drivers d ON r.driver_id = d.id
+     LEFT JOIN users du ON d.user_id = du.id
+     ${where}
+     ORDER BY r.ride_date ASC, r.id ASC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return result.rows;
+};
+
+module.exports = {
+  FACILITY_TYPES,
+  listFacilities,
+  getFacility,
+  getManagedFacility,
+  createFacility,
+  updateFacility,
+  listStaff,
+  addStaff,
+  removeStaff,
+  listPatients,
+  linkPatient,
+  acceptLink,
+  unlinkPatient,
+  listFacilityRides
+};
@@ -0,0 +1,185 @@
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { calculateDistance, hasCoordinates } = require('../utils/geo');
+
+// Fare engine
+//
+// A fare is priced from the rate card of the ride's vehicle type (car when none
+// is requested):
+//   base fare + per-mile rate x straight-line distance + vehicle surcharge,
+// multiplied by the highest active time-of-day multiplier covering the pickup
+// time, and raised to the card's minimum fare. Wait time beyond the free
+// minutes is charged per minute once known; no-show fees are charged on cancel.
+// Times are evaluated in the server's time zone.
+
+const DEFAULT_VEHICLE_TYPE = 'car';
+const CURRENCY = 'usd';
+
+const money = (value) => Math.round(value * 100) / 100;
+
+// "HH:MM" to minutes after midnight ("24:00" is the end of the day)
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether a multiplier window covers `date`; windows may wrap past midnight
+const coversTime = (window, date) => {
+  const days = Array.isArray(window.days) ? window.days.map(Number) : [];
+  const start = minutesOfDay(window.start_time);
+  const end = minutesOfDay(window.end_time);
+  const minute = date.getHours() * 60 + date.getMinutes();
+
+  if (start < end) {
+    return days.includes(date.getDay()) && minute >= start && minute < end;
+  }
+
+  // Wrapping window (e.g. 19:00-07:00): the early part belongs to the previous day
+  if (minute >= start) {
+    return days.includes(date.getDay());
+  }
+  if (minute < end) {
+    return days.includes((date.getDay() + 6) % 7);
+  }
+  return false;
+};
+
+const getRateCard = async (db, vehicleType) => {
+  const result = await db.query(
+    'SELECT * FROM rate_cards WHERE vehicle_type = $1',
+    [vehicleType || DEFAULT_VEHICLE_TYPE]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(`No rate card configured for ${vehicleType || DEFAULT_VEHICLE_TYPE}`, 500);
+  }
+  return result.rows[0];
+};
+
+// The highest active multiplier covering `date`, if any
+const getTimeMultiplier = async (db, date) => {
+  const result = await db.query('SELECT * FROM fare_time_multipliers WHERE active = true ORDER BY id');
+
+  return result.rows
+    .filter((window) => coversTime(window, date))
+    .reduce((best, window) => (!best || Number(window.multiplier) > Number(best.multiplier) ? window : best), null);
+};
+
+// Fee for `waitMinutes` of driver waiting under `rateCard`
+const waitFee = (rateCard, waitMinutes) => {
+  const chargeable = Math.max(0, (Number(waitMinutes) || 0) - Number(rateCard.wait_free_minutes));
+  return money(chargeable * Number(rateCard.wait_per_minute));
+};
+
+// Itemized fare estimate. `db` is anything with a `query` method (a transaction
+// scope or { query }).
+const quoteFare = async (db, {
+  vehicleType = null,
+  startLatitude,
+  startLongitude,
+  endLatitude,
+  endLongitude,
+  rideDate = new Date(),
+  waitMinutes = 0
+}) => {
+  const rateCard = await getRateCard(db, vehicleType);
+  const pickupAt = new Date(rideDate);
+
+  const distanceMiles = hasCoordinates(startLatitude, startLongitude, endLatitude, endLongitude)
+    ? calculateDistance(Number(startLatitude), Number(startLongitude), Number(endLatitude), Number(endLongitude))
+    : 0;
+
+  const items = [
+    { code: 'base', description: 'Base fare', amount: money(Number(rateCard.base_fare)) },
+    {
+      code: 'distance',
+      description: `${distanceMiles.toFixed(2)} miles at $${Number(rateCard.per_mile).toFixed(2)}/mile`,
+      amount: money(distanceMiles * Number(rateCard.per_mile))
+    }
+  ];
+
+  if (Number(rateCard.vehicle_surcharge) > 0) {
+    items.push({
+      code: 'vehicle_surcharge',
+      description: `${rateCard.vehicle_type} surcharge`,
+      amount: money(Number(rateCard.vehicle_surcharge))
+    });
+  }
+
+  let subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+  const multiplier = await getTimeMultiplier(db, pickupAt);
+  if (multiplier && Number(multiplier.multiplier) !== 1) {
+    const amount = money(subtotal * (Number(multiplier.multiplier) - 1));
+    items.push({
+      code: 'time_multiplier',
+      description: `${multiplier.name} (x${Number(multiplier.multiplier)})`,
+      amount
+    });
+    subtotal += amount;
+  }
+
+  if (subtotal < Number(rateCard.minimum_fare)) {
+    items.push({
+      code: 'minimum_fare',
+      description: `Minimum fare of $${Number(rateCard.minimum_fare).toFixed(2)}`,
+      amount: money(Number(rateCard.minimum_fare) - subtotal)
+    });
+    subtotal = Number(rateCard.minimum_fare);
+  }
+
+  const wait = waitFee(rateCard, waitMinutes);
+  if (wait > 0) {
+    items.push({ code: 'wait', description: `Waiting time (${waitMinutes} min)`, amount: wait });
+  }
+
+  return {
+    vehicleType: rateCard.vehicle_type,
+    rideDate: pickupAt.toISOString(),
+    distanceMiles: money(distanceMiles),
+    currency: CURRENCY,
+    items,
+    total: money(items.reduce((sum, item) => sum + item.amount, 0)),
+    fees: {
+      waitFreeMinutes: Number(rateCard.wait_free_minutes),
+      waitPerMinute: Number(rateCard.wait_per_minute),
+      noShowFee: Number(rateCard.no_show_fee)
+    }
+  };
+};
+
+// Estimated fare total for a ride about to be booked
+const estimateFare = async (db, trip) => (await quoteFare(db, trip)).total;
+
+// Fare fields for a ride row (snake_case columns, as stored)
+const rideFareInput = (ride) => ({
+  vehicleType: ride.vehicle_type,
+  startLatitude: ride.start_latitude,
+  startLongitude: ride.start_longitude,
+  endLatitude: ride.end_latitude,
+  endLongitude: ride.end_longitude,
+  rideDate: ride.ride_date
+});
+
+// Rate cards and multipliers for display and admin management
+const listRateCards = async () => {
+  const result = await query('SELECT * FROM rate_cards ORDER BY id');
+  return result.rows;
+};
+
+const listTimeMultipliers = async () => {
+  const result = await query('SELECT * FROM fare_time_multipliers ORDER BY id');
+  return result.rows;
+};
+
+module.exports = {
+  DEFAULT_VEHICLE_TYPE,
+  coversTime,
+  getRateCard,
+  waitFee,
+  quoteFare,
+  estimateFare,
+  rideFareInput,
+  listRateCards,
+  listTimeMultipliers
+};
@@ -0,0 +1,156 @@
+const { query, withTransaction } = require('../config/database');
+const { calculateDistance, hasCoordinates } = require('../utils/geo');
+const { transitionRide } = require('./rideLifecycle');
+const { envNumber } = require('../utils/env');
+
+// Geofence-based arrival, pickup and drop-off detection
+//
+// Each ride has a fence of GEOFENCE_RADIUS_METERS around its pickup and drop-off
+// coordinates. Driver positions (REST tracking points and socket updates) are
+// checked against the fence that matters for the ride's status, and every
+// crossing is recorded in ride_geofence_events. A milestone only fires once the
+// driver has stayed on the same side of the fence for its dwell time, counted
+// from the crossing or from the ride's last status change, whichever is later:
+//
+//   accepted    + inside the pickup fence  for GEOFENCE_ARRIVAL_DWELL_SECONDS -> arrived
+//   arrived     + outside the pickup fence for GEOFENCE_PICKUP_DWELL_SECONDS  -> in-progress
+//   in-progress + inside the drop-off fence for GEOFENCE_DROPOFF_DWELL_SECONDS -> completed
+//
+// Leaving only counts beyond GEOFENCE_EXIT_RADIUS_METERS, so GPS jitter at the
+// edge of the fence does not restart the dwell clock.
+
+const GEOFENCE_CONFIG = {
+  enabled: process.env.GEOFENCE_ENABLED !== 'false',
+  radiusMeters: envNumber('GEOFENCE_RADIUS_METERS', 100),
+  exitRadiusMeters: envNumber('GEOFENCE_EXIT_RADIUS_METERS', 150),
+  arrivalDwellSeconds: envNumber('GEOFENCE_ARRIVAL_DWELL_SECONDS', 30),
+  pickupDwellSeconds: envNumber('GEOFENCE_PICKUP_DWELL_SECONDS', 20),
+  dropoffDwellSeconds: envNumber('GEOFENCE_DROPOFF_DWELL_SECONDS', 30)
+};
+
+const METERS_PER_MILE = 1609.344;
+
+// What each status waits for: the fence watched, the side the driver must stay
+// on, for how long, and the status and milestone reached
+const MILESTONES = {
+  accepted: { fence: 'pickup', side: 'enter', dwell: 'arrivalDwellSeconds', toStatus: 'arrived', event: 'arrived', reason: 'Arrived at pickup (geofence)' },
+  arrived: { fence: 'pickup', side: 'exit', dwell: 'pickupDwellSeconds', toStatus: 'in-progress', event: 'picked_up', reason: 'Left pickup with patient (geofence)' },
+  'in-progress': { fence: 'dropoff', side: 'enter', dwell: 'dropoffDwellSeconds', toStatus: 'completed', event: 'dropped_off', reason: 'Arrived at drop-off (geofence)' }
+};
+
+const fenceCenter = (ride, fence) => (fence === 'pickup'
+  ? [ride.start_latitude, ride.start_longitude]
+  : [ride.end_latitude, ride.end_longitude]);
+
+const recordEvent = async (tx, rideId, fence, event, position, distanceMeters, at) => {
+  const result = await tx.query(
+    `INSERT INTO ride_geofence_events (ride_id, fence, event, latitude, longitude, distance_meters, occurred_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [rideId, fence, event, position.latitude, position.longitude, Math.round(distanceMeters), at]
+  );
+  return result.rows[0];
+};
+
+// Check a driver position against the ride's geofences, recording crossings and
+// advancing the ride when a dwell threshold is met. Returns the crossings and
+// milestone recorded ({ events, ride, milestone }), or null when the ride is not
+// being watched.
+const processDriverLocation = async (rideId, position, at = new Date()) => {
+  if (!GEOFENCE_CONFIG.enabled || !hasCoordinates(position.latitude, position.longitude)) {
+    return null;
+  }
+
+  return withTransaction(async (tx) => {
+    const rideResult = await tx.query(
+      `SELECT r.*, d.user_id as driver_user_id
+       FROM rides r
+       LEFT JOIN drivers d ON r.driver_id = d.id
+       WHERE r.id = $1
+       FOR UPDATE OF r`,
+      [rideId]
+    );
+    const ride = rideResult.rows[0];
+    const milestone = ride && MILESTONES[ride.status];
+    if (!milestone) {
+      return null;
+    }
+
+    const [centerLatitude, centerLongitude] = fenceCenter(ride, milestone.fence);
+    if (!hasCoordinates(centerLatitude, centerLongitude)) {
+      return null;
+    }
+
+    const distanceMeters = calculateDistance(
+      Number(position.latitude), Number(position.longitude),
+      Number(centerLatitude), Number(centerLongitude)
+    ) * METERS_PER_MILE;
+
+    const lastResult = await tx.query(
+      `SELECT * FROM ride_geofence_events
+       WHERE ride_id = $1 AND fence = $2 AND event IN ('enter', 'exit')
+       ORDER BY occurred_at DESC, id DESC
+       LIMIT 1`,
+      [ride.id, milestone.fence]
+    );
+
+    const events = [];
+    let crossing = lastResult.rows[0] || null;
+
+    if (distanceMeters <= GEOFENCE_CONFIG.radiusMeters && (!crossing || crossing.event === 'exit')) {
+      crossing = await recordEvent(tx, ride.id, milestone.fence, 'enter', position, distanceMeters, at);
+      events.push(crossing);
+    } else if (distanceMeters > GEOFENCE_CONFIG.exitRadiusMeters && (!crossing || crossing.event === 'enter')) {
+      crossing = await recordEvent(tx, ride.id, milestone.fence, 'exit', position, distanceMeters, at);
+      events.push(crossing);
+    }
+
+    // A crossing from before the status changed (e.g. a driver marking the
+    // arrival by hand while still outside the fence) only counts from the change
+    const statusResult = await tx.query(
+      `SELECT created_at FROM ride_status_history
+       WHERE ride_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [ride.id]
+    );
+    const dwellStart = crossing && Math.max(
+      new Date(crossing.occurred_at).getTime(),
+      statusResult.rows.length > 0 ? new Date(statusResult.rows[0].created_at).getTime() : 0
+    );
+
+    const dwelled = crossing && crossing.event === milestone.side &&
+      at.getTime() - dwellStart >= GEOFENCE_CONFIG[milestone.dwell] * 1000;
+
+    if (!dwelled) {
+      return { ride, events, milestone: null };
+    }
+
+    // Arrival counts from entering the fence, which also starts the wait clock
+    const updated = await transitionRide(tx, ride, milestone.toStatus, { id: ride.driver_user_id, role: 'system' }, {
+      reason: milestone.reason,
+      fields: milestone.toStatus === 'arrived' ? { arrived_at: new Date(crossing.occurred_at) } : {},
+      source: 'geofence'
+    });
+    events.push(await recordEvent(tx, ride.id, milestone.fence, milestone.event, position, distanceMeters, at));
+
+    return { ride: updated, events, milestone: milestone.event };
+  });
+};
+
+// Geofence crossings and milestones recorded for a ride
+const getGeofenceEvents = async (rideId) => {
+  const result = await query(
+    `SELECT * FROM ride_geofence_events
+     WHERE ride_id = $1
+     ORDER BY occurred_at ASC, id ASC`,
+    [rideId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  GEOFENCE_CONFIG,
+  processDriverLocation,
+  getGeofenceEvents
+};
@@ -0,0 +1,198 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { hashToken } = require('./authTokens');
+const { sendEmail } = require('./email');
+
+// Staff invitations
+//
+// Public registration only creates patients and drivers pending approval.
+// Staff (and drivers an admin vouches for) join through an invitation: a
+// token signed with INVITATION_SECRET (JWT_SECRET when unset) that expires
+// after INVITATION_EXPIRES_IN and is emailed to the invitee. The token's hash
+// is stored so an invitation works once and can be revoked. Facility
+// coordinators may be invited to a facility, whose staff they join on signing up.
+
+const INVITATION_CONFIG = {
+  expiresIn: process.env.INVITATION_EXPIRES_IN || '72h',
+  acceptUrl: process.env.INVITATION_URL || `${process.env.FRONTEND_URL || 'http://localhost:4200'}/accept-invitation`
+};
+
+// Roles that are only reachable by invitation (patients register themselves)
+const INVITABLE_ROLES = ['admin', 'dispatcher', 'billing_clerk', 'facility_coordinator', 'driver'];
+
+const invitationSecret = () => process.env.INVITATION_SECRET || process.env.JWT_SECRET;
+
+const invitationEmail = (invitation, inviter, token) => ({
+  to: invitation.email,
+  subject: `You're invited to join MediTransport as ${invitation.role === 'admin' ? 'an admin' : `a ${invitation.role.replace(/_/g, ' ')}`}`,
+  text: `Hi,\n\n${inviter.name} invited you to MediTransport. Create your account here:\n\n${INVITATION_CONFIG.acceptUrl}?token=${token}\n\nThe invitation expires on ${new Date(invitation.expires_at).toUTCString()}.`
+});
+
+// Invite `email` to join with `role` (and facility coordinators, optionally,
+// the staff of `facilityId`), emailing the signed invitation
+const createInvitation = async (inviter, { email, role, facilityId = null }) => {
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`, 400);
+  }
+  if (facilityId) {
+    if (role !== 'facility_coordinator') {
+      throw new AppError('Only facility coordinators can be invited to a facility', 400);
+    }
+    const facility = await query('SELECT id FROM facilities WHERE id = $1 AND active = true', [facilityId]);
+    if (facility.rows.length === 0) {
+      throw new AppError('Facility not found', 404);
+    }
+  }
+
+  const existing = await query('SELECT id FROM users WHERE email = $1', [email]);
+  if (existing.rows.length > 0) {
+    throw new AppError('User with this email already exists', 409);
+  }
+
+  const { invitation, token } = await withTransaction(async (tx) => {
+    // A new invitation replaces any open one for the address
+    await tx.query(
+      `UPDATE invitations SET revoked_at = NOW()
+       WHERE email = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [email]
+    );
+
+    const signed = jwt.sign(
+      { purpose: 'invitation', email, role },
+      invitationSecret(),
+      { expiresIn: INVITATION_CONFIG.expiresIn, jwtid: uuidv4() }
+    );
+
+    const result = await tx.query(
+      `INSERT INTO invitations (email, role, facility_id, token_hash, invited_by, expires_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING id, email, role, facility_id, invited_by, expires_at, accepted_at, revoked_at, created_at`,
+      [email, role, facilityId, hashToken(signed), inviter.id, new Date(jwt.decode(signed).exp * 1000)]
+    );
+    return { invitation: result.rows[0], token: signed };
+  });
+
+  await sendEmail(invitationEmail(invitation, inviter, token));
+  return invitation;
+};
+
+// Check an invitation token; returns the open invitation it belongs to
+const readInvitation = async (db, token, lock = false) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, invitationSecret());
+  } catch (error) {
+    throw new AppError('Invalid or expired invitation', 400);
+  }
+  if (decoded.purpose !== 'invitation') {
+    throw new AppError('Invalid or expired invitation', 400);
+  }
+
+  const result = await db.query(
+    `SELECT * FROM invitations WHERE token_hash = $1${lock ? ' FOR UPDATE' : ''}`,
+    [hashToken(token)]
+  );
+  const invitation = result.rows[0];
+  if (!invitation || invitation.accepted_at || invitation.revoked_at ||
+      new Date(invitation.expires_at).getTime() <= Date.now()) {
+    throw new AppError('Invalid or expired invitation', 400);
+  }
+  return invitation;
+};
+
+// What an invitation is for (to prefill the sign-up form)
+const describeInvitation = async (token) => {
+  const invitation = await readInvitation({ query }, token);
+  return { email: invitation.email, role: invitation.role, facilityId: invitation.facility_id, expiresAt: invitation.expires_at };
+};
+
+// Create the invited account. The email is verified by receiving the
+// invitation, invited drivers are approved and coordinators invited to a
+// facility join its staff. Returns the new user's id.
+const acceptInvitation = async (token, { name, password, phone, licenseNumber, vehicleType }) => {
+  const hashedPassword = await bcrypt.hash(password, 12);
+  const userId = uuidv4();
+
+  await withTransaction(async (tx) => {
+    const invitation = await readInvitation(tx, token, true);
+
+    const existing = await tx.query('SELECT id FROM users WHERE email = $1', [invitation.email]);
+    if (existing.rows.length > 0) {
+      throw new AppError('User with this email already exists', 409);
+    }
+    if (invitation.role === 'driver' && (!licenseNumber || !vehicleType)) {
+      throw new AppError('licenseNumber and vehicleType are required for drivers', 400);
+    }
+
+    await tx.query(
+      `INSERT INTO users (id, name, email, password, phone, role, email_verified, email_verified_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, true, NOW(), NOW())`,
+      [userId, name, invitation.email, hashedPassword, phone, invitation.role]
+    );
+
+    if (invitation.role === 'driver') {
+      await tx.query(
+        `INSERT INTO drivers (user_id, license_number, vehicle_type, approval_status, reviewed_by, reviewed_at, created_at)
+         VALUES ($1, $2, $3, 'approved', $4, NOW(), NOW())`,
+        [userId, licenseNumber, vehicleType, invitation.invited_by]
+      );
+    }
+
+    if (invitation.facility_id) {
+      await tx.query(
+        `INSERT INTO facility_staff (facility_id, user_id, added_by, created_at)
+         VALUES ($1, $2, $3, NOW())`,
+        [invitation.facility_id, userId, invitation.invited_by]
+      );
+    }
+
+    await tx.query(
+      'UPDATE invitations SET accepted_at = NOW(), accepted_user_id = $1 WHERE id = $2',
+      [userId, invitation.id]
+    );
+  });
+
+  return userId;
+};
+
+// Invitations, newest first
+const listInvitations = async ({ status } = {}) => {
+  const conditions = {
+    open: 'accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()',
+    accepted: 'accepted_at IS NOT NULL',
+    revoked: 'revoked_at IS NOT NULL',
+    expired: 'accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= NOW()'
+  };
+
+  const result = await query(
+    `SELECT id, email, role, facility_id, invited_by, expires_at, accepted_at, accepted_user_id, revoked_at, created_at
+     FROM invitations
+     ${conditions[status] ? `WHERE ${conditions[status]}` : ''}
+     ORDER BY created_at DESC, id DESC`
+  );
+  return result.rows;
+};
+
+// Revoke an open invitation; null when there is none with that id
+const revokeInvitation = async (id) => {
+  const result = await query(
+    `UPDATE invitations SET revoked_at = NOW()
+     WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id, email, role, facility_id, invited_by, expires_at, revoked_at, created_at`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  INVITATION_CONFIG,
+  INVITABLE_ROLES,
+  createInvitation,
+  describeInvitation,
+  acceptInvitation,
+  listInvitations,
+  revokeInvitation
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { hashToken } = require('./authTokens');
+const { revokeOtherSessions, revokeUserSessions } = require('./sessions');
+const { generateSecret, verifyCode, otpauthUri } = require('../utils/totp');
+const { envNumber } = require('../utils/env');
+
+// TOTP multi-factor authentication
+//
+// Enrolling creates a secret the user adds to an authenticator app (through the
+// otpauth URI, usually shown as a QR code); MFA is enabled once a code from the
+// app is confirmed, which also hands out MFA_BACKUP_CODES single-use backup
+// codes. Secrets are stored encrypted with MFA_ENCRYPTION_KEY (JWT_SECRET when
+// unset), backup codes hashed, and each authenticator code is accepted once.
+//
+// With MFA enabled, a correct password only yields a short-lived MFA token;
+// access and refresh tokens are issued once a code (or backup code) is
+// presented with it. Roles in MFA_REQUIRED_ROLES (default `admin`) must enroll
+// before they can use the API and cannot disable MFA.
+
+const MFA_CONFIG = {
+  issuer: process.env.MFA_ISSUER || 'MediTransport',
+  windowSteps: envNumber('MFA_WINDOW_STEPS', 1),
+  backupCodeCount: envNumber('MFA_BACKUP_CODES', 10),
+  loginTokenTtl: process.env.MFA_LOGIN_TOKEN_EXPIRES_IN || '5m',
+  requiredRoles: (process.env.MFA_REQUIRED_ROLES === undefined ? 'admin' : process.env.MFA_REQUIRED_ROLES)
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean)
+};
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+// AES-256-GCM, stored as iv:tag:ciphertext (hex)
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateBackupCodes = () => Array.from({ length: MFA_CONFIG.backupCodeCount }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// Replace a user's backup codes; returns the new codes (shown to the user once)
+const replaceBackupCodes = async (tx, userId) => {
+  const codes = generateBackupCodes();
+  await tx.query('DELETE FROM mfa_backup_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await tx.query(
+      'INSERT INTO mfa_backup_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())',
+      [userId, hashToken(normalizeBackupCode(code))]
+    );
+  }
+  return codes;
+};
+
+const isMfaRequired = (role) => MFA_CONFIG.requiredRoles.includes(role);
+
+const loadUser = async (db, userId, lock = false) => {
+  const result = await db.query(
+    `SELECT id, email, role, password, mfa_enabled, mfa_secret, mfa_pending_secret, mfa_last_step
+     FROM users WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+  return result.rows[0];
+};
+
+// Check an authenticator code against an encrypted secret, refusing codes
+// already used; records the step used
+const consumeTotp = async (tx, user, encryptedSecret, code) => {
+  const step = verifyCode(decryptSecret(encryptedSecret), code, { window: MFA_CONFIG.windowSteps });
+  if (step === null || (user.mfa_last_step !== null && step <= user.mfa_last_step)) {
+    return false;
+  }
+  await tx.query('UPDATE users SET mfa_last_step = $1 WHERE id = $2', [step, user.id]);
+  return true;
+};
+
+const consumeBackupCode = async (tx, userId, code) => {
+  const result = await tx.query(
+    `UPDATE mfa_backup_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeBackupCode(code))]
+  );
+  return result.rows.length > 0;
+};
+
+// Check the second factor of a user with MFA enabled: an authenticator `code`
+// or a `backupCode`. Successful checks are recorded, so neither works twice.
+const checkSecondFactor = async (tx, user, { code, backupCode }) => {
+  if (!user.mfa_enabled) {
+    throw new AppError('Multi-factor authentication is not enabled', 400);
+  }
+  if (code) {
+    return consumeTotp(tx, user, user.mfa_secret, code);
+  }
+  if (backupCode) {
+    return consumeBackupCode(tx, user.id, backupCode);
+  }
+  return false;
+};
+
+// Where the user stands with MFA
+const getMfaStatus = async (userId) => {
+  const user = await loadUser({ query }, userId);
+  const codes = await query(
+    'SELECT COUNT(*) as remaining FROM mfa_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return {
+    enabled: Boolean(user.mfa_enabled),
+    required: isMfaRequired(user.role),
+    backupCodesRemaining: Number(codes.rows[0].remaining)
+  };
+};
+
+// Start enrolling: a new secret to add to the authenticator app
+const startEnrollment = async (userId) => {
+  const user = await loadUser({ query }, userId);
+  if (user.mfa_enabled) {
+    throw new AppError('Multi-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateSecret();
+  await query('UPDATE users SET mfa_pending_secret = $1 WHERE id = $2', [encryptSecret(secret), userId]);
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, account: user.email, issuer: MFA_CONFIG.issuer })
+  };
+};
+
+// Finish enrolling with a code from the app. Other sessions, which were opened
+// with the password alone, are ended. Returns the backup codes.
+const confirmEnrollment = async (userId, code, currentSessionId) => {
+  const backupCodes = await withTransaction(async (tx) => {
+    const user = await loadUser(tx, userId, true);
+    if (user.mfa_enabled) {
+      throw new AppError('Multi-factor authentication is already enabled', 409);
+    }
+    if (!user.mfa_pending_secret) {
+      throw new AppError('Start enrollment first', 400);
+    }
+    if (!(await consumeTotp(tx, user, user.mfa_pending_secret, code))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    await tx.query(
+      `UPDATE users
+       SET mfa_enabled = true, mfa_secret = mfa_pending_secret, mfa_pending_secret = NULL,
+           mfa_enabled_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+    return replaceBackupCodes(tx, userId);
+  });
+
+  await revokeOtherSessions(userId, currentSessionId, 'mfa_enabled');
+  return backupCodes;
+};
+
+// New backup codes, confirmed with an authenticator code
+const regenerateBackupCodes = async (userId, code) => {
+  return withTransaction(async (tx) => {
+    const user = await loadUser(tx, userId, true);
+    if (!(await checkSecondFactor(tx, user, { code }))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+    return replaceBackupCodes(tx, userId);
+  });
+};
+
+const clearMfa = async (tx, userId) => {
+  await tx.query(
+    `UPDATE users
+     SET mfa_enabled = false, mfa_secret = NULL, mfa_pending_secret = NULL,
+         mfa_last_step = NULL, mfa_enabled_at = NULL, updated_at = NOW()
+     WHERE id = $1`,
+    [userId]
+  );
+  await tx.query('DELETE FROM mfa_backup_codes WHERE user_id = $1', [userId]);
+};
+
+// Turn MFA off (not allowed for roles that require it)
+const disableMfa = async (userId, { code, backupCode }) => {
+  await withTransaction(async (tx) => {
+    const user = await loadUser(tx, userId, true);
+    if (isMfaRequired(user.role)) {
+      throw new AppError(`Multi-factor authentication is required for ${user.role} accounts`, 403);
+    }
+    if (!(await checkSecondFactor(tx, user, { code, backupCode }))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+    await clearMfa(tx, userId);
+  });
+};
+
+// Remove a user's MFA (e.g. a lost phone) and end their sessions, so they
+// enroll again on their next login
+const resetMfa = async (userId) => {
+  await withTransaction(async (tx) => {
+    await loadUser(tx, userId, true);
+    await clearMfa(tx, userId);
+  });
+  return revokeUserSessions(userId, 'mfa_reset');
+};
+
+// The short-lived token a password login yields when MFA is enabled
+const issueMfaToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, purpose: 'mfa' },
+  process.env.JWT_SECRET,
+  { expiresIn: MFA_CONFIG.loginTokenTtl }
+);
+
+// The account an MFA token was issued for (for throttling); null when invalid
+const mfaTokenEmail = (mfaToken) => {
+  try {
+    const decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'mfa' ? decoded.email || null : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Second login step: the MFA token plus a code; returns the user to issue tokens for
+const completeMfaLogin = async (mfaToken, { code, backupCode }) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid or expired MFA token; please log in again', 401);
+  }
+  if (decoded.purpose !== 'mfa') {
+    throw new AppError('Invalid or expired MFA token; please log in again', 401);
+  }
+
+  const outcome = await withTransaction(async (tx) => {
+    const user = await loadUser(tx, decoded.userId, true);
+    return { user, valid: await checkSecondFactor(tx, user, { code, backupCode }) };
+  });
+
+  if (!outcome.valid) {
+    throw new AppError('Invalid authentication code', 401);
+  }
+  return outcome.user;
+};
+
+module.exports = {
+  MFA_CONFIG,
+  isMfaRequired,
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableMfa,
+  resetMfa,
+  issueMfaToken,
+  mfaTokenEmail,
+  completeMfaLogin
+};
@@ -0,0 +1,68 @@
+const { query } = require('../config/database');
+const { emitToUser } = require('./realtime');
+
+// In-app notifications: stored per user and pushed live as a `notification`
+// socket event to the user's personal room
+
+// Store a notification for `userId` and push it to their connected sockets
+const notifyUser = async (userId, { type, title, body = null, rideId = null, eventId = null }) => {
+  if (!userId) {
+    return null;
+  }
+
+  const result = await query(
+    `INSERT INTO notifications (user_id, type, title, body, ride_id, event_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     RETURNING *`,
+    [userId, type, title, body, rideId, eventId]
+  );
+
+  const notification = result.rows[0];
+  emitToUser(userId, 'notification', notification);
+  return notification;
+};
+
+// A user's notifications, newest first
+const listNotifications = async (userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) => {
+  let queryText = 'SELECT * FROM notifications WHERE user_id = $1';
+  const params = [userId];
+
+  if (unreadOnly) {
+    queryText += ' AND read_at IS NULL';
+  }
+
+  params.push(limit, offset);
+  queryText += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+  const result = await query(queryText, params);
+  return result.rows;
+};
+
+// Mark one of the user's notifications read; null when it is not theirs
+const markNotificationRead = async (userId, notificationId) => {
+  const result = await query(
+    `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [notificationId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Mark all of the user's notifications read; returns how many were unread
+const markAllNotificationsRead = async (userId) => {
+  const result = await query(
+    `UPDATE notifications SET read_at = NOW()
+     WHERE user_id = $1 AND read_at IS NULL
+     RETURNING id`,
+    [userId]
+  );
+  return result.rows.length;
+};
+
+module.exports = {
+  notifyUser,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { hashToken, revokeUserFamilies } = require('./authTokens');
+const { disconnectSessions } = require('./realtime');
+const { sendEmail } = require('./email');
+const { envNumber } = require('../utils/env');
+
+// Forgotten passwords
+//
+// A reset request emails a link with a random token; only its SHA-256 hash is
+// stored. Tokens expire after PASSWORD_RESET_TTL_MINUTES, work once, and a new
+// request replaces the previous token. Resetting the password ends every
+// session of the user.
+
+const PASSWORD_RESET_CONFIG = {
+  ttlMinutes: envNumber('PASSWORD_RESET_TTL_MINUTES', 60),
+  resetUrl: process.env.PASSWORD_RESET_URL || `${process.env.FRONTEND_URL || 'http://localhost:4200'}/reset-password`
+};
+
+const resetEmail = (user, token) => {
+  const link = `${PASSWORD_RESET_CONFIG.resetUrl}?token=${token}`;
+  return {
+    to: user.email,
+    subject: 'Reset your MediTransport password',
+    text: `Hi ${user.name},\n\nUse this link within ${PASSWORD_RESET_CONFIG.ttlMinutes} minutes to choose a new password:\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+  };
+};
+
+const passwordChangedEmail = (user) => ({
+  to: user.email,
+  subject: 'Your MediTransport password was changed',
+  text: `Hi ${user.name},\n\nYour password was just reset and you have been signed out everywhere. If this was not you, contact support right away.`
+});
+
+const sendInBackground = (message) => {
+  sendEmail(message).catch((error) => console.error('Email error:', error));
+};
+
+// Start a reset for the account with `email`. Unknown addresses are ignored so
+// the response does not reveal which emails have accounts.
+const requestPasswordReset = async (email, { ip = null } = {}) => {
+  const userResult = await query('SELECT id, name, email FROM users WHERE email = $1', [email]);
+  if (userResult.rows.length === 0) {
+    return;
+  }
+  const user = userResult.rows[0];
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await withTransaction(async (tx) => {
+    await tx.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await tx.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip, created_at)
+       VALUES ($1, $2, $3, $4, NOW())`,
+      [user.id, hashToken(token), new Date(Date.now() + PASSWORD_RESET_CONFIG.ttlMinutes * 60000), ip]
+    );
+  });
+
+  sendInBackground(resetEmail(user, token));
+};
+
+// Set a new password with a reset token and sign the user out everywhere
+const resetPassword = async (token, password) => {
+  const hashedPassword = await bcrypt.hash(password, 12);
+
+  const { user, sessionIds } = await withTransaction(async (tx) => {
+    const tokenResult = await tx.query(
+      'SELECT * FROM password_reset_tokens WHERE token_hash = $1 FOR UPDATE',
+      [hashToken(token)]
+    );
+    const stored = tokenResult.rows[0];
+    if (!stored || stored.used_at || new Date(stored.expires_at).getTime() <= Date.now()) {
+      throw new AppError('Invalid or expired reset token', 400);
+    }
+
+    const userResult = await tx.query(
+      `UPDATE users SET password = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, name, email`,
+      [hashedPassword, stored.user_id]
+    );
+    await tx.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [stored.id]);
+
+    return {
+      user: userResult.rows[0],
+      sessionIds: await revokeUserFamilies(tx, stored.user_id, 'password_reset')
+    };
+  });
+
+  disconnectSessions(sessionIds);
+  sendInBackground(passwordChangedEmail(user));
+  return user;
+};
+
+module.exports = {
+  PASSWORD_RESET_CONFIG,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,25 @@
+// Payment records that the server creates itself (fees), as opposed to fare
+// payments started by the patient through /api/payments/create-intent
+
+const FEE_TYPES = ['late_cancel_fee', 'no_show_fee'];
+
+// Record a fee owed by the patient as a pending payment. It is paid like a fare:
+// POST /api/payments/create-intent with the payment id.
+const recordFee = async (db, { rideId, userId, type, amount }) => {
+  if (!FEE_TYPES.includes(type)) {
+    throw new Error(`Unknown fee type ${type}`);
+  }
+
+  const result = await db.query(
+    `INSERT INTO payments (ride_id, user_id, amount, method, status, type, payment_date, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NULL, NOW())
+     RETURNING *`,
+    [rideId, userId, amount, 'credit_card', 'pending', type]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  FEE_TYPES,
+  recordFee
+};
@@ -0,0 +1,252 @@
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Access control policy
+//
+// Routes ask for named permissions (`<resource>:<action>`) instead of roles;
+// each role is granted a list of them below. For records users own, a
+// permission comes in two scopes: `:own` covers the user's own records and
+// `:any` every record (`rides:read:own` lets a patient read the rides they
+// booked and a driver the rides they drive; `rides:read:any` reads them all).
+// Ride permissions also come in a `:facility` scope covering the bookings made
+// through the healthcare facilities the user is a staff member of.
+// What "own" and "facility" mean is defined once per resource in OWNERSHIP and
+// FACILITY_OWNERSHIP and applied as an SQL filter, so every route scopes
+// records the same way.
+
+const PERMISSIONS = [
+  'rides:read:own', 'rides:read:facility', 'rides:read:any',
+  // Book rides, trips and recurring series, and manage those bookings
+  // (`:facility`: for the patients linked to the user's facilities)
+  'rides:book:own', 'rides:book:facility', 'rides:book:any',
+  // Change a ride's status and trip details (drivers: rides assigned to them)
+  'rides:update:own', 'rides:update:any',
+  'rides:cancel:own', 'rides:cancel:facility', 'rides:cancel:any',
+  'rides:assign',
+  // Dispatch scoring, offers, geofence audit and the live dispatch board
+  'rides:dispatch',
+  'rides:track',
+  'drivers:drive',
+  'drivers:review',
+  'vehicles:read:own', 'vehicles:read:any',
+  'vehicles:write:own',
+  'vehicles:delete',
+  'payments:read:own', 'payments:read:any',
+  'payments:pay',
+  'payments:refund',
+  'users:read:any',
+  // Sessions, MFA resets and lockouts of other users
+  'users:manage',
+  // Facilities the user is a staff member of or linked to as a patient
+  'facilities:read:own', 'facilities:read:any',
+  // Create, update and deactivate facilities and manage their staff
+  'facilities:manage',
+  // Link patients to and unlink them from facilities (`:own`: those the user
+  // is a staff member of, pending until the patient accepts; `:any` links
+  // directly)
+  'facilities:patients:own', 'facilities:patients:any',
+  'fares:manage',
+  'holidays:manage',
+  'webhooks:manage',
+  'invitations:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  patient: [
+    'rides:read:own', 'rides:book:own', 'rides:cancel:own',
+    'payments:read:own', 'payments:pay', 'facilities:read:own'
+  ],
+  driver: [
+    'rides:read:own', 'rides:update:own', 'rides:cancel:own', 'rides:track',
+    'drivers:drive', 'vehicles:read:own', 'vehicles:write:own'
+  ],
+  dispatcher: [
+    'rides:read:any', 'rides:cancel:any', 'rides:assign', 'rides:dispatch',
+    'vehicles:read:any', 'holidays:manage', 'facilities:read:any'
+  ],
+  billing_clerk: [
+    'rides:read:any', 'payments:read:any', 'payments:refund', 'fares:manage',
+    'facilities:read:any'
+  ],
+  facility_coordinator: [
+    'rides:read:facility', 'rides:book:facility', 'rides:cancel:facility',
+    'facilities:read:own', 'facilities:patients:own'
+  ],
+  admin: PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// SQL conditions for "`alias` belongs to the user in parameter `param`"
+const OWNERSHIP = {
+  // Rides the user booked or drives
+  rides: (alias, param) => `(${alias}.user_id = ${param} OR EXISTS (
+    SELECT 1 FROM drivers od WHERE od.id = ${alias}.driver_id AND od.user_id = ${param}
+  ))`,
+  // Trips the user booked or drives a leg of
+  trips: (alias, param) => `(${alias}.user_id = ${param} OR EXISTS (
+    SELECT 1 FROM rides orr JOIN drivers od ON orr.driver_id = od.id
+    WHERE orr.trip_id = ${alias}.id AND od.user_id = ${param}
+  ))`,
+  // Trips and ride series the user booked
+  bookings: (alias, param) => `${alias}.user_id = ${param}`,
+  payments: (alias, param) => `${alias}.user_id = ${param}`,
+  // The vehicle of the user's driver record
+  vehicles: (alias, param) => `EXISTS (
+    SELECT 1 FROM drivers od WHERE od.id = ${alias}.driver_id AND od.user_id = ${param}
+  )`,
+  users: (alias, param) => `${alias}.id = ${param}`,
+  // Facilities the user is a staff member of
+  staffedFacilities: (alias, param) => `EXISTS (
+    SELECT 1 FROM facility_staff ofs WHERE ofs.facility_id = ${alias}.id AND ofs.user_id = ${param}
+  )`,
+  // Facilities the user is a staff member of or a linked patient of
+  facilities: (alias, param) => `(EXISTS (
+    SELECT 1 FROM facility_staff ofs WHERE ofs.facility_id = ${alias}.id AND ofs.user_id = ${param}
+  ) OR EXISTS (
+    SELECT 1 FROM facility_patients ofp WHERE ofp.facility_id = ${alias}.id AND ofp.patient_id = ${param}
+  ))`
+};
+
+// SQL conditions for "`alias` was booked through a facility the user in
+// parameter `param` is a staff member of"
+const staffedFacility = (alias, param) => `EXISTS (
+  SELECT 1 FROM facility_staff ofs WHERE ofs.facility_id = ${alias}.facility_id AND ofs.user_id = ${param}
+)`;
+
+const FACILITY_OWNERSHIP = {
+  rides: staffedFacility,
+  trips: staffedFacility,
+  bookings: staffedFacility
+};
+
+const SCOPES = {
+  own: OWNERSHIP,
+  facility: FACILITY_OWNERSHIP
+};
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Whether `user` (as set on req.user) holds `permission`
+const can = (user, permission) => Boolean(user) && permissionsFor(user.role).includes(permission);
+
+// Whether `user` holds any of `permissions`
+const canAny = (user, permissions) => permissions.some((permission) => can(user, permission));
+
+const assertCan = (user, ...permissions) => {
+  if (!canAny(user, permissions)) {
+    throw new AppError(`Required permission: ${permissions.join(' or ')}`, 403);
+  }
+};
+
+// The scoped variants of `permission` (e.g. 'rides:read'), narrowest first
+const scopedPermissions = (permission) => [
+  ...Object.keys(SCOPES).map((scope) => `${permission}:${scope}`),
+  `${permission}:any`
+];
+
+// SQL condition limiting rows (`alias`) to those `user` may `permission`
+// (e.g. 'rides:read'): every row with `:any`, otherwise their own with `:own`
+// and their facilities' with `:facility`. `resource` picks the OWNERSHIP and
+// FACILITY_OWNERSHIP rules (the permission's resource by default); the user's
+// ID is appended to `params`.
+const scopeFilter = (user, permission, params, { alias, resource = permission.split(':')[0] }) => {
+  if (can(user, `${permission}:any`)) {
+    return '1=1';
+  }
+  assertCan(user, ...scopedPermissions(permission));
+
+  params.push(user.id);
+  const conditions = Object.entries(SCOPES)
+    .filter(([scope, rules]) => rules[resource] && can(user, `${permission}:${scope}`))
+    .map(([, rules]) => rules[resource](alias, `$${params.length}`));
+
+  if (conditions.length === 0) {
+    return '1=0';
+  }
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+};
+
+// Active facilities `patientId` has accepted a link to, limited to those
+// `staffId` is a staff member of when given
+const linkedFacilities = async (patientId, staffId) => {
+  const params = [patientId];
+  let staffFilter = '';
+  if (staffId) {
+    params.push(staffId);
+    staffFilter = 'AND EXISTS (SELECT 1 FROM facility_staff fs WHERE fs.facility_id = f.id AND fs.user_id = $2)';
+  }
+
+  const result = await query(
+    `SELECT f.id FROM facilities f
+     JOIN facility_patients fp ON fp.facility_id = f.id
+     WHERE fp.patient_id = $1 AND fp.status = 'active' AND f.active = true ${staffFilter}
+     ORDER BY f.id`,
+    params
+  );
+  return result.rows.map((row) => row.id);
+};
+
+// Picks the facility a booking goes through from the patient's `facilityIds`:
+// the one requested, or the only one when none is
+const pickFacility = (facilityIds, facilityId, required) => {
+  if (facilityId) {
+    if (!facilityIds.includes(Number(facilityId))) {
+      throw new AppError('Patient is not linked to this facility', 403);
+    }
+    return Number(facilityId);
+  }
+  if (!required) {
+    return null;
+  }
+  if (facilityIds.length === 0) {
+    throw new AppError('Patient is not linked to any of your facilities', 403);
+  }
+  if (facilityIds.length > 1) {
+    throw new AppError('Facility ID is required: the patient is linked to several of your facilities', 400);
+  }
+  return facilityIds[0];
+};
+
+// Who a booking is for and the facility it is made through:
+// - rides:book:any: the patient named by `patientId`, optionally through a
+//   facility they are linked to
+// - rides:book:facility: a patient linked to an active facility the user is a
+//   staff member of (the facility may be left out when there is only one)
+// - otherwise the user themself
+const resolveBooking = async (user, { patientId, facilityId } = {}) => {
+  if (can(user, 'rides:book:any') || can(user, 'rides:book:facility')) {
+    if (!patientId) {
+      throw new AppError('Patient ID is required', 400);
+    }
+    const patient = await query("SELECT id FROM users WHERE id = $1 AND role = 'patient'", [patientId]);
+    if (patient.rows.length === 0) {
+      throw new AppError('Patient not found', 404);
+    }
+
+    const staffOnly = !can(user, 'rides:book:any');
+    const facilityIds = await linkedFacilities(patientId, staffOnly ? user.id : null);
+    return { patientId, facilityId: pickFacility(facilityIds, facilityId, staffOnly) };
+  }
+
+  if (patientId && patientId !== user.id) {
+    throw new AppError('You can only book rides for yourself', 403);
+  }
+  if (facilityId) {
+    throw new AppError('Only facility staff can book through a facility', 403);
+  }
+  return { patientId: user.id, facilityId: null };
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  permissionsFor,
+  can,
+  canAny,
+  assertCan,
+  scopedPermissions,
+  scopeFilter,
+  resolveBooking
+};
@@ -0,0 +1,76 @@
+// Access to the Socket.IO server for code outside server.js (services, timers)
+
+let io = null;
+
+// Namespaces whose sockets belong to logged-in sessions (see disconnectSessions)
+const namespaces = new Set();
+
+const setSocketServer = (server) => {
+  io = server;
+  namespaces.add(server.of('/'));
+};
+
+// Include another namespace when sessions are disconnected
+const addSessionNamespace = (namespace) => {
+  namespaces.add(namespace);
+};
+
+const getSocketServer = () => io;
+
+// Emit to every socket of one user (room `user-<userId>`)
+const emitToUser = (userId, event, payload) => {
+  if (io && userId) {
+    io.to(`user-${userId}`).emit(event, payload);
+  }
+};
+
+// Emit to everyone following a ride (room `ride-<rideId>`)
+const emitToRide = (rideId, event, payload) => {
+  if (io && rideId) {
+    io.to(`ride-${rideId}`).emit(event, payload);
+  }
+};
+
+// Emit once to every socket following a ride or belonging to one of the users
+// (a socket in several of these rooms receives the event once)
+const emitToRideAndUsers = (rideId, userIds, event, payload) => {
+  if (!io) {
+    return;
+  }
+  const rooms = [
+    ...(rideId ? [`ride-${rideId}`] : []),
+    ...userIds.filter(Boolean).map((userId) => `user-${userId}`)
+  ];
+  if (rooms.length > 0) {
+    io.to(rooms).emit(event, payload);
+  }
+};
+
+// Take every socket of one user out of a ride room (e.g. a driver released from the ride)
+const removeUserFromRide = (userId, rideId) => {
+  if (io && userId && rideId) {
+    io.in(`user-${userId}`).socketsLeave(`ride-${rideId}`);
+  }
+};
+
+// Disconnect the sockets opened with revoked sessions (rooms `session-<sessionId>`)
+const disconnectSessions = (sessionIds) => {
+  const rooms = sessionIds.filter(Boolean).map((sessionId) => `session-${sessionId}`);
+  if (rooms.length === 0) {
+    return;
+  }
+  for (const namespace of namespaces) {
+    namespace.in(rooms).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  setSocketServer,
+  addSessionNamespace,
+  getSocketServer,
+  emitToUser,
+  emitToRide,
+  emitToRideAndUsers,
+  removeUserFromRide,
+  disconnectSessions
+};
@@ -0,0 +1,25 @@
+const { query } = require('../config/database');
+const { canAny, scopedPermissions, scopeFilter } = require('./policy');
+
+// Who may follow a ride: whoever may read it (rides:read), i.e. the patient who
+// booked it, the driver assigned to it, staff of the facility it was booked
+// through, and staff
+
+// Whether `user` ({ id, role }) may see ride `rideId` and its live updates
+const canAccessRide = async (user, rideId) => {
+  if (!user || !Number.isInteger(Number(rideId)) || Number(rideId) <= 0) {
+    return false;
+  }
+  if (!canAny(user, scopedPermissions('rides:read'))) {
+    return false;
+  }
+
+  const params = [rideId];
+  const permission = scopeFilter(user, 'rides:read', params, { alias: 'r' });
+  const result = await query(`SELECT r.id FROM rides r WHERE r.id = $1 AND ${permission}`, params);
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  canAccessRide
+};
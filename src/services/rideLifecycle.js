@@ -0,0 +1,146 @@
+const { AppError } = require('../middleware/errorHandler');
+const { getRateCard, waitFee } = require('./fares');
+const { publishAfterCommit } = require('./events');
+
+// Ride lifecycle state machine
+//
+//   pending -> accepted -> arrived -> in-progress -> completed
+//      \__________\___________\______ canceled
+//
+// Each role may only perform the transitions listed for it (dispatchers assign
+// and cancel, facility coordinators cancel like patients). Admins may override
+// any transition (recorded in the history like every other change); `system`
+// covers changes made by the server itself, such as assignment, payment, or
+// releasing an assigned ride back to `pending` when its driver drops out.
+
+const RIDE_STATUSES = ['pending', 'accepted', 'arrived', 'in-progress', 'completed', 'canceled'];
+
+const TERMINAL_STATUSES = ['completed', 'canceled'];
+
+const TRANSITIONS = {
+  patient: {
+    pending: ['canceled'],
+    accepted: ['canceled'],
+    arrived: ['canceled']
+  },
+  facility_coordinator: {
+    pending: ['canceled'],
+    accepted: ['canceled'],
+    arrived: ['canceled']
+  },
+  dispatcher: {
+    pending: ['accepted', 'canceled'],
+    accepted: ['canceled'],
+    arrived: ['canceled']
+  },
+  driver: {
+    accepted: ['arrived'],
+    arrived: ['in-progress'],
+    'in-progress': ['completed']
+  },
+  system: {
+    pending: ['accepted', 'canceled'],
+    accepted: ['pending', 'arrived', 'canceled'],
+    arrived: ['pending', 'in-progress', 'canceled'],
+    'in-progress': ['completed']
+  }
+};
+
+// Whether `role` may move a ride from `fromStatus` to `toStatus`
+const canTransition = (role, fromStatus, toStatus) => {
+  if (!RIDE_STATUSES.includes(toStatus) || fromStatus === toStatus) {
+    return false;
+  }
+  if (role === 'admin') {
+    return true;
+  }
+  const allowed = (TRANSITIONS[role] || {})[fromStatus] || [];
+  return allowed.includes(toStatus);
+};
+
+const assertTransition = (role, fromStatus, toStatus) => {
+  if (!canTransition(role, fromStatus, toStatus)) {
+    throw new AppError(`Cannot change ride status from '${fromStatus}' to '${toStatus}' as ${role}`, 409);
+  }
+};
+
+// Statuses `role` can move a ride to from its current status
+const allowedTransitions = (role, fromStatus) => RIDE_STATUSES.filter((status) => canTransition(role, fromStatus, status));
+
+// Record a status change in ride_status_history
+const recordStatusChange = async (db, { rideId, fromStatus, toStatus, changedBy = null, role, reason = null }) => {
+  const result = await db.query(
+    `INSERT INTO ride_status_history (ride_id, from_status, to_status, changed_by, changed_by_role, reason, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     RETURNING *`,
+    [rideId, fromStatus, toStatus, changedBy, role, reason]
+  );
+  return result.rows[0];
+};
+
+// Move a ride to `toStatus` on behalf of `actor` ({ id, role }) and record it.
+// `ride` must be the current row, read with FOR UPDATE inside the `tx` transaction;
+// `fields` are extra column assignments (e.g. { driver_id: 3 }) applied in the same update.
+// A ride.status_changed event is published once the transaction commits; `source`
+// tells subscribers what triggered an automatic change (e.g. 'geofence').
+const transitionRide = async (tx, ride, toStatus, actor, { reason = null, fields = {}, source = null } = {}) => {
+  assertTransition(actor.role, ride.status, toStatus);
+
+  // Time the driver spends waiting between arriving and picking the patient up,
+  // charged on top of the fare beyond the rate card's free minutes
+  const timing = {};
+  if (toStatus === 'arrived') {
+    timing.arrived_at = new Date();
+  } else if (toStatus === 'in-progress' && ride.arrived_at) {
+    timing.wait_minutes = Math.max(0, Math.round((Date.now() - new Date(ride.arrived_at).getTime()) / 60000));
+    timing.wait_fee = waitFee(await getRateCard(tx, ride.vehicle_type), timing.wait_minutes);
+    if (timing.wait_fee > 0) {
+      timing.fare = Math.round(((Number(ride.fare) || 0) + timing.wait_fee) * 100) / 100;
+    }
+  }
+
+  const assignments = ['status = $1', 'updated_at = NOW()'];
+  const params = [toStatus];
+  for (const [column, value] of Object.entries({ ...timing, ...fields })) {
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  }
+  params.push(ride.id);
+
+  const result = await tx.query(
+    `UPDATE rides
+     SET ${assignments.join(', ')}
+     WHERE id = $${params.length}
+     RETURNING *`,
+    params
+  );
+
+  await recordStatusChange(tx, {
+    rideId: ride.id,
+    fromStatus: ride.status,
+    toStatus,
+    changedBy: actor.id || null,
+    role: actor.role,
+    reason
+  });
+
+  publishAfterCommit(tx, 'ride.status_changed', {
+    ride: result.rows[0],
+    fromStatus: ride.status,
+    toStatus,
+    reason,
+    source
+  }, { actor });
+
+  return result.rows[0];
+};
+
+module.exports = {
+  RIDE_STATUSES,
+  TERMINAL_STATUSES,
+  canTransition,
+  assertTransition,
+  allowedTransitions,
+  recordStatusChange,
+  transitionRide
+};
@@ -0,0 +1,352 @@
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { transitionRide } = require('./rideLifecycle');
+const { DISPATCH_CONFIG, rankCandidates, recordDispatchRun } = require('./dispatch');
+const { emitToUser } = require('./realtime');
+const { publishAfterCommit } = require('./events');
+
+// Driver ride offers
+//
+// A pending ride is offered to one driver at a time, best dispatch score first.
+// The driver has DISPATCH_OFFER_TIMEOUT_SECONDS to accept; a decline or timeout
+// offers the ride to the next candidate that has not seen it yet, up to
+// DISPATCH_MAX_OFFERS_PER_RIDE offers. Every offer stays in ride_offers for review.
+
+// Expiry timers for offers made by this process, keyed by offer id
+const expiryTimers = new Map();
+
+const scheduleExpiry = (offer) => {
+  const delay = Math.max(0, new Date(offer.expires_at).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    expiryTimers.delete(offer.id);
+    expireOffer(offer.id).catch((error) => console.error('Offer expiry error:', error));
+  }, delay);
+  if (timer.unref) timer.unref();
+  expiryTimers.set(offer.id, timer);
+};
+
+const clearExpiry = (offerId) => {
+  const timer = expiryTimers.get(offerId);
+  if (timer) {
+    clearTimeout(timer);
+    expiryTimers.delete(offerId);
+  }
+};
+
+const offerPayload = (offer, ride) => ({
+  offerId: offer.id,
+  rideId: ride.id,
+  expiresAt: offer.expires_at,
+  ride: {
+    startLocation: ride.start_location,
+    endLocation: ride.end_location,
+    startLatitude: ride.start_latitude,
+    startLongitude: ride.start_longitude,
+    rideDate: ride.ride_date,
+    vehicleType: ride.vehicle_type,
+    specialRequirements: ride.special_requirements
+  }
+});
+
+// Offer a pending ride to the best candidate who has not been offered it yet.
+// Returns the new offer (with the candidate) or null when nobody is left.
+const offerRide = async (rideId, { triggeredBy = null, mode = 'auto' } = {}) => {
+  const outcome = await withTransaction(async (tx) => {
+    const rideResult = await tx.query('SELECT * FROM rides WHERE id = $1 FOR UPDATE', [rideId]);
+    if (rideResult.rows.length === 0) {
+      throw new AppError('Ride not found', 404);
+    }
+
+    const ride = rideResult.rows[0];
+    if (ride.status !== 'pending' || ride.driver_id) {
+      throw new AppError('Ride is not awaiting dispatch', 409);
+    }
+    if (ride.pickup_mode === 'will-call' && !ride.ready_at) {
+      throw new AppError('Ride is waiting for the patient to call for pickup', 409);
+    }
+
+    const previous = await tx.query('SELECT driver_id, status FROM ride_offers WHERE ride_id = $1', [rideId]);
+    if (previous.rows.some((offer) => offer.status === 'pending')) {
+      throw new AppError('Ride already has an open offer', 409);
+    }
+    if (previous.rows.length >= DISPATCH_CONFIG.maxOffersPerRide) {
+      return { ride, offer: null, candidate: null };
+    }
+
+    const offered = new Set(previous.rows.map((offer) => Number(offer.driver_id)));
+    const candidates = await rankCandidates(tx, ride);
+    const candidate = candidates.find((c) => c.eligible && !offered.has(Number(c.driverId))) || null;
+
+    const run = await recordDispatchRun(tx, {
+      rideId: ride.id,
+      mode,
+      selectedDriverId: candidate ? candidate.driverId : null,
+      candidates,
+      triggeredBy
+    });
+
+    if (!candidate) {
+      return { ride, offer: null, candidate: null };
+    }
+
+    const expiresAt = new Date(Date.now() + DISPATCH_CONFIG.offerTimeoutSeconds * 1000);
+    const offerResult = await tx.query(
+      `INSERT INTO ride_offers (ride_id, driver_id, dispatch_run_id, status, rank, score, offered_at, expires_at)
+       VALUES ($1, $2, $3, 'pending', $4, $5, NOW(), $6)
+       RETURNING *`,
+      [ride.id, candidate.driverId, run.id, previous.rows.length + 1, candidate.total, expiresAt]
+    );
+
+    return { ride, offer: offerResult.rows[0], candidate };
+  });
+
+  if (outcome.offer) {
+    scheduleExpiry(outcome.offer);
+    emitToUser(outcome.candidate.userId, 'ride-offer', offerPayload(outcome.offer, outcome.ride));
+  }
+
+  return outcome.offer ? { offer: outcome.offer, candidate: outcome.candidate } : null;
+};
+
+// Offer a ride when dispatch runs in auto mode. Returns a short summary of the
+// offer, or null when there is nothing to offer or offering failed (the
+// booking itself stands and waits for manual dispatch).
+const offerIfAuto = async (rideId, triggeredBy) => {
+  if (DISPATCH_CONFIG.mode !== 'auto') {
+    return null;
+  }
+  try {
+    const dispatch = await offerRide(rideId, { triggeredBy, mode: 'auto' });
+    return dispatch ? { offerId: dispatch.offer.id, driverId: dispatch.offer.driver_id, expiresAt: dispatch.offer.expires_at } : null;
+  } catch (error) {
+    if (error.statusCode !== 409) {
+      console.error(`Auto dispatch of ride ${rideId} failed:`, error);
+    }
+    return null;
+  }
+};
+
+// Offer to the next candidate, logging instead of failing when the ride moved on
+const cascadeOffer = async (rideId) => {
+  try {
+    const next = await offerRide(rideId, { mode: 'auto' });
+    if (!next) {
+      console.log(`No more drivers to offer ride ${rideId}; awaiting manual assignment`);
+    }
+    return next;
+  } catch (error) {
+    if (error.statusCode === 409 || error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Lock an offer addressed to the driver behind `driverUserId`
+const lockDriverOffer = async (tx, offerId, driverUserId) => {
+  const result = await tx.query(
+    `SELECT o.*, d.user_id as driver_user_id, v.id as vehicle_id
+     FROM ride_offers o
+     JOIN drivers d ON o.driver_id = d.id
+     LEFT JOIN vehicles v ON d.id = v.driver_id
+     WHERE o.id = $1 AND d.user_id = $2
+     FOR UPDATE OF o`,
+    [offerId, driverUserId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Offer not found', 404);
+  }
+  return result.rows[0];
+};
+
+// Accept an offer: the ride is assigned to the driver
+const acceptOffer = async (offerId, driverUserId) => {
+  const outcome = await withTransaction(async (tx) => {
+    const offer = await lockDriverOffer(tx, offerId, driverUserId);
+
+    if (offer.status !== 'pending') {
+      throw new AppError(`Offer is already ${offer.status}`, 409);
+    }
+    if (new Date(offer.expires_at).getTime() <= Date.now()) {
+      await tx.query("UPDATE ride_offers SET status = 'expired' WHERE id = $1", [offer.id]);
+      return { expired: true, offer };
+    }
+
+    // The driver may have gone off duty or lost approval since the offer was made
+    const driverResult = await tx.query(
+      `SELECT id FROM drivers
+       WHERE id = $1 AND availability = true AND approval_status = 'approved'
+       FOR UPDATE`,
+      [offer.driver_id]
+    );
+    if (driverResult.rows.length === 0) {
+      throw new AppError('Only available, approved drivers can accept rides', 409);
+    }
+
+    const rideResult = await tx.query('SELECT * FROM rides WHERE id = $1 FOR UPDATE', [offer.ride_id]);
+    const ride = rideResult.rows[0];
+
+    if (!ride || ride.status !== 'pending' || ride.driver_id) {
+      await tx.query("UPDATE ride_offers SET status = 'canceled', responded_at = NOW() WHERE id = $1", [offer.id]);
+      return { unavailable: true, offer };
+    }
+
+    const updatedRide = await transitionRide(tx, ride, 'accepted', { id: driverUserId, role: 'system' }, {
+      reason: 'Offer accepted by driver',
+      fields: { driver_id: offer.driver_id, vehicle_id: offer.vehicle_id }
+    });
+
+    publishAfterCommit(tx, 'ride.assigned', {
+      ride: updatedRide,
+      driverId: offer.driver_id,
+      driverUserId
+    }, { actor: { id: driverUserId, role: 'driver' } });
+
+    const offerResult = await tx.query(
+      `UPDATE ride_offers SET status = 'accepted', responded_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [offer.id]
+    );
+
+    return { offer: offerResult.rows[0], ride: updatedRide };
+  });
+
+  clearExpiry(Number(offerId));
+
+  if (outcome.expired) {
+    await cascadeOffer(outcome.offer.ride_id);
+    throw new AppError('Offer has expired', 409);
+  }
+  if (outcome.unavailable) {
+    throw new AppError('Ride is no longer available', 409);
+  }
+
+  return outcome;
+};
+
+// Decline an offer and pass the ride to the next candidate
+const declineOffer = async (offerId, driverUserId, reason = null) => {
+  const offer = await withTransaction(async (tx) => {
+    const current = await lockDriverOffer(tx, offerId, driverUserId);
+
+    if (current.status !== 'pending') {
+      throw new AppError(`Offer is already ${current.status}`, 409);
+    }
+
+    const result = await tx.query(
+      `UPDATE ride_offers SET status = 'declined', responded_at = NOW(), decline_reason = $1
+       WHERE id = $2
+       RETURNING *`,
+      [reason, current.id]
+    );
+    return result.rows[0];
+  });
+
+  clearExpiry(offer.id);
+  const next = await cascadeOffer(offer.ride_id);
+
+  return { offer, next };
+};
+
+// Expire an unanswered offer and cascade; no-op if it was answered meanwhile
+const expireOffer = async (offerId) => {
+  const result = await query(
+    `UPDATE ride_offers SET status = 'expired'
+     WHERE id = $1 AND status = 'pending' AND expires_at <= NOW()
+     RETURNING *`,
+    [offerId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const offer = result.rows[0];
+  const driver = await query('SELECT user_id FROM drivers WHERE id = $1', [offer.driver_id]);
+  if (driver.rows.length > 0) {
+    emitToUser(driver.rows[0].user_id, 'ride-offer-closed', { offerId: offer.id, rideId: offer.ride_id, status: 'expired' });
+  }
+
+  return cascadeOffer(offer.ride_id);
+};
+
+// Close open offers when a ride is assigned or canceled by other means
+const cancelPendingOffers = async (db, rideId) => {
+  const result = await db.query(
+    `UPDATE ride_offers SET status = 'canceled', responded_at = NOW()
+     WHERE ride_id = $1 AND status = 'pending'
+     RETURNING id, driver_id`,
+    [rideId]
+  );
+
+  for (const offer of result.rows) {
+    clearExpiry(offer.id);
+  }
+  return result.rows;
+};
+
+// Expire overdue offers (e.g. ones whose timers were lost in a restart)
+const expireOverdueOffers = async () => {
+  const result = await query(
+    "SELECT id FROM ride_offers WHERE status = 'pending' AND expires_at <= NOW() ORDER BY expires_at"
+  );
+  for (const { id } of result.rows) {
+    await expireOffer(id);
+  }
+  return result.rows.length;
+};
+
+// Periodically sweep for overdue offers; returns a function that stops the sweeper
+const startOfferSweeper = (intervalMs = 15000) => {
+  const timer = setInterval(() => {
+    expireOverdueOffers().catch((error) => console.error('Offer sweep error:', error));
+  }, intervalMs);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+};
+
+// Open offers for a driver, with ride details
+const getDriverOffers = async (driverUserId) => {
+  const result = await query(
+    `SELECT
+      o.id, o.ride_id, o.status, o.offered_at, o.expires_at,
+      r.start_location, r.end_location, r.start_latitude, r.start_longitude,
+      r.ride_date, r.vehicle_type, r.special_requirements
+    FROM ride_offers o
+    JOIN drivers d ON o.driver_id = d.id
+    JOIN rides r ON o.ride_id = r.id
+    WHERE d.user_id = $1 AND o.status = 'pending' AND o.expires_at > NOW()
+    ORDER BY o.expires_at ASC`,
+    [driverUserId]
+  );
+  return result.rows;
+};
+
+// Every offer made for a ride, for dispatcher review
+const getRideOffers = async (rideId) => {
+  const result = await query(
+    `SELECT o.*, u.name as driver_name
+     FROM ride_offers o
+     JOIN drivers d ON o.driver_id = d.id
+     JOIN users u ON d.user_id = u.id
+     WHERE o.ride_id = $1
+     ORDER BY o.offered_at ASC, o.id ASC`,
+    [rideId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  offerRide,
+  offerIfAuto,
+  acceptOffer,
+  declineOffer,
+  expireOffer,
+  cancelPendingOffers,
+  expireOverdueOffers,
+  startOfferSweeper,
+  getDriverOffers,
+  getRideOffers
+};
@@ -0,0 +1,513 @@
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { recordStatusChange, transitionRide } = require('./rideLifecycle');
+const { cancelPendingOffers } = require('./rideOffers');
+const { estimateFare, rideFareInput } = require('./fares');
+const { publishAfterCommit } = require('./events');
+const { scopeFilter } = require('./policy');
+const { notifyUser } = require('./notifications');
+const { removeUserFromRide } = require('./realtime');
+const { assertReasonCode, cancelLockedRide } = require('./cancellations');
+const { RecurrenceError, parseRecurrence, expandRecurrence, toDateKey } = require('../utils/recurrence');
+
+// Recurring ride series
+//
+// A series holds a booking template plus a recurrence rule. Rides for its
+// occurrences are generated RIDE_SERIES_HORIZON_DAYS ahead and topped up by a
+// periodic job. Each generated ride remembers its `series_occurrence`, so an
+// occurrence that was canceled or moved is never generated again. Editing one
+// occurrence detaches it from later series-wide template changes.
+
+const SERIES_HORIZON_DAYS = Number(process.env.RIDE_SERIES_HORIZON_DAYS) || 28;
+
+// Template columns shared by ride_series and rides, keyed by API field name
+const TEMPLATE_FIELDS = {
+  startLocation: 'start_location',
+  endLocation: 'end_location',
+  startLatitude: 'start_latitude',
+  startLongitude: 'start_longitude',
+  endLatitude: 'end_latitude',
+  endLongitude: 'end_longitude',
+  specialRequirements: 'special_requirements',
+  emergencyContact: 'emergency_contact',
+  vehicleType: 'vehicle_type'
+};
+
+// Fields that change a ride's price
+const PRICING_FIELDS = ['startLatitude', 'startLongitude', 'endLatitude', 'endLongitude', 'vehicleType', 'rideDate'];
+
+// Fields whose change releases the driver who accepted the ride
+const DRIVER_FIELDS = [...PRICING_FIELDS, 'startLocation', 'endLocation'];
+
+// Statuses of future occurrences that series-wide changes still apply to
+const OPEN_STATUSES = ['pending', 'accepted'];
+
+const horizonEnd = (now = new Date()) => new Date(now.getTime() + SERIES_HORIZON_DAYS * 86400000);
+
+// Validate a recurrence rule, turning parser errors into 400s
+const validateRecurrence = (rule) => {
+  try {
+    return parseRecurrence(rule);
+  } catch (error) {
+    if (error instanceof RecurrenceError) {
+      throw new AppError(`Invalid recurrence: ${error.message}`, 400);
+    }
+    throw error;
+  }
+};
+
+// Re-price a ride from its current row
+const repriceRide = async (tx, ride) => {
+  const fare = await estimateFare(tx, rideFareInput(ride));
+  const result = await tx.query('UPDATE rides SET fare = $1 WHERE id = $2 RETURNING *', [fare, ride.id]);
+  return result.rows[0];
+};
+
+// An accepted occurrence whose pickup time or route changed goes back to
+// `pending` for dispatch; the released driver is told once `tx` commits
+const releaseChangedRide = async (tx, ride, actor) => {
+  if (ride.status !== 'accepted' || !ride.driver_id) {
+    return ride;
+  }
+
+  const driver = await tx.query('SELECT user_id FROM drivers WHERE id = $1', [ride.driver_id]);
+  const driverUserId = driver.rows.length > 0 ? driver.rows[0].user_id : null;
+
+  await cancelPendingOffers(tx, ride.id);
+  const released = await transitionRide(tx, ride, 'pending', { id: actor.id, role: 'system' }, {
+    reason: 'Ride changed after it was accepted; driver released',
+    fields: { driver_id: null, vehicle_id: null }
+  });
+
+  tx.afterCommit(async () => {
+    removeUserFromRide(driverUserId, ride.id);
+    await notifyUser(driverUserId, {
+      type: 'ride.released',
+      title: 'Ride changed',
+      body: `The ride from ${ride.start_location} was rescheduled or rerouted and is no longer assigned to you.`,
+      rideId: ride.id
+    });
+  });
+
+  return released;
+};
+
+// Create rides for the series' occurrences between now and `until`. `series`
+// must be the current row, read with FOR UPDATE inside `tx`.
+const generateSeriesRides = async (tx, series, until = horizonEnd()) => {
+  if (series.status !== 'active') {
+    return [];
+  }
+
+  const now = new Date();
+  const exceptions = new Set(series.exception_dates || []);
+  if (series.skip_holidays) {
+    const holidays = await tx.query('SELECT holiday_date FROM holidays');
+    holidays.rows.forEach((holiday) => exceptions.add(holiday.holiday_date));
+  }
+
+  const existing = await tx.query(
+    'SELECT series_occurrence FROM rides WHERE series_id = $1 AND series_occurrence IS NOT NULL',
+    [series.id]
+  );
+  const taken = new Set(existing.rows.map((ride) => new Date(ride.series_occurrence).getTime()));
+
+  const occurrences = expandRecurrence(series.recurrence, series.starts_at, {
+    until,
+    exclude: (date) => exceptions.has(toDateKey(date))
+  }).filter((date) => date > now && !taken.has(date.getTime()));
+
+  const rides = [];
+
+  for (const occurrence of occurrences) {
+    const fare = await estimateFare(tx, { ...rideFareInput(series), rideDate: occurrence });
+    const result = await tx.query(
+      `INSERT INTO rides (
+        user_id, start_location, end_location, start_latitude, start_longitude,
+        end_latitude, end_longitude, ride_date, fare, special_requirements,
+        emergency_contact, vehicle_type, series_id, series_occurrence, facility_id, booked_by, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $8, $14, $15, NOW())
+      RETURNING *`,
+      [
+        series.user_id, series.start_location, series.end_location, series.start_latitude, series.start_longitude,
+        series.end_latitude, series.end_longitude, occurrence, fare, series.special_requirements,
+        series.emergency_contact, series.vehicle_type, series.id, series.facility_id, series.created_by
+      ]
+    );
+
+    await recordStatusChange(tx, {
+      rideId: result.rows[0].id,
+      fromStatus: null,
+      toStatus: result.rows[0].status,
+      changedBy: series.created_by,
+      role: 'system',
+      reason: `Generated from ride series ${series.id}`
+    });
+
+    publishAfterCommit(tx, 'ride.created', { ride: result.rows[0] }, { actor: { id: series.created_by, role: 'system' } });
+    rides.push(result.rows[0]);
+  }
+
+  await tx.query('UPDATE ride_series SET generated_until = $1 WHERE id = $2', [until, series.id]);
+
+  return rides;
+};
+
+// Create a series for `patientId` (booked through `facilityId`, if any) and
+// generate its first rides
+const createSeries = async ({ patientId, createdBy, facilityId = null, startDate, recurrence, exceptionDates = [], skipHolidays = true, ...template }) => {
+  validateRecurrence(recurrence);
+
+  return withTransaction(async (tx) => {
+    const result = await tx.query(
+      `INSERT INTO ride_series (
+        user_id, start_location, end_location, start_latitude, start_longitude,
+        end_latitude, end_longitude, special_requirements, emergency_contact, vehicle_type,
+        recurrence, starts_at, exception_dates, skip_holidays, created_by, facility_id, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW(), NOW())
+      RETURNING *`,
+      [
+        patientId, template.startLocation, template.endLocation, template.startLatitude, template.startLongitude,
+        template.endLatitude, template.endLongitude, template.specialRequirements, template.emergencyContact,
+        template.vehicleType, recurrence, startDate, JSON.stringify(exceptionDates), skipHolidays, createdBy,
+        facilityId
+      ]
+    );
+
+    const series = result.rows[0];
+    const rides = await generateSeriesRides(tx, series);
+
+    return { series, rides };
+  });
+};
+
+// Lock a series the user may manage (rides:book): their own, their facilities'
+// with rides:book:facility, or any with rides:book:any
+const lockSeries = async (tx, seriesId, user) => {
+  const params = [seriesId];
+  const permission = scopeFilter(user, 'rides:book', params, { alias: 's', resource: 'bookings' });
+  const result = await tx.query(`SELECT s.* FROM ride_series s WHERE s.id = $1 AND ${permission} FOR UPDATE`, params);
+  const series = result.rows[0];
+
+  if (!series) {
+    throw new AppError('Ride series not found', 404);
+  }
+  return series;
+};
+
+// Cancel a ride on behalf of the series (system, for rescheduling and
+// holidays, never charged), closing any driver offers
+const cancelSeriesRide = async (tx, ride, actor, reason) => {
+  await cancelPendingOffers(tx, ride.id);
+  return transitionRide(tx, ride, 'canceled', { id: actor.id, role: 'system' }, {
+    reason,
+    fields: { canceled_at: new Date(), canceled_by_role: 'system', cancellation_fee: 0 }
+  });
+};
+
+// Edit the whole series. Template changes are applied to future open occurrences
+// that were not edited individually; schedule changes cancel future pending ones
+// and regenerate them. Occurrences already assigned to a driver keep their slot,
+// but route changes release their driver.
+const updateSeries = async (seriesId, user, changes) => {
+  if (changes.recurrence !== undefined) {
+    validateRecurrence(changes.recurrence);
+  }
+
+  return withTransaction(async (tx) => {
+    let series = await lockSeries(tx, seriesId, user);
+    if (series.status !== 'active') {
+      throw new AppError('Ride series is canceled', 409);
+    }
+
+    const assignments = [];
+    const params = [];
+    const set = (column, value) => {
+      params.push(value);
+      assignments.push(`${column} = $${params.length}`);
+    };
+
+    const templateChanges = Object.keys(TEMPLATE_FIELDS).filter((field) => changes[field] !== undefined);
+    templateChanges.forEach((field) => set(TEMPLATE_FIELDS[field], changes[field]));
+
+    const scheduleChanged = ['recurrence', 'startDate', 'exceptionDates', 'skipHolidays']
+      .some((field) => changes[field] !== undefined);
+    if (changes.recurrence !== undefined) set('recurrence', changes.recurrence);
+    if (changes.startDate !== undefined) set('starts_at', changes.startDate);
+    if (changes.exceptionDates !== undefined) set('exception_dates', JSON.stringify(changes.exceptionDates));
+    if (changes.skipHolidays !== undefined) set('skip_holidays', changes.skipHolidays);
+
+    if (assignments.length === 0) {
+      throw new AppError('No changes provided', 400);
+    }
+
+    params.push(series.id);
+    const result = await tx.query(
+      `UPDATE ride_series SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $${params.length}
+       RETURNING *`,
+      params
+    );
+    series = result.rows[0];
+
+    if (templateChanges.length > 0) {
+      const rideAssignments = templateChanges.map((field, i) => `${TEMPLATE_FIELDS[field]} = $${i + 1}`);
+      const rideParams = templateChanges.map((field) => changes[field]);
+      rideParams.push(series.id, OPEN_STATUSES);
+
+      const updated = await tx.query(
+        `UPDATE rides SET ${rideAssignments.join(', ')}, updated_at = NOW()
+         WHERE series_id = $${rideParams.length - 1} AND series_detached = false
+           AND ride_date > NOW() AND status = ANY($${rideParams.length})
+         RETURNING *`,
+        rideParams
+      );
+
+      const repriced = templateChanges.some((field) => PRICING_FIELDS.includes(field));
+      const rerouted = templateChanges.some((field) => DRIVER_FIELDS.includes(field));
+      for (const ride of updated.rows) {
+        if (repriced) {
+          await repriceRide(tx, ride);
+        }
+        if (rerouted) {
+          await releaseChangedRide(tx, ride, user);
+        }
+      }
+    }
+
+    let canceled = 0;
+    if (scheduleChanged) {
+      const future = await tx.query(
+        `SELECT * FROM rides
+         WHERE series_id = $1 AND series_detached = false AND status = 'pending'
+           AND driver_id IS NULL AND ride_date > NOW()
+         FOR UPDATE`,
+        [series.id]
+      );
+
+      for (const ride of future.rows) {
+        await cancelSeriesRide(tx, ride, user, 'Ride series rescheduled');
+        // Free the slot so the new schedule can use it
+        await tx.query('UPDATE rides SET series_occurrence = NULL WHERE id = $1', [ride.id]);
+      }
+      canceled = future.rows.length;
+    }
+
+    const rides = scheduleChanged ? await generateSeriesRides(tx, series) : [];
+
+    return { series, canceled, generated: rides.length };
+  });
+};
+
+// Cancel the whole series and its future occurrences, each under the
+// cancellation policy (late ones may cost a fee)
+const cancelSeries = async (seriesId, user, { reasonCode, note = null }) => {
+  assertReasonCode(user, reasonCode);
+
+  return withTransaction(async (tx) => {
+    const current = await lockSeries(tx, seriesId, user);
+    if (current.status === 'canceled') {
+      throw new AppError('Ride series is already canceled', 409);
+    }
+
+    const result = await tx.query(
+      `UPDATE ride_series SET status = 'canceled', updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [current.id]
+    );
+
+    const future = await tx.query(
+      `SELECT * FROM rides
+       WHERE series_id = $1 AND ride_date > NOW() AND status = ANY($2)
+       FOR UPDATE`,
+      [current.id, OPEN_STATUSES]
+    );
+
+    const fees = [];
+    for (const ride of future.rows) {
+      const { fee } = await cancelLockedRide(tx, ride, user, { reasonCode, note });
+      if (fee) fees.push(fee);
+    }
+
+    return { series: result.rows[0], canceled: future.rows.length, fees };
+  });
+};
+
+// Lock one occurrence of a series the user may manage
+const lockOccurrence = async (tx, seriesId, rideId, user) => {
+  const series = await lockSeries(tx, seriesId, user);
+  const result = await tx.query(
+    'SELECT * FROM rides WHERE id = $1 AND series_id = $2 FOR UPDATE',
+    [rideId, series.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Occurrence not found', 404);
+  }
+  return { series, ride: result.rows[0] };
+};
+
+// Edit a single occurrence; it no longer follows series-wide template changes.
+// Moving or rerouting an accepted occurrence releases its driver.
+const updateOccurrence = async (seriesId, rideId, user, changes) => {
+  return withTransaction(async (tx) => {
+    const { ride } = await lockOccurrence(tx, seriesId, rideId, user);
+
+    if (!OPEN_STATUSES.includes(ride.status)) {
+      throw new AppError(`Cannot edit a ${ride.status} ride`, 409);
+    }
+
+    const fields = { ...TEMPLATE_FIELDS, rideDate: 'ride_date' };
+    const assignments = ['series_detached = true', 'updated_at = NOW()'];
+    const params = [];
+    Object.keys(fields)
+      .filter((field) => changes[field] !== undefined)
+      .forEach((field) => {
+        params.push(changes[field]);
+        assignments.push(`${fields[field]} = $${params.length}`);
+      });
+
+    if (params.length === 0) {
+      throw new AppError('No changes provided', 400);
+    }
+
+    params.push(ride.id);
+    const result = await tx.query(
+      `UPDATE rides SET ${assignments.join(', ')}
+       WHERE id = $${params.length}
+       RETURNING *`,
+      params
+    );
+
+    let updated = result.rows[0];
+    if (PRICING_FIELDS.some((field) => changes[field] !== undefined)) {
+      updated = await repriceRide(tx, updated);
+    }
+    if (DRIVER_FIELDS.some((field) => changes[field] !== undefined)) {
+      updated = await releaseChangedRide(tx, updated, user);
+    }
+    return updated;
+  });
+};
+
+// Cancel a single occurrence under the cancellation policy; it stays out of
+// the series from now on
+const cancelOccurrence = async (seriesId, rideId, user, { reasonCode, note = null }) => {
+  assertReasonCode(user, reasonCode);
+
+  return withTransaction(async (tx) => {
+    const { ride } = await lockOccurrence(tx, seriesId, rideId, user);
+    return cancelLockedRide(tx, ride, user, { reasonCode, note });
+  });
+};
+
+// Series visible to the user, newest first
+const listSeries = async (user) => {
+  const params = [];
+  const where = `WHERE ${scopeFilter(user, 'rides:read', params, { alias: 's', resource: 'bookings' })}`;
+
+  const result = await query(
+    `SELECT s.*, u.name as patient_name,
+      (SELECT COUNT(*) FROM rides r
+       WHERE r.series_id = s.id AND r.ride_date > NOW() AND r.status IN ('pending', 'accepted')) as upcoming_rides
+     FROM ride_series s
+     LEFT JOIN users u ON s.user_id = u.id
+     ${where}
+     ORDER BY s.created_at DESC, s.id DESC`,
+    params
+  );
+  return result.rows;
+};
+
+// One series with its generated rides
+const getSeries = async (seriesId, user) => {
+  const params = [seriesId];
+  const permission = scopeFilter(user, 'rides:read', params, { alias: 's', resource: 'bookings' });
+  const result = await query(`SELECT s.* FROM ride_series s WHERE s.id = $1 AND ${permission}`, params);
+  const series = result.rows[0];
+
+  if (!series) {
+    throw new AppError('Ride series not found', 404);
+  }
+
+  const rides = await query(
+    'SELECT * FROM rides WHERE series_id = $1 ORDER BY ride_date ASC, id ASC',
+    [series.id]
+  );
+  return { series, rides: rides.rows };
+};
+
+// Add a holiday; open occurrences already generated for that day are canceled
+// in series that skip holidays
+const addHoliday = async (date, name, user) => {
+  return withTransaction(async (tx) => {
+    const result = await tx.query(
+      `INSERT INTO holidays (holiday_date, name, created_at)
+       VALUES ($1, $2, NOW())
+       RETURNING *`,
+      [date, name]
+    );
+
+    const candidates = await tx.query(
+      `SELECT r.* FROM rides r
+       JOIN ride_series s ON r.series_id = s.id
+       WHERE s.skip_holidays = true AND r.series_detached = false
+         AND r.series_occurrence IS NOT NULL AND r.ride_date > NOW() AND r.status = ANY($1)
+       FOR UPDATE OF r`,
+      [OPEN_STATUSES]
+    );
+
+    const affected = candidates.rows.filter((ride) => toDateKey(new Date(ride.series_occurrence)) === date);
+    for (const ride of affected) {
+      await cancelSeriesRide(tx, ride, user, `Holiday: ${name}`);
+    }
+
+    return { holiday: result.rows[0], canceled: affected.length };
+  });
+};
+
+// Top up every active series whose rides do not reach the horizon yet
+const extendActiveSeries = async () => {
+  const until = horizonEnd();
+  const due = await query(
+    `SELECT id FROM ride_series
+     WHERE status = 'active' AND (generated_until IS NULL OR generated_until < $1)
+     ORDER BY id`,
+    [until]
+  );
+
+  let generated = 0;
+  for (const { id } of due.rows) {
+    generated += await withTransaction(async (tx) => {
+      const result = await tx.query('SELECT * FROM ride_series WHERE id = $1 FOR UPDATE', [id]);
+      const rides = await generateSeriesRides(tx, result.rows[0], until);
+      return rides.length;
+    });
+  }
+  return generated;
+};
+
+// Generate upcoming rides now and then periodically; returns a function that stops it
+const startSeriesScheduler = (intervalMs = 60 * 60 * 1000) => {
+  const run = () => extendActiveSeries().catch((error) => console.error('Ride series generation error:', error));
+  run();
+  const timer = setInterval(run, intervalMs);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  SERIES_HORIZON_DAYS,
+  generateSeriesRides,
+  createSeries,
+  updateSeries,
+  cancelSeries,
+  updateOccurrence,
+  cancelOccurrence,
+  listSeries,
+  getSeries,
+  addHoliday,
+  extendActiveSeries,
+  startSeriesScheduler
+};
@@ -0,0 +1,103 @@
+const { query, withTransaction } = require('../config/database');
+const { revokeFamily, revokeUserFamilies } = require('./authTokens');
+const { disconnectSessions } = require('./realtime');
+const { envNumber } = require('../utils/env');
+
+// Login sessions and the devices they run on
+//
+// A session is a refresh token family (see authTokens.js). Authenticated
+// requests and socket connections move its `last_seen_at`, at most once per
+// SESSION_TOUCH_INTERVAL_SECONDS. Revoking a session revokes its tokens, so its
+// access tokens stop working at once, and disconnects its sockets.
+
+const SESSION_CONFIG = {
+  touchIntervalSeconds: envNumber('SESSION_TOUCH_INTERVAL_SECONDS', 60)
+};
+
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip_address, created_at, last_seen_at, expires_at';
+
+// The device details of a request, as stored on the session
+const clientOf = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null
+});
+
+// Record that a session was used, from where
+const touchSession = async (sessionId, client = {}) => {
+  if (!sessionId) {
+    return;
+  }
+  await query(
+    `UPDATE user_sessions
+     SET last_seen_at = NOW(),
+         user_agent = COALESCE($1, user_agent), ip_address = COALESCE($2, ip_address)
+     WHERE id = $3 AND revoked_at IS NULL AND last_seen_at < $4`,
+    [client.userAgent || null, client.ip || null, sessionId, new Date(Date.now() - SESSION_CONFIG.touchIntervalSeconds * 1000)]
+  );
+};
+
+// A user's live sessions, most recently used first; `current` marks the caller's
+const listSessions = async (userId, currentSessionId = null) => {
+  const result = await query(
+    `SELECT ${SESSION_COLUMNS} FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows.map((session) => ({ ...session, current: session.id === currentSessionId }));
+};
+
+// Revoke one of a user's sessions; false when the user has no such live session
+const revokeSession = async (userId, sessionId, reason) => {
+  const revoked = await withTransaction(async (tx) => {
+    const result = await tx.query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL FOR UPDATE',
+      [sessionId, userId]
+    );
+    if (result.rows.length === 0) {
+      return false;
+    }
+    await revokeFamily(tx, sessionId, reason);
+    return true;
+  });
+
+  if (revoked) {
+    disconnectSessions([sessionId]);
+  }
+  return revoked;
+};
+
+// Revoke every session of a user; returns the revoked session ids
+const revokeUserSessions = async (userId, reason) => {
+  const sessionIds = await revokeUserFamilies({ query }, userId, reason);
+  disconnectSessions(sessionIds);
+  return sessionIds;
+};
+
+// Revoke every session of a user but one (e.g. the one that just changed the
+// account's security settings); returns the revoked session ids
+const revokeOtherSessions = async (userId, keepSessionId, reason) => {
+  const sessionIds = await withTransaction(async (tx) => {
+    const result = await tx.query(
+      'SELECT id FROM user_sessions WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+      [userId, keepSessionId || '']
+    );
+    for (const session of result.rows) {
+      await revokeFamily(tx, session.id, reason);
+    }
+    return result.rows.map((session) => session.id);
+  });
+
+  disconnectSessions(sessionIds);
+  return sessionIds;
+};
+
+module.exports = {
+  SESSION_CONFIG,
+  clientOf,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  revokeOtherSessions
+};
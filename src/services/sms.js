@@ -0,0 +1,50 @@
+// Outgoing text messages
+//
+// Messages go through one provider, picked with SMS_PROVIDER. The built-in
+// `console` provider (the default) only logs them, standing in for a real
+// gateway during development. A gateway is plugged in with setSmsProvider: an
+// object with `send({ to, body })` returning a promise.
+
+const SMS_CONFIG = {
+  provider: process.env.SMS_PROVIDER || 'console'
+};
+
+const consoleProvider = () => ({
+  send: async ({ to, body }) => {
+    console.log(`📱 SMS to ${to}: ${body}`);
+    return { messageId: null };
+  }
+});
+
+const PROVIDERS = {
+  console: consoleProvider
+};
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    const create = PROVIDERS[SMS_CONFIG.provider];
+    if (!create) {
+      throw new Error(`Unknown SMS_PROVIDER "${SMS_CONFIG.provider}"`);
+    }
+    provider = create();
+  }
+  return provider;
+};
+
+// Replace the provider (e.g. with a gateway's API client)
+const setSmsProvider = (custom) => {
+  provider = custom;
+};
+
+// Send a text message to a phone number
+const sendSms = async ({ to, body }) => {
+  return getProvider().send({ to, body });
+};
+
+module.exports = {
+  SMS_CONFIG,
+  setSmsProvider,
+  sendSms
+};
@@ -0,0 +1,150 @@
+const { query } = require('../config/database');
+const { subscribe } = require('./events');
+const { emitToRideAndUsers } = require('./realtime');
+const { notifyUser } = require('./notifications');
+const { deliverEvent } = require('./webhooks');
+
+// Subscribers of the domain event bus (see events.js)
+//
+//   Socket.IO     - ride and payment changes to the ride room and the personal
+//                   rooms of the patient and driver
+//   notifications - in-app notifications for the milestones people care about
+//   webhooks      - every event to the registered webhook subscriptions
+
+const driverUserIdOf = async (ride) => {
+  if (!ride.driver_id) {
+    return null;
+  }
+  const result = await query('SELECT user_id FROM drivers WHERE id = $1', [ride.driver_id]);
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+const STATUS_NOTIFICATIONS = {
+  arrived: { title: 'Your driver has arrived', body: 'Your driver is waiting at the pickup location.' },
+  'in-progress': { title: 'Ride started', body: 'You are on your way.' },
+  completed: { title: 'Ride completed', body: 'You have arrived. Thank you for riding with us.' },
+  canceled: { title: 'Ride canceled', body: 'Your ride has been canceled.' }
+};
+
+const realtimeSubscribers = {
+  'ride.created': async ({ data, occurredAt }) => {
+    emitToRideAndUsers(null, [data.ride.user_id], 'ride-created', { rideId: data.ride.id, ride: data.ride, timestamp: occurredAt });
+  },
+
+  'ride.assigned': async ({ data, occurredAt }) => {
+    emitToRideAndUsers(data.ride.id, [data.ride.user_id, data.driverUserId], 'ride-assigned', {
+      rideId: data.ride.id,
+      driverId: data.driverId,
+      status: data.ride.status,
+      timestamp: occurredAt
+    });
+  },
+
+  'ride.status_changed': async ({ data, occurredAt }) => {
+    const driverUserId = await driverUserIdOf(data.ride);
+    emitToRideAndUsers(data.ride.id, [data.ride.user_id, driverUserId], 'status-update', {
+      rideId: data.ride.id,
+      status: data.toStatus,
+      previousStatus: data.fromStatus,
+      reason: data.reason,
+      source: data.source,
+      timestamp: occurredAt
+    });
+  },
+
+  'payment.completed': async ({ data, occurredAt }) => {
+    emitToRideAndUsers(data.rideId, [data.payment.user_id], 'payment-completed', {
+      paymentId: data.payment.id,
+      rideId: data.rideId,
+      amount: Number(data.payment.amount),
+      type: data.payment.type,
+      timestamp: occurredAt
+    });
+  }
+};
+
+const notificationSubscribers = {
+  'ride.assigned': async ({ id, data, actor }) => {
+    await notifyUser(data.ride.user_id, {
+      type: 'ride.assigned',
+      title: 'Driver assigned',
+      body: 'A driver has been assigned to your ride.',
+      rideId: data.ride.id,
+      eventId: id
+    });
+
+    // Drivers who accepted an offer already know
+    if (!actor || actor.id !== data.driverUserId) {
+      await notifyUser(data.driverUserId, {
+        type: 'ride.assigned',
+        title: 'New ride assigned',
+        body: `Pickup at ${data.ride.start_location}.`,
+        rideId: data.ride.id,
+        eventId: id
+      });
+    }
+  },
+
+  'ride.status_changed': async ({ id, data, actor }) => {
+    const message = STATUS_NOTIFICATIONS[data.toStatus];
+    if (message && (!actor || actor.id !== data.ride.user_id)) {
+      await notifyUser(data.ride.user_id, { type: 'ride.status_changed', ...message, rideId: data.ride.id, eventId: id });
+    }
+
+    // Tell the assigned driver when someone else cancels the ride
+    if (data.toStatus === 'canceled') {
+      const driverUserId = await driverUserIdOf(data.ride);
+      if (driverUserId && (!actor || actor.id !== driverUserId)) {
+        await notifyUser(driverUserId, {
+          type: 'ride.status_changed',
+          title: 'Ride canceled',
+          body: `The ride from ${data.ride.start_location} has been canceled.`,
+          rideId: data.ride.id,
+          eventId: id
+        });
+      }
+    }
+  },
+
+  'payment.completed': async ({ id, data }) => {
+    await notifyUser(data.payment.user_id, {
+      type: 'payment.completed',
+      title: 'Payment received',
+      body: `We received your payment of $${Number(data.payment.amount).toFixed(2)}.`,
+      rideId: data.rideId,
+      eventId: id
+    });
+  },
+
+  'payment.refunded': async ({ id, data }) => {
+    await notifyUser(data.payment.user_id, {
+      type: 'payment.refunded',
+      title: 'Payment refunded',
+      body: `Your payment of $${Number(data.payment.amount).toFixed(2)} has been refunded.`,
+      rideId: data.rideId,
+      eventId: id
+    });
+  }
+};
+
+let registered = false;
+
+// Attach the subscribers to the bus (once per process)
+const registerSubscribers = () => {
+  if (registered) {
+    return;
+  }
+  registered = true;
+
+  for (const [type, handler] of Object.entries(realtimeSubscribers)) {
+    subscribe(type, handler);
+  }
+  for (const [type, handler] of Object.entries(notificationSubscribers)) {
+    subscribe(type, handler);
+  }
+  subscribe('*', deliverEvent);
+};
+
+module.exports = {
+  registerSubscribers
+};
@@ -0,0 +1,259 @@
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { recordStatusChange, TERMINAL_STATUSES } = require('./rideLifecycle');
+const { offerIfAuto } = require('./rideOffers');
+const { estimateFare } = require('./fares');
+const { publishAfterCommit } = require('./events');
+const { scopeFilter } = require('./policy');
+const { assertReasonCode, cancelLockedRide } = require('./cancellations');
+
+// Round-trip and multi-leg trips
+//
+// Every leg of a trip is an ordinary ride with a `leg_number`. A leg's pickup is
+// either `timed` (fixed ride_date) or `will-call`: the patient calls when ready
+// and the leg is held back from dispatch until then. Until that call, a will-call
+// leg's ride_date is the previous leg's pickup time as a placeholder.
+
+// Overall trip status derived from its legs
+const tripStatus = (legs) => {
+  if (legs.every((leg) => leg.status === 'canceled')) return 'canceled';
+  if (legs.every((leg) => TERMINAL_STATUSES.includes(leg.status))) return 'completed';
+  return 'active';
+};
+
+const summarize = (trip, legs) => ({
+  ...trip,
+  status: tripStatus(legs),
+  total_fare: legs
+    .filter((leg) => leg.status !== 'canceled')
+    .reduce((sum, leg) => sum + (Number(leg.fare) || 0), 0),
+  total_wait_minutes: legs.reduce((sum, leg) => sum + (Number(leg.wait_minutes) || 0), 0),
+  legs
+});
+
+// Book a trip. `legs` are { startLocation, endLocation, coordinates, rideDate, pickupMode }
+// in travel order; the first must be timed. `shared` holds fields common to all legs.
+// `facilityId` is the facility the trip is booked through, if any.
+const createTrip = async ({ userId, createdBy, role, facilityId = null, tripType, legs, shared = {} }) => {
+  if (legs[0].pickupMode !== 'timed' || !legs[0].rideDate) {
+    throw new AppError('The first leg needs a pickup time', 400);
+  }
+
+  let previousDate = null;
+  for (const [index, leg] of legs.entries()) {
+    if (leg.pickupMode === 'timed') {
+      if (!leg.rideDate) {
+        throw new AppError(`Leg ${index + 1} needs a pickup time or will-call pickup`, 400);
+      }
+      if (previousDate && new Date(leg.rideDate) <= previousDate) {
+        throw new AppError(`Leg ${index + 1} must be picked up after leg ${index}`, 400);
+      }
+      previousDate = new Date(leg.rideDate);
+    }
+  }
+
+  const { trip, rides } = await withTransaction(async (tx) => {
+    const tripResult = await tx.query(
+      `INSERT INTO trips (user_id, trip_type, created_by, facility_id, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, NOW(), NOW())
+       RETURNING *`,
+      [userId, tripType, createdBy, facilityId]
+    );
+    const created = tripResult.rows[0];
+
+    const legRides = [];
+    let placeholderDate = null;
+    for (const [index, leg] of legs.entries()) {
+      const rideDate = leg.pickupMode === 'timed' ? leg.rideDate : placeholderDate;
+      placeholderDate = rideDate;
+      const fare = await estimateFare(tx, { ...leg, vehicleType: shared.vehicleType, rideDate });
+
+      const result = await tx.query(
+        `INSERT INTO rides (
+          user_id, start_location, end_location, start_latitude, start_longitude,
+          end_latitude, end_longitude, ride_date, fare, special_requirements,
+          emergency_contact, vehicle_type, trip_id, leg_number, pickup_mode,
+          facility_id, booked_by, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
+        RETURNING *`,
+        [
+          userId, leg.startLocation, leg.endLocation, leg.startLatitude, leg.startLongitude,
+          leg.endLatitude, leg.endLongitude, rideDate, fare, shared.specialRequirements,
+          shared.emergencyContact, shared.vehicleType, created.id, index + 1, leg.pickupMode,
+          facilityId, createdBy
+        ]
+      );
+
+      await recordStatusChange(tx, {
+        rideId: result.rows[0].id,
+        fromStatus: null,
+        toStatus: result.rows[0].status,
+        changedBy: createdBy,
+        role
+      });
+
+      publishAfterCommit(tx, 'ride.created', { ride: result.rows[0] }, { actor: { id: createdBy, role } });
+      legRides.push(result.rows[0]);
+    }
+
+    return { trip: created, rides: legRides };
+  });
+
+  // Timed legs can be offered straight away; will-call legs wait for the call
+  for (const ride of rides) {
+    if (ride.pickup_mode === 'timed') {
+      ride.dispatch = await offerIfAuto(ride.id, createdBy);
+    }
+  }
+
+  return summarize(trip, rides);
+};
+
+// Trips visible to the user: patients their own, drivers those they drive a leg
+// of, facility staff those booked through their facilities
+const tripVisibility = (user, params) => `AND ${scopeFilter(user, 'rides:read', params, { alias: 't', resource: 'trips' })}`;
+
+const getTripLegs = async (tripId) => {
+  const result = await query(
+    `SELECT r.*, du.name as driver_name
+     FROM rides r
+     LEFT JOIN drivers d ON r.driver_id = d.id
+     LEFT JOIN users du ON d.user_id = du.id
+     WHERE r.trip_id = $1
+     ORDER BY r.leg_number ASC`,
+    [tripId]
+  );
+  return result.rows;
+};
+
+const getTrip = async (tripId, user) => {
+  const params = [tripId];
+  const visibility = tripVisibility(user, params);
+  const result = await query(`SELECT t.* FROM trips t WHERE t.id = $1 ${visibility}`, params);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  return summarize(result.rows[0], await getTripLegs(result.rows[0].id));
+};
+
+const listTrips = async (user, { limit = 20, offset = 0 } = {}) => {
+  const params = [];
+  const visibility = tripVisibility(user, params);
+  params.push(limit, offset);
+
+  const result = await query(
+    `SELECT t.* FROM trips t
+     WHERE 1=1 ${visibility}
+     ORDER BY t.created_at DESC, t.id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  const trips = [];
+  for (const trip of result.rows) {
+    trips.push(summarize(trip, await getTripLegs(trip.id)));
+  }
+  return trips;
+};
+
+// Lock a trip the user may manage (rides:book): their own, or any with rides:book:any
+const lockOwnTrip = async (tx, tripId, user) => {
+  const params = [tripId];
+  const permission = scopeFilter(user, 'rides:book', params, { alias: 't', resource: 'bookings' });
+  const result = await tx.query(`SELECT t.* FROM trips t WHERE t.id = $1 AND ${permission} FOR UPDATE`, params);
+  const trip = result.rows[0];
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+  return trip;
+};
+
+// The patient is ready for a will-call leg: schedule its pickup and release it to dispatch
+const markLegReady = async (tripId, rideId, user, { pickupInMinutes = 0 } = {}) => {
+  const ride = await withTransaction(async (tx) => {
+    const trip = await lockOwnTrip(tx, tripId, user);
+
+    const legResult = await tx.query(
+      'SELECT * FROM rides WHERE trip_id = $1 AND id = $2 FOR UPDATE',
+      [trip.id, rideId]
+    );
+    const leg = legResult.rows[0];
+
+    if (!leg) {
+      throw new AppError('Trip leg not found', 404);
+    }
+    if (leg.pickup_mode !== 'will-call') {
+      throw new AppError('Only will-call legs can be called for', 409);
+    }
+    if (leg.ready_at) {
+      throw new AppError('Pickup has already been requested', 409);
+    }
+    if (leg.status !== 'pending' && leg.status !== 'accepted') {
+      throw new AppError(`Cannot request pickup for a ${leg.status} ride`, 409);
+    }
+
+    const previous = await tx.query(
+      'SELECT status FROM rides WHERE trip_id = $1 AND leg_number = $2',
+      [trip.id, leg.leg_number - 1]
+    );
+    if (previous.rows.length > 0 && previous.rows[0].status !== 'completed') {
+      throw new AppError('The previous leg has not been completed yet', 409);
+    }
+
+    const pickupAt = new Date(Date.now() + pickupInMinutes * 60000);
+    const result = await tx.query(
+      `UPDATE rides SET ready_at = NOW(), ride_date = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [pickupAt, leg.id]
+    );
+    return result.rows[0];
+  });
+
+  if (ride.status === 'pending' && !ride.driver_id) {
+    ride.dispatch = await offerIfAuto(ride.id, user.id);
+  }
+  return ride;
+};
+
+// Cancel every leg of the trip that has not finished yet, each under the
+// cancellation policy (late legs may cost a fee)
+const cancelTrip = async (tripId, user, { reasonCode, note = null }) => {
+  assertReasonCode(user, reasonCode);
+
+  return withTransaction(async (tx) => {
+    const trip = await lockOwnTrip(tx, tripId, user);
+
+    const open = await tx.query(
+      `SELECT * FROM rides
+       WHERE trip_id = $1 AND status IN ('pending', 'accepted', 'arrived')
+       ORDER BY leg_number
+       FOR UPDATE`,
+      [trip.id]
+    );
+
+    if (open.rows.length === 0) {
+      throw new AppError('Trip has no legs left to cancel', 409);
+    }
+
+    const cancellations = [];
+    for (const leg of open.rows) {
+      cancellations.push(await cancelLockedRide(tx, leg, user, { reasonCode, note }));
+    }
+    return {
+      legs: cancellations.map((cancellation) => cancellation.ride),
+      fees: cancellations.map((cancellation) => cancellation.fee).filter(Boolean)
+    };
+  });
+};
+
+module.exports = {
+  createTrip,
+  getTrip,
+  listTrips,
+  markLegReady,
+  cancelTrip
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { query, withTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { hashToken } = require('./authTokens');
+const { sendEmail } = require('./email');
+const { sendSms } = require('./sms');
+const { envNumber } = require('../utils/env');
+
+// Email and phone verification
+//
+// Verifying sends a 6-digit code to the address or number (email through
+// email.js, phone through sms.js); emails also carry a link with a long token.
+// Codes and tokens are stored hashed, expire after VERIFICATION_CODE_TTL_MINUTES
+// and work once; a code is void after VERIFICATION_MAX_ATTEMPTS wrong guesses.
+// Sending a new code voids the previous one and is allowed once per
+// VERIFICATION_RESEND_SECONDS.
+//
+// VERIFICATION_REQUIRED_FOR_BOOKING and VERIFICATION_REQUIRED_FOR_DRIVING list
+// the channels (`email`, `phone`) patients need verified to book rides and
+// drivers to take work. Both are empty by default.
+
+const CHANNELS = ['email', 'phone'];
+
+const envChannels = (name) => (process.env[name] || '')
+  .split(',')
+  .map((channel) => channel.trim())
+  .filter((channel) => CHANNELS.includes(channel));
+
+const VERIFICATION_CONFIG = {
+  codeTtlMinutes: envNumber('VERIFICATION_CODE_TTL_MINUTES', 15),
+  maxAttempts: envNumber('VERIFICATION_MAX_ATTEMPTS', 5),
+  resendSeconds: envNumber('VERIFICATION_RESEND_SECONDS', 60),
+  emailUrl: process.env.VERIFY_EMAIL_URL || `${process.env.FRONTEND_URL || 'http://localhost:4200'}/verify-email`,
+  required: {
+    booking: envChannels('VERIFICATION_REQUIRED_FOR_BOOKING'),
+    driving: envChannels('VERIFICATION_REQUIRED_FOR_DRIVING')
+  }
+};
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+const destinationOf = (user, channel) => (channel === 'email' ? user.email : user.phone);
+
+const isVerified = (user, channel) => Boolean(channel === 'email' ? user.email_verified : user.phone_verified);
+
+const deliver = (user, channel, destination, code, token) => {
+  if (channel === 'phone') {
+    return sendSms({ to: destination, body: `Your MediTransport verification code is ${code}` });
+  }
+  return sendEmail({
+    to: destination,
+    subject: 'Verify your MediTransport email',
+    text: `Hi ${user.name},\n\nYour verification code is ${code}, or open this link:\n\n${VERIFICATION_CONFIG.emailUrl}?token=${token}\n\nBoth expire in ${VERIFICATION_CONFIG.codeTtlMinutes} minutes.`
+  });
+};
+
+// Send a verification code for the user's email or phone
+const sendVerification = async (userId, channel) => {
+  const userResult = await query(
+    'SELECT id, name, email, phone, email_verified, phone_verified FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = userResult.rows[0];
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const destination = destinationOf(user, channel);
+  if (!destination) {
+    throw new AppError(`No ${channel} on file to verify`, 400);
+  }
+  if (isVerified(user, channel)) {
+    throw new AppError(`The ${channel} is already verified`, 409);
+  }
+
+  const code = generateCode();
+  const token = channel === 'email' ? crypto.randomBytes(32).toString('hex') : null;
+
+  await withTransaction(async (tx) => {
+    const recent = await tx.query(
+      `SELECT id FROM verification_codes
+       WHERE user_id = $1 AND channel = $2 AND created_at > $3`,
+      [user.id, channel, new Date(Date.now() - VERIFICATION_CONFIG.resendSeconds * 1000)]
+    );
+    if (recent.rows.length > 0) {
+      throw new AppError(`Please wait ${VERIFICATION_CONFIG.resendSeconds} seconds before requesting another code`, 429);
+    }
+
+    await tx.query(
+      'UPDATE verification_codes SET used_at = NOW() WHERE user_id = $1 AND channel = $2 AND used_at IS NULL',
+      [user.id, channel]
+    );
+    await tx.query(
+      `INSERT INTO verification_codes (user_id, channel, destination, code_hash, token_hash, expires_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [
+        user.id, channel, destination, hashToken(code), token && hashToken(token),
+        new Date(Date.now() + VERIFICATION_CONFIG.codeTtlMinutes * 60000)
+      ]
+    );
+  });
+
+  await deliver(user, channel, destination, code, token);
+  return { channel, destination };
+};
+
+// Mark the channel verified, provided it still holds the verified destination
+const markVerified = async (tx, stored) => {
+  await tx.query('UPDATE verification_codes SET used_at = NOW() WHERE id = $1', [stored.id]);
+
+  const column = stored.channel === 'email' ? 'email' : 'phone';
+  const result = await tx.query(
+    `UPDATE users SET ${column}_verified = true, ${column}_verified_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND ${column} = $2
+     RETURNING id, name, email, phone, role, email_verified, phone_verified`,
+    [stored.user_id, stored.destination]
+  );
+  if (result.rows.length === 0) {
+    throw new AppError(`The ${stored.channel} changed since the code was sent; request a new code`, 400);
+  }
+  return result.rows[0];
+};
+
+const isLive = (stored) => stored && !stored.used_at && new Date(stored.expires_at).getTime() > Date.now();
+
+// Verify with the code sent to the user's email or phone
+const confirmVerificationCode = async (userId, channel, code) => {
+  const outcome = await withTransaction(async (tx) => {
+    const result = await tx.query(
+      `SELECT * FROM verification_codes
+       WHERE user_id = $1 AND channel = $2
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [userId, channel]
+    );
+    const stored = result.rows[0];
+    if (!isLive(stored) || stored.attempts >= VERIFICATION_CONFIG.maxAttempts) {
+      return { error: 'Invalid or expired verification code; request a new code' };
+    }
+
+    if (stored.code_hash !== hashToken(String(code))) {
+      // Counting the wrong guess must stick, so the error is raised after commit
+      await tx.query('UPDATE verification_codes SET attempts = attempts + 1 WHERE id = $1', [stored.id]);
+      return { error: 'Incorrect verification code' };
+    }
+
+    return { user: await markVerified(tx, stored) };
+  });
+
+  if (outcome.error) {
+    throw new AppError(outcome.error, 400);
+  }
+  return outcome.user;
+};
+
+// Verify an email with the token from the emailed link
+const confirmEmailToken = async (token) => {
+  return withTransaction(async (tx) => {
+    const result = await tx.query(
+      `SELECT * FROM verification_codes
+       WHERE token_hash = $1 AND channel = 'email'
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const stored = result.rows[0];
+    if (!isLive(stored)) {
+      throw new AppError('Invalid or expired verification link', 400);
+    }
+    return markVerified(tx, stored);
+  });
+};
+
+// Channels `user` (as set on req.user) still has to verify for `action`
+// (`booking` or `driving`); admins are never held back
+const missingVerifications = (user, action) => {
+  if (user.role === 'admin') {
+    return [];
+  }
+  return VERIFICATION_CONFIG.required[action]
+    .filter((channel) => !(channel === 'email' ? user.emailVerified : user.phoneVerified));
+};
+
+// Throw unless the user may perform `action`
+const assertVerified = (user, action) => {
+  const missing = missingVerifications(user, action);
+  if (missing.length > 0) {
+    throw new AppError(`Please verify your ${missing.join(' and ')} first`, 403);
+  }
+};
+
+module.exports = {
+  VERIFICATION_CONFIG,
+  CHANNELS,
+  sendVerification,
+  confirmVerificationCode,
+  confirmEmailToken,
+  missingVerifications,
+  assertVerified
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { envNumber } = require('../utils/env');
+
+// Outgoing webhooks
+//
+// Each active subscription receives the domain events it asked for (or all of
+// them with '*') as a JSON POST of the event. The body is signed with the
+// subscription's secret: `X-Webhook-Signature: sha256=<hex HMAC of the body>`.
+// Failed deliveries (network error, timeout or non-2xx response) are retried
+// with exponential backoff up to WEBHOOK_MAX_ATTEMPTS; every delivery is kept in
+// webhook_deliveries.
+
+const WEBHOOK_CONFIG = {
+  timeoutMs: envNumber('WEBHOOK_TIMEOUT_MS', 5000),
+  maxAttempts: envNumber('WEBHOOK_MAX_ATTEMPTS', 5),
+  retryBaseSeconds: envNumber('WEBHOOK_RETRY_BASE_SECONDS', 30)
+};
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+const signPayload = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// JSONB columns come back parsed from pg, as text from some drivers
+const eventTypesOf = (subscription) => (typeof subscription.event_types === 'string'
+  ? JSON.parse(subscription.event_types)
+  : subscription.event_types || []);
+
+// POST the event once and record the outcome; schedules a retry when it fails
+const attemptDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload);
+  const attempts = Number(delivery.attempts) + 1;
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': signPayload(subscription.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_CONFIG.timeoutMs)
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const status = !error ? 'delivered' : attempts >= WEBHOOK_CONFIG.maxAttempts ? 'failed' : 'pending';
+  const result = await query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, response_status = $3, last_error = $4,
+         delivered_at = CASE WHEN $1 = 'delivered' THEN NOW() ELSE NULL END
+     WHERE id = $5
+     RETURNING *`,
+    [status, attempts, responseStatus, error, delivery.id]
+  );
+
+  if (status === 'pending') {
+    const delay = WEBHOOK_CONFIG.retryBaseSeconds * 1000 * 2 ** (attempts - 1);
+    const timer = setTimeout(() => {
+      attemptDelivery(result.rows[0], subscription).catch((retryError) => console.error('Webhook retry error:', retryError));
+    }, delay);
+    if (timer.unref) timer.unref();
+  }
+
+  return result.rows[0];
+};
+
+// Deliver a domain event to every active subscription that wants it
+const deliverEvent = async (event) => {
+  const subscriptions = await query('SELECT * FROM webhook_subscriptions WHERE active = true');
+  const matching = subscriptions.rows.filter((subscription) => {
+    const types = eventTypesOf(subscription);
+    return types.includes('*') || types.includes(event.type);
+  });
+
+  // A slow endpoint should not hold up the others
+  await Promise.all(matching.map(async (subscription) => {
+    const result = await query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, status, attempts, created_at)
+       VALUES ($1, $2, $3, $4, 'pending', 0, NOW())
+       RETURNING *`,
+      [subscription.id, event.id, event.type, JSON.stringify(event)]
+    );
+    await attemptDelivery(result.rows[0], subscription);
+  }));
+
+  return matching.length;
+};
+
+module.exports = {
+  WEBHOOK_CONFIG,
+  generateSecret,
+  signPayload,
+  deliverEvent
+};
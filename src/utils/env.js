@@ -0,0 +1,11 @@
+// Environment configuration helpers
+
+// Numeric setting `name`, or `fallback` when it is unset or not a number
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && !Number.isNaN(value) ? value : fallback;
+}
+
+module.exports = {
+  envNumber
+};
@@ -0,0 +1,24 @@
+// Geographic helpers
+
+// Distance in miles between two points (Haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 3959; // Earth's radius in miles
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+// Whether all values are usable coordinates (NUMERIC columns arrive from pg as strings)
+function hasCoordinates(...values) {
+  return values.every((value) => value !== null && value !== undefined && value !== '' && !Number.isNaN(Number(value)));
+}
+
+module.exports = {
+  calculateDistance,
+  hasCoordinates
+};
@@ -0,0 +1,181 @@
+// Recurrence rules (a subset of iCalendar RRULE)
+//
+// Supported parts: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekday codes,
+// no ordinals), BYMONTHDAY (1..31 or -1..-31 counting from the month end),
+// COUNT and UNTIL. Example: "FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=36".
+//
+// Occurrences keep the wall-clock time of the first occurrence in the server's
+// time zone, so a 9:00 appointment stays at 9:00 across daylight saving changes.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Upper bound on days scanned when expanding, so a rule that never matches ends
+const MAX_SCAN_DAYS = 366 * 5;
+
+class RecurrenceError extends Error {}
+
+const parseInteger = (name, value, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new RecurrenceError(`Invalid ${name} value '${value}'`);
+  }
+  return number;
+};
+
+// "20250131" or "20250131T000000Z" (RFC 5545) or any ISO date
+const parseUntil = (value) => {
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  let date;
+  if (compact) {
+    const [, year, month, day, hour, minute, second, utc] = compact;
+    if (hour === undefined) {
+      // A date-only UNTIL includes the whole day
+      date = new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59, 999);
+    } else if (utc) {
+      date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)));
+    } else {
+      date = new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+    }
+  } else {
+    date = new Date(value);
+  }
+
+  if (Number.isNaN(date.getTime())) {
+    throw new RecurrenceError(`Invalid UNTIL value '${value}'`);
+  }
+  return date;
+};
+
+// Parse "FREQ=WEEKLY;BYDAY=MO,WE" into { freq, interval, byDay, byMonthDay, count, until }
+function parseRecurrence(rule) {
+  if (typeof rule !== 'string' || rule.trim() === '') {
+    throw new RecurrenceError('Recurrence rule is required');
+  }
+
+  const parts = {};
+  for (const part of rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') {
+      throw new RecurrenceError(`Invalid recurrence part '${part}'`);
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const unknown = Object.keys(parts).filter((key) => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(key));
+  if (unknown.length > 0) {
+    throw new RecurrenceError(`Unsupported recurrence part ${unknown[0]}`);
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new RecurrenceError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw new RecurrenceError('COUNT and UNTIL cannot both be set');
+  }
+
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',').map((day) => {
+    if (!WEEKDAYS.includes(day)) {
+      throw new RecurrenceError(`Invalid BYDAY value '${day}'`);
+    }
+    return WEEKDAYS.indexOf(day);
+  }) : [];
+
+  const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map((day) => {
+    const number = parseInteger('BYMONTHDAY', day, -31, 31);
+    if (number === 0) {
+      throw new RecurrenceError('Invalid BYMONTHDAY value 0');
+    }
+    return number;
+  }) : [];
+
+  if (byMonthDay.length > 0 && parts.FREQ !== 'MONTHLY') {
+    throw new RecurrenceError('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+
+  return {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseInteger('INTERVAL', parts.INTERVAL, 1, 365) : 1,
+    byDay,
+    byMonthDay,
+    count: parts.COUNT ? parseInteger('COUNT', parts.COUNT, 1, 1000) : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null
+  };
+}
+
+// Whole calendar days between two local dates
+const dayNumber = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000;
+
+// Local calendar date as YYYY-MM-DD
+function toDateKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const matches = (rule, start, day) => {
+  const weekday = day.getDay();
+
+  if (rule.freq === 'DAILY') {
+    return (dayNumber(day) - dayNumber(start)) % rule.interval === 0 &&
+      (rule.byDay.length === 0 || rule.byDay.includes(weekday));
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (RRULE's default WKST)
+    const weekStart = (date) => dayNumber(date) - ((date.getDay() + 6) % 7);
+    const weeks = (weekStart(day) - weekStart(start)) / 7;
+    const days = rule.byDay.length > 0 ? rule.byDay : [start.getDay()];
+    return weeks % rule.interval === 0 && days.includes(weekday);
+  }
+
+  // MONTHLY
+  const months = (day.getFullYear() - start.getFullYear()) * 12 + day.getMonth() - start.getMonth();
+  if (months % rule.interval !== 0) {
+    return false;
+  }
+  const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+  const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getDate()];
+  const dayMatches = monthDays.some((monthDay) => (
+    monthDay > 0 ? monthDay === day.getDate() : daysInMonth + monthDay + 1 === day.getDate()
+  ));
+  return dayMatches && (rule.byDay.length === 0 || rule.byDay.includes(weekday));
+};
+
+// Occurrences of `rule` starting at `start`, in order, up to `until` (inclusive).
+// COUNT is applied before `exclude`, so skipped dates still use up the count
+// as in RFC 5545 EXDATE. `exclude(date)` returns true for dates to leave out.
+function expandRecurrence(rule, start, { until = null, exclude = () => false } = {}) {
+  const parsed = typeof rule === 'string' ? parseRecurrence(rule) : rule;
+  const first = new Date(start);
+  const limit = [parsed.until, until]
+    .filter(Boolean)
+    .reduce((earliest, date) => (date < earliest ? date : earliest), new Date(first.getTime() + MAX_SCAN_DAYS * 86400000));
+
+  const occurrences = [];
+  let seen = 0;
+
+  for (let offset = 0; offset <= MAX_SCAN_DAYS; offset++) {
+    const day = new Date(first);
+    day.setDate(first.getDate() + offset);
+
+    if (day > limit || (parsed.count !== null && seen >= parsed.count)) {
+      break;
+    }
+    if (!matches(parsed, first, day)) {
+      continue;
+    }
+
+    seen++;
+    if (!exclude(day)) {
+      occurrences.push(day);
+    }
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  RecurrenceError,
+  parseRecurrence,
+  expandRecurrence,
+  toDateKey
+};
@@ -0,0 +1,270 @@
+process.env.TRUST_PROXY = 'true';
+process.env.AUTH_DELAY_AFTER_FAILURES = '3';
+process.env.AUTH_DELAY_BASE_SECONDS = '1';
+process.env.AUTH_ACCOUNT_LOCKOUT_FAILURES = '5';
+process.env.VERIFICATION_REQUIRED_FOR_BOOKING = 'email';
+
+const {
+  PASSWORD, request, app, query, startApp, as, login, registerUser, loginAdmin, settle, rideRequest
+} = require('./helpers');
+const { setEmailTransport } = require('../src/services/email');
+
+let admin;
+const outbox = [];
+
+// The latest email sent to `to`, and the token in its link
+const lastEmailTo = (to) => outbox.filter((message) => message.to === to).pop();
+const linkToken = (message) => message.text.match(/token=(\S+)/)[1];
+
+// Each throttling test signs in from its own address
+const loginFrom = (ip, email, password) => request(app)
+  .post('/api/auth/login')
+  .set('X-Forwarded-For', ip)
+  .send({ email, password });
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+beforeAll(async () => {
+  setEmailTransport({ send: async (message) => outbox.push(message) });
+  await startApp();
+  admin = await loginAdmin();
+});
+
+// Failed attempts from one test must not throttle the next
+afterEach(() => query('DELETE FROM auth_throttles'));
+
+describe('refresh tokens', () => {
+  test('are single use and rotate on every refresh', async () => {
+    const { refreshToken } = await registerUser();
+
+    const first = await refresh(refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.tokens.refreshToken).not.toBe(refreshToken);
+
+    const second = await refresh(first.body.tokens.refreshToken);
+    expect(second.status).toBe(200);
+    expect((await as(second.body.tokens.accessToken).get('/api/users/profile')).status).toBe(200);
+  });
+
+  test('revoke the whole login when a used token comes back', async () => {
+    const { refreshToken } = await registerUser();
+    const rotated = (await refresh(refreshToken)).body.tokens;
+
+    const reused = await refresh(refreshToken);
+    expect(reused.status).toBe(401);
+    expect(reused.body.error).toBe('Refresh token reuse detected; please log in again');
+
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    expect((await as(rotated.accessToken).get('/api/users/profile')).status).toBe(403);
+  });
+
+  test('are rejected when malformed', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+    expect((await refresh(undefined)).status).toBe(400);
+  });
+});
+
+describe('sessions', () => {
+  test('logout ends only the current login', async () => {
+    const first = await registerUser();
+    const second = (await login(first.email)).body.tokens;
+
+    expect((await as(first.token).post('/api/auth/logout')).status).toBe(200);
+    expect((await as(first.token).get('/api/users/profile')).status).toBe(403);
+    expect((await refresh(first.refreshToken)).status).toBe(401);
+    expect((await as(second.accessToken).get('/api/users/profile')).status).toBe(200);
+  });
+
+  test('logout-all ends every login', async () => {
+    const first = await registerUser();
+    const second = (await login(first.email)).body.tokens;
+
+    const res = await as(first.token).post('/api/auth/logout-all');
+    expect(res.body.sessionsRevoked).toBe(2);
+    expect((await as(second.accessToken).get('/api/users/profile')).status).toBe(403);
+  });
+
+  test('can be listed and revoked by their owner only', async () => {
+    const owner = await registerUser();
+    const other = await registerUser();
+    const second = (await login(owner.email)).body.tokens;
+
+    const { sessions } = (await as(owner.token).get('/api/users/sessions')).body;
+    expect(sessions).toHaveLength(2);
+    const current = sessions.find((session) => session.current);
+    const remote = sessions.find((session) => !session.current);
+    expect(current).toBeDefined();
+
+    expect((await as(other.token).delete(`/api/users/sessions/${remote.id}`)).status).toBe(404);
+    expect((await as(owner.token).delete(`/api/users/sessions/${remote.id}`)).status).toBe(200);
+    expect((await as(second.accessToken).get('/api/users/profile')).status).toBe(403);
+    expect((await as(owner.token).get('/api/users/sessions')).body.sessions).toHaveLength(1);
+  });
+
+  test('can be terminated by an admin', async () => {
+    const user = await registerUser();
+
+    expect((await as(user.token).delete(`/api/users/${admin.user.id}/sessions`)).status).toBe(403);
+    const res = await as(admin.token).delete(`/api/users/${user.user.id}/sessions`);
+    expect(res.body.sessionsRevoked).toBe(1);
+    expect((await as(user.token).get('/api/users/profile')).status).toBe(403);
+  });
+});
+
+describe('login throttling', () => {
+  test('makes clients wait after repeated failures', async () => {
+    const { email } = await registerUser();
+    const ip = '203.0.113.1';
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      expect((await loginFrom(ip, email, 'wrong-password')).status).toBe(401);
+    }
+
+    const throttled = await loginFrom(ip, email, PASSWORD);
+    expect(throttled.status).toBe(429);
+    expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+
+    await settle(1100);
+    expect((await loginFrom(ip, email, PASSWORD)).status).toBe(200);
+    expect((await loginFrom(ip, email, PASSWORD)).status).toBe(200);
+  });
+
+  test('counts attempts sent at once before checking any of them', async () => {
+    const { email } = await registerUser();
+
+    const burst = await Promise.all(Array.from({ length: 6 }, () => loginFrom('203.0.113.5', email, 'wrong-password')));
+    expect(burst.map((res) => res.status).sort()).toEqual([401, 401, 401, 429, 429, 429]);
+  });
+
+  test('locks the account and tells its owner, until an admin unlocks it', async () => {
+    const { email, user } = await registerUser();
+    const ip = '203.0.113.2';
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      // Skip the waits between attempts
+      await query('UPDATE auth_throttles SET next_attempt_at = NULL');
+      expect((await loginFrom(ip, email, 'wrong-password')).status).toBe(401);
+    }
+
+    const locked = await loginFrom('203.0.113.3', email, PASSWORD);
+    expect(locked.status).toBe(429);
+    expect(locked.body.error).toBe('Too many failed attempts; this account is temporarily locked');
+
+    await settle();
+    expect(lastEmailTo(email).subject).toBe('Your MediTransport account was temporarily locked');
+
+    const unlocked = await as(admin.token).post(`/api/users/${user.id}/unlock`);
+    expect(unlocked.body.unlocked).toBe(true);
+    expect((await loginFrom('203.0.113.3', email, PASSWORD)).status).toBe(200);
+  });
+
+  test('treats unknown emails like real accounts', async () => {
+    const ip = '203.0.113.4';
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      expect((await loginFrom(ip, 'nobody@example.com', 'wrong-password')).status).toBe(401);
+    }
+    expect((await loginFrom(ip, 'nobody@example.com', 'wrong-password')).status).toBe(429);
+  });
+});
+
+describe('password reset', () => {
+  test('sets a new password with the emailed link and signs out everywhere', async () => {
+    const user = await registerUser();
+
+    const requested = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    expect(requested.status).toBe(200);
+    await settle();
+    const token = linkToken(lastEmailTo(user.email));
+
+    const reset = await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password-1' });
+    expect(reset.status).toBe(200);
+    expect((await as(user.token).get('/api/users/profile')).status).toBe(403);
+
+    expect((await login(user.email)).status).toBe(401);
+    expect((await login(user.email, 'new-password-1')).status).toBe(200);
+
+    const reused = await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password-2' });
+    expect(reused.status).toBe(400);
+  });
+
+  test('counts every reset email request against the address and the account', async () => {
+    const { email } = await registerUser();
+    const forgot = (ip) => request(app).post('/api/auth/forgot-password').set('X-Forwarded-For', ip).send({ email });
+
+    for (const ip of ['203.0.113.6', '203.0.113.7', '203.0.113.8']) {
+      expect((await forgot(ip)).status).toBe(200);
+    }
+    expect((await forgot('203.0.113.9')).status).toBe(429);
+  });
+
+  test('answers the same for unknown emails without sending anything', async () => {
+    const sent = outbox.length;
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'unknown@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('If an account exists for this email, a password reset link has been sent');
+    await settle();
+    expect(outbox.length).toBe(sent);
+  });
+});
+
+describe('verification', () => {
+  test('holds back booking until the email is verified', async () => {
+    const patient = await registerUser();
+    await settle();
+
+    const blocked = await as(patient.token).post('/api/rides', rideRequest(24));
+    expect(blocked.status).toBe(403);
+    expect(blocked.body).toMatchObject({ message: 'Please verify your email first', missing: ['email'] });
+
+    const code = lastEmailTo(patient.email).text.match(/code is (\d{6})/)[1];
+    const wrong = code === '000000' ? '111111' : '000000';
+    expect((await as(patient.token).post('/api/auth/verification/email/confirm', { code: wrong })).status).toBe(400);
+    expect((await as(patient.token).post('/api/auth/verification/email/confirm', { code })).status).toBe(200);
+
+    expect((await as(patient.token).post('/api/rides', rideRequest(24))).status).toBe(201);
+  });
+
+  test('accepts the emailed link instead of the code', async () => {
+    const patient = await registerUser();
+    await settle();
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token: linkToken(lastEmailTo(patient.email)) });
+    expect(res.status).toBe(200);
+    expect((await as(patient.token).post('/api/auth/verification/email/send')).status).toBe(409);
+  });
+});
+
+describe('staff accounts', () => {
+  test('cannot be created through registration', async () => {
+    const res = await request(app).post('/api/auth/register').send({
+      name: 'Would-be Admin',
+      email: 'self-made-admin@example.com',
+      password: PASSWORD,
+      role: 'admin'
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('join through a single-use invitation from an admin', async () => {
+    const patient = await registerUser();
+    const email = 'new-dispatcher@example.com';
+
+    expect((await as(patient.token).post('/api/invitations', { email, role: 'dispatcher' })).status).toBe(403);
+    expect((await as(admin.token).post('/api/invitations', { email, role: 'dispatcher' })).status).toBe(201);
+    await settle();
+    const token = linkToken(lastEmailTo(email));
+
+    const described = await request(app).post('/api/auth/invitation').send({ token });
+    expect(described.body.invitation).toMatchObject({ email, role: 'dispatcher' });
+
+    const accepted = await request(app).post('/api/auth/accept-invitation').send({ token, name: 'New Dispatcher', password: PASSWORD });
+    expect(accepted.status).toBe(201);
+    expect(accepted.body.user).toMatchObject({ email, role: 'dispatcher' });
+
+    const again = await request(app).post('/api/auth/accept-invitation').send({ token, name: 'Someone Else', password: PASSWORD });
+    expect(again.status).toBeGreaterThanOrEqual(400);
+    expect((await login(email)).status).toBe(200);
+  });
+});
@@ -0,0 +1,157 @@
+const {
+  startApp, as, registerUser, createDriver, loginAdmin, settle, inHours
+} = require('./helpers');
+
+let admin;
+let patient;
+let driver;
+
+const route = {
+  startLocation: 'Home',
+  endLocation: 'Dialysis Unit',
+  startLatitude: 40.7,
+  startLongitude: -74,
+  endLatitude: 40.75,
+  endLongitude: -73.95
+};
+
+// Nine in the morning `days` from today, and its date key
+const morning = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  date.setHours(9, 0, 0, 0);
+  return date;
+};
+const dateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const createSeries = async (fields = {}) => {
+  const res = await as(patient.token).post('/api/ride-series', {
+    ...route,
+    startDate: morning(1).toISOString(),
+    recurrence: 'FREQ=DAILY;COUNT=4',
+    ...fields
+  });
+  expect(res.status).toBe(201);
+  return res.body;
+};
+
+const seriesRides = async (seriesId) => (await as(patient.token).get(`/api/ride-series/${seriesId}`)).body.rides;
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  patient = await registerUser();
+  driver = await createDriver();
+});
+
+describe('ride series', () => {
+  test('generate one ride per occurrence, skipping exception dates', async () => {
+    const { series, rides } = await createSeries({ exceptionDates: [dateKey(morning(2))] });
+
+    expect(rides.map((ride) => dateKey(new Date(ride.ride_date)))).toEqual([
+      dateKey(morning(1)), dateKey(morning(3)), dateKey(morning(4))
+    ]);
+    expect(rides.every((ride) => ride.series_id === series.id && ride.status === 'pending')).toBe(true);
+
+    const other = await registerUser();
+    expect((await as(other.token).get(`/api/ride-series/${series.id}`)).status).toBe(404);
+  });
+
+  test('reject recurrences they do not support', async () => {
+    const res = await as(patient.token).post('/api/ride-series', {
+      ...route,
+      startDate: morning(1).toISOString(),
+      recurrence: 'FREQ=YEARLY'
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('edit one occurrence without touching the rest', async () => {
+    const { series, rides } = await createSeries();
+
+    const edited = await as(patient.token).patch(`/api/ride-series/${series.id}/occurrences/${rides[1].id}`, { endLocation: 'Clinic B' });
+    expect(edited.body.ride).toMatchObject({ end_location: 'Clinic B', series_detached: true });
+
+    await as(patient.token).patch(`/api/ride-series/${series.id}`, { specialRequirements: 'Wheelchair' });
+    const after = await seriesRides(series.id);
+    expect(after.map((ride) => ride.special_requirements)).toEqual(['Wheelchair', null, 'Wheelchair', 'Wheelchair']);
+  });
+
+  test('release the driver of an accepted ride whose route changes', async () => {
+    const { series, rides } = await createSeries();
+    await as(admin.token).post(`/api/rides/${rides[0].id}/assign`, { driverId: driver.driverId });
+
+    const res = await as(patient.token).patch(`/api/ride-series/${series.id}`, { endLocation: 'New Clinic' });
+    expect(res.status).toBe(200);
+    await settle();
+
+    const [first] = await seriesRides(series.id);
+    expect(first).toMatchObject({ status: 'pending', driver_id: null, end_location: 'New Clinic' });
+    const notifications = (await as(driver.token).get('/api/notifications')).body.notifications;
+    expect(notifications.some((n) => n.type === 'ride.released' && n.ride_id === rides[0].id)).toBe(true);
+  });
+
+  test('lose their occurrences on holidays', async () => {
+    const { series } = await createSeries();
+    const holiday = dateKey(morning(2));
+
+    expect((await as(patient.token).post('/api/ride-series/holidays', { date: holiday, name: 'Closed' })).status).toBe(403);
+    const res = await as(admin.token).post('/api/ride-series/holidays', { date: holiday, name: 'Closed' });
+    expect(res.status).toBe(201);
+
+    const canceled = (await seriesRides(series.id)).filter((ride) => ride.status === 'canceled');
+    expect(canceled.map((ride) => dateKey(new Date(ride.ride_date)))).toEqual([holiday]);
+  });
+});
+
+describe('trips', () => {
+  const roundTrip = (fields = {}) => as(patient.token).post('/api/trips', {
+    ...route,
+    tripType: 'round-trip',
+    rideDate: inHours(2),
+    returnMode: 'will-call',
+    ...fields
+  });
+
+  test('book a round trip as two linked legs', async () => {
+    const res = await roundTrip();
+    expect(res.status).toBe(201);
+
+    const { trip } = res.body;
+    expect(trip.legs.map((leg) => [leg.leg_number, leg.pickup_mode, leg.start_location])).toEqual([
+      [1, 'timed', 'Home'],
+      [2, 'will-call', 'Dialysis Unit']
+    ]);
+    expect(Number(trip.total_fare)).toBeCloseTo(trip.legs.reduce((sum, leg) => sum + Number(leg.fare), 0));
+  });
+
+  test('reject a return before the outbound ride', async () => {
+    const res = await roundTrip({ returnMode: 'timed', returnDate: inHours(1) });
+    expect(res.status).toBe(400);
+  });
+
+  test('schedule a will-call leg once the previous leg is done and the patient is ready', async () => {
+    const { trip } = (await roundTrip()).body;
+    const [outbound, back] = trip.legs;
+    const ready = () => as(patient.token).post(`/api/trips/${trip.id}/legs/${back.id}/ready`, { pickupInMinutes: 10 });
+
+    expect((await ready()).status).toBe(409);
+
+    await as(admin.token).post(`/api/rides/${outbound.id}/assign`, { driverId: driver.driverId });
+    for (const status of ['arrived', 'in-progress', 'completed']) {
+      await as(driver.token).patch(`/api/rides/${outbound.id}`, { status });
+    }
+
+    const res = await ready();
+    expect(res.status).toBe(200);
+    expect(res.body.ride.ready_at).not.toBeNull();
+    const minutesAway = (new Date(res.body.ride.ride_date) - Date.now()) / 60000;
+    expect(Math.round(minutesAway)).toBe(10);
+
+    expect((await ready()).status).toBe(409);
+  });
+});
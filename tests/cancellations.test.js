@@ -0,0 +1,167 @@
+const {
+  startApp, as, query, registerUser, createDriver, createStaff, loginAdmin, settle, rideRequest
+} = require('./helpers');
+
+let admin;
+let patient;
+let driver;
+let rateCards;
+
+const bookRide = async (hours, session = patient) => {
+  const res = await as(session.token).post('/api/rides', rideRequest(hours, { vehicleType: 'car' }));
+  return res.body.ride;
+};
+
+const assign = (ride) => as(admin.token).post(`/api/rides/${ride.id}/assign`, { driverId: driver.driverId });
+
+const cancel = (session, ride, body) => as(session.token).post(`/api/rides/${ride.id}/cancel`, body);
+
+const feesOf = async (session) => (await as(session.token).get('/api/payments/history')).body.payments
+  .filter((payment) => payment.type !== 'fare');
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  patient = await registerUser();
+  driver = await createDriver('car');
+  rateCards = Object.fromEntries((await as(patient.token).get('/api/fares/rate-cards')).body.rateCards
+    .map((card) => [card.vehicle_type, card]));
+});
+
+describe('ride cancellation', () => {
+  test('requires a reason code the role may use', async () => {
+    const ride = await bookRide(24);
+
+    expect((await cancel(patient, ride, {})).status).toBe(400);
+    const staffCode = await cancel(patient, ride, { reasonCode: 'duplicate_booking' });
+    expect(staffCode.status).toBe(400);
+    expect(staffCode.body.error).toMatch(/^Reason code must be one of/);
+  });
+
+  test('is free for patients before the window or without a driver', async () => {
+    const early = await bookRide(24);
+    await assign(early);
+    const unassigned = await bookRide(1);
+
+    for (const ride of [early, unassigned]) {
+      const res = await cancel(patient, ride, { reasonCode: 'schedule_change', note: 'Appointment moved' });
+      expect(res.status).toBe(200);
+      expect(res.body.fee).toBeNull();
+      expect(res.body.ride).toMatchObject({
+        status: 'canceled',
+        canceled_by_role: 'patient',
+        cancellation_reason_code: 'schedule_change'
+      });
+    }
+  });
+
+  test('charges patients the late-cancel fee inside the window once a driver is assigned', async () => {
+    const ride = await bookRide(1);
+    await assign(ride);
+
+    const res = await cancel(patient, ride, { reasonCode: 'feeling_unwell' });
+    expect(res.body.outcome).toBe('late_cancel');
+    expect(res.body.fee).toMatchObject({ type: 'late_cancel_fee', status: 'pending', user_id: patient.user.id });
+    expect(Number(res.body.fee.amount)).toBe(Number(rateCards.car.late_cancel_fee));
+    expect(Number(res.body.ride.cancellation_fee)).toBe(Number(rateCards.car.late_cancel_fee));
+
+    expect((await feesOf(patient)).map((fee) => fee.ride_id)).toContain(ride.id);
+  });
+
+  test('never charges when dispatchers or admins cancel', async () => {
+    const dispatcher = await createStaff('dispatcher');
+    const ride = await bookRide(1);
+    await assign(ride);
+
+    expect((await cancel(dispatcher, ride, { reasonCode: 'feeling_unwell' })).status).toBe(400);
+    const res = await cancel(dispatcher, ride, { reasonCode: 'patient_request' });
+    expect(res.body.fee).toBeNull();
+    expect(res.body.ride.canceled_by_role).toBe('dispatcher');
+  });
+
+  test('releases the ride when its driver drops out', async () => {
+    const ride = await bookRide(24);
+    await assign(ride);
+
+    const res = await cancel(driver, ride, { reasonCode: 'vehicle_issue' });
+    expect(res.body.outcome).toBe('released');
+    expect(res.body.ride).toMatchObject({ status: 'pending', driver_id: null });
+    expect(res.body.fee).toBeNull();
+  });
+
+  test('charges the no-show fee only after the driver has waited', async () => {
+    const ride = await bookRide(1);
+    await assign(ride);
+    await as(driver.token).patch(`/api/rides/${ride.id}`, { status: 'arrived' });
+
+    const tooSoon = await cancel(driver, ride, { reasonCode: 'patient_no_show' });
+    expect(tooSoon.status).toBe(409);
+
+    const past = new Date(Date.now() - 15 * 60000);
+    await query('UPDATE rides SET ride_date = $1, arrived_at = $1 WHERE id = $2', [past, ride.id]);
+    const res = await cancel(driver, ride, { reasonCode: 'patient_no_show' });
+    expect(res.body.outcome).toBe('no_show');
+    expect(res.body.fee.type).toBe('no_show_fee');
+    expect(Number(res.body.fee.amount)).toBe(Number(rateCards.car.no_show_fee));
+  });
+
+  test('tells the driver when the patient cancels', async () => {
+    const ride = await bookRide(24);
+    await assign(ride);
+    await cancel(patient, ride, { reasonCode: 'schedule_change' });
+    await settle();
+
+    const notifications = (await as(driver.token).get('/api/notifications')).body.notifications;
+    expect(notifications.some((n) => n.ride_id === ride.id && n.title === 'Ride canceled')).toBe(true);
+  });
+});
+
+describe('trip and series cancellation', () => {
+  test('applies the policy to every remaining leg of a trip', async () => {
+    const booked = await as(patient.token).post('/api/trips', {
+      ...rideRequest(1, { vehicleType: 'car' }),
+      tripType: 'round-trip',
+      returnMode: 'will-call'
+    });
+    const trip = booked.body.trip;
+    await as(admin.token).post(`/api/rides/${trip.legs[0].id}/assign`, { driverId: driver.driverId });
+
+    expect((await as(patient.token).post(`/api/trips/${trip.id}/cancel`, {})).status).toBe(400);
+    const res = await as(patient.token).post(`/api/trips/${trip.id}/cancel`, { reasonCode: 'schedule_change' });
+    expect(res.status).toBe(200);
+    expect(res.body.legs.map((leg) => [leg.status, leg.cancellation_reason_code])).toEqual([
+      ['canceled', 'schedule_change'],
+      ['canceled', 'schedule_change']
+    ]);
+    expect(res.body.fees.map((fee) => [fee.type, fee.ride_id])).toEqual([['late_cancel_fee', trip.legs[0].id]]);
+
+    expect((await as(patient.token).post(`/api/trips/${trip.id}/cancel`, { reasonCode: 'other' })).status).toBe(409);
+  });
+
+  test('applies the policy to series occurrences', async () => {
+    const { rideDate, ...ride } = rideRequest(1, { vehicleType: 'car' });
+    const booked = await as(patient.token).post('/api/ride-series', {
+      ...ride,
+      startDate: rideDate,
+      recurrence: 'FREQ=DAILY;COUNT=3'
+    });
+    expect(booked.status).toBe(201);
+    const { series, rides } = booked.body;
+    await as(admin.token).post(`/api/rides/${rides[0].id}/assign`, { driverId: driver.driverId });
+
+    const occurrence = await as(patient.token).post(
+      `/api/ride-series/${series.id}/occurrences/${rides[0].id}/cancel`,
+      { reasonCode: 'feeling_unwell' }
+    );
+    expect(occurrence.body.outcome).toBe('late_cancel');
+    expect(occurrence.body.fee.type).toBe('late_cancel_fee');
+
+    const rest = await as(patient.token).post(`/api/ride-series/${series.id}/cancel`, { reasonCode: 'other', note: 'Treatment ended' });
+    expect(rest.status).toBe(200);
+    expect(rest.body.canceledRides).toBe(2);
+    expect(rest.body.fees).toEqual([]);
+
+    const later = (await as(patient.token).get(`/api/rides/${rides[1].id}`)).body.ride;
+    expect(later).toMatchObject({ status: 'canceled', canceled_by_role: 'patient', cancellation_reason_code: 'other' });
+  });
+});
@@ -0,0 +1,193 @@
+const {
+  startApp, query, as, login, registerUser, createDriver, rideRequest
+} = require('./helpers');
+const { withTransaction, getConnectionStatus } = require('../src/config/database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../src/config/migrations');
+
+const insertUser = (run, id) => run(
+  "INSERT INTO users (id, name, email, password, role) VALUES ($1, $2, $3, 'x', 'patient')",
+  [id, id, `${id}@example.com`]
+);
+
+const userIds = async (ids) => {
+  const result = await query('SELECT id FROM users WHERE id = ANY($1) ORDER BY id', [ids]);
+  return result.rows.map((row) => row.id);
+};
+
+beforeAll(startApp);
+
+describe('in-memory store', () => {
+  test('is used and migrated to the latest schema', async () => {
+    expect(getConnectionStatus()).toEqual({ useInMemoryStore: true });
+
+    const status = await getMigrationStatus(query);
+    expect(status.migrations.length).toBeGreaterThan(0);
+    expect(status.pending).toEqual([]);
+  });
+
+  test('keeps what the API writes', async () => {
+    const patient = await registerUser();
+
+    const profile = await as(patient.token).get('/api/users/profile');
+    expect(profile.status).toBe(200);
+    expect(profile.body.user.email).toBe(patient.email);
+
+    const rows = await query('SELECT role FROM users WHERE email = $1', [patient.email]);
+    expect(rows.rows).toEqual([{ role: 'patient' }]);
+  });
+
+  test('seeds the first admin from ADMIN_EMAIL', async () => {
+    const res = await login(process.env.ADMIN_EMAIL, process.env.ADMIN_PASSWORD);
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('admin');
+  });
+
+  test('enforces unique columns', async () => {
+    const patient = await registerUser();
+
+    await expect(query(
+      "INSERT INTO users (id, name, email, password, role) VALUES ('duplicate', 'Duplicate', $1, 'x', 'patient')",
+      [patient.email]
+    )).rejects.toMatchObject({ code: '23505' });
+  });
+
+  test('answers joins, aggregates and pagination', async () => {
+    const patient = await registerUser();
+    const driver = await createDriver();
+    for (const hours of [24, 48, 72]) {
+      await as(patient.token).post('/api/rides', rideRequest(hours));
+    }
+
+    const listed = await as(patient.token).get('/api/rides?limit=2');
+    expect(listed.status).toBe(200);
+    expect(listed.body.rides).toHaveLength(2);
+
+    const counts = await query(
+      `SELECT u.email, COUNT(r.id) AS rides
+       FROM users u
+       LEFT JOIN rides r ON r.user_id = u.id
+       WHERE u.id = ANY($1)
+       GROUP BY u.email
+       ORDER BY u.email`,
+      [[patient.user.id, driver.user.id]]
+    );
+    expect(counts.rows.map((row) => [row.email, Number(row.rides)])).toEqual([
+      [driver.email, 0],
+      [patient.email, 3]
+    ]);
+  });
+});
+
+describe('transactions', () => {
+  test('commit all of their writes', async () => {
+    await withTransaction(async (tx) => {
+      await insertUser(tx.query, 'tx-commit-1');
+      await insertUser(tx.query, 'tx-commit-2');
+    });
+
+    expect(await userIds(['tx-commit-1', 'tx-commit-2'])).toEqual(['tx-commit-1', 'tx-commit-2']);
+  });
+
+  test('roll back every write when they fail', async () => {
+    await expect(withTransaction(async (tx) => {
+      await insertUser(tx.query, 'tx-rollback');
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await userIds(['tx-rollback'])).toEqual([]);
+  });
+
+  test('roll back a failed nested transaction alone', async () => {
+    await withTransaction(async (tx) => {
+      await insertUser(tx.query, 'tx-outer');
+      await tx.withTransaction(async (inner) => {
+        await insertUser(inner.query, 'tx-inner');
+        throw new Error('inner');
+      }).catch(() => {});
+    });
+
+    expect(await userIds(['tx-inner', 'tx-outer'])).toEqual(['tx-outer']);
+  });
+
+  test('run one at a time when started together', async () => {
+    const pause = () => new Promise((resolve) => setTimeout(resolve, 10));
+    await Promise.all([
+      withTransaction(async (tx) => {
+        await insertUser(tx.query, 'tx-together-kept');
+        await pause();
+      }),
+      withTransaction(async (tx) => {
+        await insertUser(tx.query, 'tx-together-dropped');
+        await pause();
+        throw new Error('boom');
+      }).catch(() => {})
+    ]);
+
+    expect(await userIds(['tx-together-dropped', 'tx-together-kept'])).toEqual(['tx-together-kept']);
+  });
+
+  test('run commit hooks only after committing', async () => {
+    const seen = [];
+    await withTransaction(async (tx) => {
+      tx.afterCommit(() => seen.push('committed'));
+    });
+    await withTransaction(async (tx) => {
+      tx.afterCommit(() => seen.push('rolled back'));
+      throw new Error('boom');
+    }).catch(() => {});
+
+    expect(seen).toEqual(['committed']);
+  });
+
+  test('make queries from outside wait for them', async () => {
+    const order = [];
+    let inserted;
+    const started = new Promise((resolve) => { inserted = resolve; });
+    const transaction = withTransaction(async (tx) => {
+      await insertUser(tx.query, 'tx-isolated');
+      inserted();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      order.push('transaction');
+    });
+
+    await started;
+    const outside = await query('SELECT id FROM users WHERE id = $1', ['tx-isolated']);
+    order.push(`outside saw ${outside.rows.length}`);
+
+    await transaction;
+    expect(order).toEqual(['transaction', 'outside saw 1']);
+  });
+});
+
+describe('migrations', () => {
+  test('roll back the latest migration and apply it again', async () => {
+    const { migrations } = await getMigrationStatus(query);
+    const latest = migrations[migrations.length - 1];
+
+    const rolledBack = await migrateDown(query);
+    expect(rolledBack.map((migration) => migration.version)).toEqual([latest.version]);
+    expect((await getMigrationStatus(query)).pending.map((migration) => migration.version)).toEqual([latest.version]);
+
+    const applied = await migrateUp(query);
+    expect(applied.map((migration) => migration.version)).toEqual([latest.version]);
+    expect((await getMigrationStatus(query)).pending).toEqual([]);
+  });
+
+  test('refuse to drop the staff roles while users hold them', async () => {
+    await query("INSERT INTO users (id, name, email, password, role) VALUES ('staff-1', 'Staff', 'staff-1@example.com', 'x', 'dispatcher')");
+    await query("INSERT INTO invitations (email, role, token_hash, expires_at) VALUES ('clerk@example.com', 'billing_clerk', 'hash', NOW() + INTERVAL '1 day')");
+
+    // Facilities (021) roll back first, then the roles migration refuses
+    await expect(migrateDown(query, { steps: 2 })).rejects.toThrow('Users still have staff roles (1 dispatcher)');
+
+    await query("DELETE FROM users WHERE id = 'staff-1'");
+    const rolledBack = await migrateDown(query, { steps: 1 });
+    expect(rolledBack.map((migration) => migration.name)).toEqual(['roles']);
+
+    const invitations = await query("SELECT revoked_at FROM invitations WHERE email = 'clerk@example.com'");
+    expect(invitations.rows[0].revoked_at).not.toBeNull();
+
+    await migrateUp(query);
+    expect((await getMigrationStatus(query)).pending).toEqual([]);
+  });
+});
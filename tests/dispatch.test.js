@@ -0,0 +1,144 @@
+process.env.DISPATCH_MODE = 'auto';
+process.env.DISPATCH_OFFER_TIMEOUT_SECONDS = '1';
+
+// Offering rides can be made to fail; every module sees this wrapper
+const database = require('../src/config/database');
+
+const realWithTransaction = database.withTransaction;
+let failOffers = false;
+jest.spyOn(database, 'withTransaction').mockImplementation((callback) => realWithTransaction((tx) => callback({
+  ...tx,
+  query: (text, params) => (failOffers && text.includes('INSERT INTO ride_offers')
+    ? Promise.reject(new Error('offer failed'))
+    : tx.query(text, params))
+})));
+
+const {
+  startApp, as, registerUser, createDriver, loginAdmin, settle, rideRequest
+} = require('./helpers');
+
+let admin;
+let patient;
+let near;
+let middle;
+let far;
+
+const openOffers = async (driver) => (await as(driver.token).get('/api/drivers/offers')).body.offers;
+
+const bookRide = async () => {
+  const res = await as(patient.token).post('/api/rides', rideRequest(2, { vehicleType: 'van' }));
+  expect(res.status).toBe(201);
+  return res.body.ride;
+};
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  patient = await registerUser();
+
+  // Drivers at increasing distances from the pickup (40.7, -74)
+  near = await createDriver('van');
+  middle = await createDriver('van');
+  far = await createDriver('van');
+  await as(near.token).patch('/api/drivers/location', { latitude: 40.71, longitude: -74 });
+  await as(middle.token).patch('/api/drivers/location', { latitude: 40.8, longitude: -74 });
+  await as(far.token).patch('/api/drivers/location', { latitude: 40.9, longitude: -74 });
+});
+
+// Take the offers still open, so their expiry timers do not outlive the suite
+afterAll(async () => {
+  for (const driver of [near, middle, far]) {
+    for (const offer of await openOffers(driver)) {
+      await as(driver.token).post(`/api/drivers/offers/${offer.id}/accept`);
+    }
+  }
+});
+
+describe('automatic dispatch', () => {
+  test('offers a new ride to the best driver straight away', async () => {
+    const ride = await bookRide();
+
+    expect(ride.dispatch).toMatchObject({ mode: 'auto', offered: true, driverId: near.driverId });
+    expect((await openOffers(near)).map((offer) => offer.ride_id)).toContain(ride.id);
+    expect((await openOffers(middle)).map((offer) => offer.ride_id)).not.toContain(ride.id);
+
+    const scoring = await as(admin.token).get(`/api/rides/${ride.id}/dispatch`);
+    expect(scoring.body.candidates[0].driverId).toBe(near.driverId);
+    expect(scoring.body.runs.length).toBeGreaterThan(0);
+  });
+
+  test('is open to admins only', async () => {
+    const ride = await bookRide();
+
+    expect((await as(patient.token).get(`/api/rides/${ride.id}/dispatch`)).status).toBe(403);
+    expect((await as(near.token).post(`/api/rides/${ride.id}/dispatch`)).status).toBe(403);
+  });
+
+  test('moves on to the next driver after a decline or a timeout', async () => {
+    const ride = await bookRide();
+    const first = (await openOffers(near)).find((offer) => offer.ride_id === ride.id);
+
+    const declined = await as(near.token).post(`/api/drivers/offers/${first.id}/decline`, { reason: 'Too far' });
+    expect(declined.body.offer.status).toBe('declined');
+    expect((await openOffers(middle)).some((offer) => offer.ride_id === ride.id)).toBe(true);
+
+    await settle(1300);
+    expect((await openOffers(far)).some((offer) => offer.ride_id === ride.id)).toBe(true);
+
+    const offers = (await as(admin.token).get(`/api/rides/${ride.id}/offers`)).body.offers;
+    expect(offers.map((offer) => offer.status)).toEqual(['declined', 'expired', 'pending']);
+  });
+
+  test('assigns the ride to the driver who accepts, once', async () => {
+    const ride = await bookRide();
+    const offer = (await openOffers(near)).find((entry) => entry.ride_id === ride.id);
+
+    expect((await as(middle.token).post(`/api/drivers/offers/${offer.id}/accept`)).status).toBe(404);
+
+    const accepted = await as(near.token).post(`/api/drivers/offers/${offer.id}/accept`);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.ride).toMatchObject({ status: 'accepted', driver_id: near.driverId });
+
+    expect((await as(near.token).post(`/api/drivers/offers/${offer.id}/accept`)).status).toBe(409);
+    expect((await as(admin.token).post(`/api/rides/${ride.id}/dispatch`)).status).toBe(409);
+  });
+
+  test('refuses an offer accepted by a driver who went off duty', async () => {
+    const ride = await bookRide();
+    const offer = (await openOffers(near)).find((entry) => entry.ride_id === ride.id);
+
+    await as(near.token).patch('/api/drivers/availability', { availability: false });
+    try {
+      const refused = await as(near.token).post(`/api/drivers/offers/${offer.id}/accept`);
+      expect(refused.status).toBe(409);
+      expect((await as(patient.token).get(`/api/rides/${ride.id}`)).body.ride).toMatchObject({ status: 'pending', driver_id: null });
+    } finally {
+      await as(near.token).patch('/api/drivers/availability', { availability: true });
+    }
+
+    expect((await as(near.token).post(`/api/drivers/offers/${offer.id}/accept`)).status).toBe(200);
+  });
+
+  test('keeps the booking when no driver can take it', async () => {
+    const res = await as(patient.token).post('/api/rides', rideRequest(2, { vehicleType: 'stretcher-enabled' }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.ride.status).toBe('pending');
+    expect(res.body.ride.dispatch).toMatchObject({ mode: 'auto', offered: false, driverId: null });
+  });
+
+  test('keeps the booking when offering it fails', async () => {
+    failOffers = true;
+    let res;
+    try {
+      res = await as(patient.token).post('/api/rides', rideRequest(2, { vehicleType: 'van' }));
+    } finally {
+      failOffers = false;
+    }
+
+    expect(res.status).toBe(201);
+    expect(res.body.ride.dispatch).toMatchObject({ mode: 'auto', offered: false, driverId: null });
+    const stored = await as(patient.token).get(`/api/rides/${res.body.ride.id}`);
+    expect(stored.body.ride.status).toBe('pending');
+  });
+});
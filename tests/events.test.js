@@ -0,0 +1,88 @@
+const {
+  startApp, as, registerUser, loginAdmin, settle, rideRequest
+} = require('./helpers');
+const { withTransaction } = require('../src/config/database');
+const { subscribe, publishAfterCommit } = require('../src/services/events');
+const { signPayload } = require('../src/services/webhooks');
+
+// Webhook endpoints answer through this mock instead of the network
+const fetchMock = jest.spyOn(global, 'fetch');
+
+let admin;
+let patient;
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  patient = await registerUser();
+});
+
+beforeEach(() => {
+  fetchMock.mockReset();
+  fetchMock.mockResolvedValue({ ok: true, status: 200 });
+});
+
+describe('event bus', () => {
+  test('tells subscribers what happened and who did it', async () => {
+    const events = [];
+    const unsubscribe = subscribe('ride.created', (event) => events.push(event));
+    try {
+      const ride = (await as(patient.token).post('/api/rides', rideRequest(24))).body.ride;
+      await settle();
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        type: 'ride.created',
+        actor: { id: patient.user.id, role: 'patient' },
+        data: { ride: { id: ride.id } }
+      });
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  test('drops events of transactions that roll back', async () => {
+    const events = [];
+    const unsubscribe = subscribe('*', (event) => events.push(event));
+    try {
+      await withTransaction(async (tx) => {
+        publishAfterCommit(tx, 'ride.created', { ride: { id: 'rolled-back' } });
+        throw new Error('boom');
+      }).catch(() => {});
+      await settle();
+
+      expect(events).toEqual([]);
+    } finally {
+      unsubscribe();
+    }
+  });
+});
+
+describe('webhooks', () => {
+  test('are registered by admins only', async () => {
+    const subscription = { url: 'https://hooks.example.com/rides', eventTypes: ['ride.created'] };
+
+    expect((await as(patient.token).post('/api/webhooks', subscription)).status).toBe(403);
+    expect((await as(admin.token).post('/api/webhooks', { ...subscription, eventTypes: ['ride.unknown'] })).status).toBe(400);
+  });
+
+  test('receive the events they subscribed to, signed with their secret', async () => {
+    const { subscription } = (await as(admin.token).post('/api/webhooks', {
+      url: 'https://hooks.example.com/signed',
+      eventTypes: ['ride.created']
+    })).body;
+
+    const ride = (await as(patient.token).post('/api/rides', rideRequest(24))).body.ride;
+    await settle();
+
+    const calls = fetchMock.mock.calls.filter(([url]) => url === subscription.url);
+    expect(calls).toHaveLength(1);
+    const [, { headers, body }] = calls[0];
+    expect(headers['X-Webhook-Event']).toBe('ride.created');
+    expect(headers['X-Webhook-Signature']).toBe(signPayload(subscription.secret, body));
+    expect(JSON.parse(body).data.ride.id).toBe(ride.id);
+
+    const { deliveries } = (await as(admin.token).get(`/api/webhooks/${subscription.id}/deliveries`)).body;
+    expect(deliveries.map((delivery) => delivery.status)).toEqual(['delivered']);
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  startApp, as, registerUser, createStaff, loginAdmin, settle, rideRequest
+} = require('./helpers');
+
+let admin;
+let coordinator;
+let outsider;
+let facility;
+
+const notificationTypes = async (session) => (await as(session.token).get('/api/notifications')).body.notifications
+  .map((notification) => notification.type);
+
+const link = (session, patient) => as(session.token).post(`/api/facilities/${facility.id}/patients`, { email: patient.email });
+const accept = (patient) => as(patient.token).post(`/api/facilities/${facility.id}/patients/accept`);
+const bookFor = (patient) => as(coordinator.token).post('/api/rides', rideRequest(24, { patientId: patient.user.id }));
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  coordinator = await createStaff('facility_coordinator');
+  outsider = await createStaff('facility_coordinator');
+
+  facility = (await as(admin.token).post('/api/facilities', { name: 'Riverside Dialysis', facilityType: 'clinic' })).body.facility;
+  await as(admin.token).post(`/api/facilities/${facility.id}/staff`, { userId: coordinator.user.id });
+});
+
+describe('facility links', () => {
+  test('made by staff wait for the patient to accept', async () => {
+    const patient = await registerUser();
+
+    const requested = await link(coordinator, patient);
+    expect(requested.status).toBe(201);
+    expect(requested.body.patient.status).toBe('pending');
+    expect((await link(coordinator, patient)).status).toBe(409);
+
+    // Until then the staff see neither the patient's details nor may they book
+    const pending = (await as(coordinator.token).get(`/api/facilities/${facility.id}/patients`)).body.patients;
+    expect(pending.find((entry) => entry.id === patient.user.id)).not.toHaveProperty('email');
+    const refused = await bookFor(patient);
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe('Patient is not linked to any of your facilities');
+
+    await settle();
+    expect(await notificationTypes(patient)).toContain('facility.link_requested');
+
+    const accepted = await accept(patient);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.link.status).toBe('active');
+    expect((await accept(patient)).status).toBe(404);
+
+    await settle();
+    expect(await notificationTypes(coordinator)).toContain('facility.link_accepted');
+
+    const active = (await as(coordinator.token).get(`/api/facilities/${facility.id}/patients`)).body.patients;
+    expect(active.find((entry) => entry.id === patient.user.id)).toMatchObject({ status: 'active', email: patient.email });
+  });
+
+  test('let staff book for and see the rides of linked patients only', async () => {
+    const patient = await registerUser();
+    await link(coordinator, patient);
+    await accept(patient);
+
+    const booked = await bookFor(patient);
+    expect(booked.status).toBe(201);
+    expect(booked.body.ride).toMatchObject({ user_id: patient.user.id, facility_id: facility.id });
+
+    const ownRide = (await as(patient.token).post('/api/rides', rideRequest(48))).body.ride;
+    const visible = (await as(coordinator.token).get('/api/rides')).body.rides.map((ride) => ride.id);
+    expect(visible).toContain(booked.body.ride.id);
+    expect(visible).not.toContain(ownRide.id);
+
+    expect((await as(outsider.token).get(`/api/rides/${booked.body.ride.id}`)).status).toBe(404);
+    expect((await as(patient.token).get(`/api/rides/${booked.body.ride.id}`)).status).toBe(200);
+  });
+
+  test('can be declined by the patient', async () => {
+    const patient = await registerUser();
+    await link(coordinator, patient);
+
+    const declined = await as(patient.token).delete(`/api/facilities/${facility.id}/patients/${patient.user.id}`);
+    expect(declined.status).toBe(200);
+    expect((await accept(patient)).status).toBe(404);
+    expect((await bookFor(patient)).status).toBe(403);
+  });
+
+  test('made by admins are active straight away', async () => {
+    const patient = await registerUser();
+
+    const linked = await link(admin, patient);
+    expect(linked.body.patient.status).toBe('active');
+    expect((await bookFor(patient)).status).toBe(201);
+
+    await settle();
+    expect(await notificationTypes(patient)).toContain('facility.linked');
+  });
+
+  test('are made only by the facility\'s staff and admins', async () => {
+    const patient = await registerUser();
+    const otherPatient = await registerUser();
+
+    expect((await link(outsider, patient)).status).toBe(404);
+    expect((await link(otherPatient, patient)).status).toBe(403);
+  });
+
+  test('answer the same for unknown emails and for accounts that are not patients', async () => {
+    const unknown = await link(coordinator, { email: 'nobody@example.com' });
+    const staff = await link(coordinator, outsider);
+
+    expect(unknown.status).toBe(404);
+    expect(staff.status).toBe(404);
+    expect(staff.body.error).toBe(unknown.body.error);
+  });
+});
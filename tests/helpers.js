@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const { initDatabase, query } = require('../src/config/database');
+
+// Shared fixtures for the API suites. Every test file gets its own module
+// registry and so its own in-memory store.
+
+const PASSWORD = 'password123';
+
+let ready = null;
+let userCount = 0;
+
+// Migrate the store (and seed the admin) once per test file
+const startApp = () => {
+  ready = ready || initDatabase();
+  return ready;
+};
+
+// Requests authenticated with `token`
+const as = (token) => {
+  const withToken = (req) => req.set('Authorization', `Bearer ${token}`);
+  return {
+    get: (url) => withToken(request(app).get(url)),
+    post: (url, body = {}) => withToken(request(app).post(url)).send(body),
+    patch: (url, body = {}) => withToken(request(app).patch(url)).send(body),
+    delete: (url) => withToken(request(app).delete(url))
+  };
+};
+
+const login = (email, password = PASSWORD) => request(app).post('/api/auth/login').send({ email, password });
+
+// A session as { user, token, refreshToken, email }
+const sessionOf = (email, body) => ({
+  email,
+  user: body.user,
+  token: body.tokens && body.tokens.accessToken,
+  refreshToken: body.tokens && body.tokens.refreshToken
+});
+
+// Register a patient (or a driver, with `extra` driver fields)
+const registerUser = async (role = 'patient', extra = {}) => {
+  userCount += 1;
+  const email = `${role}${userCount}@example.com`;
+  const res = await request(app).post('/api/auth/register').send({
+    name: `${role} ${userCount}`,
+    email,
+    password: PASSWORD,
+    role,
+    ...extra
+  });
+  if (res.status !== 201) {
+    throw new Error(`Registering ${email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return sessionOf(email, res.body);
+};
+
+// An approved driver who is available for rides
+const createDriver = async (vehicleType = 'van') => {
+  const session = await registerUser('driver', { licenseNumber: `LIC-${userCount + 1}`, vehicleType });
+  const result = await query(
+    `UPDATE drivers SET approval_status = 'approved', availability = true WHERE user_id = $1 RETURNING id`,
+    [session.user.id]
+  );
+  return { ...session, driverId: result.rows[0].id };
+};
+
+// A user with a staff role (dispatcher, billing_clerk, admin), logged in after
+// the role change
+const createStaff = async (role) => {
+  const { email, user } = await registerUser('patient');
+  await query('UPDATE users SET role = $1 WHERE id = $2', [role, user.id]);
+  return sessionOf(email, (await login(email)).body);
+};
+
+// The admin seeded from ADMIN_EMAIL / ADMIN_PASSWORD
+const loginAdmin = async () => {
+  const res = await login(process.env.ADMIN_EMAIL, process.env.ADMIN_PASSWORD);
+  return sessionOf(process.env.ADMIN_EMAIL, res.body);
+};
+
+// Let event subscribers and other after-commit work finish
+const settle = (ms = 50) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const inHours = (hours) => new Date(Date.now() + hours * 3600000).toISOString();
+
+// A one-way ride request `hours` from now
+const rideRequest = (hours = 24, fields = {}) => ({
+  startLocation: '12 Main St',
+  endLocation: 'General Hospital',
+  startLatitude: 40.7,
+  startLongitude: -74,
+  endLatitude: 40.75,
+  endLongitude: -73.95,
+  rideDate: inHours(hours),
+  ...fields
+});
+
+module.exports = {
+  PASSWORD,
+  request,
+  app,
+  query,
+  startApp,
+  as,
+  login,
+  registerUser,
+  createDriver,
+  createStaff,
+  loginAdmin,
+  settle,
+  inHours,
+  rideRequest
+};
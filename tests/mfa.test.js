@@ -0,0 +1,117 @@
+process.env.MFA_REQUIRED_ROLES = 'admin';
+// Rejected codes are expected here; they must not throttle later logins
+process.env.AUTH_DELAY_AFTER_FAILURES = '100';
+
+const {
+  request, app, startApp, as, login, registerUser, loginAdmin
+} = require('./helpers');
+const { codeAt, stepAt } = require('../src/utils/totp');
+
+let admin;
+
+// Enroll a session's user; returns the secret, the step whose code enabled
+// MFA and the backup codes
+const enableMfa = async (session) => {
+  const { secret } = (await as(session.token).post('/api/auth/mfa/enroll')).body;
+  const step = stepAt();
+  const res = await as(session.token).post('/api/auth/mfa/enable', { code: codeAt(secret, step) });
+  expect(res.status).toBe(200);
+  return { secret, step, backupCodes: res.body.backupCodes };
+};
+
+const loginMfa = (mfaToken, factor) => request(app).post('/api/auth/login/mfa').send({ mfaToken, ...factor });
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+});
+
+describe('required MFA', () => {
+  test('keeps admins out of the API until they enroll', async () => {
+    expect(admin.user.mfaEnrollmentRequired).toBe(true);
+    const blocked = await as(admin.token).get('/api/users');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.error).toBe('MFA enrollment required');
+
+    const { secret } = (await as(admin.token).post('/api/auth/mfa/enroll')).body;
+    const wrong = codeAt(secret, stepAt() + 5);
+    expect((await as(admin.token).post('/api/auth/mfa/enable', { code: wrong })).status).toBe(400);
+
+    const enabled = await as(admin.token).post('/api/auth/mfa/enable', { code: codeAt(secret, stepAt()) });
+    expect(enabled.body.backupCodes).toHaveLength(10);
+    expect((await as(admin.token).get('/api/users')).status).toBe(200);
+
+    const disabled = await as(admin.token).post('/api/auth/mfa/disable', { backupCode: enabled.body.backupCodes[0] });
+    expect(disabled.status).toBe(403);
+  });
+});
+
+describe('MFA logins', () => {
+  test('need a code after the password, and each code works once', async () => {
+    const patient = await registerUser();
+    const { secret, step } = await enableMfa(patient);
+
+    const first = await login(patient.email);
+    expect(first.body).toMatchObject({ mfaRequired: true });
+    expect(first.body.tokens).toBeUndefined();
+
+    const replayed = await loginMfa(first.body.mfaToken, { code: codeAt(secret, step) });
+    expect(replayed.status).toBe(401);
+
+    const res = await loginMfa(first.body.mfaToken, { code: codeAt(secret, step + 1) });
+    expect(res.status).toBe(200);
+    expect((await as(res.body.tokens.accessToken).get('/api/users/profile')).status).toBe(200);
+  });
+
+  test('accept each backup code once', async () => {
+    const patient = await registerUser();
+    const { backupCodes } = await enableMfa(patient);
+    const { mfaToken } = (await login(patient.email)).body;
+
+    expect((await loginMfa(mfaToken, { backupCode: backupCodes[0] })).status).toBe(200);
+    expect((await loginMfa(mfaToken, { backupCode: backupCodes[0] })).status).toBe(401);
+
+    const status = await as(patient.token).get('/api/auth/mfa');
+    expect(status.body.mfa).toMatchObject({ enabled: true, required: false, backupCodesRemaining: 9 });
+  });
+
+  test('refuse tokens that are not MFA tokens', async () => {
+    const patient = await registerUser();
+    await enableMfa(patient);
+
+    expect((await loginMfa(patient.token, { backupCode: 'abcd-1234' })).status).toBe(401);
+    expect((await loginMfa('not-a-token', { code: '123456' })).status).toBe(401);
+  });
+});
+
+describe('MFA settings', () => {
+  test('enabling ends the sessions opened with the password alone', async () => {
+    const patient = await registerUser();
+    const other = (await login(patient.email)).body.tokens;
+
+    await enableMfa(patient);
+    expect((await as(patient.token).get('/api/users/profile')).status).toBe(200);
+    expect((await as(other.accessToken).get('/api/users/profile')).status).toBe(403);
+  });
+
+  test('patients can turn MFA off with a second factor', async () => {
+    const patient = await registerUser();
+    const { backupCodes } = await enableMfa(patient);
+
+    expect((await as(patient.token).post('/api/auth/mfa/disable', { backupCode: 'ffff-ffff' })).status).toBe(400);
+    expect((await as(patient.token).post('/api/auth/mfa/disable', { backupCode: backupCodes[1] })).status).toBe(200);
+    expect((await login(patient.email)).body.tokens).toBeDefined();
+  });
+
+  test('an admin reset signs the user out and lets them log in with the password', async () => {
+    const patient = await registerUser();
+    await enableMfa(patient);
+
+    expect((await as(patient.token).delete(`/api/users/${patient.user.id}/mfa`)).status).toBe(403);
+    const res = await as(admin.token).delete(`/api/users/${patient.user.id}/mfa`);
+    expect(res.body.sessionsRevoked).toBe(1);
+
+    expect((await as(patient.token).get('/api/users/profile')).status).toBe(403);
+    expect((await login(patient.email)).body.user.mfaEnabled).toBe(false);
+  });
+});
@@ -0,0 +1,177 @@
+// Stripe is replaced by a stub for refunds, confirmations and webhooks
+const mockCreateRefund = jest.fn();
+const mockRetrieveIntent = jest.fn();
+const mockConstructEvent = jest.fn();
+jest.mock('stripe', () => () => ({
+  refunds: { create: mockCreateRefund },
+  paymentIntents: { retrieve: mockRetrieveIntent },
+  webhooks: { constructEvent: mockConstructEvent }
+}));
+
+const {
+  startApp, as, query, registerUser, createDriver, createStaff, loginAdmin, settle, rideRequest
+} = require('./helpers');
+
+let admin;
+let patient;
+let otherPatient;
+let driver;
+let dispatcher;
+let clerk;
+let ride;
+let otherRide;
+
+const rideIds = async (session) => (await as(session.token).get('/api/rides')).body.rides.map((entry) => entry.id);
+
+// A completed fare payment of `session`'s user for `forRide`
+const completedPayment = async (session, forRide, stripeIntent = 'pi_test') => (await query(
+  `INSERT INTO payments (ride_id, user_id, amount, method, status, stripe_payment_intent_id)
+   VALUES ($1, $2, 42.5, 'credit_card', 'completed', $3)
+   RETURNING *`,
+  [forRide.id, session.user.id, stripeIntent]
+)).rows[0];
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  patient = await registerUser();
+  otherPatient = await registerUser();
+  driver = await createDriver();
+  dispatcher = await createStaff('dispatcher');
+  clerk = await createStaff('billing_clerk');
+
+  ride = (await as(patient.token).post('/api/rides', rideRequest(24))).body.ride;
+  otherRide = (await as(otherPatient.token).post('/api/rides', rideRequest(24))).body.ride;
+  await as(dispatcher.token).post(`/api/rides/${ride.id}/assign`, { driverId: driver.driverId });
+});
+
+beforeEach(() => {
+  mockCreateRefund.mockReset();
+  mockCreateRefund.mockResolvedValue({ id: 're_test', status: 'succeeded' });
+});
+
+describe('ride scoping', () => {
+  test('patients see only the rides they booked', async () => {
+    const ids = await rideIds(patient);
+    expect(ids).toContain(ride.id);
+    expect(ids).not.toContain(otherRide.id);
+
+    expect((await as(patient.token).get(`/api/rides/${otherRide.id}`)).status).toBe(404);
+    expect((await as(patient.token).get(`/api/rides/${otherRide.id}/tracking`)).status).toBe(403);
+    expect((await as(patient.token).post(`/api/rides/${otherRide.id}/cancel`, { reasonCode: 'other' })).status).toBe(404);
+  });
+
+  test('drivers see only the rides they drive', async () => {
+    const ids = await rideIds(driver);
+    expect(ids).toEqual([ride.id]);
+    expect((await as(driver.token).get(`/api/rides/${otherRide.id}`)).status).toBe(404);
+  });
+
+  test('dispatchers and billing clerks see every ride', async () => {
+    for (const staff of [dispatcher, clerk]) {
+      const ids = await rideIds(staff);
+      expect(ids).toEqual(expect.arrayContaining([ride.id, otherRide.id]));
+    }
+  });
+
+  test('billing clerks cannot assign or dispatch rides', async () => {
+    expect((await as(clerk.token).post(`/api/rides/${otherRide.id}/assign`, { driverId: driver.driverId })).status).toBe(403);
+    expect((await as(clerk.token).get(`/api/rides/${otherRide.id}/dispatch`)).status).toBe(403);
+  });
+});
+
+describe('available drivers', () => {
+  test('are listed to dispatchers and admins only', async () => {
+    expect((await as(patient.token).get('/api/drivers/available')).status).toBe(403);
+    expect((await as(driver.token).get('/api/drivers/available')).status).toBe(403);
+    expect((await as(clerk.token).get('/api/drivers/available')).status).toBe(403);
+
+    for (const staff of [dispatcher, admin]) {
+      const res = await as(staff.token).get('/api/drivers/available');
+      expect(res.status).toBe(200);
+      expect(res.body.drivers.map((entry) => entry.id)).toContain(driver.driverId);
+    }
+  });
+
+  test('leave out drivers awaiting approval', async () => {
+    const applicant = await registerUser('driver', { licenseNumber: 'LIC-APPLICANT', vehicleType: 'van' });
+    await query('UPDATE drivers SET availability = true WHERE user_id = $1', [applicant.user.id]);
+
+    const { drivers } = (await as(dispatcher.token).get('/api/drivers/available')).body;
+    expect(drivers.map((entry) => entry.user_id)).not.toContain(applicant.user.id);
+  });
+});
+
+describe('payments', () => {
+  test('are listed to their payer and to billing staff', async () => {
+    const payment = await completedPayment(otherPatient, otherRide);
+
+    const own = (await as(otherPatient.token).get('/api/payments/history')).body.payments;
+    expect(own.map((entry) => entry.id)).toContain(payment.id);
+    const others = (await as(patient.token).get('/api/payments/history')).body.payments;
+    expect(others.map((entry) => entry.id)).not.toContain(payment.id);
+    const all = (await as(clerk.token).get('/api/payments/history')).body.payments;
+    expect(all.map((entry) => entry.id)).toContain(payment.id);
+  });
+
+  test('are refunded by billing clerks through Stripe, once', async () => {
+    const payment = await completedPayment(patient, ride, 'pi_refund_once');
+
+    expect((await as(patient.token).post(`/api/payments/${payment.id}/refund`)).status).toBe(403);
+    expect((await as(dispatcher.token).post(`/api/payments/${payment.id}/refund`)).status).toBe(403);
+
+    const res = await as(clerk.token).post(`/api/payments/${payment.id}/refund`);
+    expect(res.status).toBe(200);
+    expect(res.body.payment.status).toBe('refunded');
+    expect(mockCreateRefund).toHaveBeenCalledTimes(1);
+    expect(mockCreateRefund).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_refund_once' }),
+      { idempotencyKey: `refund-payment-${payment.id}` }
+    );
+
+    expect((await as(clerk.token).post(`/api/payments/${payment.id}/refund`)).status).toBe(409);
+    expect(mockCreateRefund).toHaveBeenCalledTimes(1);
+
+    await settle();
+    const notifications = (await as(patient.token).get('/api/notifications')).body.notifications;
+    expect(notifications.some((n) => n.type === 'payment.refunded' && n.ride_id === ride.id)).toBe(true);
+  });
+
+  test('stay completed when Stripe refuses the refund', async () => {
+    mockCreateRefund.mockRejectedValue(new Error('card_declined'));
+    const payment = await completedPayment(patient, ride, 'pi_refused');
+
+    expect((await as(clerk.token).post(`/api/payments/${payment.id}/refund`)).status).toBe(500);
+    const stored = await query('SELECT status FROM payments WHERE id = $1', [payment.id]);
+    expect(stored.rows[0].status).toBe('completed');
+  });
+
+  test('taken outside Stripe are only marked refunded', async () => {
+    const payment = await completedPayment(patient, ride, null);
+
+    const res = await as(admin.token).post(`/api/payments/${payment.id}/refund`);
+    expect(res.body.payment.status).toBe('refunded');
+    expect(mockCreateRefund).not.toHaveBeenCalled();
+  });
+
+  test('stay refunded when the payment is confirmed again', async () => {
+    const payment = await completedPayment(patient, ride, 'pi_refunded');
+    await as(clerk.token).post(`/api/payments/${payment.id}/refund`);
+    await settle();
+    const intent = { id: 'pi_refunded', status: 'succeeded', metadata: { userId: patient.user.id } };
+
+    mockRetrieveIntent.mockResolvedValue(intent);
+    const confirmed = await as(patient.token).post('/api/payments/confirm/pi_refunded');
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.payment.status).toBe('refunded');
+
+    mockConstructEvent.mockReturnValue({ type: 'payment_intent.succeeded', data: { object: intent } });
+    expect((await as(patient.token).post('/api/payments/webhook').send({})).status).toBe(200);
+
+    const stored = await query('SELECT status FROM payments WHERE id = $1', [payment.id]);
+    expect(stored.rows[0].status).toBe('refunded');
+    await settle();
+    const notifications = (await as(patient.token).get('/api/notifications')).body.notifications;
+    expect(notifications.some((n) => n.type === 'payment.completed')).toBe(false);
+  });
+});
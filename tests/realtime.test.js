@@ -0,0 +1,135 @@
+process.env.DISPATCH_BOARD_DIFF_INTERVAL_MS = '10';
+
+const {
+  startApp, as, query, registerUser, createDriver, createStaff, loginAdmin, settle, rideRequest
+} = require('./helpers');
+const { authenticateSocket } = require('../src/middleware/auth');
+const { canAccessRide } = require('../src/services/rideAccess');
+const { attachDispatchBoard, buildSnapshot } = require('../src/services/dispatchBoard');
+
+let admin;
+let patient;
+let driver;
+
+// Run the Socket.IO auth middleware on a handshake; resolves with the socket and the error passed on
+const connect = (handshake) => new Promise((resolve) => {
+  const socket = { handshake: { headers: {}, auth: {}, ...handshake }, join: jest.fn() };
+  authenticateSocket(socket, (error) => resolve({ socket, error }));
+});
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  patient = await registerUser();
+  driver = await createDriver();
+});
+
+describe('socket authentication', () => {
+  test('refuses connections without a valid access token', async () => {
+    expect((await connect({})).error.message).toBe('No token provided');
+    expect((await connect({ auth: { token: 'not-a-token' } })).error.message).toBe('Invalid or expired token');
+  });
+
+  test('identifies the user from the handshake', async () => {
+    const fromAuth = await connect({ auth: { token: patient.token } });
+    expect(fromAuth.error).toBeUndefined();
+    expect(fromAuth.socket.user).toMatchObject({ id: patient.user.id, role: 'patient' });
+    // Revoking the session disconnects the sockets in its room
+    expect(fromAuth.socket.join).toHaveBeenCalledWith(`session-${fromAuth.socket.user.sessionId}`);
+
+    const fromHeader = await connect({ headers: { authorization: `Bearer ${driver.token}` } });
+    expect(fromHeader.socket.user).toMatchObject({ id: driver.user.id, role: 'driver' });
+  });
+});
+
+describe('ride rooms', () => {
+  test('are open to the patient, the assigned driver and staff only', async () => {
+    const ride = (await as(patient.token).post('/api/rides', rideRequest(24))).body.ride;
+    const otherPatient = await registerUser();
+    const otherDriver = await createDriver();
+    const dispatcher = await createStaff('dispatcher');
+
+    expect(await canAccessRide(driver.user, ride.id)).toBe(false);
+    await as(admin.token).post(`/api/rides/${ride.id}/assign`, { driverId: driver.driverId });
+
+    expect(await canAccessRide(patient.user, ride.id)).toBe(true);
+    expect(await canAccessRide(driver.user, ride.id)).toBe(true);
+    expect(await canAccessRide(admin.user, ride.id)).toBe(true);
+    expect(await canAccessRide(dispatcher.user, ride.id)).toBe(true);
+    expect(await canAccessRide(otherPatient.user, ride.id)).toBe(false);
+    expect(await canAccessRide(otherDriver.user, ride.id)).toBe(false);
+    expect(await canAccessRide(patient.user, 'not-a-ride')).toBe(false);
+  });
+});
+
+describe('dispatch board', () => {
+  // A `/dispatch` namespace with one viewer, recording what the board sends
+  const board = {
+    middlewares: [],
+    emit: jest.fn(),
+    sockets: new Map([['viewer', {}]]),
+    use(middleware) {
+      this.middlewares.push(middleware);
+    },
+    on() {}
+  };
+
+  // Run the namespace's middlewares on a handshake; resolves with the first error
+  const join = async (token) => {
+    const socket = { handshake: { headers: {}, auth: { token } }, join() {} };
+    for (const middleware of board.middlewares) {
+      const error = await new Promise((resolve) => middleware(socket, resolve));
+      if (error) return error;
+    }
+    return undefined;
+  };
+
+  beforeAll(() => {
+    attachDispatchBoard({ of: () => board });
+  });
+
+  test('is open to dispatchers and admins only', async () => {
+    const dispatcher = await createStaff('dispatcher');
+    const clerk = await createStaff('billing_clerk');
+
+    expect((await join(patient.token)).message).toBe('Dispatch access required');
+    expect((await join(clerk.token)).message).toBe('Dispatch access required');
+    expect(await join(dispatcher.token)).toBeUndefined();
+    expect(await join(admin.token)).toBeUndefined();
+  });
+
+  test('starts from a snapshot of the rides due soon, the queue and the drivers', async () => {
+    const soon = (await as(patient.token).post('/api/rides', rideRequest(2))).body.ride;
+    const later = (await as(patient.token).post('/api/rides', rideRequest(48))).body.ride;
+
+    const snapshot = await buildSnapshot();
+    const rideIds = snapshot.rides.map((ride) => ride.id);
+    expect(rideIds).toContain(soon.id);
+    expect(rideIds).not.toContain(later.id);
+    expect(snapshot.queue).toContain(soon.id);
+    expect(snapshot.drivers.map((entry) => entry.id)).toContain(driver.driverId);
+  });
+
+  test('leaves out drivers awaiting approval', async () => {
+    const applicant = await registerUser('driver', { licenseNumber: 'LIC-BOARD', vehicleType: 'van' });
+    await query('UPDATE drivers SET availability = true WHERE user_id = $1', [applicant.user.id]);
+
+    const { drivers } = await buildSnapshot();
+    expect(drivers.map((entry) => entry.user_id)).not.toContain(applicant.user.id);
+  });
+
+  test('sends the rides that changed as diffs', async () => {
+    const ride = (await as(patient.token).post('/api/rides', rideRequest(2))).body.ride;
+    await settle();
+    board.emit.mockClear();
+
+    await as(admin.token).post(`/api/rides/${ride.id}/assign`, { driverId: driver.driverId });
+    await settle();
+
+    const diffs = board.emit.mock.calls.filter(([event]) => event === 'diff').map(([, diff]) => diff);
+    expect(diffs).toHaveLength(1);
+    expect(diffs[0].rides.upserted).toEqual([expect.objectContaining({ id: ride.id, status: 'accepted', unassigned: false })]);
+    expect(diffs[0].drivers.upserted.map((entry) => entry.id)).toEqual([driver.driverId]);
+    expect(diffs[0].drivers.removed).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+const {
+  startApp, as, registerUser, createDriver, createStaff, loginAdmin, settle, rideRequest
+} = require('./helpers');
+const { canTransition } = require('../src/services/rideLifecycle');
+
+let admin;
+let patient;
+let driver;
+
+const bookRide = async (fields) => {
+  const res = await as(patient.token).post('/api/rides', rideRequest(24, fields));
+  expect(res.status).toBe(201);
+  return res.body.ride;
+};
+
+const assign = (ride, session = admin) => as(session.token).post(`/api/rides/${ride.id}/assign`, { driverId: driver.driverId });
+
+const setStatus = (ride, session, status) => as(session.token).patch(`/api/rides/${ride.id}`, { status });
+
+// Take `ride` from booking to completion
+const complete = async (ride) => {
+  await assign(ride);
+  for (const status of ['arrived', 'in-progress', 'completed']) {
+    await setStatus(ride, driver, status);
+  }
+};
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  patient = await registerUser();
+  driver = await createDriver();
+});
+
+describe('ride lifecycle', () => {
+  test('allows each role only its own transitions', () => {
+    expect(canTransition('driver', 'accepted', 'arrived')).toBe(true);
+    expect(canTransition('driver', 'pending', 'accepted')).toBe(false);
+    expect(canTransition('patient', 'in-progress', 'canceled')).toBe(false);
+    expect(canTransition('dispatcher', 'pending', 'accepted')).toBe(true);
+    expect(canTransition('admin', 'completed', 'pending')).toBe(true);
+    expect(canTransition('admin', 'pending', 'pending')).toBe(false);
+  });
+
+  test('walks a ride from booking to completion and records its history', async () => {
+    const ride = await bookRide();
+    expect(ride.status).toBe('pending');
+
+    expect((await assign(ride)).body.ride.status).toBe('accepted');
+    for (const status of ['arrived', 'in-progress', 'completed']) {
+      const res = await setStatus(ride, driver, status);
+      expect(res.status).toBe(200);
+      expect(res.body.ride.status).toBe(status);
+    }
+
+    const history = await as(patient.token).get(`/api/rides/${ride.id}/history`);
+    expect(history.body.history.map((entry) => [entry.from_status, entry.to_status, entry.changed_by_role])).toEqual([
+      [null, 'pending', 'patient'],
+      ['pending', 'accepted', 'admin'],
+      ['accepted', 'arrived', 'driver'],
+      ['arrived', 'in-progress', 'driver'],
+      ['in-progress', 'completed', 'driver']
+    ]);
+  });
+
+  test('rejects skipped and backward transitions with 409', async () => {
+    const ride = await bookRide();
+    await assign(ride);
+
+    const skipped = await setStatus(ride, driver, 'completed');
+    expect(skipped.status).toBe(409);
+    expect(skipped.body.error).toBe("Cannot change ride status from 'accepted' to 'completed' as driver");
+
+    await setStatus(ride, driver, 'arrived');
+    expect((await setStatus(ride, driver, 'accepted')).status).toBe(409);
+  });
+
+  test('rejects changes to finished rides with 409', async () => {
+    const ride = await bookRide();
+    await complete(ride);
+
+    expect((await setStatus(ride, driver, 'in-progress')).status).toBe(409);
+    expect((await assign(ride)).status).toBe(404);
+  });
+
+  test('lets admins override the lifecycle with a reason', async () => {
+    const ride = await bookRide();
+    await complete(ride);
+
+    const reopened = await as(admin.token).patch(`/api/rides/${ride.id}`, { status: 'pending', reason: 'Completed by mistake' });
+    expect(reopened.status).toBe(200);
+    expect(reopened.body.ride.status).toBe('pending');
+  });
+});
+
+describe('assignment', () => {
+  test('is open to dispatchers but not to patients or drivers', async () => {
+    const dispatcher = await createStaff('dispatcher');
+    const ride = await bookRide();
+
+    expect((await assign(ride, patient)).status).toBe(403);
+    expect((await assign(ride, driver)).status).toBe(403);
+    expect((await assign(ride, dispatcher)).status).toBe(200);
+    expect((await assign(ride, dispatcher)).status).toBe(404);
+  });
+
+  test('refuses drivers awaiting approval', async () => {
+    const applicant = await registerUser('driver', { licenseNumber: 'LIC-PENDING', vehicleType: 'van' });
+    const ride = await bookRide();
+    const driverId = (await as(admin.token).get('/api/drivers/applications')).body.drivers
+      .find((entry) => entry.user_id === applicant.user.id).id;
+
+    const res = await as(admin.token).post(`/api/rides/${ride.id}/assign`, { driverId });
+    expect(res.status).toBe(404);
+  });
+
+  test('notifies the patient and the driver', async () => {
+    const ride = await bookRide();
+    await assign(ride);
+    await settle();
+
+    const patientNotifications = (await as(patient.token).get('/api/notifications')).body.notifications;
+    const driverNotifications = (await as(driver.token).get('/api/notifications')).body.notifications;
+    expect(patientNotifications.some((n) => n.ride_id === ride.id && n.type === 'ride.assigned')).toBe(true);
+    expect(driverNotifications.some((n) => n.ride_id === ride.id && n.title === 'New ride assigned')).toBe(true);
+  });
+});
+
+describe('fares', () => {
+  test('book rides at the quoted price', async () => {
+    const trip = rideRequest(24, { vehicleType: 'wheelchair-accessible' });
+    const quote = await as(patient.token).post('/api/rides/quote', trip);
+    expect(quote.status).toBe(200);
+    expect(quote.body.quote.items.length).toBeGreaterThan(0);
+
+    const ride = await bookRide({ rideDate: trip.rideDate, vehicleType: 'wheelchair-accessible' });
+    expect(Number(ride.fare)).toBe(quote.body.quote.total);
+  });
+
+  test('rate cards are managed by billing staff only', async () => {
+    const clerk = await createStaff('billing_clerk');
+
+    expect((await as(patient.token).patch('/api/fares/rate-cards/car', { baseFare: 20 })).status).toBe(403);
+    const res = await as(clerk.token).patch('/api/fares/rate-cards/car', { baseFare: 20 });
+    expect(res.status).toBe(200);
+    expect(Number(res.body.rateCard.base_fare)).toBe(20);
+  });
+});
@@ -0,0 +1,27 @@
+// Test environment: the in-memory store, fixed secrets, an admin seeded on
+// startup, and emails and text messages that are only logged. Suites that need
+// other settings set them before requiring the app.
+
+const defaults = {
+  DATABASE_IN_MEMORY: 'true',
+  JWT_SECRET: 'test-access-secret',
+  JWT_REFRESH_SECRET: 'test-refresh-secret',
+  STRIPE_SECRET_KEY: 'sk_test_placeholder',
+  ADMIN_EMAIL: 'admin@example.com',
+  ADMIN_PASSWORD: 'admin-password',
+  MFA_REQUIRED_ROLES: '',
+  EMAIL_TRANSPORT: 'console',
+  SMS_PROVIDER: 'console'
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+}
+
+// The store logs every query and the error handler every error, including the
+// ones the suites provoke on purpose
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
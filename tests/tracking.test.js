@@ -0,0 +1,173 @@
+process.env.GEOFENCE_ARRIVAL_DWELL_SECONDS = '0';
+process.env.GEOFENCE_PICKUP_DWELL_SECONDS = '0';
+process.env.GEOFENCE_DROPOFF_DWELL_SECONDS = '0';
+process.env.LOCATION_MIN_INTERVAL_SECONDS = '5';
+
+// Tracking writes can be made to fail; every module sees this wrapper
+const database = require('../src/config/database');
+
+const realQuery = database.query;
+let failTrackingWrites = false;
+jest.spyOn(database, 'query').mockImplementation((text, params) => {
+  if (failTrackingWrites && text.includes('INSERT INTO ride_tracking')) {
+    return Promise.reject(new Error('write failed'));
+  }
+  return realQuery(text, params);
+});
+
+const {
+  startApp, as, query, registerUser, createDriver, loginAdmin, rideRequest
+} = require('./helpers');
+const { acceptDriverLocation, flushDriverLocations } = require('../src/services/driverLocations');
+const { GEOFENCE_CONFIG } = require('../src/services/geofences');
+
+let admin;
+let patient;
+let driver;
+
+// Pickup at (40.7, -74), drop-off at (40.75, -73.95)
+const assignedRide = async () => {
+  const ride = (await as(patient.token).post('/api/rides', rideRequest(1))).body.ride;
+  await as(admin.token).post(`/api/rides/${ride.id}/assign`, { driverId: driver.driverId });
+  return ride;
+};
+
+const trackingPoints = async (rideId) => (await query(
+  'SELECT latitude, longitude FROM ride_tracking WHERE ride_id = $1 ORDER BY id',
+  [rideId]
+)).rows.map((row) => [Number(row.latitude), Number(row.longitude)]);
+
+beforeAll(async () => {
+  await startApp();
+  admin = await loginAdmin();
+  patient = await registerUser();
+  driver = await createDriver();
+});
+
+describe('live driver locations', () => {
+  test('are only accepted from the assigned driver of an active ride', async () => {
+    const ride = await assignedRide();
+    const other = await createDriver();
+    const update = { rideId: ride.id, latitude: 40.6, longitude: -74 };
+
+    await expect(acceptDriverLocation(patient.user, update)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(acceptDriverLocation(other.user, update)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(acceptDriverLocation(driver.user, { ...update, latitude: 91 })).rejects.toMatchObject({ statusCode: 400 });
+
+    await as(patient.token).post(`/api/rides/${ride.id}/cancel`, { reasonCode: 'schedule_change' });
+    await expect(acceptDriverLocation(driver.user, update)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('are written at most once per interval, latest point first', async () => {
+    const ride = await assignedRide();
+    const now = Date.now();
+
+    await acceptDriverLocation(driver.user, { rideId: ride.id, latitude: 40.6, longitude: -74 });
+    await acceptDriverLocation(driver.user, { rideId: ride.id, latitude: 40.61, longitude: -74 });
+    expect(await flushDriverLocations(now)).toBe(1);
+
+    await acceptDriverLocation(driver.user, { rideId: ride.id, latitude: 40.62, longitude: -74 });
+    expect(await flushDriverLocations(now + 1000)).toBe(0);
+    expect(await flushDriverLocations(now + 5000)).toBe(1);
+
+    expect(await trackingPoints(ride.id)).toEqual([[40.61, -74], [40.62, -74]]);
+  });
+
+  test('stay buffered when writing them fails', async () => {
+    const ride = await assignedRide();
+    const now = Date.now() + 60000;
+    await acceptDriverLocation(driver.user, { rideId: ride.id, latitude: 40.63, longitude: -74 });
+
+    failTrackingWrites = true;
+    try {
+      await expect(flushDriverLocations(now)).rejects.toThrow('write failed');
+    } finally {
+      failTrackingWrites = false;
+    }
+    expect(await trackingPoints(ride.id)).toEqual([]);
+
+    expect(await flushDriverLocations(now + 1)).toBe(1);
+    expect(await trackingPoints(ride.id)).toEqual([[40.63, -74]]);
+  });
+
+  test('are never flushed twice at once', async () => {
+    const ride = await assignedRide();
+    const now = Date.now() + 120000;
+    await acceptDriverLocation(driver.user, { rideId: ride.id, latitude: 40.64, longitude: -74 });
+
+    const counts = await Promise.all([flushDriverLocations(now), flushDriverLocations(now)]);
+    expect(counts).toEqual([1, 0]);
+    expect(await trackingPoints(ride.id)).toEqual([[40.64, -74]]);
+  });
+});
+
+describe('tracking points', () => {
+  const track = (ride, latitude, longitude) => as(driver.token).post(`/api/rides/${ride.id}/tracking`, { latitude, longitude, speed: 10 });
+
+  test('are only accepted from the assigned driver', async () => {
+    const ride = await assignedRide();
+    const other = await createDriver();
+
+    expect((await as(patient.token).post(`/api/rides/${ride.id}/tracking`, { latitude: 40.6, longitude: -74 })).status).toBe(403);
+    expect((await as(other.token).post(`/api/rides/${ride.id}/tracking`, { latitude: 40.6, longitude: -74 })).status).toBe(404);
+  });
+
+  test('are refused once the ride is no longer under way', async () => {
+    const ride = await assignedRide();
+    expect((await as(patient.token).post(`/api/rides/${ride.id}/cancel`, { reasonCode: 'other' })).status).toBe(200);
+
+    const refused = await track(ride, 40.6, -74);
+    expect(refused.status).toBe(409);
+    expect(await trackingPoints(ride.id)).toEqual([]);
+  });
+
+  test('keep the pickup ETA up to date', async () => {
+    const ride = await assignedRide();
+
+    const far = await track(ride, 40.6, -74);
+    expect(far.status).toBe(200);
+    expect(far.body.eta).toMatchObject({ rideId: ride.id, changed: true });
+    expect(new Date(far.body.eta.pickupEta).getTime()).toBeGreaterThan(Date.now());
+
+    const near = (await track(ride, 40.69, -74)).body.eta;
+    expect(new Date(near.pickupEta).getTime()).toBeLessThan(new Date(far.body.eta.pickupEta).getTime());
+    const stored = (await as(patient.token).get(`/api/rides/${ride.id}`)).body.ride;
+    expect(new Date(stored.pickup_eta).getTime()).toBe(new Date(near.pickupEta).getTime());
+  });
+
+  test('move the ride along as the driver enters and leaves the fences', async () => {
+    const ride = await assignedRide();
+
+    expect((await track(ride, 40.6, -74)).body.geofence).toMatchObject({ status: 'accepted', milestone: null });
+    expect((await track(ride, 40.7001, -74)).body.geofence).toMatchObject({ status: 'arrived', milestone: 'arrived' });
+    expect((await track(ride, 40.7002, -74)).body.geofence).toMatchObject({ status: 'arrived', milestone: null });
+    expect((await track(ride, 40.72, -73.98)).body.geofence).toMatchObject({ status: 'in-progress', milestone: 'picked_up' });
+    expect((await track(ride, 40.7501, -73.95)).body.geofence).toMatchObject({ status: 'completed', milestone: 'dropped_off' });
+
+    const history = (await as(admin.token).get(`/api/rides/${ride.id}/history`)).body.history;
+    expect(history.slice(-3).map((entry) => [entry.to_status, entry.changed_by_role])).toEqual([
+      ['arrived', 'system'],
+      ['in-progress', 'system'],
+      ['completed', 'system']
+    ]);
+  });
+
+  test('count the dwell time from a manual status change', async () => {
+    const ride = await assignedRide();
+    const twoMinutesAgo = new Date(Date.now() - 120000);
+    GEOFENCE_CONFIG.pickupDwellSeconds = 60;
+    try {
+      expect((await track(ride, 40.6, -74)).body.geofence).toMatchObject({ status: 'accepted', milestone: null });
+      await query('UPDATE ride_geofence_events SET occurred_at = $1 WHERE ride_id = $2', [twoMinutesAgo, ride.id]);
+
+      // Marked arrived by hand while still outside the pickup fence
+      expect((await as(driver.token).patch(`/api/rides/${ride.id}`, { status: 'arrived' })).status).toBe(200);
+      expect((await track(ride, 40.6001, -74)).body.geofence).toMatchObject({ status: 'arrived', milestone: null });
+
+      await query('UPDATE ride_status_history SET created_at = $1 WHERE ride_id = $2', [twoMinutesAgo, ride.id]);
+      expect((await track(ride, 40.6002, -74)).body.geofence).toMatchObject({ status: 'in-progress', milestone: 'picked_up' });
+    } finally {
+      GEOFENCE_CONFIG.pickupDwellSeconds = 0;
+    }
+  });
+});